@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./utils/logger');
+
+// Used when neither the config file, the environment nor the request says otherwise
+const DEFAULT_AGENT_CONFIG = {
+  model: undefined, // The model provider's default model
+  maxTokens: 4000,
+  thinkingBudget: 1024,
+  maxIterations: 10,
+  systemPrompt: undefined // The built-in cursor control prompt
+};
+
+// Named configurations the client can pick before each goal
+const PRESETS = {
+  quick: {
+    maxTokens: 2000,
+    thinkingBudget: 0,
+    maxIterations: 5
+  },
+  careful: {
+    maxTokens: 8000,
+    thinkingBudget: 4096,
+    maxIterations: 15
+  },
+  'deep-thinking': {
+    maxTokens: 20000,
+    thinkingBudget: 16000,
+    maxIterations: 25
+  }
+};
+
+// Upper bounds keep a single request from running away with time or money
+const LIMITS = {
+  maxTokens: { min: 1, max: 64000 },
+  thinkingBudget: { min: 1024, max: 32000 },
+  maxIterations: { min: 1, max: 50 },
+  systemPromptLength: 20000,
+  modelLength: 100
+};
+
+// Environment variables and the setting each one controls
+const ENV_VARIABLES = {
+  AGENT_MODEL: 'model',
+  AGENT_MAX_TOKENS: 'maxTokens',
+  AGENT_THINKING_BUDGET: 'thinkingBudget',
+  AGENT_MAX_ITERATIONS: 'maxIterations',
+  AGENT_SYSTEM_PROMPT: 'systemPrompt'
+};
+
+// Config file read when AGENT_CONFIG_FILE is not set, relative to the working directory
+const DEFAULT_CONFIG_FILE = 'agent.config.json';
+
+/**
+ * Check agent settings and collect every problem
+ *
+ * @param {object} config - Settings to check; only the keys present are validated
+ * @returns {string[]} - Problems found, empty when the settings are valid
+ */
+function findConfigErrors(config) {
+  const errors = [];
+  const known = Object.keys(DEFAULT_AGENT_CONFIG);
+
+  for (const key of Object.keys(config)) {
+    if (!known.includes(key)) {
+      errors.push(`Unknown setting '${key}'; expected one of ${known.join(', ')}`);
+    }
+  }
+
+  const checkInteger = (key) => {
+    const value = config[key];
+    const { min, max } = LIMITS[key];
+    if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+      errors.push(`'${key}' must be an integer between ${min} and ${max}`);
+    }
+  };
+
+  checkInteger('maxTokens');
+  checkInteger('maxIterations');
+
+  // A budget of 0 turns extended thinking off
+  if (config.thinkingBudget !== 0) {
+    checkInteger('thinkingBudget');
+  }
+
+  if (config.model !== undefined &&
+      (typeof config.model !== 'string' || !/^[\w.:-]+$/.test(config.model) || config.model.length > LIMITS.modelLength)) {
+    errors.push(`'model' must be a model name of at most ${LIMITS.modelLength} letters, digits, '.', ':', '_' or '-'`);
+  }
+
+  if (config.systemPrompt !== undefined &&
+      (typeof config.systemPrompt !== 'string' || config.systemPrompt.trim() === '' ||
+       config.systemPrompt.length > LIMITS.systemPromptLength)) {
+    errors.push(`'systemPrompt' must be a non-empty string of at most ${LIMITS.systemPromptLength} characters`);
+  }
+
+  return errors;
+}
+
+/**
+ * Throw when settings are invalid
+ *
+ * @param {object} config - Settings to check
+ * @param {string} source - Where the settings came from, for the error message
+ * @throws {Error} Listing every problem, with the problems as `error.details`
+ */
+function assertValidConfig(config, source) {
+  const errors = findConfigErrors(config);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid agent configuration in ${source}: ${errors.join('; ')}`);
+    error.details = errors;
+    throw error;
+  }
+}
+
+/**
+ * Read settings from the agent config file
+ *
+ * @param {string} [filePath] - JSON config file; AGENT_CONFIG_FILE or agent.config.json by default
+ * @returns {object} - Settings from the file, empty when there is no file
+ */
+function loadConfigFile(filePath = process.env.AGENT_CONFIG_FILE) {
+  const explicit = Boolean(filePath);
+  const resolved = path.resolve(filePath || DEFAULT_CONFIG_FILE);
+
+  if (!fs.existsSync(resolved)) {
+    if (explicit) {
+      throw new Error(`Agent config file ${resolved} does not exist`);
+    }
+    return {};
+  }
+
+  const config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  assertValidConfig(config, resolved);
+
+  logger.info('AgentConfig', `Loaded agent config from ${resolved}`, { settings: Object.keys(config) });
+  return config;
+}
+
+/**
+ * Read settings from AGENT_* environment variables
+ *
+ * @returns {object} - Settings that are set in the environment
+ */
+function loadConfigFromEnv() {
+  const config = {};
+
+  for (const [name, key] of Object.entries(ENV_VARIABLES)) {
+    const value = process.env[name];
+    if (value === undefined || value === '') {
+      continue;
+    }
+    config[key] = ['model', 'systemPrompt'].includes(key) ? value : Number(value);
+  }
+
+  assertValidConfig(config, 'environment variables');
+  return config;
+}
+
+/**
+ * Make sure the combined settings are consistent with each other
+ *
+ * @param {object} config - Complete settings
+ * @param {string} source - Where the last settings came from
+ * @returns {object} - The settings
+ */
+function checkConsistency(config, source) {
+  if (config.thinkingBudget > 0 && config.thinkingBudget >= config.maxTokens) {
+    const error = new Error(`Invalid agent configuration in ${source}: 'thinkingBudget' (${config.thinkingBudget}) must be less than 'maxTokens' (${config.maxTokens})`);
+    error.details = [error.message];
+    throw error;
+  }
+  return config;
+}
+
+/**
+ * Build the server's base agent configuration: defaults, then the config file,
+ * then environment variables
+ *
+ * @returns {object} - Agent configuration
+ */
+function loadAgentConfig() {
+  const config = { ...DEFAULT_AGENT_CONFIG, ...loadConfigFile(), ...loadConfigFromEnv() };
+  return checkConsistency(config, 'config file and environment');
+}
+
+/**
+ * Apply a preset and per-request overrides on top of a base configuration
+ *
+ * @param {object} baseConfig - Server configuration
+ * @param {object} [request] - Request body fields
+ * @param {string} [request.preset] - Name of a preset
+ * @param {object} [request.config] - Individual settings
+ * @returns {object} - Configuration for this request
+ * @throws {Error} With `error.details` when the preset or settings are invalid
+ */
+function resolveAgentConfig(baseConfig, { preset, config } = {}) {
+  if (preset !== undefined && !Object.prototype.hasOwnProperty.call(PRESETS, preset)) {
+    const error = new Error(`Unknown preset '${preset}'; expected one of ${Object.keys(PRESETS).join(', ')}`);
+    error.details = [error.message];
+    throw error;
+  }
+
+  if (config !== undefined && (typeof config !== 'object' || config === null || Array.isArray(config))) {
+    const error = new Error('Invalid agent configuration in request: \'config\' must be an object');
+    error.details = [error.message];
+    throw error;
+  }
+
+  const overrides = config || {};
+  assertValidConfig(overrides, 'request');
+
+  return checkConsistency({ ...baseConfig, ...(preset ? PRESETS[preset] : {}), ...overrides }, 'request');
+}
+
+module.exports = {
+  DEFAULT_AGENT_CONFIG,
+  PRESETS,
+  LIMITS,
+  loadAgentConfig,
+  resolveAgentConfig,
+  findConfigErrors
+};
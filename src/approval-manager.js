@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const logger = require('./utils/logger');
+const { findInstructionErrors } = require('./instruction-schema');
+
+// Decisions a human can make about a pending action
+const DECISIONS = ['approve', 'skip', 'edit', 'abort', 'approve-all'];
+
+// Actions with a target position that can be edited before they run
+const POSITIONAL_TYPES = ['move', 'drag', 'click', 'double-click', 'triple-click', 'scroll'];
+
+// How long an action waits for a decision before the run is aborted
+const DEFAULT_APPROVAL_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * @param {object} instruction - Pending instruction
+ * @param {object} body - Edit decision with the new x and y, and startX and startY for drags
+ * @returns {object} - The instruction at the new position
+ */
+function editInstruction(instruction, body) {
+  const edited = { ...instruction, x: body.x, y: body.y };
+  if (body.startX !== undefined) {
+    edited.startX = body.startX;
+    edited.startY = body.startY;
+  }
+  return edited;
+}
+
+/**
+ * Holds agent actions until a human approves, skips, edits or aborts them.
+ * Each pending action gets an ID the client answers with; actions nobody
+ * answers in time abort the run.
+ */
+class ApprovalManager {
+  /**
+   * @param {object} [options] - Manager options
+   * @param {number} [options.timeoutMs] - How long an action waits for a decision
+   * @param {Function} [options.getDisplays] - Returns the displays edited positions must be on, or undefined
+   *   to leave off-screen positions to the safety policy
+   */
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs || DEFAULT_APPROVAL_TIMEOUT_MS;
+    this.getDisplays = options.getDisplays || (() => undefined);
+    this.pending = new Map();
+  }
+
+  /**
+   * Create the approval hook for one agent run. Once the human picks
+   * approve-all, the remaining actions of the run are approved without asking.
+   *
+   * @param {Function} onRequest - Receives each pending action, e.g. to send it to the client
+   * @param {Function} [describe] - Returns extra fields for a pending action, e.g. a thumbnail
+   * @returns {Function} - Async (instruction, details) => decision, for the agent loop's approveInstruction option
+   */
+  createApprover(onRequest, describe) {
+    let approveAll = false;
+
+    return async (instruction, details = {}) => {
+      if (approveAll) {
+        return { decision: 'approve' };
+      }
+
+      const extra = describe ? describe(instruction) : {};
+      const decision = await this.request({ instruction, ...details, ...extra }, onRequest);
+      if (decision.decision === 'approve-all') {
+        logger.info('ApprovalManager', 'Remaining actions of the run are approved');
+        approveAll = true;
+        return { decision: 'approve' };
+      }
+      return decision;
+    };
+  }
+
+  /**
+   * Hold an action until it is decided or times out
+   *
+   * @param {object} request - Pending action; must include the instruction
+   * @param {Function} onRequest - Receives the pending action with its ID
+   * @returns {Promise<object>} - Decision, with the edited instruction for edits
+   */
+  request(request, onRequest) {
+    const id = crypto.randomUUID();
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        logger.warn('ApprovalManager', `No decision for action ${id} within ${this.timeoutMs}ms; aborting the run`);
+        this.settle(id, { decision: 'abort', reason: `No decision within ${Math.round(this.timeoutMs / 1000)}s` });
+      }, this.timeoutMs);
+
+      this.pending.set(id, {
+        request: { id, ...request, createdAt: new Date().toISOString() },
+        resolve: (decision) => {
+          clearTimeout(timer);
+          resolve(decision);
+        }
+      });
+
+      logger.info('ApprovalManager', `Waiting for approval of ${request.instruction.type} action ${id}`);
+      onRequest(this.pending.get(id).request);
+    });
+  }
+
+  /**
+   * Resolve a pending action and forget it
+   *
+   * @param {string} id - Pending action ID
+   * @param {object} decision - Decision to resolve it with
+   */
+  settle(id, decision) {
+    const entry = this.pending.get(id);
+    if (entry) {
+      this.pending.delete(id);
+      entry.resolve(decision);
+    }
+  }
+
+  /**
+   * Apply a human's decision to a pending action
+   *
+   * @param {string} id - Pending action ID
+   * @param {object} body - Decision from the client
+   * @param {string} body.decision - approve, skip, edit, abort or approve-all
+   * @param {number} [body.x] - New target x for edits, in desktop pixels
+   * @param {number} [body.y] - New target y for edits
+   * @param {number} [body.startX] - New drag start x for edits
+   * @param {number} [body.startY] - New drag start y for edits
+   * @param {string} [body.reason] - Why the action was skipped or the run aborted; passed on to Claude
+   * @returns {object} - The decision as the agent loop receives it
+   * @throws {Error} With `status` 404 for unknown actions and 400 with `details` for invalid decisions
+   */
+  decide(id, body = {}) {
+    const entry = this.pending.get(id);
+    if (!entry) {
+      const error = new Error(`No pending action with ID ${id}`);
+      error.status = 404;
+      throw error;
+    }
+
+    const { instruction } = entry.request;
+    const errors = [];
+    const isCoordinate = (value) => Number.isInteger(value);
+
+    if (!DECISIONS.includes(body.decision)) {
+      errors.push(`'decision' must be one of ${DECISIONS.join(', ')}`);
+    }
+    if (body.reason !== undefined && typeof body.reason !== 'string') {
+      errors.push('\'reason\' must be a string');
+    }
+    if (body.decision === 'edit') {
+      if (!POSITIONAL_TYPES.includes(instruction.type)) {
+        errors.push(`${instruction.type} actions have no target position to edit`);
+      }
+      if (!isCoordinate(body.x) || !isCoordinate(body.y)) {
+        errors.push('\'x\' and \'y\' must be integers');
+      }
+      if ((body.startX !== undefined || body.startY !== undefined) &&
+          (instruction.type !== 'drag' || !isCoordinate(body.startX) || !isCoordinate(body.startY))) {
+        errors.push('\'startX\' and \'startY\' must both be integers, and only for drags');
+      }
+    }
+
+    // Edited positions are checked against the displays the same way new instructions are
+    const edited = body.decision === 'edit' ? editInstruction(instruction, body) : null;
+    if (edited && errors.length === 0) {
+      const displays = this.getDisplays();
+      errors.push(...findInstructionErrors(edited, { displays }).map(error => error.message));
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid decision: ${errors.join('; ')}`);
+      error.status = 400;
+      error.details = errors;
+      throw error;
+    }
+
+    const decision = { decision: body.decision };
+    if (body.reason) {
+      decision.reason = body.reason;
+    }
+    if (edited) {
+      decision.instruction = edited;
+    }
+
+    logger.info('ApprovalManager', `Action ${id} decided: ${body.decision}`, decision);
+    this.settle(id, decision);
+    return decision;
+  }
+
+  /**
+   * Abort every pending action, e.g. on an emergency stop
+   *
+   * @param {string} reason - Why, passed on to Claude
+   * @returns {number} - How many actions were pending
+   */
+  cancelAll(reason) {
+    const ids = Array.from(this.pending.keys());
+    ids.forEach(id => this.settle(id, { decision: 'abort', reason }));
+    if (ids.length > 0) {
+      logger.info('ApprovalManager', `Cancelled ${ids.length} pending actions`, { reason });
+    }
+    return ids.length;
+  }
+
+  /**
+   * @returns {Array<object>} - Actions waiting for a decision, oldest first
+   */
+  list() {
+    return Array.from(this.pending.values()).map(entry => entry.request);
+  }
+}
+
+module.exports = ApprovalManager;
+module.exports.DECISIONS = DECISIONS;
+module.exports.POSITIONAL_TYPES = POSITIONAL_TYPES;
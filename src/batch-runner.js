@@ -0,0 +1,282 @@
+const logger = require('./utils/logger');
+const { findInstructionErrors, FIELD_RULES } = require('./instruction-schema');
+const { getDesktopBounds } = require('./displays');
+const { sleep } = require('./utils/sleep');
+
+// Steps that watch a screen region instead of acting
+const SCREEN_WAIT_TYPES = ['wait-for-change', 'wait-for-stable'];
+
+// How long screen waits give up after, how often they look and how long a region must stay the same, in ms
+const SCREEN_WAIT_DEFAULTS = { timeoutMs: 10000, pollMs: 250, stableMs: 1000 };
+const SCREEN_WAIT_LIMITS = {
+  timeoutMs: { min: 100, max: 120000 },
+  pollMs: { min: 50, max: 5000 },
+  stableMs: { min: 100, max: 60000 }
+};
+
+// What happens to the rest of a batch when a step fails
+const ERROR_MODES = ['stop', 'continue'];
+
+// Keeps one request from queueing up minutes of actions
+const MAX_BATCH_STEPS = 200;
+
+/**
+ * Check a screen wait step and collect every problem
+ *
+ * @param {object} step - wait-for-change or wait-for-stable step
+ * @param {Array<object>} displays - Display rectangles the region must be within
+ * @returns {Array<{field: string, message: string}>} - Problems found
+ */
+function findScreenWaitErrors(step, displays) {
+  const { type } = step;
+  const errors = [];
+  const timings = type === 'wait-for-stable' ? ['timeoutMs', 'pollMs', 'stableMs'] : ['timeoutMs', 'pollMs'];
+  const known = ['type', 'region', 'delay', 'onError', ...timings];
+
+  for (const field of Object.keys(step)) {
+    if (!known.includes(field)) {
+      errors.push({ field, message: `${type} step has unknown property '${field}'; expected ${known.slice(1).join(', ')}` });
+    }
+  }
+
+  for (const field of timings) {
+    const value = step[field];
+    const { min, max } = SCREEN_WAIT_LIMITS[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+      errors.push({ field, message: `${type} step '${field}' must be an integer between ${min} and ${max}` });
+    }
+  }
+
+  if (step.delay !== undefined && !FIELD_RULES.delay.check(step.delay)) {
+    errors.push({ field: 'delay', message: FIELD_RULES.delay.message(type) });
+  }
+
+  const { region } = step;
+  if (region === undefined) {
+    return errors;
+  }
+  const isRectangle = region && typeof region === 'object' &&
+    ['x', 'y', 'width', 'height'].every(key => Number.isInteger(region[key])) && region.width > 0 && region.height > 0;
+  if (!isRectangle) {
+    errors.push({ field: 'region', message: `${type} step 'region' must have integer x and y and a positive integer width and height` });
+    return errors;
+  }
+
+  const desktop = getDesktopBounds(displays);
+  if (region.x < desktop.x || region.y < desktop.y ||
+      region.x + region.width > desktop.x + desktop.width || region.y + region.height > desktop.y + desktop.height) {
+    errors.push({
+      field: 'region',
+      message: `${type} step 'region' must be within the ${desktop.width}x${desktop.height} desktop at (${desktop.x}, ${desktop.y})`
+    });
+  }
+  return errors;
+}
+
+/**
+ * Check a batch request: the steps must be valid instructions or screen waits
+ * whose regions stay on the displays
+ *
+ * @param {object} body - Request body with `steps` and an optional `onError`
+ * @param {object} options - Validation options
+ * @param {Array<object>} options.displays - Display rectangles regions must be on
+ * @param {boolean} [options.checkCoordinates] - Also refuse instruction coordinates that are off the displays
+ * @returns {{steps: Array<object>, onError: string}} - Steps with their regions filled in, and the error mode
+ * @throws {Error} With `status` 400 and `details` naming the index and field of each problem
+ */
+function validateBatch(body, { displays, checkCoordinates = false }) {
+  const { steps, onError = 'stop' } = body || {};
+  const errors = [];
+
+  if (!ERROR_MODES.includes(onError)) {
+    errors.push({ field: 'onError', message: `'onError' must be one of ${ERROR_MODES.join(', ')}` });
+  }
+  if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_BATCH_STEPS) {
+    errors.push({ field: 'steps', message: `'steps' must be an array of 1 to ${MAX_BATCH_STEPS} steps` });
+  } else {
+    steps.forEach((step, index) => {
+      if (step && typeof step === 'object' && step.onError !== undefined && !ERROR_MODES.includes(step.onError)) {
+        errors.push({ index, field: 'onError', message: `'onError' must be one of ${ERROR_MODES.join(', ')}` });
+      }
+
+      const stepErrors = step && SCREEN_WAIT_TYPES.includes(step.type)
+        ? findScreenWaitErrors(step, displays)
+        : findInstructionErrors(withoutBatchFields(step), { displays: checkCoordinates ? displays : undefined });
+      errors.push(...stepErrors.map(error => ({ index, ...error })));
+    });
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid batch: ${errors.map(({ index, message }) =>
+      (index === undefined ? message : `Step ${index + 1}: ${message}`)).join('; ')}`);
+    error.status = 400;
+    error.details = errors;
+    throw error;
+  }
+
+  // Screen waits watch the primary display unless they name a region
+  const primary = displays.find(display => display.primary) || displays[0];
+  return {
+    onError,
+    steps: steps.map(step => (SCREEN_WAIT_TYPES.includes(step.type) && !step.region
+      ? { ...step, region: { x: primary.x, y: primary.y, width: primary.width, height: primary.height } }
+      : step))
+  };
+}
+
+/**
+ * @param {object} step - Batch step
+ * @returns {object} - The step without the fields only batches understand
+ */
+function withoutBatchFields(step) {
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    return step;
+  }
+  const { onError, ...instruction } = step;
+  return instruction;
+}
+
+/**
+ * Poll a screen region until it differs from a baseline, or until it has
+ * looked the same for `stableMs`
+ *
+ * @param {object} step - wait-for-change or wait-for-stable step, with its region
+ * @param {string} baseline - Capture of the region to compare against
+ * @param {Function} captureRegion - Captures a region as a base64 PNG
+ * @param {AbortSignal} [signal] - Ends the wait when aborted
+ * @returns {Promise<{changes: number}>} - How often the region changed while waiting
+ * @throws {Error} When the region does not change or settle in time
+ */
+async function watchRegion(step, baseline, captureRegion, signal) {
+  const { timeoutMs, pollMs, stableMs } = { ...SCREEN_WAIT_DEFAULTS, ...step };
+  const startTime = Date.now();
+  let previous = baseline;
+  let lastChange = startTime;
+  let changes = 0;
+
+  while (!signal?.aborted) {
+    const capture = captureRegion(step.region);
+    const now = Date.now();
+    if (capture !== previous) {
+      changes++;
+      previous = capture;
+      lastChange = now;
+      if (step.type === 'wait-for-change') {
+        return { changes };
+      }
+    } else if (step.type === 'wait-for-stable' && now - lastChange >= stableMs) {
+      return { changes };
+    }
+
+    if (now - startTime >= timeoutMs) {
+      throw new Error(step.type === 'wait-for-change'
+        ? `Region did not change within ${timeoutMs}ms`
+        : `Region did not stay the same for ${stableMs}ms within ${timeoutMs}ms`);
+    }
+    await sleep(pollMs, signal);
+  }
+  return { changes };
+}
+
+/**
+ * Run the steps of a batch in order and report on each. A failed step stops
+ * the batch or is skipped over, depending on the step's or the batch's
+ * `onError`; the remaining steps of a stopped batch are reported as skipped.
+ *
+ * @param {Array<object>} steps - Validated steps from validateBatch
+ * @param {object} options - How to run them
+ * @param {Function} options.executeInstruction - Executes one instruction
+ * @param {Function} options.captureRegion - Captures a {x, y, width, height} region as a base64 PNG
+ * @param {Function} options.getPosition - Returns the cursor position
+ * @param {string} [options.onError] - `stop` (the default) or `continue`
+ * @param {Function} [options.detectTakeover] - Returns details when the user moved the mouse, checked before each step
+ * @param {AbortSignal} [options.signal] - Stops the batch when aborted; its reason becomes the stop reason
+ * @returns {Promise<object>} - Report with the stop reason, counts, timings and per-step results
+ */
+async function runBatch(steps, options) {
+  const { executeInstruction, captureRegion, getPosition, onError = 'stop', detectTakeover, signal } = options;
+  const startTime = Date.now();
+  const results = [];
+  const baselines = new Map();
+  let stopReason = null;
+  let failed = 0;
+
+  for (let index = 0; index < steps.length; index++) {
+    const { delay = 0, onError: stepOnError, ...instruction } = steps[index];
+    const result = { index, type: instruction.type, status: 'skipped' };
+    results.push(result);
+
+    if (!stopReason && delay > 0) {
+      await sleep(delay, signal);
+    }
+
+    const takeover = !stopReason && detectTakeover ? detectTakeover() : null;
+    if (takeover) {
+      logger.warn('BatchRunner', `User took over the mouse; stopping the batch at step ${index + 1}`, takeover);
+      stopReason = 'user_takeover';
+    }
+    if (!stopReason && signal?.aborted) {
+      stopReason = signal.reason || 'stopped';
+    }
+    if (stopReason) {
+      continue;
+    }
+
+    // A wait for change compares against the region before the step that should change it
+    const next = steps[index + 1];
+    if (next?.type === 'wait-for-change') {
+      try {
+        baselines.set(index + 1, captureRegion(next.region));
+      } catch (error) {
+        logger.warn('BatchRunner', `Could not capture the region step ${index + 2} waits on`, { error: error.message });
+      }
+    }
+
+    const stepStart = Date.now();
+    Object.assign(result, { startedAtMs: stepStart - startTime, delayMs: delay, before: getPosition() });
+    try {
+      if (SCREEN_WAIT_TYPES.includes(instruction.type)) {
+        const baseline = baselines.has(index) ? baselines.get(index) : captureRegion(instruction.region);
+        Object.assign(result, await watchRegion(instruction, baseline, captureRegion, signal));
+      } else {
+        await executeInstruction(instruction);
+      }
+      result.status = signal?.aborted ? 'stopped' : 'ok';
+    } catch (error) {
+      if (signal?.aborted) {
+        result.status = 'stopped';
+      } else {
+        failed++;
+        Object.assign(result, { status: 'failed', error: error.message, details: error.details });
+        logger.warn('BatchRunner', `Step ${index + 1} (${instruction.type}) failed`, { error: error.message });
+        if ((stepOnError || onError) === 'stop') {
+          stopReason = 'failed';
+        }
+      }
+    }
+    Object.assign(result, { durationMs: Date.now() - stepStart, after: getPosition() });
+
+    if (result.status === 'stopped') {
+      stopReason = signal.reason || 'stopped';
+    }
+  }
+
+  return {
+    success: failed === 0 && !stopReason,
+    stopReason: stopReason || 'completed',
+    stepsRun: results.filter(result => result.status === 'ok' || result.status === 'failed').length,
+    stepsFailed: failed,
+    totalSteps: steps.length,
+    durationMs: Date.now() - startTime,
+    finalPosition: getPosition(),
+    steps: results
+  };
+}
+
+module.exports = {
+  SCREEN_WAIT_TYPES,
+  SCREEN_WAIT_DEFAULTS,
+  MAX_BATCH_STEPS,
+  validateBatch,
+  runBatch
+};
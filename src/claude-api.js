@@ -1,23 +1,44 @@
-const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs');
 const logger = require('./utils/logger');
+const { getDefaultProvider } = require('./providers');
+const { createScaler } = require('./screen-scaling');
+const { getDefaultDriver } = require('./drivers');
+const { runBashTool } = require('./tools/bash-tool');
+const { runTextEditorTool } = require('./tools/text-editor-tool');
+const { pruneScreenshots } = require('./utils/message-history');
+const { CircuitBreaker, callWithRetry, getRetryOptionsFromEnv } = require('./utils/retry');
+const { sleep } = require('./utils/sleep');
+const { loadAgentConfig } = require('./agent-config');
+const { validateInstruction, validateInstructions } = require('./instruction-schema');
 
-// Initialize Anthropic client
-logger.info('ClaudeAPI', 'Initializing Anthropic client');
+// Time to let the UI settle after an action before taking the follow-up screenshot
+const ACTION_SETTLE_DELAY_MS = 300;
 
-if (!process.env.ANTHROPIC_API_KEY) {
-  logger.error('ClaudeAPI', 'ANTHROPIC_API_KEY is not set in environment variables');
-  throw new Error('ANTHROPIC_API_KEY is not set in environment variables. Please set this environment variable before starting the server.');
-} else {
-  logger.debug('ClaudeAPI', 'ANTHROPIC_API_KEY is set');
-}
+// Screenshots sent in full on each iteration unless AGENT_SCREENSHOT_HISTORY says otherwise
+const DEFAULT_SCREENSHOT_HISTORY = 3;
+
+// Marks the end of a prompt prefix the API may cache between requests
+const CACHE_BREAKPOINT = { type: "ephemeral" };
+
+// Built-in system prompt, used unless the agent configuration provides one
+const DEFAULT_SYSTEM_PROMPT = `You are a cursor control assistant that helps with pair programming.
+You are given a screenshot of a user's screen, context about what they're working on, and their goal.
+Your task is to provide a series of precise cursor actions using the Computer Use tool to help achieve that goal.
+
+Analyze the screen carefully and determine the most effective sequence of cursor actions.
+Use mouse movements, clicks, drags, scrolling, typing and keyboard shortcuts to help the user with their programming task.
+Take a screenshot whenever you are unsure about the current state of the screen.
+When the str_replace_editor tool is available, prefer it over typing for changes to source files.`;
+
+// How often in a row the loop continues a response that was cut off by max_tokens
+const MAX_TOKENS_CONTINUATIONS = 3;
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+// Sent after a response hit max_tokens so Claude picks up where it stopped
+const CONTINUE_PROMPT = 'Your previous response was cut off because it reached the maximum number of tokens. Please continue where you left off; repeat any tool call that was cut off.';
 
-// 改为简单地记录初始化信息，不再尝试拦截请求
-logger.debug('ClaudeAPI', 'Anthropic client initialized successfully');
+// Shared by all agent loops so a failing API is not hammered by every request
+const retryOptions = getRetryOptionsFromEnv();
+const circuitBreaker = new CircuitBreaker(retryOptions);
 
 // 添加简单的包装函数，在后续实际调用 API 时添加日志
 async function callCloudeAPIWithLogging(apiCallFn) {
@@ -52,50 +73,441 @@ async function callCloudeAPIWithLogging(apiCallFn) {
 }
 
 /**
- * Get cursor instructions from Claude based on screen capture and context
- * using the Computer Use API
+ * Read a [x, y] coordinate pair from computer tool input
+ * 
+ * @param {object} input - Computer tool input
+ * @param {string} field - Name of the coordinate field
+ * @param {boolean} required - Whether the coordinate must be present
+ * @returns {{x: number, y: number}|null} - Parsed coordinate, or null when optional and absent
+ */
+function readCoordinate(input, field, required) {
+  const value = input[field];
+  
+  if (value === undefined || value === null) {
+    if (required) {
+      throw new Error(`${input.action} requires '${field}'`);
+    }
+    return null;
+  }
+  
+  if (!Array.isArray(value) || value.length !== 2 ||
+      typeof value[0] !== 'number' || typeof value[1] !== 'number') {
+    throw new Error(`${input.action} '${field}' must be an [x, y] pair of numbers`);
+  }
+  
+  return { x: value[0], y: value[1] };
+}
+
+/**
+ * Read a required string field from computer tool input
+ * 
+ * @param {object} input - Computer tool input
+ * @param {string} field - Name of the field
+ * @returns {string} - Field value
+ */
+function readText(input, field) {
+  if (typeof input[field] !== 'string') {
+    throw new Error(`${input.action} requires '${field}'`);
+  }
+  return input[field];
+}
+
+/**
+ * Translate computer_20250124 tool input into a cursor controller instruction
+ * 
+ * @param {object} input - The `input` of a computer tool_use block
+ * @returns {object} - Instruction object in the shape the instruction schema describes
+ * @throws {Error} If the action is unknown or its input is malformed
+ */
+function toolInputToInstruction(input) {
+  if (!input || typeof input.action !== 'string') {
+    throw new Error('Computer tool input must have an \'action\' string');
+  }
+  
+  const { action } = input;
+  
+  // Click-style actions take an optional coordinate and optional modifier keys held during the click
+  const withTarget = (instruction) => {
+    const coordinate = readCoordinate(input, 'coordinate', false);
+    if (coordinate) {
+      instruction.x = coordinate.x;
+      instruction.y = coordinate.y;
+    }
+    if (typeof input.text === 'string' && input.text !== '') {
+      instruction.modifiers = input.text;
+    }
+    return instruction;
+  };
+  
+  switch (action) {
+    case 'screenshot':
+      return { type: 'screenshot' };
+      
+    case 'cursor_position':
+      return { type: 'cursor-position' };
+      
+    case 'mouse_move': {
+      const coordinate = readCoordinate(input, 'coordinate', true);
+      return { type: 'move', x: coordinate.x, y: coordinate.y };
+    }
+      
+    case 'left_click':
+      return withTarget({ type: 'click', button: 'left' });
+      
+    case 'right_click':
+      return withTarget({ type: 'click', button: 'right' });
+      
+    case 'middle_click':
+      return withTarget({ type: 'click', button: 'middle' });
+      
+    case 'double_click':
+      return withTarget({ type: 'double-click', button: 'left' });
+      
+    case 'triple_click':
+      return withTarget({ type: 'triple-click', button: 'left' });
+      
+    case 'left_click_drag': {
+      const start = readCoordinate(input, 'start_coordinate', false);
+      const end = readCoordinate(input, 'coordinate', true);
+      const instruction = { type: 'drag', x: end.x, y: end.y };
+      if (start) {
+        instruction.startX = start.x;
+        instruction.startY = start.y;
+      }
+      return instruction;
+    }
+      
+    case 'left_mouse_down':
+      return { type: 'mouse-down', button: 'left' };
+      
+    case 'left_mouse_up':
+      return { type: 'mouse-up', button: 'left' };
+      
+    case 'scroll': {
+      if (typeof input.scroll_amount !== 'number') {
+        throw new Error('scroll requires \'scroll_amount\'');
+      }
+      return withTarget({
+        type: 'scroll',
+        direction: readText(input, 'scroll_direction'),
+        amount: input.scroll_amount
+      });
+    }
+      
+    case 'wait':
+      if (typeof input.duration !== 'number') {
+        throw new Error('wait requires \'duration\'');
+      }
+      return { type: 'wait', duration: input.duration };
+      
+    case 'type':
+      return { type: 'type', text: readText(input, 'text') };
+      
+    case 'key':
+      return { type: 'key', keys: readText(input, 'text') };
+      
+    case 'hold_key':
+      if (typeof input.duration !== 'number') {
+        throw new Error('hold_key requires \'duration\'');
+      }
+      return { type: 'hold-key', keys: readText(input, 'text'), duration: input.duration };
+      
+    default:
+      throw new Error(`Unsupported computer action: ${action}`);
+  }
+}
+
+/**
+ * Execute a single instruction and capture the screen afterwards, producing
+ * the tool_result block that is sent back to Claude
+ * 
+ * @param {object} instruction - Cursor instruction to execute, in physical screen coordinates
+ * @param {string} toolUseId - ID of the tool_use block being answered
+ * @param {object} options - Agent loop options (executeInstruction, settleDelayMs, captureScreen, display)
+ * @param {object} scaler - Screen scaler used to report results in Claude's coordinate space
+ * @returns {Promise<object>} - tool_result content block
+ */
+async function executeAndObserve(instruction, toolUseId, options, scaler) {
+  logger.debug('ClaudeAPI', `Executing instruction: ${instruction.type}`, { toolUseId, instruction });
+  
+  let output;
+  try {
+    output = await options.executeInstruction(instruction);
+  } catch (error) {
+    // A stop or takeover while the action ran interrupts it; Claude is told why
+    if (options.signal?.aborted) {
+      return interruptedToolResult(toolUseId, options.signal);
+    }
+    
+    logger.error('ClaudeAPI', `Error executing instruction: ${instruction.type}`, {
+      error: error.message,
+      toolUseId,
+      instruction
+    });
+    
+    return {
+      type: "tool_result",
+      tool_use_id: toolUseId,
+      is_error: true,
+      content: `Failed to execute ${instruction.type}: ${error.message}`
+    };
+  }
+  
+  // Reporting the cursor position needs no screenshot, just the coordinates
+  if (instruction.type === 'cursor-position') {
+    const position = scaler.toScaled(output.x, output.y);
+    return {
+      type: "tool_result",
+      tool_use_id: toolUseId,
+      content: `X=${position.x},Y=${position.y}`
+    };
+  }
+  
+  const settleDelayMs = options.settleDelayMs !== undefined ? options.settleDelayMs : ACTION_SETTLE_DELAY_MS;
+  await sleep(settleDelayMs, options.signal);
+  
+  const captureScreen = options.captureScreen || (() => {
+    const { display } = options;
+    const { captureScreen: capture } = require('./screen-capture');
+    return display ? capture(display.x, display.y, display.width, display.height) : capture();
+  });
+  const screenshot = scaler.scaleCapture(captureScreen());
+  logger.debug('ClaudeAPI', 'Captured screenshot after action', {
+    toolUseId,
+    screenshotSize: screenshot.length
+  });
+  
+  return {
+    type: "tool_result",
+    tool_use_id: toolUseId,
+    content: [
+      {
+        type: "image",
+        source: {
+          type: "base64",
+          media_type: "image/png",
+          data: screenshot
+        }
+      }
+    ]
+  };
+}
+
+// Why a run can be interrupted from outside, and what Claude is told about the actions it asked for
+const INTERRUPTIONS = {
+  stopped: 'The user pressed the emergency stop; this action was not executed.',
+  user_takeover: 'The user took over the mouse, so this action was not executed and the session is paused. ' +
+    'Do not try to continue; wait for the user\'s next goal.'
+};
+
+/**
+ * Stop reason of an aborted run
+ * 
+ * @param {AbortSignal} signal - Signal the run was aborted with; its reason names the interruption
+ * @returns {string} - stopped or user_takeover
+ */
+function interruptionOf(signal) {
+  return Object.prototype.hasOwnProperty.call(INTERRUPTIONS, signal.reason) ? signal.reason : 'stopped';
+}
+
+/**
+ * Build the tool_result for an action that was cut off by a stop or takeover
+ * 
+ * @param {string} toolUseId - ID of the tool_use block being answered
+ * @param {AbortSignal} signal - Signal the run was aborted with
+ * @returns {object} - tool_result content block
+ */
+function interruptedToolResult(toolUseId, signal) {
+  return {
+    type: "tool_result",
+    tool_use_id: toolUseId,
+    is_error: true,
+    content: INTERRUPTIONS[interruptionOf(signal)]
+  };
+}
+
+// Actions that only look at the screen and run without approval
+const OBSERVING_ACTIONS = ['screenshot', 'cursor-position'];
+
+/**
+ * Build the tool_result for an action the user did not let run
+ * 
+ * @param {string} toolUseId - ID of the tool_use block being answered
+ * @param {object} approval - The user's decision, skip or abort, with an optional reason
+ * @returns {object} - tool_result content block
+ */
+function rejectedToolResult(toolUseId, approval) {
+  const reason = approval.reason ? ` Reason: ${approval.reason}` : '';
+  const content = approval.decision === 'abort'
+    ? `The user aborted the run; this action was not executed.${reason}`
+    : `The user rejected this action, so it was not executed.${reason} Try a different approach or explain what you need.`;
+  
+  return {
+    type: "tool_result",
+    tool_use_id: toolUseId,
+    is_error: true,
+    content
+  };
+}
+
+/**
+ * Tell Claude that the user changed an action before it ran
+ * 
+ * @param {object} result - tool_result of the edited action
+ * @param {object} instruction - Edited instruction, in physical screen coordinates
+ * @param {object} scaler - Screen scaler used to report coordinates in Claude's coordinate space
+ * @returns {object} - The tool_result with a note in front of its content
+ */
+function noteEditedAction(result, instruction, scaler) {
+  const target = scaler.toScaled(instruction.x, instruction.y);
+  const start = instruction.startX !== undefined ? scaler.toScaled(instruction.startX, instruction.startY) : null;
+  const note = `The user changed the target of this action to (${target.x}, ${target.y})` +
+    (start ? ` starting from (${start.x}, ${start.y})` : '') + ' before it was executed.';
+  
+  const content = typeof result.content === 'string'
+    ? `${note}\n${result.content}`
+    : [{ type: "text", text: note }, ...result.content];
+  return { ...result, content };
+}
+
+/**
+ * Number of most recent screenshots to keep in full during the agent loop
+ * 
+ * @param {number} [configured] - Value passed by the caller
+ * @returns {number} - Screenshot history length
+ */
+function getScreenshotHistory(configured) {
+  if (configured !== undefined) {
+    return configured;
+  }
+  
+  const fromEnv = parseInt(process.env.AGENT_SCREENSHOT_HISTORY, 10);
+  if (Number.isInteger(fromEnv) && fromEnv >= 0) {
+    return fromEnv;
+  }
+  return DEFAULT_SCREENSHOT_HISTORY;
+}
+
+/**
+ * Run the Computer Use agent loop. Every action Claude requests is executed
+ * immediately and answered with a fresh screenshot, so Claude can see the
+ * result of each step before deciding on the next one.
  * 
  * @param {string} screenCapture - Base64 encoded image of the screen
  * @param {object} context - Additional context about what the user is trying to do
  * @param {string} goal - The goal the user wants to achieve
- * @returns {Array} - Array of cursor action instructions
+ * @param {object} options - Agent loop options
+ * @param {Function} options.executeInstruction - Async function that performs an instruction on the cursor controller
+ * @param {number} [options.settleDelayMs] - Delay before capturing the screen after an action
+ * @param {Function} [options.captureScreen] - Returns the screenshot sent after each action, defaults to capturing the screen
+ * @param {object} [options.display] - Display the run works on, from the driver's getDisplays; the primary screen by default.
+ *   Claude sees only this display and its coordinates are translated to the desktop
+ * @param {Function} [options.approveInstruction] - Async (instruction, {toolUseId, iteration}) returning the user's decision
+ *   about each action other than screenshots and cursor position queries:
+ *   approve, skip or abort with an optional `reason`, or edit with the changed `instruction`
+ * @param {string} [options.scalingTarget] - Screenshot scaling target, defaults to SCREEN_SCALING_TARGET
+ * @param {string} [options.outOfBounds] - The safety policy's mode: `reject` answers coordinates off the screen Claude
+ *   sees with a tool error; otherwise they are clamped onto that screen
+ * @param {BashSession} [options.bashSession] - Persistent shell for the bash tool; the tool is only offered when set
+ * @param {object} [options.provider] - Model provider, defaults to the one selected by MODEL_PROVIDER
+ * @param {object} [options.config] - Agent configuration (model, maxTokens, thinkingBudget, maxIterations, systemPrompt); defaults to the config file and environment
+ * @param {Function} [options.onEvent] - Receives (event, data) for thinking/text deltas, tool calls and tool results as they happen
+ * @param {Array} [options.messages] - Conversation history to continue; it is extended in place
+ * @param {TextEditor} [options.textEditor] - Workspace-confined editor for the str_replace_editor tool; only offered when set
+ * @param {ToolRegistry} [options.toolRegistry] - Custom tools offered and dispatched next to the built-in ones
+ * @param {string[]} [options.fallbackModels] - Models to switch to when the model is overloaded (default FALLBACK_MODELS)
+ * @param {object} [options.retry] - Overrides for the retry settings, e.g. maxRetries, sleep or circuitBreaker
+ * @param {UsageTracker} [options.usageTracker] - Records token usage per iteration; the loop stops once its budget is exhausted
+ * @param {number} [options.screenshotHistory] - Screenshots kept in full on each iteration; older ones become a placeholder (default AGENT_SCREENSHOT_HISTORY or 3)
+ * @param {AbortSignal} [options.signal] - Ends the loop when aborted; abort with "stopped" for an emergency stop
+ *   or "user_takeover" when the human grabbed the mouse
+ * @returns {Promise<object>} - Result with the executed `instructions` (physical screen coordinates), Claude's
+ *   `finalMessage`, its `thinking` blocks, the `stopReason` (end_turn, max_tokens, iteration_cap, budget, aborted, stopped, user_takeover or error),
+ *   the number of `iterations` and, when the loop failed, the `error` message
  */
-async function getCursorInstructions(screenCapture, context, goal) {
+async function getCursorInstructions(screenCapture, context, goal, options = {}) {
   logger.info('ClaudeAPI', 'Getting cursor instructions from Claude', {
     contextType: context?.workType,
     goalLength: goal?.length,
     screenCaptureSize: screenCapture?.length
   });
   
+  if (typeof options.executeInstruction !== 'function') {
+    throw new Error('getCursorInstructions requires an executeInstruction function');
+  }
+  
+  const emit = (event, data) => {
+    if (options.onEvent) {
+      options.onEvent(event, data);
+    }
+  };
+  
+  const config = options.config || loadAgentConfig();
+  
+  // The agent loop only depends on the provider interface, so it runs against the mock provider offline
+  const provider = options.provider || getDefaultProvider();
+  logger.debug('ClaudeAPI', `Using ${provider.name} model provider`);
+  
   try {
-    // Get screen dimensions
-    const screenSize = require('robotjs').getScreenSize();
-    logger.debug('ClaudeAPI', 'Screen dimensions for Computer Use API', screenSize);
+    // Get screen dimensions; a selected display is the whole screen as far as Claude is concerned
+    const { display } = options;
+    const screenSize = display ? { width: display.width, height: display.height } : getDefaultDriver().getScreenSize();
+    logger.debug('ClaudeAPI', 'Screen dimensions for Computer Use API', { ...screenSize, display: display?.id });
+    
+    // Claude sees a downscaled screen; its coordinates are mapped back to the desktop before execution
+    const scaler = createScaler(screenSize, options.scalingTarget, display);
     
     // Define Computer Use tools for Claude 3.7 Sonnet
     const tools = [
       {
         type: "computer_20250124",
         name: "computer",
-        display_width_px: screenSize.width,
-        display_height_px: screenSize.height,
-        display_number: 1
+        display_width_px: scaler.scaledSize.width,
+        display_height_px: scaler.scaledSize.height,
+        display_number: display ? display.id : 1
       }
     ];
     
+    // The bash tool is opt-in; it is only offered when the server has a session for it
+    if (options.bashSession) {
+      tools.push({
+        type: "bash_20250124",
+        name: "bash"
+      });
+    }
+    
+    // Direct file edits are far more reliable than typing into an editor with the mouse
+    if (options.textEditor) {
+      tools.push({
+        type: "text_editor_20250124",
+        name: "str_replace_editor"
+      });
+    }
+    
+    // Custom tools registered by plugins are offered next to the built-in ones
+    if (options.toolRegistry) {
+      tools.push(...options.toolRegistry.definitions());
+    }
+    
+    // Tool definitions never change during a run; cache them together with the system prompt
+    tools[tools.length - 1].cache_control = CACHE_BREAKPOINT;
+    
     logger.debug('ClaudeAPI', 'Defined Computer Use tools', { tools });
 
-    // Create system prompt for Computer Use API
-    const systemPrompt = `You are a cursor control assistant that helps with pair programming.
-You are given a screenshot of a user's screen, context about what they're working on, and their goal.
-Your task is to provide a series of precise cursor actions using the Computer Use tool to help achieve that goal.
-
-Analyze the screen carefully and determine the most effective sequence of cursor actions.
-Use mouse movements, clicks, and drags to help the user with their programming task.`;
+    // Create system prompt for Computer Use API; the configuration may replace the built-in one
+    const systemPrompt = config.systemPrompt || DEFAULT_SYSTEM_PROMPT;
 
     logger.debug('ClaudeAPI', 'Created system prompt', { 
       systemPromptLength: systemPrompt.length 
     });
+    
+    const system = [
+      {
+        type: "text",
+        text: systemPrompt,
+        cache_control: CACHE_BREAKPOINT
+      }
+    ];
 
     // Convert base64 image to a format Claude can use
     const imageContent = {
@@ -103,7 +515,7 @@ Use mouse movements, clicks, and drags to help the user with their programming t
       source: {
         type: "base64",
         media_type: "image/png",
-        data: screenCapture
+        data: scaler.scaleCapture(screenCapture)
       }
     };
     
@@ -122,43 +534,112 @@ Use mouse movements, clicks, and drags to help the user with their programming t
       textContentLength: userContent[0].text.length
     });
 
-    // Begin the agent loop
-    let messages = [
-      {
+    // Begin the agent loop, continuing the session's conversation if there is one
+    const messages = options.messages || [];
+    const lastMessage = messages[messages.length - 1];
+    
+    if (lastMessage && lastMessage.role === 'user') {
+      // A previous goal ended on tool results; roles must alternate, so extend that message
+      lastMessage.content = [...lastMessage.content, ...userContent];
+    } else {
+      messages.push({
         role: "user",
         content: userContent
-      }
-    ];
+      });
+    }
+    
+    logger.debug('ClaudeAPI', 'Prepared conversation history', {
+      messageCount: messages.length,
+      continuingSession: Boolean(options.messages)
+    });
     
     const instructions = [];
-    const maxIterations = 10; // Limit to prevent infinite loops
+    const thinkingSummaries = [];
+    let finalMessage = '';
+    let stopReason = 'iteration_cap';
+    let error;
+    let iterations = 0;
+    let continuations = 0;
+    const maxIterations = config.maxIterations; // Limit to prevent infinite loops
+    const screenshotHistory = getScreenshotHistory(options.screenshotHistory);
+    
+    // A thinking budget of 0 turns extended thinking off
+    const thinking = config.thinkingBudget > 0
+      ? { thinking: { type: "enabled", budget_tokens: config.thinkingBudget } }
+      : {};
     
-    logger.info('ClaudeAPI', 'Starting agent loop', { maxIterations });
+    logger.info('ClaudeAPI', 'Starting agent loop', {
+      maxIterations,
+      screenshotHistory,
+      model: config.model || provider.defaultModel,
+      maxTokens: config.maxTokens,
+      thinkingBudget: config.thinkingBudget
+    });
+    
+    // Stream thinking and text deltas to the caller as they arrive
+    const streamOptions = {};
+    if (options.onEvent) {
+      streamOptions.onStreamEvent = (event) => {
+        if (event.type !== 'content_block_delta') {
+          return;
+        }
+        if (event.delta.type === 'thinking_delta') {
+          emit('thinking', { delta: event.delta.thinking });
+        } else if (event.delta.type === 'text_delta') {
+          emit('text', { delta: event.delta.text });
+        }
+      };
+    }
     
     // Start the agent loop
     for (let i = 0; i < maxIterations; i++) {
       logger.debug('ClaudeAPI', `Agent loop iteration ${i+1}`);
       
+      // Stop before the next request rather than mid-step, so the history stays valid for the session
+      const budgetExceeded = options.usageTracker?.checkBudget();
+      if (budgetExceeded) {
+        logger.warn('ClaudeAPI', `Stopping agent loop: ${budgetExceeded}`);
+        options.usageTracker.budgetExceeded = budgetExceeded;
+        emit('budget_exceeded', { reason: budgetExceeded });
+        stopReason = 'budget';
+        break;
+      }
+      
+      if (options.signal?.aborted) {
+        stopReason = interruptionOf(options.signal);
+        logger.info('ClaudeAPI', `Run interrupted (${stopReason}), ending agent loop`);
+        break;
+      }
+      
+      // Every iteration resends the whole history, so only the latest screenshots go in full
+      pruneScreenshots(messages, screenshotHistory);
+      
       // Call Claude API with Computer Use capability
-      logger.info('ClaudeAPI', 'Calling Claude API with Computer Use capability');
+      logger.info('ClaudeAPI', `Calling ${provider.name} provider with Computer Use capability`);
       const apiCallStartTime = Date.now();
+      const historyLength = messages.length;
       
       try {
         // 使用包装函数来调用 API
-        const response = await callCloudeAPIWithLogging(async () => {
-          return await anthropic.messages.create({
-            model: "claude-3-7-sonnet-20250219",
-            max_tokens: 4000,
-            system: systemPrompt,
+        const primaryModel = config.model || provider.defaultModel;
+        const fallbackModels = options.fallbackModels || retryOptions.fallbackModels;
+        const { response, model } = await callWithRetry((model) => callCloudeAPIWithLogging(async () => {
+          return await provider.createMessage({
+            model,
+            max_tokens: config.maxTokens,
+            system: system,
             messages: messages,
             tools: tools,
-            thinking: {
-              type: "enabled",
-              budget_tokens: 1024
-            },
-            anthropic_version: "2023-06-01",  
-            beta: "computer-use-2025-01-24"
-          });
+            ...thinking,
+            betas: ["computer-use-2025-01-24"]
+          }, { ...streamOptions, signal: options.signal, iteration: i });
+        }), {
+          ...retryOptions,
+          circuitBreaker,
+          ...options.retry,
+          models: [primaryModel, ...fallbackModels.filter(fallback => fallback !== primaryModel)],
+          signal: options.signal,
+          onAttempt: (attempt) => emit('api_attempt', { iteration: i + 1, ...attempt })
         });
         
         const apiCallDuration = Date.now() - apiCallStartTime;
@@ -183,6 +664,39 @@ Use mouse movements, clicks, and drags to help the user with their programming t
           });
         }
         
+        iterations++;
+        
+        if (options.usageTracker) {
+          emit('usage', options.usageTracker.record(response, response.model || model));
+        }
+        
+        // Keep what Claude said and thought for the result
+        const text = response.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('\n')
+          .trim();
+        if (text) {
+          finalMessage = text;
+        }
+        response.content
+          .filter(block => block.type === 'thinking' || block.type === 'redacted_thinking')
+          .forEach(block => thinkingSummaries.push({
+            iteration: i + 1,
+            thinking: block.type === 'thinking' ? block.thinking : '[redacted]'
+          }));
+        
+        const truncated = response.stop_reason === 'max_tokens';
+        const lastBlock = response.content[response.content.length - 1];
+        if (truncated && lastBlock?.type === 'tool_use') {
+          // The last tool call may be incomplete; Claude is asked to repeat it instead
+          logger.warn('ClaudeAPI', 'Dropping a tool call that was cut off by max_tokens', { toolUseId: lastBlock.id });
+          response.content = [
+            ...response.content.slice(0, -1),
+            { type: "text", text: `[Call to the ${lastBlock.name} tool was cut off by max_tokens]` }
+          ];
+        }
+        
         // Add Claude's response to messages
         messages.push({
           role: "assistant",
@@ -193,95 +707,135 @@ Use mouse movements, clicks, and drags to help the user with their programming t
         
         // Process tool use from Claude's response
         let usedTools = false;
+        let aborted = false;
         let toolResults = [];
         
+        const addToolResult = (result) => {
+          toolResults.push(result);
+          emit('tool_result', {
+            id: result.tool_use_id,
+            isError: Boolean(result.is_error),
+            // Screenshots are left out of the event stream; text results are passed on
+            content: typeof result.content === 'string' ? result.content : undefined
+          });
+        };
+        
         logger.debug('ClaudeAPI', `Processing ${response.content.length} content items from Claude's response`);
         
         for (const content of response.content) {
           logger.debug('ClaudeAPI', `Processing content item of type: ${content.type}`);
           
-          if (content.type === 'tool_use' && content.tool_use.name === 'computer') {
+          if (content.type === 'tool_use') {
+            emit('tool_call', { id: content.id, name: content.name, input: content.input });
+          }
+          
+          // Every tool call still needs a result after an abort, stop or takeover, but nothing more runs
+          if (content.type === 'tool_use' && aborted) {
+            addToolResult(rejectedToolResult(content.id, { decision: 'abort' }));
+          } else if (content.type === 'tool_use' && options.signal?.aborted) {
+            addToolResult(interruptedToolResult(content.id, options.signal));
+          } else if (content.type === 'tool_use' && content.name === 'computer') {
             usedTools = true;
-            const toolUse = content.tool_use;
-            const action = toolUse.input.action;
             
             logger.debug('ClaudeAPI', 'Processing computer tool use', { 
               toolUseId: content.id,
-              actionType: action.type,
-              action: action.action
+              action: content.input?.action
             });
             
-            if (action.type === 'mouse') {
-              const mouseAction = action;
+            // Nothing runs unless it matches the instruction schema. Scaling clamps coordinates onto the
+            // screen Claude sees, so when the policy rejects off-screen ones they are refused here
+            let instruction;
+            try {
+              instruction = toolInputToInstruction(content.input);
+              validateInstruction(instruction, {
+                displays: options.outOfBounds === 'reject' ? [{ x: 0, y: 0, ...scaler.scaledSize }] : undefined
+              });
+            } catch (error) {
+              logger.warn('ClaudeAPI', 'Rejected computer tool input', {
+                toolUseId: content.id,
+                input: content.input,
+                error: error.message
+              });
               
-              // Create instruction based on mouse action
-              switch (mouseAction.action) {
-                case 'move':
-                  logger.debug('ClaudeAPI', 'Adding move instruction', { 
-                    x: mouseAction.coordinates.x, 
-                    y: mouseAction.coordinates.y 
-                  });
-                  
-                  instructions.push({
-                    type: 'move',
-                    x: mouseAction.coordinates.x,
-                    y: mouseAction.coordinates.y
-                  });
-                  break;
-                  
-                case 'click':
-                  if (mouseAction.button === 'left' && mouseAction.clicks === 2) {
-                    logger.debug('ClaudeAPI', 'Adding double-click instruction', { button: 'left' });
-                    
-                    instructions.push({
-                      type: 'double-click',
-                      button: 'left'
-                    });
-                  } else {
-                    logger.debug('ClaudeAPI', 'Adding click instruction', { button: mouseAction.button });
-                    
-                    instructions.push({
-                      type: 'click',
-                      button: mouseAction.button
-                    });
-                  }
-                  break;
-                  
-                case 'drag':
-                  logger.debug('ClaudeAPI', 'Adding drag instruction', { 
-                    x: mouseAction.end.x, 
-                    y: mouseAction.end.y 
-                  });
-                  
-                  instructions.push({
-                    type: 'drag',
-                    x: mouseAction.end.x,
-                    y: mouseAction.end.y
-                  });
-                  break;
-                  
-                default:
-                  logger.warn('ClaudeAPI', `Unhandled mouse action: ${mouseAction.action}`);
-              }
-            } else {
-              logger.warn('ClaudeAPI', `Non-mouse action type received: ${action.type}`);
+              addToolResult({
+                type: "tool_result",
+                tool_use_id: content.id,
+                is_error: true,
+                content: error.message
+              });
+              continue;
             }
             
-            // Process the tool result
-            // In a real agent loop, we would execute the action and provide feedback
-            // For this implementation, we'll just confirm the action was processed
-            toolResults.push({
-              type: "tool_result",
-              tool_use_id: content.id,
-              content: {
-                result: "success",
-                screenshot: screenCapture // Provide the same screenshot again for this example
-              }
+            // In approval mode a human decides about each action before it runs
+            const physicalInstruction = scaler.scaleInstruction(instruction);
+            const needsApproval = options.approveInstruction && !OBSERVING_ACTIONS.includes(physicalInstruction.type);
+            const approval = needsApproval
+              ? await options.approveInstruction(physicalInstruction, { toolUseId: content.id, iteration: i + 1 })
+              : { decision: 'approve' };
+            
+            if (needsApproval) {
+              emit('approval', { id: content.id, ...approval });
+            }
+            
+            // A stop while the action waited for approval wins over the decision
+            if (options.signal?.aborted) {
+              addToolResult(interruptedToolResult(content.id, options.signal));
+              continue;
+            }
+            
+            if (approval.decision === 'skip' || approval.decision === 'abort') {
+              logger.info('ClaudeAPI', `User ${approval.decision === 'skip' ? 'skipped' : 'aborted at'} ${physicalInstruction.type} action`, {
+                toolUseId: content.id,
+                reason: approval.reason
+              });
+              aborted = approval.decision === 'abort';
+              addToolResult(rejectedToolResult(content.id, approval));
+              continue;
+            }
+            
+            // Execute the action right away so Claude sees its effect in the next screenshot
+            const approvedInstruction = approval.instruction || physicalInstruction;
+            const result = await executeAndObserve(approvedInstruction, content.id, options, scaler);
+            addToolResult(approval.decision === 'edit' ? noteEditedAction(result, approvedInstruction, scaler) : result);
+            instructions.push(approvedInstruction);
+          } else if (content.type === 'tool_use' && content.name === 'bash' && options.bashSession) {
+            usedTools = true;
+            
+            logger.debug('ClaudeAPI', 'Processing bash tool use', {
+              toolUseId: content.id,
+              command: content.input?.command,
+              restart: content.input?.restart
+            });
+            
+            addToolResult(await runBashTool(options.bashSession, content.input, content.id));
+          } else if (content.type === 'tool_use' && content.name === 'str_replace_editor' && options.textEditor) {
+            usedTools = true;
+            
+            logger.debug('ClaudeAPI', 'Processing text editor tool use', {
+              toolUseId: content.id,
+              command: content.input?.command,
+              path: content.input?.path
+            });
+            
+            addToolResult(await runTextEditorTool(options.textEditor, content.input, content.id));
+          } else if (content.type === 'tool_use' && options.toolRegistry?.has(content.name)) {
+            usedTools = true;
+            
+            logger.debug('ClaudeAPI', `Processing custom tool use: ${content.name}`, {
+              toolUseId: content.id,
+              input: content.input
             });
             
-            logger.debug('ClaudeAPI', 'Added tool result for tool use', { 
-              toolUseId: content.id, 
-              result: 'success' 
+            addToolResult(await options.toolRegistry.execute(content.name, content.input, content.id, { goal, context }));
+          } else if (content.type === 'tool_use') {
+            usedTools = true;
+            logger.warn('ClaudeAPI', `Claude requested an unavailable tool: ${content.name}`);
+            
+            addToolResult({
+              type: "tool_result",
+              tool_use_id: content.id,
+              is_error: true,
+              content: `Tool '${content.name}' is not available`
             });
           } else if (content.type === 'text') {
             logger.debug('ClaudeAPI', 'Text response from Claude', { 
@@ -292,35 +846,87 @@ Use mouse movements, clicks, and drags to help the user with their programming t
           }
         }
         
-        if (!usedTools) {
-          logger.info('ClaudeAPI', 'Claude did not use any tools, ending agent loop');
+        if (aborted || options.signal?.aborted) {
+          // Keep the rejected tool results so the history stays valid for the session
+          if (toolResults.length > 0) {
+            messages.push({
+              role: "user",
+              content: toolResults
+            });
+          }
+          stopReason = aborted ? 'aborted' : interruptionOf(options.signal);
+          logger.info('ClaudeAPI', `Run ${stopReason}, ending agent loop`);
           break;
         }
         
+        const continueTruncated = truncated && continuations < MAX_TOKENS_CONTINUATIONS;
+        continuations = truncated ? continuations + 1 : 0;
+        
+        if (!usedTools && !continueTruncated) {
+          stopReason = truncated ? 'max_tokens' : 'end_turn';
+          logger.info('ClaudeAPI', 'Claude did not use any tools, ending agent loop', { stopReason });
+          break;
+        }
+        
+        if (continueTruncated) {
+          logger.info('ClaudeAPI', `Response hit max_tokens; asking Claude to continue (${continuations}/${MAX_TOKENS_CONTINUATIONS})`);
+        }
+        
         // Continue the agent loop by sending tool results back to Claude
-        if (toolResults.length > 0) {
+        const nextContent = continueTruncated
+          ? [...toolResults, { type: "text", text: CONTINUE_PROMPT }]
+          : toolResults;
+        if (nextContent.length > 0) {
           logger.debug('ClaudeAPI', `Adding ${toolResults.length} tool results to user message`);
           
           messages.push({
             role: "user",
-            content: toolResults
+            content: nextContent
           });
         }
         
-      } catch (error) {
+      } catch (loopError) {
+        // A tool call without its result would make the history unusable for the next goal
+        if (messages.length > historyLength && messages[messages.length - 1].role === 'assistant') {
+          messages.length = historyLength;
+        }
+        
+        // A stop during the model call cancels the request; that is not a failure
+        if (options.signal?.aborted) {
+          stopReason = interruptionOf(options.signal);
+          logger.info('ClaudeAPI', `Run interrupted (${stopReason}) during the model call, ending agent loop`);
+          break;
+        }
+        
         const apiCallDuration = Date.now() - apiCallStartTime;
-        logger.error('ClaudeAPI', `Error calling Claude API after ${apiCallDuration}ms`, {
-          error: error.message,
-          stack: error.stack,
+        logger.error('ClaudeAPI', `Error in agent loop iteration ${i + 1} after ${apiCallDuration}ms`, {
+          error: loopError.message,
+          stack: loopError.stack,
           iteration: i
         });
         
-        throw error;
+        stopReason = 'error';
+        error = loopError.message;
+        break;
       }
     }
     
-    logger.info('ClaudeAPI', `Agent loop completed with ${instructions.length} instructions`);
-    return instructions;
+    logger.info('ClaudeAPI', `Agent loop completed with ${instructions.length} instructions`, {
+      stopReason,
+      iterations
+    });
+    
+    const result = {
+      instructions,
+      finalMessage,
+      thinking: thinkingSummaries,
+      stopReason,
+      iterations
+    };
+    if (error) {
+      result.error = error;
+    }
+    return result;
     
   } catch (error) {
     logger.error('ClaudeAPI', 'Error getting cursor instructions from Claude', { 
@@ -333,59 +939,8 @@ Use mouse movements, clicks, and drags to help the user with their programming t
   }
 }
 
-/**
- * Validate instructions array to ensure it contains valid cursor instructions
- * 
- * @param {Array} instructions - Array of instruction objects
- * @throws {Error} If validation fails
- */
-function validateInstructions(instructions) {
-  logger.debug('ClaudeAPI', 'Validating instructions', { 
-    instructionsCount: instructions?.length 
-  });
-  
-  if (!Array.isArray(instructions)) {
-    logger.error('ClaudeAPI', 'Instructions must be an array', { received: typeof instructions });
-    throw new Error('Instructions must be an array');
-  }
-  
-  for (const instruction of instructions) {
-    if (!instruction.type) {
-      logger.error('ClaudeAPI', 'Instruction missing type property', { instruction });
-      throw new Error('Each instruction must have a \'type\' property');
-    }
-    
-    switch (instruction.type) {
-      case 'move':
-      case 'drag':
-        if (typeof instruction.x !== 'number' || typeof instruction.y !== 'number') {
-          logger.error('ClaudeAPI', `${instruction.type} instruction missing coordinates`, { instruction });
-          throw new Error(`${instruction.type} instruction must have 'x' and 'y' coordinates`);
-        }
-        break;
-        
-      case 'click':
-      case 'double-click':
-        if (instruction.button && !['left', 'right'].includes(instruction.button)) {
-          logger.error('ClaudeAPI', `${instruction.type} instruction has invalid button`, { 
-            button: instruction.button,
-            instruction 
-          });
-          throw new Error(`${instruction.type} instruction has invalid 'button' property`);
-        }
-        break;
-        
-      default:
-        logger.error('ClaudeAPI', `Unknown instruction type: ${instruction.type}`, { instruction });
-        throw new Error(`Unknown instruction type: ${instruction.type}`);
-    }
-  }
-  
-  logger.debug('ClaudeAPI', 'Instructions validated successfully');
-  return true;
-}
-
 module.exports = {
   getCursorInstructions,
+  toolInputToInstruction,
   validateInstructions
 };
\ No newline at end of file
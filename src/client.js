@@ -4,6 +4,19 @@ const path = require('path');
 const readline = require('readline');
 require('dotenv').config();
 const logger = require('./utils/logger');
+const { createSSEParser } = require('./utils/sse');
+const { PRESETS } = require('./agent-config');
+
+// Why an agent loop can end before Claude says it is done
+const STOP_REASONS = {
+  max_tokens: 'Claude kept running out of output tokens',
+  iteration_cap: 'the maximum number of steps was reached',
+  budget: 'the token or cost budget was exhausted',
+  aborted: 'you aborted the run',
+  stopped: 'you pressed the emergency stop',
+  user_takeover: 'you took over the mouse; the session is paused until your next goal',
+  error: 'the model API call failed'
+};
 
 // Create readline interface for user input
 const rl = readline.createInterface({
@@ -25,6 +38,18 @@ class CursorOperatorClient {
       processEnvPort: process.env.PORT
     });
     
+    // Server-side session reused for every goal until the user starts a new one
+    this.sessionId = null;
+    
+    // Agent preset sent with each goal; null uses the server's configuration
+    this.preset = null;
+    
+    // Whether each action waits for the user's approval before it runs
+    this.approvalMode = false;
+    
+    // Monitor Claude works on, by the id the server lists it under; null is the primary screen
+    this.display = null;
+    
     this.client = axios.create({
       baseURL: this.serverUrl,
       timeout: 30000,
@@ -67,7 +92,7 @@ class CursorOperatorClient {
   /**
    * Execute a cursor action
    * 
-   * @param {string} action - The action to execute (move, click, double-click, drag)
+   * @param {string} action - The action to execute (move, click, double-click, triple-click, drag, mouse-down, mouse-up, scroll, type, key, hold-key)
    * @param {object} params - Parameters for the action
    * @returns {Promise<object>} - Result of the action
    */
@@ -104,9 +129,11 @@ class CursorOperatorClient {
    * @param {string} screenCapture - Base64 encoded screenshot
    * @param {object} context - Context about what the user is working on
    * @param {string} goal - The goal the user wants to achieve
+   * @param {object} [options] - Request options
+   * @param {boolean} [options.dryRun] - Only plan; the result holds the instructions and an annotated preview
    * @returns {Promise<object>} - Result of the pair programming
    */
-  async pairProgram(screenCapture, context, goal) {
+  async pairProgram(screenCapture, context, goal, options = {}) {
     try {
       logger.info('Client', 'Starting pair programming session', { 
         context,
@@ -128,8 +155,11 @@ class CursorOperatorClient {
         const response = await this.client.post('/pair-program', {
           screenCapture,
           context,
-          goal
-        });
+          goal,
+          preset: this.preset || undefined,
+          dryRun: options.dryRun || undefined,
+          display: this.display || undefined
+        }, { timeout: 0 });
         
         const elapsedTime = Date.now() - startTime;
         logger.info('Client', `Pair programming completed in ${elapsedTime}ms`, { 
@@ -208,30 +238,421 @@ class CursorOperatorClient {
     }
   }
   
+  /**
+   * Create a pair programming session on the server
+   * 
+   * @param {object} context - Context about what the user is working on
+   * @returns {Promise<object>} - Session summary including its ID
+   */
+  async createSession(context) {
+    try {
+      logger.debug('Client', 'Creating pair programming session', { context });
+      const response = await this.client.post('/sessions', { context, display: this.display || undefined });
+      
+      logger.info('Client', `Created session ${response.data.id}`);
+      return response.data;
+    } catch (error) {
+      logger.error('Client', 'Error creating session', {
+        error: error.message,
+        code: error.code,
+        response: error.response?.data
+      });
+      console.error('Error creating session:', error.message);
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete a pair programming session on the server
+   * 
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async deleteSession(sessionId) {
+    try {
+      logger.debug('Client', `Deleting session ${sessionId}`);
+      await this.client.delete(`/sessions/${sessionId}`);
+      logger.info('Client', `Deleted session ${sessionId}`);
+    } catch (error) {
+      logger.warn('Client', `Error deleting session ${sessionId}`, {
+        error: error.message,
+        response: error.response?.data
+      });
+    }
+  }
+  
+  /**
+   * Post a goal into an existing session so Claude remembers earlier goals
+   * 
+   * @param {string} sessionId - Session ID
+   * @param {string} screenCapture - Base64 encoded screenshot
+   * @param {string} goal - The goal the user wants to achieve
+   * @returns {Promise<object>} - Result of the pair programming
+   */
+  async sendGoal(sessionId, screenCapture, goal) {
+    try {
+      logger.info('Client', `Sending goal to session ${sessionId}`, {
+        goal,
+        screenCaptureSize: screenCapture.length
+      });
+      const startTime = Date.now();
+      
+      const response = await this.client.post(`/sessions/${sessionId}/goals`, {
+        screenCapture,
+        goal,
+        preset: this.preset || undefined
+      });
+      
+      const elapsedTime = Date.now() - startTime;
+      logger.info('Client', `Session goal completed in ${elapsedTime}ms`, {
+        goalNumber: response.data.goalNumber,
+        actionsPerformed: response.data.actionsPerformed,
+        finalPosition: response.data.finalPosition
+      });
+      
+      return response.data;
+    } catch (error) {
+      logger.error('Client', 'Error during session goal', {
+        error: error.message,
+        stack: error.stack,
+        sessionId,
+        goal,
+        code: error.code,
+        response: error.response?.data
+      });
+      console.error('Error during pair programming:', error.message);
+      throw error;
+    }
+  }
+  
+  /**
+   * Post a goal into a session and follow Claude's progress as it happens
+   * 
+   * @param {string} sessionId - Session ID
+   * @param {string} screenCapture - Base64 encoded screenshot
+   * @param {string} goal - The goal the user wants to achieve
+   * @param {Function} onEvent - Called with (event, data) for every progress event
+   * @returns {Promise<object>} - The final summary of the run
+   */
+  async streamGoal(sessionId, screenCapture, goal, onEvent) {
+    logger.info('Client', `Streaming goal to session ${sessionId}`, {
+      goal,
+      screenCaptureSize: screenCapture.length
+    });
+    const startTime = Date.now();
+    
+    // The run can take much longer than a normal request, so no timeout here
+    const response = await this.client.post(`/sessions/${sessionId}/goals/stream`, {
+      screenCapture,
+      goal,
+      preset: this.preset || undefined,
+      approval: this.approvalMode || undefined
+    }, {
+      responseType: 'stream',
+      timeout: 0
+    });
+    
+    return new Promise((resolve, reject) => {
+      let summary = null;
+      let failure = null;
+      
+      const feed = createSSEParser((event, data) => {
+        if (event === 'summary') {
+          summary = data;
+        } else if (event === 'error') {
+          failure = new Error(data.error);
+        } else {
+          onEvent(event, data);
+        }
+      });
+      
+      response.data.on('data', feed);
+      response.data.on('error', reject);
+      response.data.on('end', () => {
+        const elapsedTime = Date.now() - startTime;
+        
+        if (failure) {
+          logger.error('Client', 'Streamed session goal failed', { error: failure.message, sessionId, goal });
+          return reject(failure);
+        }
+        if (!summary) {
+          return reject(new Error('The server closed the stream before the goal finished'));
+        }
+        
+        logger.info('Client', `Streamed session goal completed in ${elapsedTime}ms`, {
+          goalNumber: summary.goalNumber,
+          actionsPerformed: summary.actionsPerformed,
+          finalPosition: summary.finalPosition
+        });
+        resolve(summary);
+      });
+    });
+  }
+  
+  /**
+   * Print a progress event from a streamed run to the terminal
+   * 
+   * @param {string} event - Event name
+   * @param {object} data - Event payload
+   */
+  renderEvent(event, data) {
+    // Start a new labelled block whenever the stream switches between thinking and text
+    if ((event === 'thinking' || event === 'text') && this.lastEvent !== event) {
+      process.stdout.write(event === 'thinking' ? '\n[thinking] ' : '\n[claude] ');
+    }
+    
+    switch (event) {
+      case 'thinking':
+      case 'text':
+        process.stdout.write(data.delta);
+        break;
+      case 'tool_call':
+        console.log(`\n[tool] ${data.name} ${JSON.stringify(data.input)}`);
+        break;
+      case 'tool_result':
+        if (data.isError) {
+          console.log(`[tool error] ${data.content}`);
+        }
+        break;
+      case 'action': {
+        const { instruction, before, after } = data;
+        console.log(`[action] ${instruction.type}: (${before.x}, ${before.y}) -> (${after.x}, ${after.y})`);
+        break;
+      }
+      case 'usage':
+        // Totals are printed once the goal is done
+        break;
+      case 'api_attempt':
+        if (data.outcome === 'error') {
+          const next = data.nextModel ? `switching to ${data.nextModel}` : `retrying in ${data.retryDelayMs}ms`;
+          console.log(`\n[api] attempt ${data.attempt} with ${data.model} failed (${data.errorType}): ${data.message}` +
+            (data.retryDelayMs !== undefined ? `; ${next}` : ''));
+        }
+        break;
+      case 'budget_exceeded':
+        console.log(`\n[budget] ${data.reason}; stopping`);
+        break;
+      case 'user_takeover':
+        console.log(`\n[takeover] You moved the mouse to (${data.actual.x}, ${data.actual.y}); Claude stopped and the session is paused`);
+        break;
+      case 'approval_required':
+        this.askApproval(data);
+        break;
+      case 'approval':
+        if (data.decision !== 'approve') {
+          console.log(`[approval] ${data.decision}${data.reason ? `: ${data.reason}` : ''}`);
+        }
+        break;
+      default:
+        logger.debug('Client', `Ignoring unknown stream event: ${event}`);
+    }
+    
+    this.lastEvent = event;
+  }
+  
+  /**
+   * Show an action waiting for approval, ask the user what to do with it and
+   * send the decision to the server
+   * 
+   * @param {object} request - Pending action from the approval_required event
+   */
+  askApproval(request) {
+    const { id, instruction, target, thumbnail } = request;
+    const { type, ...details } = instruction;
+    
+    console.log(`\n[approval] Claude wants to ${type} ${JSON.stringify(details)} at (${target.x}, ${target.y})`);
+    
+    if (thumbnail?.image) {
+      const outputDir = './captures';
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+      const thumbnailPath = path.join(outputDir, `approval-${id}.png`);
+      fs.writeFileSync(thumbnailPath, Buffer.from(thumbnail.image, 'base64'));
+      console.log(`[approval] Screen around the target (from ${thumbnail.x}, ${thumbnail.y}) saved to ${thumbnailPath}`);
+    }
+    
+    const ask = () => rl.question('[a]pprove, [s]kip, [e]dit coordinates, a[b]ort, approve a[l]l remaining? ', async (answer) => {
+      // The emergency stop is handled by runGoal and cancels this action too
+      if (answer.trim().toLowerCase() === 'stop') {
+        return;
+      }
+      
+      const choices = { a: 'approve', s: 'skip', e: 'edit', b: 'abort', l: 'approve-all' };
+      const decision = choices[answer.trim().toLowerCase()[0]];
+      
+      if (!decision) {
+        return ask();
+      }
+      
+      const body = { decision };
+      if (decision === 'edit') {
+        const coordinates = await new Promise(resolve => rl.question('New target as x,y: ', resolve));
+        const match = coordinates.match(/^\s*(-?\d+)\s*,\s*(-?\d+)\s*$/);
+        if (!match) {
+          console.log('Expected two whole numbers such as 640,400 or -1280,300.');
+          return ask();
+        }
+        body.x = parseInt(match[1], 10);
+        body.y = parseInt(match[2], 10);
+      } else if (decision === 'skip' || decision === 'abort') {
+        body.reason = (await new Promise(resolve => rl.question('Reason for Claude (optional): ', resolve))).trim() || undefined;
+      }
+      
+      try {
+        await this.client.post(`/approvals/${id}`, body);
+      } catch (error) {
+        console.error(`Error: ${error.response?.data?.error || error.message}`);
+        if (error.response?.status === 400) {
+          ask();
+        }
+      }
+    });
+    
+    ask();
+  }
+  
+  /**
+   * Print what Claude said it did and why the loop stopped
+   * 
+   * @param {object} result - Result of a goal
+   */
+  printExplanation(result) {
+    console.log('\n=========================================');
+    console.log(result.finalMessage ? `Claude: ${result.finalMessage}` : 'Claude did not explain what it did.');
+    
+    if (result.stopReason !== 'end_turn') {
+      const description = STOP_REASONS[result.stopReason] || result.stopReason;
+      console.log(`\nStopped early: ${description}${result.error ? ` (${result.error})` : ''}`);
+    }
+    console.log('=========================================');
+  }
+  
+  /**
+   * Print the token usage and estimated cost of a goal
+   * 
+   * @param {object} [usage] - Usage of the goal
+   * @param {object} [sessionUsage] - Usage of the whole session so far
+   */
+  printUsage(usage, sessionUsage) {
+    if (!usage) {
+      return;
+    }
+    
+    const formatCost = (costUsd) => `$${costUsd.toFixed(4)}`;
+    
+    console.log(`Tokens: ${usage.inputTokens} input, ${usage.outputTokens} output ` +
+      `(~${usage.thinkingTokens} thinking), ${usage.cacheReadInputTokens} cache read, ` +
+      `${usage.cacheCreationInputTokens} cache write`);
+    console.log(`Estimated cost: ${formatCost(usage.costUsd)} over ${usage.iterations.length} model calls` +
+      (sessionUsage ? ` (session total ${formatCost(sessionUsage.costUsd)}, ${sessionUsage.totalTokens} tokens)` : ''));
+    
+    if (usage.budgetExceeded) {
+      console.log(`Stopped early: ${usage.budgetExceeded}`);
+    }
+  }
+  
   /**
    * Prompt user for their programming goal
    */
   promptForGoal() {
     logger.debug('Client', 'Prompting user for programming goal');
     
-    rl.question('\nWhat programming task would you like help with? ', async (goal) => {
+    const hint = this.sessionId
+      ? ' ("preview <task>" plans without acting, "approval" toggles approving each action, "display" picks the monitor, "stop" or Ctrl+C stops Claude, "new" starts a new session)'
+      : ' ("preview <task>" plans without acting, "approval" toggles approving each action, "display" picks the monitor, "stop" or Ctrl+C stops Claude)';
+    rl.question(`\nWhat programming task would you like help with?${hint} `, async (goal) => {
       logger.info('Client', 'User provided programming goal', { goal });
       
       if (goal.toLowerCase() === 'exit' || goal.toLowerCase() === 'quit') {
         logger.info('Client', 'User requested to exit');
         console.log('Exiting...');
+        if (this.sessionId) {
+          await this.deleteSession(this.sessionId);
+        }
         rl.close();
         return;
       }
       
-      await this.collectContext(goal);
+      const preview = goal.match(/^preview\s+(.+)/i);
+      if (preview) {
+        this.choosePreset(() => this.previewGoal(preview[1]));
+        return;
+      }
+      
+      if (goal.toLowerCase() === 'stop') {
+        await this.stop();
+        this.promptForGoal();
+        return;
+      }
+      
+      if (goal.toLowerCase() === 'approval') {
+        this.approvalMode = !this.approvalMode;
+        logger.info('Client', 'User toggled approval mode', { approvalMode: this.approvalMode });
+        console.log(this.approvalMode
+          ? 'Approval mode on: each action waits for your decision.'
+          : 'Approval mode off: actions run without asking.');
+        this.promptForGoal();
+        return;
+      }
+      
+      if (goal.toLowerCase() === 'display') {
+        await this.chooseDisplay();
+        return;
+      }
+      
+      if (goal.toLowerCase() === 'new') {
+        logger.info('Client', 'User requested a new session', { previousSessionId: this.sessionId });
+        if (this.sessionId) {
+          await this.deleteSession(this.sessionId);
+          this.sessionId = null;
+        }
+        console.log('Started a new session. Claude will not remember earlier goals.');
+        this.promptForGoal();
+        return;
+      }
+      
+      this.choosePreset(async () => {
+        if (!this.sessionId) {
+          await this.collectContext(goal);
+        } else {
+          await this.runGoal(goal);
+        }
+      });
     });
   }
   
   /**
-   * Collect context about what the user is working on
+   * Ask which agent preset to use for the next goal; Enter keeps the previous choice
    * 
-   * @param {string} goal - The user's goal
+   * @param {Function} next - Called once a valid preset was chosen
+   */
+  choosePreset(next) {
+    const names = Object.keys(PRESETS);
+    const current = this.preset || 'default';
+    
+    rl.question(`Preset (${[...names, 'default'].join(', ')}) [${current}]: `, (answer) => {
+      const choice = answer.trim().toLowerCase();
+      
+      if (choice === '') {
+        return next();
+      }
+      
+      if (choice !== 'default' && !names.includes(choice)) {
+        console.log(`Unknown preset "${choice}".`);
+        return this.choosePreset(next);
+      }
+      
+      this.preset = choice === 'default' ? null : choice;
+      logger.info('Client', 'User selected agent preset', { preset: this.preset });
+      next();
+    });
+  }
+  
+  /**
+   * Collect context about what the user is working on and start a session with it
+   * 
+   * @param {string} goal - The user's first goal for the session
    */
   async collectContext(goal) {
     logger.debug('Client', 'Prompting user for work context', { goal });
@@ -246,56 +667,244 @@ class CursorOperatorClient {
       };
       
       logger.debug('Client', 'Context object created', context);
-      console.log('\nCapturing screen...');
       
       try {
-        // Capture the screen using the API
-        logger.debug('Client', 'Requesting screen capture from server');
-        const captureStartTime = Date.now();
-        
-        const captureResponse = await this.client.get('/screen-capture');
-        
-        const captureElapsedTime = Date.now() - captureStartTime;
-        logger.info('Client', `Screen capture completed in ${captureElapsedTime}ms`, {
-          captureSize: captureResponse.data.screenCapture.length
-        });
-        
-        const base64Image = captureResponse.data.screenCapture;
-        
-        console.log('Processing with Claude...');
-        logger.info('Client', 'Starting pair programming with captured screen', {
-          goal,
-          workContext
-        });
-        
-        const pairStartTime = Date.now();
-        const result = await this.pairProgram(base64Image, context, goal);
-        const pairElapsedTime = Date.now() - pairStartTime;
-        
-        logger.info('Client', `Pair programming session completed in ${pairElapsedTime}ms`, {
-          actionsPerformed: result.actionsPerformed,
-          finalPositionX: result.finalPosition.x,
-          finalPositionY: result.finalPosition.y
-        });
-        
-        console.log(`\nCompleted ${result.actionsPerformed} cursor actions`);
-        console.log(`Final cursor position: (${result.finalPosition.x}, ${result.finalPosition.y})`);
-        
-        // Ask for next goal
-        logger.debug('Client', 'Prompting for next goal');
-        this.promptForGoal();
+        const session = await this.createSession(context);
+        this.sessionId = session.id;
+        console.log(`Started session ${session.id}`);
       } catch (error) {
-        logger.error('Client', 'Error during screen capture or pair programming', {
-          error: error.message,
-          stack: error.stack,
-          goal,
-          workContext
-        });
         console.error('Error:', error.message);
         this.promptForGoal();
+        return;
+      }
+      
+      await this.runGoal(goal);
+    });
+  }
+  
+  /**
+   * List the monitors and let the user pick the one Claude works on. A session
+   * stays on its display, so changing it starts a new session.
+   * 
+   * @returns {Promise<void>}
+   */
+  async chooseDisplay() {
+    let displays;
+    try {
+      displays = (await this.client.get('/displays')).data.displays;
+    } catch (error) {
+      logger.error('Client', 'Error listing displays', { error: error.message });
+      console.error(`Error: ${error.response?.data?.error || error.message}`);
+      return this.promptForGoal();
+    }
+    
+    console.log('\nDisplays:');
+    displays.forEach(display => {
+      console.log(`  ${display.id}. ${display.name} ${display.width}x${display.height} at (${display.x}, ${display.y})` +
+        `${display.primary ? ' (primary)' : ''}${display.id === this.display ? ' <- current' : ''}`);
+    });
+    
+    rl.question('Display for Claude to work on (Enter for the primary screen): ', async (answer) => {
+      const choice = answer.trim() === '' ? null : parseInt(answer, 10);
+      if (choice !== null && !displays.some(display => display.id === choice)) {
+        console.log(`Unknown display "${answer.trim()}".`);
+        return this.chooseDisplay();
       }
+      
+      if (choice !== this.display) {
+        this.display = choice;
+        logger.info('Client', 'User selected a display', { display: this.display });
+        if (this.sessionId) {
+          await this.deleteSession(this.sessionId);
+          this.sessionId = null;
+          console.log('Started a new session on the chosen display.');
+        }
+      }
+      this.promptForGoal();
     });
   }
+  
+  /**
+   * Press the emergency stop: end every run on the server and release held buttons and keys
+   * 
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    logger.warn('Client', 'Sending emergency stop');
+    try {
+      const response = await this.client.post('/stop');
+      const { stoppedRuns, released } = response.data;
+      console.log(`\n[stop] Stopped ${stoppedRuns} runs` +
+        (released.buttons.length + released.keys.length > 0
+          ? `; released ${[...released.buttons.map(button => `${button} button`), ...released.keys].join(', ')}`
+          : ''));
+    } catch (error) {
+      logger.error('Client', 'Emergency stop failed', { error: error.message });
+      console.error(`Error: emergency stop failed: ${error.response?.data?.error || error.message}`);
+    }
+  }
+  
+  /**
+   * Execute instructions planned by a dry run
+   * 
+   * @param {Array<object>} instructions - Planned instructions
+   * @returns {Promise<object>} - Actions performed and the final cursor position
+   */
+  async executePlan(instructions) {
+    logger.info('Client', 'Executing planned instructions', { instructionsCount: instructions.length });
+    const response = await this.client.post('/execute-plan', { instructions }, { timeout: 0 });
+    return response.data;
+  }
+  
+  /**
+   * Plan a goal without touching the desktop, save the annotated preview and
+   * offer to execute the plan
+   * 
+   * @param {string} goal - The user's goal
+   */
+  async previewGoal(goal) {
+    console.log('\nCapturing screen...');
+    
+    try {
+      const captureResponse = await this.client.get('/screen-capture', { params: { display: this.display || undefined } });
+      const context = { environment: process.platform, timestamp: new Date().toISOString() };
+      
+      console.log('Planning with Claude (dry run, nothing will be executed)...');
+      const result = await this.pairProgram(captureResponse.data.screenCapture, context, goal, { dryRun: true });
+      
+      this.printExplanation(result);
+      
+      if (!result.success || result.instructions.length === 0) {
+        console.log('\nNothing to execute.');
+        this.promptForGoal();
+        return;
+      }
+      
+      const outputDir = './captures';
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+      const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
+      const previewPath = path.join(outputDir, `plan-preview-${timestamp}.png`);
+      fs.writeFileSync(previewPath, Buffer.from(result.preview, 'base64'));
+      logger.info('Client', `Saved plan preview to ${previewPath}`);
+      
+      console.log(`\nPlanned ${result.instructions.length} actions:`);
+      result.instructions.forEach((instruction, index) => {
+        const { type, ...details } = instruction;
+        console.log(`  ${index + 1}. ${type} ${JSON.stringify(details)}`);
+      });
+      console.log(`Preview saved to ${previewPath}`);
+      
+      rl.question('\nExecute this plan now? (y/N) ', async (answer) => {
+        if (answer.trim().toLowerCase().startsWith('y')) {
+          try {
+            const execution = await this.executePlan(result.instructions);
+            console.log(`Executed ${execution.actionsPerformed} actions; cursor at (${execution.finalPosition.x}, ${execution.finalPosition.y})`);
+          } catch (error) {
+            const performed = error.response?.data?.actionsPerformed;
+            console.error(`Error: ${error.response?.data?.error || error.message}${performed !== undefined ? ` after ${performed} actions` : ''}`);
+          }
+        } else {
+          console.log('Plan discarded.');
+        }
+        this.promptForGoal();
+      });
+    } catch (error) {
+      logger.error('Client', 'Error during dry run', { error: error.message, stack: error.stack, goal });
+      console.error('Error:', error.response?.data?.error || error.message);
+      this.promptForGoal();
+    }
+  }
+  
+  /**
+   * Capture the screen and run a goal in the current session
+   * 
+   * @param {string} goal - The user's goal
+   */
+  async runGoal(goal) {
+    console.log('\nCapturing screen...');
+    
+    try {
+      // Capture the screen using the API
+      logger.debug('Client', 'Requesting screen capture from server');
+      const captureStartTime = Date.now();
+      
+      const captureResponse = await this.client.get('/screen-capture', { params: { display: this.display || undefined } });
+      
+      const captureElapsedTime = Date.now() - captureStartTime;
+      logger.info('Client', `Screen capture completed in ${captureElapsedTime}ms`, {
+        captureSize: captureResponse.data.screenCapture.length
+      });
+      
+      const base64Image = captureResponse.data.screenCapture;
+      
+      console.log('Processing with Claude...');
+      logger.info('Client', 'Starting pair programming with captured screen', {
+        goal,
+        sessionId: this.sessionId
+      });
+      
+      const pairStartTime = Date.now();
+      this.lastEvent = null;
+      
+      // While Claude works, typing "stop" or pressing Ctrl+C is the emergency stop
+      const onLine = (line) => {
+        if (line.trim().toLowerCase() === 'stop') {
+          this.stop();
+        }
+      };
+      const onInterrupt = () => this.stop();
+      rl.on('line', onLine);
+      rl.on('SIGINT', onInterrupt);
+      
+      let result;
+      try {
+        result = await this.streamGoal(this.sessionId, base64Image, goal, (event, data) => {
+          this.renderEvent(event, data);
+        });
+      } finally {
+        rl.off('line', onLine);
+        rl.off('SIGINT', onInterrupt);
+      }
+      const pairElapsedTime = Date.now() - pairStartTime;
+      
+      logger.info('Client', `Pair programming session completed in ${pairElapsedTime}ms`, {
+        actionsPerformed: result.actionsPerformed,
+        finalPositionX: result.finalPosition.x,
+        finalPositionY: result.finalPosition.y
+      });
+      
+      this.printExplanation(result);
+      
+      console.log(`\nCompleted ${result.actionsPerformed} cursor actions in ${result.iterations} steps (goal ${result.goalNumber} in this session)`);
+      console.log(`Final cursor position: (${result.finalPosition.x}, ${result.finalPosition.y})`);
+      this.printUsage(result.usage, result.sessionUsage);
+      
+      const failedAttempts = (result.apiAttempts || []).filter(attempt => attempt.outcome === 'error');
+      if (result.success && failedAttempts.length > 0) {
+        console.log(`Recovered from ${failedAttempts.length} failed model API attempts`);
+      }
+    } catch (error) {
+      logger.error('Client', 'Error during screen capture or pair programming', {
+        error: error.message,
+        stack: error.stack,
+        goal,
+        sessionId: this.sessionId
+      });
+      console.error('Error:', error.message);
+      
+      // The server forgets sessions when it restarts; start over with a new one
+      if (error.response?.status === 404) {
+        console.log('The session no longer exists on the server; a new one will be started.');
+        this.sessionId = null;
+      }
+    }
+    
+    // Ask for next goal
+    logger.debug('Client', 'Prompting for next goal');
+    this.promptForGoal();
+  }
 }
 
 // If called directly, start the client
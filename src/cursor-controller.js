@@ -0,0 +1,236 @@
+const logger = require('./utils/logger');
+const { parseKeySequence } = require('./utils/key-mapping');
+const { getMotionFromEnv, resolveMotion, planPath } = require('./utils/motion');
+const { singleDisplay } = require('./displays');
+const { sleep: abortableSleep } = require('./utils/sleep');
+
+// How far the cursor may be from where the controller put it before it counts as moved by the human
+const TAKEOVER_TOLERANCE_PX = 2;
+
+/**
+ * Create a cursor controller on top of a driver. The controller logs every
+ * action, plans cursor motion and turns xdotool-style key combos into driver
+ * key names; the driver only moves the mouse, presses keys and reads the screen.
+ * It remembers where it last put the cursor, to notice when the human moves it,
+ * and what it holds down, so stop() can let go of everything.
+ *
+ * @param {object} driver - Driver from src/drivers, e.g. robotjs or virtual
+ * @param {object} [options] - Controller options
+ * @param {object} [options.motion] - Default motion settings, MOTION_* environment variables otherwise
+ * @param {Function} [options.sleep] - Waits a number of milliseconds, ending early when the signal it is given aborts
+ * @returns {object} - Cursor controller
+ */
+function createCursorController(driver, options = {}) {
+  const sleep = options.sleep || abortableSleep;
+  
+  // Bumped by stop(), which also aborts the signal; glides and pauses that started before it end early
+  let stops = 0;
+  let stopping = new AbortController();
+  const pause = async (ms) => {
+    if (ms > 0) {
+      const run = stops;
+      await sleep(ms, stopping.signal);
+      if (stops !== run) {
+        throw new Error('Stopped by the user');
+      }
+    }
+  };
+  
+  // Buttons and keys held down through the controller, so a stop can release them
+  const held = { buttons: new Set(), keys: new Set() };
+  const toggleKey = (key, state) => {
+    driver.keyToggle(key, state);
+    if (state === 'down') {
+      held.keys.add(key);
+    } else {
+      held.keys.delete(key);
+    }
+  };
+  
+  // Where the controller last put the cursor; anywhere else means the human moved it
+  let expectedPosition = null;
+  
+  // Walk the cursor along a planned path, one driver move per point
+  const glide = async (x, y, motion, drag) => {
+    const { points, intervalMs } = planPath(driver.getMousePos(), { x, y }, motion, { drag });
+    for (let i = 0; i < points.length; i++) {
+      if (i > 0) {
+        await pause(intervalMs);
+      }
+      driver.moveMouse(points[i].x, points[i].y);
+    }
+    expectedPosition = driver.getMousePos();
+    return points.length;
+  };
+  
+  const controller = {
+    motion: options.motion || getMotionFromEnv(),
+    moveTo: async (x, y, motion) => {
+      const settings = resolveMotion(controller.motion, motion);
+      logger.debug('CursorController', `Moving cursor to coordinates (${x}, ${y})`, { profile: settings.profile });
+      const steps = await glide(x, y, settings, false);
+      logger.info('CursorController', `Cursor moved to (${x}, ${y})`, { steps });
+    },
+    click: async (button = 'left', motion) => {
+      const settings = resolveMotion(controller.motion, motion);
+      logger.debug('CursorController', `Clicking ${button} mouse button`);
+      if (settings.pressDelayMs > 0) {
+        driver.mouseToggle('down', button);
+        held.buttons.add(button);
+        try {
+          await pause(settings.pressDelayMs);
+        } finally {
+          driver.mouseToggle('up', button);
+          held.buttons.delete(button);
+        }
+      } else {
+        driver.mouseClick(button);
+      }
+      logger.info('CursorController', `Clicked ${button} mouse button`);
+    },
+    doubleClick: (button = 'left') => {
+      logger.debug('CursorController', `Double-clicking ${button} mouse button`);
+      driver.mouseClick(button, true);
+      logger.info('CursorController', `Double-clicked ${button} mouse button`);
+    },
+    tripleClick: (button = 'left') => {
+      logger.debug('CursorController', `Triple-clicking ${button} mouse button`);
+      driver.mouseClick(button, true);
+      driver.mouseClick(button);
+      logger.info('CursorController', `Triple-clicked ${button} mouse button`);
+    },
+    mouseDown: (button = 'left') => {
+      logger.debug('CursorController', `Pressing ${button} mouse button`);
+      driver.mouseToggle('down', button);
+      held.buttons.add(button);
+      logger.info('CursorController', `Pressed ${button} mouse button`);
+    },
+    mouseUp: (button = 'left') => {
+      logger.debug('CursorController', `Releasing ${button} mouse button`);
+      driver.mouseToggle('up', button);
+      held.buttons.delete(button);
+      logger.info('CursorController', `Released ${button} mouse button`);
+    },
+    scroll: (direction, amount) => {
+      logger.debug('CursorController', `Scrolling ${direction} by ${amount}`);
+      const offsets = {
+        up: [0, amount],
+        down: [0, -amount],
+        left: [-amount, 0],
+        right: [amount, 0]
+      };
+      if (!offsets[direction]) {
+        throw new Error(`Invalid scroll direction: ${direction}`);
+      }
+      driver.scrollMouse(...offsets[direction]);
+      logger.info('CursorController', `Scrolled ${direction} by ${amount}`);
+    },
+    withModifiers: async (keys, action) => {
+      if (!keys) {
+        return action();
+      }
+    
+      // Press modifiers first and release them last, like a human would. A combo such as
+      // "ctrl+shift" parses to key "shift" with modifier "control"; hold them all
+      const pressed = [];
+      for (const { key, modifiers } of parseKeySequence(keys)) {
+        for (const name of [...modifiers, key]) {
+          if (!pressed.includes(name)) {
+            pressed.push(name);
+          }
+        }
+      }
+    
+      logger.debug('CursorController', `Holding modifiers: ${pressed.join('+')}`);
+      pressed.forEach(name => toggleKey(name, 'down'));
+      try {
+        return await action();
+      } finally {
+        pressed.reverse().forEach(name => toggleKey(name, 'up'));
+      }
+    },
+    dragTo: async (x, y, motion) => {
+      const settings = resolveMotion(controller.motion, motion);
+      const startPos = driver.getMousePos();
+      logger.debug('CursorController', `Dragging from (${startPos.x}, ${startPos.y}) to (${x}, ${y})`, { profile: settings.profile });
+      driver.mouseToggle('down');
+      held.buttons.add('left');
+      try {
+        await pause(settings.pressDelayMs);
+        await glide(x, y, settings, true);
+        await pause(settings.releaseDelayMs);
+      } finally {
+        driver.mouseToggle('up');
+        held.buttons.delete('left');
+      }
+      logger.info('CursorController', `Dragged from (${startPos.x}, ${startPos.y}) to (${x}, ${y})`);
+    },
+    typeText: (text) => {
+      logger.debug('CursorController', `Typing ${text.length} characters`);
+      driver.typeString(text);
+      logger.info('CursorController', `Typed ${text.length} characters`);
+    },
+    pressKeys: (keys) => {
+      logger.debug('CursorController', `Pressing keys: ${keys}`);
+      for (const { key, modifiers } of parseKeySequence(keys)) {
+        driver.keyTap(key, modifiers);
+      }
+      logger.info('CursorController', `Pressed keys: ${keys}`);
+    },
+    pause,
+    holdKeys: async (keys, duration) => {
+      logger.debug('CursorController', `Holding keys ${keys} for ${duration}s`);
+      await controller.withModifiers(keys, () => pause(duration * 1000));
+      logger.info('CursorController', `Held keys ${keys} for ${duration}s`);
+    },
+    getCurrentPosition: () => {
+      const pos = driver.getMousePos();
+      logger.debug('CursorController', `Getting current cursor position: (${pos.x}, ${pos.y})`);
+      return pos;
+    },
+    getScreenSize: () => {
+      const size = driver.getScreenSize();
+      logger.debug('CursorController', `Getting screen size: ${size.width}x${size.height}`);
+      return size;
+    },
+    getDisplays: () => {
+      // Drivers that know nothing about monitors have one display, the screen
+      return driver.getDisplays ? driver.getDisplays() : singleDisplay(driver.getScreenSize());
+    },
+    syncPosition: () => {
+      expectedPosition = driver.getMousePos();
+      logger.debug('CursorController', `Tracking cursor from (${expectedPosition.x}, ${expectedPosition.y})`);
+      return expectedPosition;
+    },
+    detectTakeover: () => {
+      if (!expectedPosition) {
+        return null;
+      }
+      const actual = driver.getMousePos();
+      if (Math.hypot(actual.x - expectedPosition.x, actual.y - expectedPosition.y) <= TAKEOVER_TOLERANCE_PX) {
+        return null;
+      }
+      logger.warn('CursorController', `Cursor is at (${actual.x}, ${actual.y}) instead of (${expectedPosition.x}, ${expectedPosition.y}); the user moved it`);
+      return { expected: { ...expectedPosition }, actual };
+    },
+    stop: () => {
+      stops++;
+      stopping.abort();
+      stopping = new AbortController();
+      const released = { buttons: [...held.buttons], keys: [...held.keys].reverse() };
+      released.buttons.forEach(button => driver.mouseToggle('up', button));
+      released.keys.forEach(key => driver.keyToggle(key, 'up'));
+      held.buttons.clear();
+      held.keys.clear();
+      logger.warn('CursorController', 'Stopped all cursor activity', released);
+      return released;
+    },
+    driver
+  };
+  
+  return controller;
+}
+
+module.exports = {
+  createCursorController
+};
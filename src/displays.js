@@ -0,0 +1,155 @@
+const { execFileSync } = require('child_process');
+const logger = require('./utils/logger');
+
+// One monitor in a DISPLAYS layout: <width>x<height>+<x>+<y>, like xrandr geometry
+const GEOMETRY_PATTERN = /^(\d+)x(\d+)([+-]\d+)([+-]\d+)$/;
+
+// A line of `xrandr --listmonitors`, e.g. " 1: +*DP-1 2560/597x1440/336+1920+0  DP-1"
+const XRANDR_MONITOR_PATTERN = /^\s*\d+:\s+\+?(\*?)(\S+)\s+(\d+)\/\d+x(\d+)\/\d+([+-]\d+)([+-]\d+)/;
+
+/**
+ * Describe a desktop with a single display at the origin
+ *
+ * @param {{width: number, height: number}} screenSize - Screen size
+ * @returns {Array<object>} - The one display
+ */
+function singleDisplay(screenSize) {
+  return [{ id: 1, name: 'primary', x: 0, y: 0, width: screenSize.width, height: screenSize.height, primary: true }];
+}
+
+/**
+ * Parse a display layout such as "1920x1080+0+0,2560x1440+1920+0". The first
+ * display is the primary one.
+ *
+ * @param {string} [value] - Comma separated display geometries in desktop coordinates
+ * @returns {Array<object>|null} - Displays with id, name, x, y, width, height and primary; null when not set
+ */
+function parseDisplayLayout(value) {
+  if (!value || !value.trim()) {
+    return null;
+  }
+
+  return value.split(',').map((geometry, index) => {
+    const match = geometry.trim().match(GEOMETRY_PATTERN);
+    if (!match || parseInt(match[1], 10) === 0 || parseInt(match[2], 10) === 0) {
+      throw new Error(`Invalid display geometry: ${geometry.trim()}; expected <width>x<height>+<x>+<y>`);
+    }
+    return {
+      id: index + 1,
+      name: `display-${index + 1}`,
+      x: parseInt(match[3], 10),
+      y: parseInt(match[4], 10),
+      width: parseInt(match[1], 10),
+      height: parseInt(match[2], 10),
+      primary: index === 0
+    };
+  });
+}
+
+/**
+ * Ask xrandr for the connected monitors on Linux
+ *
+ * @returns {Array<object>|null} - Displays in xrandr's order, or null when xrandr is not available
+ */
+function listXrandrMonitors() {
+  if (process.platform !== 'linux') {
+    return null;
+  }
+
+  let output;
+  try {
+    output = execFileSync('xrandr', ['--listmonitors'], { encoding: 'utf8', timeout: 2000, stdio: ['ignore', 'pipe', 'ignore'] });
+  } catch (error) {
+    logger.debug('Displays', 'Could not list monitors with xrandr', { error: error.message });
+    return null;
+  }
+
+  return parseXrandrMonitors(output);
+}
+
+/**
+ * Parse the output of `xrandr --listmonitors`; the monitor marked with * is the primary one
+ *
+ * @param {string} output - xrandr output
+ * @returns {Array<object>|null} - Displays in xrandr's order, or null when none are listed
+ */
+function parseXrandrMonitors(output) {
+  const displays = output.split('\n')
+    .map(line => line.match(XRANDR_MONITOR_PATTERN))
+    .filter(Boolean)
+    .map((match, index) => ({
+      id: index + 1,
+      name: match[2],
+      x: parseInt(match[5], 10),
+      y: parseInt(match[6], 10),
+      width: parseInt(match[3], 10),
+      height: parseInt(match[4], 10),
+      primary: match[1] === '*'
+    }));
+
+  return displays.length > 0 ? displays : null;
+}
+
+/**
+ * @param {Array<object>} displays - Display rectangles
+ * @returns {{x: number, y: number, width: number, height: number}} - Rectangle around all of them
+ */
+function getDesktopBounds(displays) {
+  const left = Math.min(...displays.map(display => display.x));
+  const top = Math.min(...displays.map(display => display.y));
+  const right = Math.max(...displays.map(display => display.x + display.width));
+  const bottom = Math.max(...displays.map(display => display.y + display.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Find the display a desktop position is on
+ *
+ * @param {Array<object>} displays - Display rectangles
+ * @param {{x: number, y: number}} point - Position in desktop coordinates
+ * @returns {object|undefined} - The display, or undefined when the position is on none of them
+ */
+function findDisplay(displays, point) {
+  return displays.find(display => point.x >= display.x && point.x < display.x + display.width &&
+    point.y >= display.y && point.y < display.y + display.height);
+}
+
+/**
+ * Look up a display by the id GET /displays lists it under. Ids from query
+ * strings arrive as text, so a string of digits is read as the number.
+ *
+ * @param {Array<object>} displays - Connected displays
+ * @param {number|string} [value] - Display id from a request body, query string or session
+ * @returns {object|undefined} - The display, or undefined when no id was given
+ * @throws {Error} With `status` 400 when the id is not a whole number or no such display is connected
+ */
+function selectDisplay(displays, value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  const id = typeof value === 'string' && /^\s*\d+\s*$/.test(value) ? Number(value) : value;
+  if (!Number.isInteger(id)) {
+    const error = new Error(`'display' must be a whole number display id, not ${JSON.stringify(value)}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const display = displays.find(candidate => candidate.id === id);
+  if (!display) {
+    const error = new Error(`Unknown display ${id}; connected displays are ${displays.map(candidate => candidate.id).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return display;
+}
+
+module.exports = {
+  singleDisplay,
+  parseDisplayLayout,
+  listXrandrMonitors,
+  parseXrandrMonitors,
+  getDesktopBounds,
+  findDisplay,
+  selectDisplay
+};
@@ -0,0 +1,44 @@
+const logger = require('../utils/logger');
+const RobotDriver = require('./robot-driver');
+const VirtualDriver = require('./virtual-driver');
+
+const DRIVERS = {
+  robotjs: RobotDriver,
+  virtual: VirtualDriver
+};
+
+let defaultDriver = null;
+
+/**
+ * Create a cursor driver
+ *
+ * @param {string} [name] - Driver name, defaults to CURSOR_DRIVER or "robotjs"
+ * @param {object} [options] - Driver specific options
+ * @returns {object} - Driver controlling the mouse, keyboard and screen
+ */
+function createDriver(name = process.env.CURSOR_DRIVER || 'robotjs', options = {}) {
+  const Driver = DRIVERS[name];
+  if (!Driver) {
+    throw new Error(`Unknown cursor driver: ${name}. Available drivers: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  logger.info('Drivers', `Creating ${name} cursor driver`);
+  return new Driver(options);
+}
+
+/**
+ * Get the process-wide driver selected by CURSOR_DRIVER
+ *
+ * @returns {object} - Driver instance
+ */
+function getDefaultDriver() {
+  if (!defaultDriver) {
+    defaultDriver = createDriver();
+  }
+  return defaultDriver;
+}
+
+module.exports = {
+  createDriver,
+  getDefaultDriver
+};
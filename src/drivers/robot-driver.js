@@ -0,0 +1,147 @@
+const logger = require('../utils/logger');
+const { singleDisplay, parseDisplayLayout, listXrandrMonitors } = require('../displays');
+
+// How long the monitor layout is reused before it is read again; the safety policy asks on every action
+const DISPLAY_CACHE_MS = 5000;
+
+/**
+ * Cursor driver backed by robotjs, controlling the real mouse, keyboard and
+ * screen. robotjs and canvas are loaded on first use so other drivers work on
+ * machines where the native modules are not built.
+ */
+class RobotDriver {
+  constructor() {
+    this.name = 'robotjs';
+    this.robot = null;
+    this.displays = null;
+    this.displaysReadAt = 0;
+  }
+
+  /**
+   * @returns {object} - The robotjs module
+   */
+  getRobot() {
+    if (!this.robot) {
+      this.robot = require('robotjs');
+    }
+    return this.robot;
+  }
+
+  moveMouse(x, y) {
+    this.getRobot().moveMouse(x, y);
+  }
+
+  /**
+   * @param {string} button - left, right or middle
+   * @param {boolean} [double] - Whether to double-click
+   */
+  mouseClick(button, double) {
+    if (double) {
+      this.getRobot().mouseClick(button, true);
+    } else {
+      this.getRobot().mouseClick(button);
+    }
+  }
+
+  /**
+   * @param {string} state - down or up
+   * @param {string} [button] - left, right or middle
+   */
+  mouseToggle(state, button) {
+    if (button) {
+      this.getRobot().mouseToggle(state, button);
+    } else {
+      this.getRobot().mouseToggle(state);
+    }
+  }
+
+  scrollMouse(x, y) {
+    this.getRobot().scrollMouse(x, y);
+  }
+
+  /**
+   * @param {string} key - robotjs key name
+   * @param {string} state - down or up
+   */
+  keyToggle(key, state) {
+    this.getRobot().keyToggle(key, state);
+  }
+
+  /**
+   * @param {string} key - robotjs key name
+   * @param {string[]} modifiers - robotjs modifier names
+   */
+  keyTap(key, modifiers) {
+    this.getRobot().keyTap(key, modifiers);
+  }
+
+  typeString(text) {
+    this.getRobot().typeString(text);
+  }
+
+  getMousePos() {
+    return this.getRobot().getMousePos();
+  }
+
+  getScreenSize() {
+    return this.getRobot().getScreenSize();
+  }
+
+  /**
+   * List the monitors: the DISPLAYS layout when set, otherwise what xrandr
+   * reports, otherwise just the primary screen robotjs knows about
+   *
+   * @returns {Array<object>} - Displays in desktop coordinates
+   */
+  getDisplays() {
+    if (!this.displays || Date.now() - this.displaysReadAt > DISPLAY_CACHE_MS) {
+      this.displays = parseDisplayLayout(process.env.DISPLAYS) || listXrandrMonitors() || singleDisplay(this.getScreenSize());
+      this.displaysReadAt = Date.now();
+    }
+    return this.displays.map(display => ({ ...display }));
+  }
+
+  /**
+   * Capture part of the screen
+   *
+   * @param {number} x - Left edge of the capture area
+   * @param {number} y - Top edge of the capture area
+   * @param {number} width - Width of the capture area
+   * @param {number} height - Height of the capture area
+   * @returns {string} - Base64 encoded PNG image
+   */
+  captureScreen(x, y, width, height) {
+    const robotCaptureStart = Date.now();
+    const bitmap = this.getRobot().screen.capture(x, y, width, height);
+
+    logger.debug('RobotDriver', `Robot capture completed in ${Date.now() - robotCaptureStart}ms`, {
+      bitmapWidth: bitmap.width,
+      bitmapHeight: bitmap.height,
+      bitmapByteLength: bitmap.image.length
+    });
+
+    const canvasStart = Date.now();
+    const { createCanvas } = require('canvas');
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(width, height);
+
+    for (let row = 0; row < height; row++) {
+      for (let column = 0; column < width; column++) {
+        const index = (row * width + column) * 4;
+
+        imageData.data[index] = bitmap.image.readUInt8(index);         // R
+        imageData.data[index + 1] = bitmap.image.readUInt8(index + 1); // G
+        imageData.data[index + 2] = bitmap.image.readUInt8(index + 2); // B
+        imageData.data[index + 3] = 255;                               // Alpha
+      }
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    logger.debug('RobotDriver', `Canvas creation and filling completed in ${Date.now() - canvasStart}ms`);
+
+    return canvas.toDataURL('image/png').replace(/^data:image\/png;base64,/, '');
+  }
+}
+
+module.exports = RobotDriver;
@@ -0,0 +1,219 @@
+const logger = require('../utils/logger');
+const { encodePng } = require('../utils/png');
+const { singleDisplay, parseDisplayLayout, getDesktopBounds } = require('../displays');
+
+// Fits the WXGA scaling target, so screenshots are sent to Claude unscaled
+const DEFAULT_SCREEN_SIZE = { width: 1280, height: 800 };
+
+const BACKGROUND_COLOR = [32, 64, 96, 255];
+const CURSOR_COLOR = [255, 255, 255, 255];
+const PRESSED_CURSOR_COLOR = [255, 64, 64, 255];
+
+// Half the size of the cross drawn at the cursor position
+const CURSOR_RADIUS = 6;
+
+/**
+ * Parse a "<width>x<height>" screen size
+ *
+ * @param {string} [value] - Screen size, e.g. "1280x800"
+ * @returns {{width: number, height: number}} - Screen size, the default when not set
+ */
+function parseScreenSize(value) {
+  if (!value) {
+    return DEFAULT_SCREEN_SIZE;
+  }
+
+  const match = value.trim().match(/^(\d+)x(\d+)$/i);
+  if (!match || parseInt(match[1], 10) === 0 || parseInt(match[2], 10) === 0) {
+    throw new Error(`Invalid virtual screen size: ${value}; expected <width>x<height>`);
+  }
+  return { width: parseInt(match[1], 10), height: parseInt(match[2], 10) };
+}
+
+/**
+ * In-memory cursor driver. It tracks the cursor, mouse buttons and held keys,
+ * records every input event and renders a synthetic framebuffer, so the
+ * server and agent loop run without a display. With several displays the
+ * framebuffer covers the whole desktop and the screen size is the primary
+ * display's, like robotjs reports it.
+ */
+class VirtualDriver {
+  constructor(options = {}) {
+    this.name = 'virtual';
+    const layout = options.displays || (options.screenSize ? null : parseDisplayLayout(process.env.DISPLAYS));
+    this.displays = layout || singleDisplay(options.screenSize || parseScreenSize(process.env.VIRTUAL_SCREEN_SIZE));
+    const primary = this.displays.find(display => display.primary) || this.displays[0];
+    this.screenSize = { width: primary.width, height: primary.height };
+    this.desktop = getDesktopBounds(this.displays);
+    this.position = { x: primary.x + Math.floor(primary.width / 2), y: primary.y + Math.floor(primary.height / 2) };
+    this.buttons = { left: false, right: false, middle: false };
+    this.heldKeys = new Set();
+    this.typedText = '';
+    this.events = [];
+    this.framebuffer = Buffer.alloc(this.desktop.width * this.desktop.height * 4);
+    this.fillRect(this.desktop.x, this.desktop.y, this.desktop.width, this.desktop.height, BACKGROUND_COLOR);
+
+    logger.info('VirtualDriver', `Created virtual screen of ${this.desktop.width}x${this.desktop.height}`, {
+      displays: this.displays.length
+    });
+  }
+
+  /**
+   * Record an input event
+   *
+   * @param {string} type - Event type
+   * @param {object} [data] - Event details
+   */
+  record(type, data = {}) {
+    this.events.push({ type, ...data, x: this.position.x, y: this.position.y });
+  }
+
+  /**
+   * Keep a coordinate on the desktop, like a real cursor
+   *
+   * @param {number} value - Coordinate
+   * @param {number} start - Left or top edge of the desktop
+   * @param {number} size - Desktop width or height
+   * @returns {number} - Clamped coordinate
+   */
+  clamp(value, start, size) {
+    return Math.min(start + size - 1, Math.max(start, Math.round(value)));
+  }
+
+  /**
+   * @param {number} x - Desktop X coordinate
+   * @param {number} y - Desktop Y coordinate
+   * @returns {number} - Offset of the pixel in the framebuffer
+   */
+  pixelOffset(x, y) {
+    return ((y - this.desktop.y) * this.desktop.width + (x - this.desktop.x)) * 4;
+  }
+
+  moveMouse(x, y) {
+    this.position = {
+      x: this.clamp(x, this.desktop.x, this.desktop.width),
+      y: this.clamp(y, this.desktop.y, this.desktop.height)
+    };
+    this.record('move');
+  }
+
+  mouseClick(button = 'left', double = false) {
+    this.record(double ? 'double-click' : 'click', { button });
+  }
+
+  mouseToggle(state, button = 'left') {
+    this.buttons[button] = state === 'down';
+    this.record(`mouse-${state}`, { button });
+  }
+
+  scrollMouse(x, y) {
+    this.record('scroll', { scrollX: x, scrollY: y });
+  }
+
+  keyToggle(key, state) {
+    if (state === 'down') {
+      this.heldKeys.add(key);
+    } else {
+      this.heldKeys.delete(key);
+    }
+    this.record(`key-${state}`, { key });
+  }
+
+  keyTap(key, modifiers = []) {
+    this.record('key', { key, modifiers });
+  }
+
+  typeString(text) {
+    this.typedText += text;
+    this.record('type', { text });
+  }
+
+  getMousePos() {
+    return { ...this.position };
+  }
+
+  getScreenSize() {
+    return { ...this.screenSize };
+  }
+
+  getDisplays() {
+    return this.displays.map(display => ({ ...display }));
+  }
+
+  /**
+   * Paint a rectangle onto the framebuffer, e.g. to lay out a fake window in tests
+   *
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Rectangle width
+   * @param {number} height - Rectangle height
+   * @param {number[]} color - RGBA color
+   */
+  fillRect(x, y, width, height, color) {
+    const { desktop } = this;
+    const left = Math.max(desktop.x, x);
+    const top = Math.max(desktop.y, y);
+    const right = Math.min(desktop.x + desktop.width, x + width);
+    const bottom = Math.min(desktop.y + desktop.height, y + height);
+
+    for (let row = top; row < bottom; row++) {
+      for (let column = left; column < right; column++) {
+        this.framebuffer.set(color, this.pixelOffset(column, row));
+      }
+    }
+  }
+
+  /**
+   * Render the framebuffer with the cursor drawn on top; red while a button is held
+   *
+   * @returns {Buffer} - RGBA pixels of the whole desktop
+   */
+  render() {
+    const frame = Buffer.from(this.framebuffer);
+    const { x, y, width, height } = this.desktop;
+    const color = Object.values(this.buttons).some(Boolean) ? PRESSED_CURSOR_COLOR : CURSOR_COLOR;
+
+    for (let offset = -CURSOR_RADIUS; offset <= CURSOR_RADIUS; offset++) {
+      const column = this.position.x + offset;
+      const row = this.position.y + offset;
+      if (column >= x && column < x + width) {
+        frame.set(color, this.pixelOffset(column, this.position.y));
+      }
+      if (row >= y && row < y + height) {
+        frame.set(color, this.pixelOffset(this.position.x, row));
+      }
+    }
+
+    return frame;
+  }
+
+  /**
+   * Capture part of the rendered screen
+   *
+   * @param {number} x - Left edge of the capture area
+   * @param {number} y - Top edge of the capture area
+   * @param {number} width - Width of the capture area
+   * @param {number} height - Height of the capture area
+   * @returns {string} - Base64 encoded PNG image
+   */
+  captureScreen(x, y, width, height) {
+    const { desktop } = this;
+    if (x < desktop.x || y < desktop.y || width <= 0 || height <= 0 ||
+        x + width > desktop.x + desktop.width || y + height > desktop.y + desktop.height) {
+      throw new Error(`Capture area ${width}x${height} at (${x}, ${y}) is outside the ${desktop.width}x${desktop.height} screen`);
+    }
+
+    const frame = this.render();
+    const region = Buffer.alloc(width * height * 4);
+
+    for (let row = 0; row < height; row++) {
+      const start = this.pixelOffset(x, y + row);
+      frame.copy(region, row * width * 4, start, start + width * 4);
+    }
+
+    return encodePng(width, height, region).toString('base64');
+  }
+}
+
+module.exports = VirtualDriver;
+module.exports.parseScreenSize = parseScreenSize;
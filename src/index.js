@@ -1,13 +1,68 @@
 require('dotenv').config();
 const express = require('express');
-const robot = require('robotjs');
 const { getCursorInstructions } = require('./claude-api');
+const { validateInstruction, validateInstructions } = require('./instruction-schema');
 const { captureScreen, getCurrentScreenCapture } = require('./screen-capture');
 const logger = require('./utils/logger');
+const { createCursorController } = require('./cursor-controller');
+const { getDefaultDriver } = require('./drivers');
+const VirtualDriver = require('./drivers/virtual-driver');
+const { renderPlanPreview } = require('./plan-preview');
+const ApprovalManager = require('./approval-manager');
+const SafetyPolicy = require('./safety-policy');
+const MacroStore = require('./macro-store');
+const { validateBatch, runBatch } = require('./batch-runner');
+const { resolveMotion } = require('./utils/motion');
+const { findDisplay, selectDisplay } = require('./displays');
+const { createBashSessionFromEnv } = require('./tools/bash-tool');
+const { createTextEditorFromEnv } = require('./tools/text-editor-tool');
+const { createToolRegistryFromEnv } = require('./tools/tool-registry');
+const SessionManager = require('./session-manager');
+const { UsageTracker, loadPriceTable, getBudgetFromEnv } = require('./usage-tracker');
+const { loadAgentConfig, resolveAgentConfig, PRESETS, LIMITS } = require('./agent-config');
+const { createSSEWriter } = require('./utils/sse');
+const { sleep } = require('./utils/sleep');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Persistent shell for the opt-in bash tool, shared by all agent loops
+const bashSession = createBashSessionFromEnv();
+
+// Workspace-confined file editor for the opt-in str_replace_editor tool; keeps undo history per file
+const textEditor = createTextEditorFromEnv();
+
+// Custom tools loaded from TOOL_PLUGINS_DIR at startup
+const toolRegistry = createToolRegistryFromEnv();
+
+// Model, token limits, iteration cap and system prompt from the config file and environment
+const agentConfig = loadAgentConfig();
+
+// Prices used to estimate what each request and session costs
+const prices = loadPriceTable();
+
+// Optional hard limits; the agent loop stops cleanly once a budget is exhausted
+const requestBudget = getBudgetFromEnv('REQUEST');
+const sessionBudget = getBudgetFromEnv('SESSION');
+
+// Multi-turn pair programming sessions that carry the conversation across goals
+const sessionManager = new SessionManager({ usageLimits: sessionBudget, prices });
+
+// Actions waiting for a human decision in approval mode
+const approvalManager = new ApprovalManager({
+  timeoutMs: parseInt(process.env.APPROVAL_TIMEOUT_MS, 10) || undefined,
+  getDisplays: getValidationDisplays
+});
+
+// Size of the screen area around an action's target sent for approval
+const APPROVAL_THUMBNAIL_SIZE = { width: 320, height: 200 };
+
+// Abort controllers of the runs in progress; the emergency stop aborts all of them
+const activeRuns = new Set();
+
+// Recorded runs that can be replayed without calling the API, stored in MACROS_DIR
+const macroStore = new MacroStore();
+
 // 添加详细请求日志中间件
 app.use((req, res, next) => {
   const startTime = Date.now();
@@ -63,42 +118,228 @@ app.use(express.json({
   }
 }));
 
-// Initialize cursor controller
-const cursorController = {
-  moveTo: (x, y) => {
-    logger.debug('CursorController', `Moving cursor to coordinates (${x}, ${y})`);
-    robot.moveMouse(x, y);
-    logger.info('CursorController', `Cursor moved to (${x}, ${y})`);
-  },
-  click: (button = 'left') => {
-    logger.debug('CursorController', `Clicking ${button} mouse button`);
-    robot.mouseClick(button);
-    logger.info('CursorController', `Clicked ${button} mouse button`);
-  },
-  doubleClick: (button = 'left') => {
-    logger.debug('CursorController', `Double-clicking ${button} mouse button`);
-    robot.mouseClick(button, true);
-    logger.info('CursorController', `Double-clicked ${button} mouse button`);
-  },
-  dragTo: (x, y) => {
-    const startPos = robot.getMousePos();
-    logger.debug('CursorController', `Dragging from (${startPos.x}, ${startPos.y}) to (${x}, ${y})`);
-    robot.mouseToggle('down');
-    robot.moveMouse(x, y);
-    robot.mouseToggle('up');
-    logger.info('CursorController', `Dragged from (${startPos.x}, ${startPos.y}) to (${x}, ${y})`);
-  },
-  getCurrentPosition: () => {
-    const pos = robot.getMousePos();
-    logger.debug('CursorController', `Getting current cursor position: (${pos.x}, ${pos.y})`);
-    return pos;
-  },
-  getScreenSize: () => {
-    const size = robot.getScreenSize();
-    logger.debug('CursorController', `Getting screen size: ${size.width}x${size.height}`);
-    return size;
-  }
-};
+// Mouse, keyboard and screen access through the driver selected by CURSOR_DRIVER
+const desktopController = createCursorController(getDefaultDriver());
+
+// Screen bounds, forbidden regions and blocked actions from the safety policy file; its regions must be on the desktop
+const safetyPolicy = new SafetyPolicy(SafetyPolicy.loadSafetyPolicy(undefined, { displays: desktopController.getDisplays() }));
+
+// Every action goes through the safety policy
+const cursorController = safetyPolicy.guard(desktopController);
+
+/**
+ * Execute a single cursor instruction on the cursor controller
+ * 
+ * @param {object} instruction - Instruction object produced by the agent loop
+ * @param {object} [controller] - Controller to execute on, the desktop's by default
+ * @returns {Promise<void>}
+ */
+async function executeInstruction(instruction, controller = cursorController) {
+  logger.debug('API', `Executing instruction: ${instruction.type}`, instruction);
+  
+  // An instruction may ask for a pause, in milliseconds, before it runs; like waits, a stop ends it
+  if (instruction.delay) {
+    await controller.pause(instruction.delay);
+  }
+  
+  // Click-style actions may carry a target position to move to first
+  const moveToTarget = async () => {
+    if (instruction.x !== undefined && instruction.y !== undefined) {
+      await controller.moveTo(instruction.x, instruction.y);
+    }
+  };
+  
+  switch (instruction.type) {
+    case 'screenshot':
+      // Nothing to execute; the agent loop captures the screen after every instruction
+      break;
+    case 'cursor-position':
+      return controller.getCurrentPosition();
+    case 'move':
+      await controller.moveTo(instruction.x, instruction.y);
+      break;
+    case 'click':
+      await moveToTarget();
+      await controller.withModifiers(instruction.modifiers, () => controller.click(instruction.button));
+      break;
+    case 'double-click':
+      await moveToTarget();
+      await controller.withModifiers(instruction.modifiers, () => controller.doubleClick(instruction.button));
+      break;
+    case 'triple-click':
+      await moveToTarget();
+      await controller.withModifiers(instruction.modifiers, () => controller.tripleClick(instruction.button));
+      break;
+    case 'drag':
+      if (instruction.startX !== undefined && instruction.startY !== undefined) {
+        await controller.moveTo(instruction.startX, instruction.startY);
+      }
+      await controller.dragTo(instruction.x, instruction.y);
+      break;
+    case 'mouse-down':
+      controller.mouseDown(instruction.button);
+      break;
+    case 'mouse-up':
+      controller.mouseUp(instruction.button);
+      break;
+    case 'scroll':
+      await moveToTarget();
+      await controller.withModifiers(instruction.modifiers, () => controller.scroll(instruction.direction, instruction.amount));
+      break;
+    case 'wait':
+      await controller.pause(instruction.duration * 1000);
+      break;
+    case 'type':
+      controller.typeText(instruction.text);
+      break;
+    case 'key':
+      controller.pressKeys(instruction.keys);
+      break;
+    case 'hold-key':
+      await controller.holdKeys(instruction.keys, instruction.duration);
+      break;
+    default:
+      throw new Error(`Unknown instruction type: ${instruction.type}`);
+  }
+}
+
+/**
+ * Describe an action waiting for approval: where it will happen and a
+ * thumbnail of the screen around that spot
+ * 
+ * @param {object} instruction - Pending instruction, in physical screen coordinates
+ * @returns {{target: object, thumbnail: (object|undefined)}} - Target position and thumbnail
+ */
+function describePendingAction(instruction) {
+  const target = instruction.x !== undefined && instruction.y !== undefined
+    ? { x: instruction.x, y: instruction.y }
+    : cursorController.getCurrentPosition();
+  
+  // The thumbnail stays on the display the target is on
+  const displays = cursorController.getDisplays();
+  const screen = findDisplay(displays, target) || displays[0];
+  const width = Math.min(APPROVAL_THUMBNAIL_SIZE.width, screen.width);
+  const height = Math.min(APPROVAL_THUMBNAIL_SIZE.height, screen.height);
+  const x = Math.min(Math.max(screen.x, Math.round(target.x - width / 2)), screen.x + screen.width - width);
+  const y = Math.min(Math.max(screen.y, Math.round(target.y - height / 2)), screen.y + screen.height - height);
+  
+  try {
+    return { target, thumbnail: { x, y, width, height, image: captureScreen(x, y, width, height) } };
+  } catch (error) {
+    logger.warn('API', 'Could not capture an approval thumbnail', { error: error.message });
+    return { target };
+  }
+}
+
+/**
+ * Check the optional boolean flags of a run request, answering with 400 when
+ * one of them is not a boolean
+ * 
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string[]} names - Flags to check
+ * @returns {boolean} - Whether the flags are valid; false when the response was already sent
+ */
+function checkRunFlags(req, res, names) {
+  for (const name of names) {
+    if (req.body[name] !== undefined && typeof req.body[name] !== 'boolean') {
+      logger.warn('API', `Invalid ${name} in request`, { value: req.body[name] });
+      res.status(400).json({ error: `'${name}' must be a boolean` });
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Read the optional `record` option of a run request: a macro name, or
+ * `{name, parameters}` where parameters map names to text typed during the run
+ * that a replay can substitute. Answers with 400 when the option is invalid and
+ * 409 when the macro already exists.
+ * 
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {object|null|false} - `{name, parameters}`, null when the run is not recorded, or false when the
+ *   response was already sent
+ */
+function getRecordOption(req, res) {
+  const { record, dryRun } = req.body;
+  if (record === undefined) {
+    return null;
+  }
+  
+  const { name, parameters = {} } = typeof record === 'string' ? { name: record } : (record || {});
+  const fail = (status, error) => {
+    logger.warn('API', 'Invalid record option in request', { record, error });
+    res.status(status).json({ error });
+    return false;
+  };
+  
+  try {
+    MacroStore.assertValidName(name);
+  } catch (error) {
+    return fail(error.status, error.message);
+  }
+  if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters) ||
+      Object.entries(parameters).some(([key, value]) => !/^\w+$/.test(key) || typeof value !== 'string' || value === '')) {
+    return fail(400, '\'record.parameters\' must map parameter names to the non-empty text they stand for');
+  }
+  if (dryRun) {
+    return fail(400, 'Dry runs execute nothing, so they cannot be recorded');
+  }
+  if (macroStore.has(name)) {
+    return fail(409, `A macro named ${name} already exists`);
+  }
+  return { name, parameters };
+}
+
+/**
+ * Read the display a request targets, answering with 400 when the id is invalid or unknown
+ * 
+ * @param {object} res - Express response
+ * @param {number|string} [id] - Display id from the request body, query string or session
+ * @returns {object|undefined|false} - The display, undefined for the primary screen, or false when the response
+ *   was already sent
+ */
+function getRequestDisplay(res, id) {
+  try {
+    return selectDisplay(cursorController.getDisplays(), id);
+  } catch (error) {
+    logger.warn('API', 'Request targets an invalid or unknown display', { display: id });
+    res.status(error.status).json({ error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Displays request coordinates are checked against before anything runs. When the
+ * safety policy clamps off-screen coordinates there is nothing to check, and the
+ * policy moves them onto the screen as they execute.
+ * 
+ * @returns {Array<object>|undefined} - Connected displays, or undefined in the policy's clamp mode
+ */
+function getValidationDisplays() {
+  return safetyPolicy.policy.outOfBounds === 'reject' ? cursorController.getDisplays() : undefined;
+}
+
+/**
+ * Create a controller on a scratch virtual screen for dry runs. It starts where
+ * the real cursor is, so planned positions can be reported and drawn, but it
+ * never touches the desktop and never waits. Planned actions follow the same
+ * safety policy as real ones.
+ * 
+ * @returns {object} - Cursor controller on a virtual driver
+ */
+function createDryRunController() {
+  const driver = new VirtualDriver({ displays: cursorController.getDisplays() });
+  const position = cursorController.getCurrentPosition();
+  driver.moveMouse(position.x, position.y);
+  
+  return safetyPolicy.guard(createCursorController(driver, {
+    motion: { ...cursorController.motion, profile: 'instant' },
+    sleep: async () => {}
+  }));
+}
 
 // API endpoint to get screen info
 app.get('/screen-info', (req, res) => {
@@ -126,12 +367,30 @@ app.get('/screen-info', (req, res) => {
   }
 });
 
-// API endpoint to capture screen
+// API endpoint to list the monitors and which one the cursor is on
+app.get('/displays', (req, res) => {
+  try {
+    const displays = cursorController.getDisplays();
+    const cursor = cursorController.getCurrentPosition();
+    res.json({ displays, cursor: { ...cursor, display: findDisplay(displays, cursor)?.id } });
+  } catch (error) {
+    logger.error('API', 'Error listing displays', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to capture screen; ?display=<id> captures one monitor
 app.get('/screen-capture', (req, res) => {
-  logger.info('API', 'Received request for screen capture');
+  logger.info('API', 'Received request for screen capture', { display: req.query.display });
+  
+  const display = getRequestDisplay(res, req.query.display);
+  if (display === false) {
+    return;
+  }
+  
   try {
     logger.debug('API', 'Capturing screen...');
-    const screenCapture = getCurrentScreenCapture();
+    const screenCapture = getCurrentScreenCapture(display);
     logger.info('API', 'Screen captured successfully', { 
       captureSize: screenCapture.length 
     });
@@ -147,26 +406,95 @@ app.get('/screen-capture', (req, res) => {
 
 // API endpoint to execute cursor actions
 app.post('/cursor-action', async (req, res) => {
-  const { action, params } = req.body;
+  const { action } = req.body;
+  const params = req.body.params || {};
   logger.info('API', `Received cursor action request: ${action}`, { params });
   
+  // Motion can be chosen per action, on top of the MOTION_* defaults
+  let motion;
+  try {
+    motion = resolveMotion(cursorController.motion, params.motion);
+  } catch (error) {
+    logger.warn('API', 'Invalid motion settings in cursor action', { errors: error.details });
+    return res.status(400).json({ error: error.message, details: error.details });
+  }
+  
+  // The rest of the params must match the instruction schema
+  const { motion: motionSettings, ...fields } = params;
+  try {
+    validateInstruction({ ...fields, type: action }, { displays: getValidationDisplays() });
+  } catch (error) {
+    const details = error.details.map(detail => ({
+      ...detail,
+      field: detail.field === 'type' ? 'action' : `params.${detail.field}`
+    }));
+    logger.warn('API', `Invalid cursor action '${action}'`, { errors: details });
+    return res.status(400).json({ error: error.message, details });
+  }
+  
+  // Click and scroll actions may carry a target position to move to first
+  const moveToTarget = async () => {
+    if (params.x !== undefined) {
+      await cursorController.moveTo(params.x, params.y, motion);
+    }
+  };
+  
   try {
+    if (params.delay) {
+      await cursorController.pause(params.delay);
+    }
+    
     switch (action) {
       case 'move':
-        logger.debug('API', `Executing move action to (${params.x}, ${params.y})`);
-        cursorController.moveTo(params.x, params.y);
+        logger.debug('API', `Executing move action to (${params.x}, ${params.y})`, { profile: motion.profile });
+        await cursorController.moveTo(params.x, params.y, motion);
         break;
       case 'click':
         logger.debug('API', `Executing click action with button: ${params.button || 'left'}`);
-        cursorController.click(params.button);
+        await moveToTarget();
+        await cursorController.withModifiers(params.modifiers, () => cursorController.click(params.button, motion));
         break;
       case 'double-click':
         logger.debug('API', `Executing double-click action with button: ${params.button || 'left'}`);
-        cursorController.doubleClick(params.button);
+        await moveToTarget();
+        await cursorController.withModifiers(params.modifiers, () => cursorController.doubleClick(params.button));
+        break;
+      case 'triple-click':
+        logger.debug('API', `Executing triple-click action with button: ${params.button || 'left'}`);
+        await moveToTarget();
+        await cursorController.withModifiers(params.modifiers, () => cursorController.tripleClick(params.button));
         break;
       case 'drag':
-        logger.debug('API', `Executing drag action to (${params.x}, ${params.y})`);
-        cursorController.dragTo(params.x, params.y);
+        logger.debug('API', `Executing drag action to (${params.x}, ${params.y})`, { profile: motion.profile });
+        if (params.startX !== undefined) {
+          await cursorController.moveTo(params.startX, params.startY, motion);
+        }
+        await cursorController.dragTo(params.x, params.y, motion);
+        break;
+      case 'mouse-down':
+        logger.debug('API', `Executing mouse-down action with button: ${params.button || 'left'}`);
+        cursorController.mouseDown(params.button);
+        break;
+      case 'mouse-up':
+        logger.debug('API', `Executing mouse-up action with button: ${params.button || 'left'}`);
+        cursorController.mouseUp(params.button);
+        break;
+      case 'scroll':
+        logger.debug('API', `Executing scroll action ${params.direction} by ${params.amount}`);
+        await moveToTarget();
+        await cursorController.withModifiers(params.modifiers, () => cursorController.scroll(params.direction, params.amount));
+        break;
+      case 'type':
+        logger.debug('API', `Executing type action with ${params.text?.length} characters`);
+        cursorController.typeText(params.text);
+        break;
+      case 'key':
+        logger.debug('API', `Executing key action: ${params.keys}`);
+        cursorController.pressKeys(params.keys);
+        break;
+      case 'hold-key':
+        logger.debug('API', `Executing hold-key action: ${params.keys} for ${params.duration}s`);
+        await cursorController.holdKeys(params.keys, params.duration);
         break;
       default:
         logger.warn('API', `Invalid action received: ${action}`);
@@ -188,13 +516,271 @@ app.post('/cursor-action', async (req, res) => {
       stack: error.stack,
       params 
     });
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  }
+});
+
+/**
+ * Build the agent configuration for a request from its `preset` and `config`
+ * fields, answering with 400 when they are invalid
+ * 
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {object|null} - Configuration, or null when the response was already sent
+ */
+function getRequestConfig(req, res) {
+  try {
+    return resolveAgentConfig(agentConfig, req.body);
+  } catch (error) {
+    logger.warn('API', 'Invalid agent configuration in request', { errors: error.details });
+    res.status(400).json({ error: error.message, details: error.details });
+    return null;
+  }
+}
+
+/**
+ * Run the agent loop for a goal and report what was done
+ * 
+ * @param {string} screenCapture - Base64 encoded screenshot
+ * @param {object} context - Context about what the user is working on
+ * @param {string} goal - The goal the user wants to achieve
+ * @param {object} [options] - Run options
+ * @param {object} [options.config] - Agent configuration for this run
+ * @param {Array} [options.messages] - Session conversation history to continue
+ * @param {UsageTracker} [options.sessionUsage] - Session usage the run also counts towards
+ * @param {Function} [options.onEvent] - Receives (event, data) for live progress; see the streaming endpoints
+ * @param {boolean} [options.dryRun] - Plan against the unchanged screenshot without executing anything
+ * @param {boolean} [options.approval] - Hold each action until a human decides about it; see /approvals
+ * @param {object} [options.record] - Save the executed actions as a macro; `{name, parameters}` from getRecordOption
+ * @param {object} [options.display] - Display to work on, from getRequestDisplay; the primary screen by default
+ * @returns {Promise<object>} - Summary of the run: success, stopReason, finalMessage, thinking, iterations,
+ *   actionsPerformed, finalPosition, usage and apiAttempts; `error` when the loop failed. Dry runs
+ *   add the planned `instructions` and an annotated `preview` PNG, recorded runs the saved `macro`
+ */
+async function runPairProgramming(screenCapture, context, goal, options = {}) {
+  const { config, messages, sessionUsage, onEvent, dryRun, approval, record, display } = options;
+  
+  logger.debug('API', 'Preparing to get cursor instructions from Claude');
+  logger.debug('API', 'Screen capture size (bytes)', { size: screenCapture.length });
+  
+  // Run the agent loop; each instruction is executed as soon as Claude issues it
+  logger.info('API', 'Starting Claude agent loop');
+  const startTime = Date.now();
+  
+  const usageTracker = new UsageTracker({ limits: requestBudget, prices, parent: sessionUsage });
+  
+  // Every model API attempt, including retries and fallbacks, is part of the result
+  const apiAttempts = [];
+  const recordEvent = (event, data) => {
+    if (event === 'api_attempt') {
+      apiAttempts.push(data);
+    }
+    if (onEvent) {
+      onEvent(event, data);
+    }
+  };
+  
+  // A dry run plays the actions on a scratch virtual screen and keeps showing Claude the original screenshot
+  const controller = dryRun ? createDryRunController() : cursorController;
+  const steps = [];
+  
+  // A recorded run keeps each action with its timing and the screenshot the agent loop took after it
+  const recorder = record && new MacroStore.MacroRecorder(record.name, {
+    goal,
+    parameters: record.parameters,
+    screenshot: screenCapture,
+    screenSize: controller.getScreenSize()
+  });
+  const captureAndRecord = recorder && (() => {
+    const screenshot = display ? captureScreen(display.x, display.y, display.width, display.height) : captureScreen();
+    recorder.attachScreenshot(screenshot);
+    return screenshot;
+  });
+  
+  // /stop aborts the run; so does the user grabbing the mouse while Claude controls it
+  const run = new AbortController();
+  activeRuns.add(run);
+  if (!dryRun) {
+    controller.syncPosition();
+  }
+  
+  // Report each executed action together with the cursor position before and after it
+  const executeAndReport = async (instruction) => {
+    const takeover = dryRun ? null : controller.detectTakeover();
+    if (takeover) {
+      logger.warn('API', 'User took over the mouse; pausing the run', takeover);
+      recordEvent('user_takeover', takeover);
+      run.abort('user_takeover');
+      throw new Error('The user took over the mouse');
+    }
+    
+    const before = controller.getCurrentPosition();
+    const startedAt = Date.now();
+    const output = dryRun && instruction.type === 'wait' ? undefined : await executeInstruction(instruction, controller);
+    const after = controller.getCurrentPosition();
+    
+    steps.push({ instruction, before, after });
+    if (recorder) {
+      recorder.record(instruction, { startedAt, before, after });
+    }
+    recordEvent('action', { instruction, before, after, dryRun: Boolean(dryRun) });
+    return output;
+  };
+  
+  // The human may use the mouse while deciding about an action; that is not a takeover
+  const approver = approval && !dryRun
+    ? approvalManager.createApprover(request => recordEvent('approval_required', request), describePendingAction)
+    : null;
+  const approveInstruction = approver && (async (instruction, details) => {
+    const decision = await approver(instruction, details);
+    controller.syncPosition();
+    return decision;
+  });
+  
+  let result;
+  try {
+    // Dry runs only offer the computer tool; shell commands, edits and custom tools have real side effects
+    result = await getCursorInstructions(screenCapture, context, goal, {
+      executeInstruction: executeAndReport,
+      captureScreen: dryRun ? () => screenCapture : captureAndRecord || undefined,
+      approveInstruction: approveInstruction || undefined,
+      signal: run.signal,
+      display,
+      outOfBounds: safetyPolicy.policy.outOfBounds,
+      bashSession: dryRun ? null : bashSession,
+      textEditor: dryRun ? null : textEditor,
+      toolRegistry: dryRun ? null : toolRegistry,
+      messages,
+      onEvent: recordEvent,
+      usageTracker,
+      config
+    });
+  } catch (error) {
+    error.apiAttempts = apiAttempts;
+    throw error;
+  } finally {
+    activeRuns.delete(run);
+  }
+  
+  const elapsedTime = Date.now() - startTime;
+  const actionsPerformed = dryRun ? 0 : result.instructions.length;
+  logger.info('API', `Agent loop executed ${actionsPerformed} instructions`, { 
+    elapsedTimeMs: elapsedTime,
+    stopReason: result.stopReason,
+    iterations: result.iterations
+  });
+  
+  const finalPosition = cursorController.getCurrentPosition();
+  const usage = usageTracker.summary();
+  logger.info('API', 'Pair programming completed', { 
+    actionsPerformed,
+    finalPosition,
+    stopReason: result.stopReason,
+    totalTokens: usage.totalTokens,
+    costUsd: usage.costUsd,
+    budgetExceeded: usage.budgetExceeded,
+    apiAttempts: apiAttempts.length
+  });
+  
+  const summary = {
+    success: result.stopReason !== 'error',
+    stopReason: result.stopReason,
+    error: result.error,
+    finalMessage: result.finalMessage,
+    thinking: result.thinking,
+    iterations: result.iterations,
+    actionsPerformed,
+    finalPosition,
+    usage,
+    apiAttempts
+  };
+  
+  if (display) {
+    summary.display = display.id;
+  }
+  
+  if (dryRun) {
+    summary.dryRun = true;
+    summary.instructions = result.instructions;
+    summary.preview = renderPlanPreview(screenCapture, steps, display);
+    logger.info('API', `Dry run planned ${result.instructions.length} instructions`);
+  }
+  
+  if (recorder) {
+    summary.macro = saveRecording(recorder);
+  }
+  
+  return summary;
+}
+
+/**
+ * Save a recorded run as a macro. A run without actions leaves nothing to replay
+ * and is not saved; a failed save is reported without failing the run.
+ * 
+ * @param {MacroRecorder} recorder - Recording of the run
+ * @returns {object} - The macro summary with `saved: true`, or `saved: false` and the reason
+ */
+function saveRecording(recorder) {
+  if (recorder.steps.length === 0) {
+    logger.warn('API', `Run performed no actions; macro ${recorder.name} was not saved`);
+    return { name: recorder.name, saved: false, error: 'The run performed no actions' };
+  }
+  
+  try {
+    return { saved: true, ...macroStore.save(recorder) };
+  } catch (error) {
+    logger.error('API', `Could not save macro ${recorder.name}`, { error: error.message });
+    return { name: recorder.name, saved: false, error: error.message };
+  }
+}
+
+/**
+ * Run an agent loop and stream its progress to the client as Server-Sent Events.
+ * Events: thinking, text, tool_call, tool_result, action, then summary or error.
+ * 
+ * @param {object} res - Express response
+ * @param {Function} run - Async function receiving the event callback and returning the summary
+ * @returns {Promise<void>}
+ */
+async function streamAgentRun(res, run) {
+  const stream = createSSEWriter(res);
+  
+  try {
+    const result = await run((event, data) => stream.send(event, data));
+    stream.send('summary', result);
+  } catch (error) {
+    logger.error('API', 'Error during streamed pair programming', {
+      error: error.message,
+      stack: error.stack
+    });
+    stream.send('error', { error: error.message, apiAttempts: error.apiAttempts });
+  } finally {
+    stream.end();
   }
+}
+
+// API endpoint to show the server's agent configuration and the presets requests can use
+app.get('/agent-config', (req, res) => {
+  res.json({
+    config: agentConfig,
+    presets: PRESETS,
+    limits: LIMITS
+  });
+});
+
+// API endpoint to show the safety policy every pointer action is checked against
+app.get('/safety-policy', (req, res) => {
+  res.json({ policy: safetyPolicy });
+});
+
+// API endpoint to list the custom tools loaded from plugins
+app.get('/tools', (req, res) => {
+  res.json({ tools: toolRegistry.list() });
 });
 
 // API endpoint to perform pair programming
 app.post('/pair-program', async (req, res) => {
-  const { screenCapture, context, goal } = req.body;
+  const { screenCapture, context, goal, dryRun, approval } = req.body;
   const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
   
   logger.info('API', 'Received pair programming request', { 
@@ -204,7 +790,8 @@ app.post('/pair-program', async (req, res) => {
       workType: context?.workType,
       environment: context?.environment
     },
-    screenCaptureSize: screenCapture?.length || 0
+    screenCaptureSize: screenCapture?.length || 0,
+    dryRun: Boolean(dryRun)
   });
   
   // 检查请求参数
@@ -218,66 +805,521 @@ app.post('/pair-program', async (req, res) => {
     return res.status(400).json({ error: 'Missing goal' });
   }
   
+  if (!checkRunFlags(req, res, ['dryRun', 'approval'])) {
+    return;
+  }
+  
+  const config = getRequestConfig(req, res);
+  if (!config) {
+    return;
+  }
+  
+  const record = getRecordOption(req, res);
+  if (record === false) {
+    return;
+  }
+  
+  const display = getRequestDisplay(res, req.body.display);
+  if (display === false) {
+    return;
+  }
+  
   try {
-    logger.debug('API', 'Preparing to get cursor instructions from Claude');
-    logger.debug('API', 'Screen capture size (bytes)', { size: screenCapture.length });
+    const result = await runPairProgramming(screenCapture, context, goal, { config, dryRun, approval, record, display });
     
-    // Get cursor instructions from Claude's Computer Use API
-    logger.info('API', 'Calling Claude API for cursor instructions');
-    const startTime = Date.now();
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    logger.error('API', 'Error during pair programming', { 
+      error: error.message, 
+      stack: error.stack,
+      goal 
+    });
+    res.status(500).json({ error: error.message, apiAttempts: error.apiAttempts });
+  }
+});
+
+// API endpoint to list the actions waiting for approval
+app.get('/approvals', (req, res) => {
+  res.json({ approvals: approvalManager.list() });
+});
+
+// API endpoint to approve, skip, edit or abort a pending action, or approve the rest of its run
+app.post('/approvals/:id', (req, res) => {
+  logger.info('API', `Received decision for action ${req.params.id}`, { decision: req.body?.decision });
+  
+  try {
+    const decision = approvalManager.decide(req.params.id, req.body);
+    res.json({ success: true, ...decision });
+  } catch (error) {
+    logger.warn('API', `Could not apply decision for action ${req.params.id}`, { error: error.message });
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  }
+});
+
+// API endpoint for the emergency stop: ends every run, cancels pending approvals and lets go of held buttons and keys
+app.post('/stop', (req, res) => {
+  logger.warn('API', 'Emergency stop requested', { activeRuns: activeRuns.size });
+  
+  // Abort the runs first, so actions cancelled below are reported to Claude as stopped
+  const stoppedRuns = activeRuns.size;
+  activeRuns.forEach(run => run.abort('stopped'));
+  const cancelledApprovals = approvalManager.cancelAll('The user pressed the emergency stop');
+  
+  try {
+    const released = cursorController.stop();
+    res.json({ success: true, stoppedRuns, cancelledApprovals, released });
+  } catch (error) {
+    logger.error('API', 'Error releasing held buttons and keys', { error: error.message });
+    res.status(500).json({ error: error.message, stoppedRuns, cancelledApprovals });
+  }
+});
+
+// API endpoint to execute instructions planned by a dry run
+app.post('/execute-plan', async (req, res) => {
+  const { instructions } = req.body;
+  logger.info('API', 'Received request to execute a plan', { instructionsCount: instructions?.length });
+  
+  // Every instruction is checked before the first one runs
+  try {
+    validateInstructions(instructions, { displays: getValidationDisplays() });
+  } catch (error) {
+    logger.warn('API', 'Invalid plan', { errors: error.details });
+    return res.status(400).json({ error: error.message, details: error.details });
+  }
+  
+  // Like agent runs, a plan ends on the emergency stop
+  const run = new AbortController();
+  activeRuns.add(run);
+  
+  let actionsPerformed = 0;
+  try {
+    for (const instruction of instructions) {
+      if (run.signal.aborted) {
+        break;
+      }
+      await executeInstruction(instruction);
+      actionsPerformed++;
+    }
     
-    const instructions = await getCursorInstructions(screenCapture, context, goal);
+    const finalPosition = cursorController.getCurrentPosition();
+    const stopped = actionsPerformed < instructions.length;
+    logger.info('API', `Executed ${actionsPerformed} of ${instructions.length} planned instructions`, { finalPosition, stopped });
+    res.json({ success: true, actionsPerformed, finalPosition, stopped });
+  } catch (error) {
+    if (run.signal.aborted) {
+      logger.info('API', `Plan stopped at instruction ${actionsPerformed + 1}`);
+      return res.json({ success: true, actionsPerformed, finalPosition: cursorController.getCurrentPosition(), stopped: true });
+    }
     
-    const elapsedTime = Date.now() - startTime;
-    logger.info('API', `Received ${instructions.length} instructions from Claude API`, { 
-      elapsedTimeMs: elapsedTime 
+    logger.error('API', `Error executing plan at instruction ${actionsPerformed + 1}`, {
+      error: error.message,
+      instruction: instructions[actionsPerformed]
+    });
+    res.status(error.status || 500).json({ error: error.message, details: error.details, actionsPerformed });
+  } finally {
+    activeRuns.delete(run);
+  }
+});
+
+// API endpoint to run an ordered list of actions and screen waits in one request
+app.post('/batch', async (req, res) => {
+  logger.info('API', 'Received batch request', { stepsCount: req.body?.steps?.length, onError: req.body?.onError });
+  
+  let batch;
+  try {
+    batch = validateBatch(req.body, {
+      displays: cursorController.getDisplays(),
+      checkCoordinates: safetyPolicy.policy.outOfBounds === 'reject'
+    });
+  } catch (error) {
+    logger.warn('API', 'Invalid batch', { errors: error.details });
+    return res.status(400).json({ error: error.message, details: error.details });
+  }
+  
+  // Like agent runs, a batch ends on the emergency stop and when the user grabs the mouse
+  const run = new AbortController();
+  activeRuns.add(run);
+  cursorController.syncPosition();
+  
+  try {
+    const report = await runBatch(batch.steps, {
+      executeInstruction,
+      captureRegion: region => captureScreen(region.x, region.y, region.width, region.height),
+      getPosition: () => cursorController.getCurrentPosition(),
+      detectTakeover: () => cursorController.detectTakeover(),
+      onError: batch.onError,
+      signal: run.signal
     });
     
-    // Execute the instructions
-    const actionsPerformed = 0;
-    logger.debug('API', 'Preparing to execute cursor instructions');
-    
-    for (const instruction of instructions) {
-      logger.debug('API', `Executing instruction: ${instruction.type}`, instruction);
+    logger.info('API', `Ran ${report.stepsRun} of ${report.totalSteps} batch steps`, {
+      stopReason: report.stopReason,
+      stepsFailed: report.stepsFailed,
+      finalPosition: report.finalPosition
+    });
+    res.json(report);
+  } catch (error) {
+    logger.error('API', 'Error running batch', { error: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    activeRuns.delete(run);
+  }
+});
+
+// API endpoint to list the recorded macros
+app.get('/macros', (req, res) => {
+  res.json({ macros: macroStore.list() });
+});
+
+// API endpoint to inspect a macro: its steps with timings, cursor positions and screenshot file names
+app.get('/macros/:name', (req, res) => {
+  try {
+    res.json(macroStore.get(req.params.name));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API endpoint to get the screenshot taken after a macro step; step 0 is the screen before the first one
+app.get('/macros/:name/steps/:step/screenshot', (req, res) => {
+  try {
+    const image = macroStore.readScreenshot(req.params.name, parseInt(req.params.step, 10));
+    res.type('png').send(image);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API endpoint to delete a macro and its screenshots
+app.delete('/macros/:name', (req, res) => {
+  logger.info('API', `Received delete macro request: ${req.params.name}`);
+  
+  try {
+    if (!macroStore.delete(req.params.name)) {
+      return res.status(404).json({ error: `No macro named ${req.params.name}` });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API endpoint to replay a macro without calling the API, optionally faster and with other typed text
+app.post('/macros/:name/replay', async (req, res) => {
+  const { speed, params } = req.body || {};
+  logger.info('API', `Received replay request for macro ${req.params.name}`, { speed, params });
+  
+  let steps;
+  let macro;
+  try {
+    macro = macroStore.get(req.params.name);
+    steps = MacroStore.planReplay(macro, { speed, params, displays: getValidationDisplays() });
+  } catch (error) {
+    logger.warn('API', `Cannot replay macro ${req.params.name}`, { error: error.message });
+    return res.status(error.status || 500).json({ error: error.message, details: error.details });
+  }
+  
+  // The macro's coordinates only fit the screen size it was recorded on
+  const warnings = [];
+  const screenSize = cursorController.getScreenSize();
+  if (macro.screenSize && (macro.screenSize.width !== screenSize.width || macro.screenSize.height !== screenSize.height)) {
+    warnings.push(`Macro was recorded on a ${macro.screenSize.width}x${macro.screenSize.height} screen; ` +
+      `this one is ${screenSize.width}x${screenSize.height}`);
+    logger.warn('API', warnings[0]);
+  }
+  
+  // Replays end on the emergency stop and when the user grabs the mouse, like agent runs
+  const run = new AbortController();
+  activeRuns.add(run);
+  cursorController.syncPosition();
+  
+  const startTime = Date.now();
+  let actionsPerformed = 0;
+  const report = (stopReason) => ({
+    success: true,
+    stopReason,
+    actionsPerformed,
+    totalActions: steps.length,
+    durationMs: Date.now() - startTime,
+    finalPosition: cursorController.getCurrentPosition(),
+    warnings
+  });
+  
+  try {
+    for (const { instruction, delayMs } of steps) {
+      await sleep(delayMs, run.signal);
       
-      switch (instruction.type) {
-        case 'move':
-          cursorController.moveTo(instruction.x, instruction.y);
-          break;
-        case 'click':
-          cursorController.click(instruction.button);
-          break;
-        case 'double-click':
-          cursorController.doubleClick(instruction.button);
-          break;
-        case 'drag':
-          cursorController.dragTo(instruction.x, instruction.y);
-          break;
+      const takeover = cursorController.detectTakeover();
+      if (takeover) {
+        logger.warn('API', 'User took over the mouse; stopping the replay', takeover);
+        run.abort('user_takeover');
+      }
+      if (run.signal.aborted) {
+        break;
       }
       
-      // Add small delay between actions
-      await new Promise(resolve => setTimeout(resolve, 300));
+      await executeInstruction(instruction);
+      actionsPerformed++;
     }
     
-    const finalPosition = cursorController.getCurrentPosition();
-    logger.info('API', 'Pair programming completed successfully', { 
-      actionsPerformed,
-      finalPosition
+    const result = report(run.signal.aborted ? run.signal.reason : 'completed');
+    logger.info('API', `Replayed ${actionsPerformed} of ${steps.length} actions of macro ${macro.name}`, {
+      stopReason: result.stopReason,
+      finalPosition: result.finalPosition
     });
+    res.json(result);
+  } catch (error) {
+    if (run.signal.aborted) {
+      logger.info('API', `Replay of macro ${macro.name} stopped at action ${actionsPerformed + 1}`);
+      return res.json(report(run.signal.reason));
+    }
     
-    res.json({
-      success: true,
-      actionsPerformed,
-      finalPosition
+    logger.error('API', `Error replaying macro ${macro.name} at action ${actionsPerformed + 1}`, {
+      error: error.message,
+      instruction: steps[actionsPerformed].instruction
+    });
+    res.status(error.status || 500).json({ error: error.message, details: error.details, actionsPerformed });
+  } finally {
+    activeRuns.delete(run);
+  }
+});
+
+// API endpoint to perform pair programming with live progress over Server-Sent Events
+app.post('/pair-program/stream', async (req, res) => {
+  const { screenCapture, context, goal } = req.body;
+  
+  logger.info('API', 'Received streaming pair programming request', {
+    goal,
+    screenCaptureSize: screenCapture?.length || 0
+  });
+  
+  if (!screenCapture) {
+    logger.warn('API', 'Missing screenCapture in request');
+    return res.status(400).json({ error: 'Missing screenCapture' });
+  }
+  
+  if (!goal) {
+    logger.warn('API', 'Missing goal in request');
+    return res.status(400).json({ error: 'Missing goal' });
+  }
+  
+  if (!checkRunFlags(req, res, ['approval'])) {
+    return;
+  }
+  
+  const config = getRequestConfig(req, res);
+  if (!config) {
+    return;
+  }
+  
+  const record = getRecordOption(req, res);
+  if (record === false) {
+    return;
+  }
+  
+  const display = getRequestDisplay(res, req.body.display);
+  if (display === false) {
+    return;
+  }
+  
+  await streamAgentRun(res, (onEvent) => {
+    return runPairProgramming(screenCapture, context, goal, { config, onEvent, approval: req.body.approval, record, display });
+  });
+});
+
+// API endpoint to create a pair programming session
+app.post('/sessions', (req, res) => {
+  const { context, display } = req.body || {};
+  logger.info('API', 'Received create session request', { context, display });
+  
+  // Sessions keep the parsed id, so later goals find the display again
+  const target = getRequestDisplay(res, display);
+  if (target === false) {
+    return;
+  }
+  
+  const session = sessionManager.create(context, target?.id);
+  res.status(201).json(sessionManager.summarize(session));
+});
+
+// API endpoint to list pair programming sessions
+app.get('/sessions', (req, res) => {
+  logger.info('API', 'Received list sessions request');
+  res.json({ sessions: sessionManager.list() });
+});
+
+// API endpoint to inspect a pair programming session
+app.get('/sessions/:id', (req, res) => {
+  const session = sessionManager.get(req.params.id);
+  if (!session) {
+    logger.warn('API', `Session not found: ${req.params.id}`);
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  res.json(sessionManager.summarize(session));
+});
+
+// API endpoint to delete a pair programming session
+app.delete('/sessions/:id', (req, res) => {
+  logger.info('API', `Received delete session request: ${req.params.id}`);
+  
+  if (!sessionManager.delete(req.params.id)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  res.json({ success: true });
+});
+
+// API endpoint to post a follow-up goal into a session
+app.post('/sessions/:id/goals', async (req, res) => {
+  const { goal, context } = req.body;
+  const session = sessionManager.get(req.params.id);
+  
+  logger.info('API', 'Received session goal request', {
+    sessionId: req.params.id,
+    goal,
+    screenCaptureSize: req.body.screenCapture?.length || 0
+  });
+  
+  if (!session) {
+    logger.warn('API', `Session not found: ${req.params.id}`);
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  if (!goal) {
+    logger.warn('API', 'Missing goal in request', { sessionId: session.id });
+    return res.status(400).json({ error: 'Missing goal' });
+  }
+  
+  if (session.busy) {
+    logger.warn('API', 'Session is already working on a goal', { sessionId: session.id });
+    return res.status(409).json({ error: 'Session is already working on a goal' });
+  }
+  
+  if (!checkRunFlags(req, res, ['approval'])) {
+    return;
+  }
+  
+  const config = getRequestConfig(req, res);
+  if (!config) {
+    return;
+  }
+  
+  const record = getRecordOption(req, res);
+  if (record === false) {
+    return;
+  }
+  
+  // The display may have been disconnected since the session was created
+  const display = getRequestDisplay(res, session.display);
+  if (display === false) {
+    return;
+  }
+  
+  try {
+    // Capture the screen here when the caller did not send a screenshot
+    const screenCapture = req.body.screenCapture || getCurrentScreenCapture(display);
+    
+    // Goal-specific context is layered over the context the session was created with
+    const goalContext = { ...session.context, ...context };
+    
+    const result = await sessionManager.runGoal(session, goal, (messages) => {
+      return runPairProgramming(screenCapture, goalContext, goal, {
+        config,
+        messages,
+        sessionUsage: session.usage,
+        approval: req.body.approval,
+        record,
+        display
+      });
+    });
+    
+    res.status(result.success ? 200 : 500).json({
+      sessionId: session.id,
+      goalNumber: session.goals.length,
+      ...result,
+      paused: session.paused,
+      sessionUsage: session.usage.summary(false)
     });
   } catch (error) {
-    logger.error('API', 'Error during pair programming', { 
-      error: error.message, 
+    logger.error('API', 'Error during session goal', {
+      error: error.message,
       stack: error.stack,
-      goal 
+      sessionId: session.id,
+      goal
     });
-    res.status(500).json({ error: error.message });
+    res.status(500).json({ error: error.message, apiAttempts: error.apiAttempts });
+  }
+});
+
+// API endpoint to work towards a goal in a session with live progress over Server-Sent Events
+app.post('/sessions/:id/goals/stream', async (req, res) => {
+  const { goal, context } = req.body;
+  const session = sessionManager.get(req.params.id);
+  
+  logger.info('API', 'Received streaming session goal request', {
+    sessionId: req.params.id,
+    goal,
+    screenCaptureSize: req.body.screenCapture?.length || 0
+  });
+  
+  if (!session) {
+    logger.warn('API', `Session not found: ${req.params.id}`);
+    return res.status(404).json({ error: 'Session not found' });
   }
+  
+  if (!goal) {
+    logger.warn('API', 'Missing goal in request', { sessionId: session.id });
+    return res.status(400).json({ error: 'Missing goal' });
+  }
+  
+  if (session.busy) {
+    logger.warn('API', 'Session is already working on a goal', { sessionId: session.id });
+    return res.status(409).json({ error: 'Session is already working on a goal' });
+  }
+  
+  if (!checkRunFlags(req, res, ['approval'])) {
+    return;
+  }
+  
+  const config = getRequestConfig(req, res);
+  if (!config) {
+    return;
+  }
+  
+  const record = getRecordOption(req, res);
+  if (record === false) {
+    return;
+  }
+  
+  const display = getRequestDisplay(res, session.display);
+  if (display === false) {
+    return;
+  }
+  
+  await streamAgentRun(res, async (onEvent) => {
+    const screenCapture = req.body.screenCapture || getCurrentScreenCapture(display);
+    const goalContext = { ...session.context, ...context };
+    
+    const result = await sessionManager.runGoal(session, goal, (messages) => {
+      return runPairProgramming(screenCapture, goalContext, goal, {
+        config,
+        messages,
+        sessionUsage: session.usage,
+        onEvent,
+        approval: req.body.approval,
+        record,
+        display
+      });
+    });
+    
+    return {
+      sessionId: session.id,
+      goalNumber: session.goals.length,
+      ...result,
+      paused: session.paused,
+      sessionUsage: session.usage.summary(false)
+    };
+  });
 });
 
 // Start the server
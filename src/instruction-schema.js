@@ -0,0 +1,249 @@
+const { findDisplay, getDesktopBounds } = require('./displays');
+const { parseKeySequence } = require('./utils/key-mapping');
+
+const BUTTONS = ['left', 'right', 'middle'];
+const SCROLL_DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+/**
+ * Parse key combos the way the controller will press them
+ *
+ * @param {string} keys - xdotool-style combos, e.g. "ctrl+s" or "ctrl+k ctrl+c"
+ * @returns {string|null} - Why the keys cannot be pressed, or null when they can
+ */
+function findKeyError(keys) {
+  try {
+    parseKeySequence(keys);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Bounds for waits and key holds, in seconds, and for delays before an instruction, in ms,
+// so one instruction cannot tie up the mouse and keyboard for hours
+const TIMING_LIMITS = {
+  duration: { min: 0, max: 60 },
+  delay: { min: 0, max: 60000 }
+};
+
+const isInRange = (value, { min, max }) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+const isKeyString = value => typeof value === 'string' && value.trim() !== '';
+
+// What a field may hold, and what the caller is told when it holds something else
+const FIELD_RULES = {
+  button: {
+    check: value => BUTTONS.includes(value),
+    message: type => `${type} instruction has invalid 'button' property; expected left, right or middle`
+  },
+  modifiers: {
+    check: value => isKeyString(value) && !findKeyError(value),
+    message: (type, value) => (isKeyString(value)
+      ? `${type} instruction has invalid 'modifiers' property: ${findKeyError(value)}`
+      : `${type} instruction has invalid 'modifiers' property; expected keys such as 'shift' or 'ctrl+alt'`)
+  },
+  text: {
+    check: value => typeof value === 'string',
+    message: type => `${type} instruction must have a 'text' string`
+  },
+  keys: {
+    check: value => isKeyString(value) && !findKeyError(value),
+    message: (type, value) => (isKeyString(value)
+      ? `${type} instruction has invalid 'keys' property: ${findKeyError(value)}`
+      : `${type} instruction must have a 'keys' string`)
+  },
+  duration: {
+    check: value => isInRange(value, TIMING_LIMITS.duration),
+    message: type => `${type} instruction must have a non-negative 'duration' in seconds, at most ${TIMING_LIMITS.duration.max}`
+  },
+  direction: {
+    check: value => SCROLL_DIRECTIONS.includes(value),
+    message: type => `${type} instruction must have a 'direction' of up, down, left or right`
+  },
+  amount: {
+    check: value => Number.isInteger(value) && value >= 1,
+    message: type => `${type} instruction must have a positive integer 'amount'`
+  },
+  delay: {
+    check: value => isInRange(value, TIMING_LIMITS.delay),
+    message: () => `Delay must be a number of milliseconds from ${TIMING_LIMITS.delay.min} to ${TIMING_LIMITS.delay.max}`
+  }
+};
+
+// Every instruction the controller executes. `fields` and `required` name FIELD_RULES;
+// `points` are coordinate pairs, with `required` pairs that must be set and
+// optional ones that must be set together or not at all.
+const INSTRUCTION_SCHEMA = {
+  screenshot: {},
+  'cursor-position': {},
+  move: { points: [{ x: 'x', y: 'y', required: true }] },
+  click: { fields: ['button', 'modifiers'], points: [{ x: 'x', y: 'y' }] },
+  'double-click': { fields: ['button', 'modifiers'], points: [{ x: 'x', y: 'y' }] },
+  'triple-click': { fields: ['button', 'modifiers'], points: [{ x: 'x', y: 'y' }] },
+  drag: { points: [{ x: 'x', y: 'y', required: true }, { x: 'startX', y: 'startY' }] },
+  'mouse-down': { fields: ['button'] },
+  'mouse-up': { fields: ['button'] },
+  scroll: { fields: ['modifiers'], required: ['direction', 'amount'], points: [{ x: 'x', y: 'y' }] },
+  wait: { required: ['duration'] },
+  type: { required: ['text'] },
+  key: { required: ['keys'] },
+  'hold-key': { required: ['keys', 'duration'] }
+};
+
+// Optional fields any instruction may carry
+const COMMON_FIELDS = ['delay'];
+
+/**
+ * Check that a point lies on one of the displays, blaming the coordinate that is off
+ *
+ * @param {string} type - Instruction type
+ * @param {object} names - Names of the point's x and y fields
+ * @param {{x: number, y: number}} point - Position to check
+ * @param {Array<object>} displays - Display rectangles the point must be on
+ * @returns {Array<{field: string, message: string}>} - Problems found
+ */
+function findBoundsErrors(type, names, point, displays) {
+  if (findDisplay(displays, point)) {
+    return [];
+  }
+
+  const desktop = getDesktopBounds(displays);
+  const errors = [];
+  const checkAxis = (field, value, start, size) => {
+    if (value < start || value >= start + size) {
+      errors.push({ field, message: `${type} instruction '${field}' of ${value} is off screen; it must be from ${start} to ${start + size - 1}` });
+    }
+  };
+  checkAxis(names.x, point.x, desktop.x, desktop.width);
+  checkAxis(names.y, point.y, desktop.y, desktop.height);
+
+  // Inside the desktop's bounding box but in a gap between monitors
+  if (errors.length === 0) {
+    errors.push({ field: names.x, message: `${type} instruction position (${point.x}, ${point.y}) is not on any display` });
+  }
+  return errors;
+}
+
+/**
+ * Check one instruction against the schema and collect every problem
+ *
+ * @param {object} instruction - Instruction to check
+ * @param {object} [options] - Validation options
+ * @param {Array<object>} [options.displays] - When set, coordinates must be on one of these display rectangles
+ * @returns {Array<{field: string, message: string}>} - Problems found, empty when the instruction is valid
+ */
+function findInstructionErrors(instruction, { displays } = {}) {
+  if (!instruction || typeof instruction !== 'object' || Array.isArray(instruction)) {
+    return [{ field: 'type', message: 'Each instruction must be an object' }];
+  }
+  if (!instruction.type) {
+    return [{ field: 'type', message: 'Each instruction must have a \'type\' property' }];
+  }
+
+  const { type } = instruction;
+  const schema = INSTRUCTION_SCHEMA[type];
+  if (!schema) {
+    return [{ field: 'type', message: `Unknown instruction type: ${type}; expected one of ${Object.keys(INSTRUCTION_SCHEMA).join(', ')}` }];
+  }
+
+  const errors = [];
+  const required = schema.required || [];
+  const optional = [...(schema.fields || []), ...COMMON_FIELDS];
+  const points = schema.points || [];
+
+  const known = [...required, ...optional, ...points.flatMap(point => [point.x, point.y])];
+  for (const field of Object.keys(instruction)) {
+    if (field !== 'type' && !known.includes(field)) {
+      errors.push({ field, message: `${type} instruction has unknown property '${field}'; expected ${known.join(', ')}` });
+    }
+  }
+
+  for (const field of required) {
+    if (!FIELD_RULES[field].check(instruction[field])) {
+      errors.push({ field, message: FIELD_RULES[field].message(type, instruction[field]) });
+    }
+  }
+  for (const field of optional) {
+    if (instruction[field] !== undefined && !FIELD_RULES[field].check(instruction[field])) {
+      errors.push({ field, message: FIELD_RULES[field].message(type, instruction[field]) });
+    }
+  }
+
+  for (const names of points) {
+    const x = instruction[names.x];
+    const y = instruction[names.y];
+    const isCoordinate = value => typeof value === 'number' && Number.isFinite(value);
+
+    if (!names.required && x === undefined && y === undefined) {
+      continue;
+    }
+    if (!isCoordinate(x) || !isCoordinate(y)) {
+      const message = names.required
+        ? `${type} instruction must have '${names.x}' and '${names.y}' coordinates`
+        : `${type} instruction must have both '${names.x}' and '${names.y}' coordinates or neither`;
+      errors.push({ field: isCoordinate(x) ? names.y : names.x, message });
+    } else if (displays) {
+      errors.push(...findBoundsErrors(type, names, { x, y }, displays));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build the 400 error for invalid instructions
+ *
+ * @param {string[]} messages - What is wrong
+ * @param {Array<object>} details - Problems with their fields
+ * @returns {Error} - Error with `status` and `details`
+ */
+function invalidInstructionError(messages, details) {
+  const error = new Error(messages.join('; '));
+  error.status = 400;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Validate one instruction before it executes
+ *
+ * @param {object} instruction - Instruction to check
+ * @param {object} [options] - Validation options, see findInstructionErrors
+ * @throws {Error} With `status` 400 and per-field `details` when the instruction is invalid
+ */
+function validateInstruction(instruction, options) {
+  const errors = findInstructionErrors(instruction, options);
+  if (errors.length > 0) {
+    throw invalidInstructionError(errors.map(error => error.message), errors);
+  }
+}
+
+/**
+ * Validate a list of instructions before any of them executes
+ *
+ * @param {Array} instructions - Instructions to check
+ * @param {object} [options] - Validation options, see findInstructionErrors
+ * @returns {boolean} - True when every instruction is valid
+ * @throws {Error} With `status` 400 and `details` naming the index and field of each problem
+ */
+function validateInstructions(instructions, options) {
+  if (!Array.isArray(instructions)) {
+    throw invalidInstructionError(['Instructions must be an array'], [{ field: 'instructions', message: 'Instructions must be an array' }]);
+  }
+
+  const errors = instructions.flatMap((instruction, index) =>
+    findInstructionErrors(instruction, options).map(error => ({ index, ...error })));
+  if (errors.length > 0) {
+    throw invalidInstructionError(errors.map(error => `Instruction ${error.index + 1}: ${error.message}`), errors);
+  }
+  return true;
+}
+
+module.exports = {
+  INSTRUCTION_SCHEMA,
+  FIELD_RULES,
+  TIMING_LIMITS,
+  findInstructionErrors,
+  validateInstruction,
+  validateInstructions
+};
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./utils/logger');
+const { findInstructionErrors } = require('./instruction-schema');
+
+// Macro names become file names, so they are kept to a safe alphabet
+const MACRO_NAME_PATTERN = /^[\w-]{1,64}$/;
+
+// Placeholders in typed text that are filled in on replay, e.g. {{testName}}
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+// Bounds for the replay speed; 2 replays twice as fast as recorded
+const SPEED_LIMITS = { min: 0.1, max: 100 };
+
+// Recorded pauses between steps include the time Claude took to decide; replays don't need to wait that long
+const MAX_STEP_GAP_MS = 2000;
+
+// Steps that only look at the screen; a replay has nothing to look for
+const OBSERVING_TYPES = ['screenshot', 'cursor-position'];
+
+// Steps whose 'duration' is a recorded pause or hold, scaled by the replay speed
+const TIMED_TYPES = ['wait', 'hold-key'];
+
+/**
+ * Build an error for a bad macro request
+ *
+ * @param {number} status - HTTP status for the error
+ * @param {string} message - Error message
+ * @returns {Error} - Error with `status`
+ */
+function macroError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Make sure a macro name is safe to use as a file name
+ *
+ * @param {string} name - Macro name
+ * @throws {Error} With `status` 400 when the name is invalid
+ */
+function assertValidName(name) {
+  if (typeof name !== 'string' || !MACRO_NAME_PATTERN.test(name)) {
+    throw macroError(400, 'Macro names must be 1 to 64 letters, digits, \'_\' or \'-\'');
+  }
+}
+
+/**
+ * Collects the actions of one run, with their timings and the screenshots
+ * taken after them, so they can be saved as a macro
+ */
+class MacroRecorder {
+  /**
+   * @param {string} name - Macro name
+   * @param {object} [options] - Recording options
+   * @param {string} [options.goal] - Goal the run worked on
+   * @param {object} [options.parameters] - Parameter names and the text they stand for in typed text
+   * @param {string} [options.screenshot] - Base64 PNG of the screen before the first step
+   * @param {object} [options.screenSize] - Screen size the macro was recorded on
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.goal = options.goal;
+    this.parameters = options.parameters || {};
+    this.screenSize = options.screenSize;
+    this.initialScreenshot = options.screenshot;
+    this.startTime = Date.now();
+    this.steps = [];
+  }
+
+  /**
+   * Record an executed action. Typed text containing a parameter's value is
+   * stored with a placeholder instead.
+   *
+   * @param {object} instruction - Executed instruction, in physical screen coordinates
+   * @param {object} details - What happened
+   * @param {number} details.startedAt - When the action started, in ms since the epoch
+   * @param {object} details.before - Cursor position before the action
+   * @param {object} details.after - Cursor position after it
+   */
+  record(instruction, { startedAt, before, after }) {
+    let recorded = instruction;
+    if (instruction.type === 'type') {
+      let text = instruction.text;
+      for (const [name, value] of Object.entries(this.parameters)) {
+        text = text.split(value).join(`{{${name}}}`);
+      }
+      recorded = { ...instruction, text };
+    }
+
+    this.steps.push({
+      instruction: recorded,
+      offsetMs: startedAt - this.startTime,
+      durationMs: Date.now() - startedAt,
+      before,
+      after
+    });
+  }
+
+  /**
+   * Keep the screenshot taken after the latest step
+   *
+   * @param {string} screenshot - Base64 encoded PNG
+   */
+  attachScreenshot(screenshot) {
+    const step = this.steps[this.steps.length - 1];
+    if (step) {
+      step.screenshot = screenshot;
+    }
+  }
+}
+
+/**
+ * Stores macros as <name>.json in a directory, with the screenshots of each
+ * macro in a <name>/ directory next to it
+ */
+class MacroStore {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || process.env.MACROS_DIR || 'macros');
+  }
+
+  /**
+   * @param {string} name - Macro name
+   * @returns {string} - Path of the macro file
+   */
+  macroPath(name) {
+    assertValidName(name);
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  /**
+   * @param {string} name - Macro name
+   * @returns {boolean} - Whether a macro with this name exists
+   */
+  has(name) {
+    return fs.existsSync(this.macroPath(name));
+  }
+
+  /**
+   * Write a recording to disk
+   *
+   * @param {MacroRecorder} recorder - Finished recording
+   * @returns {object} - Summary of the saved macro
+   */
+  save(recorder) {
+    const screenshotDir = path.join(this.dir, recorder.name);
+    fs.mkdirSync(screenshotDir, { recursive: true });
+
+    const writeScreenshot = (file, screenshot) => {
+      if (!screenshot) {
+        return undefined;
+      }
+      fs.writeFileSync(path.join(screenshotDir, file), Buffer.from(screenshot, 'base64'));
+      return file;
+    };
+
+    const macro = {
+      name: recorder.name,
+      goal: recorder.goal,
+      createdAt: new Date(recorder.startTime).toISOString(),
+      screenSize: recorder.screenSize,
+      parameters: recorder.parameters,
+      initialScreenshot: writeScreenshot('step-0.png', recorder.initialScreenshot),
+      steps: recorder.steps.map(({ screenshot, ...step }, index) => ({
+        ...step,
+        screenshot: writeScreenshot(`step-${index + 1}.png`, screenshot)
+      }))
+    };
+
+    fs.writeFileSync(this.macroPath(recorder.name), JSON.stringify(macro, null, 2));
+    logger.info('MacroStore', `Saved macro ${recorder.name} with ${macro.steps.length} steps`, { dir: this.dir });
+    return this.summarize(macro);
+  }
+
+  /**
+   * Read a macro
+   *
+   * @param {string} name - Macro name
+   * @returns {object} - The macro, with screenshot file names
+   * @throws {Error} With `status` 404 when there is no such macro
+   */
+  get(name) {
+    const file = this.macroPath(name);
+    if (!fs.existsSync(file)) {
+      throw macroError(404, `No macro named ${name}`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Read the screenshot of a step
+   *
+   * @param {string} name - Macro name
+   * @param {number} step - Step number; 0 is the screen before the first step
+   * @returns {Buffer} - PNG image
+   * @throws {Error} With `status` 404 when the step or its screenshot does not exist
+   */
+  readScreenshot(name, step) {
+    const macro = this.get(name);
+    const file = step === 0 ? macro.initialScreenshot : macro.steps[step - 1]?.screenshot;
+    if (!file) {
+      throw macroError(404, `Macro ${name} has no screenshot for step ${step}`);
+    }
+    return fs.readFileSync(path.join(this.dir, name, file));
+  }
+
+  /**
+   * Summarize every stored macro, newest first
+   *
+   * @returns {Array<object>} - Macro summaries without steps
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json') && MACRO_NAME_PATTERN.test(path.basename(file, '.json')))
+      .map(file => this.summarize(this.get(path.basename(file, '.json'))))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Delete a macro and its screenshots
+   *
+   * @param {string} name - Macro name
+   * @returns {boolean} - Whether a macro was deleted
+   */
+  delete(name) {
+    if (!this.has(name)) {
+      return false;
+    }
+    fs.rmSync(this.macroPath(name));
+    fs.rmSync(path.join(this.dir, name), { recursive: true, force: true });
+    logger.info('MacroStore', `Deleted macro ${name}`);
+    return true;
+  }
+
+  /**
+   * @param {object} macro - Macro
+   * @returns {object} - Name, goal, step count, parameters, recording length and creation time
+   */
+  summarize(macro) {
+    const last = macro.steps[macro.steps.length - 1];
+    return {
+      name: macro.name,
+      goal: macro.goal,
+      stepCount: macro.steps.length,
+      parameters: macro.parameters,
+      durationMs: last ? last.offsetMs + last.durationMs : 0,
+      createdAt: macro.createdAt
+    };
+  }
+}
+
+/**
+ * Work out what a replay executes: the recorded actions with parameters filled
+ * into typed text, and the pauses, waits and key holds scaled by the speed.
+ * Screenshots and cursor position queries are left out. Macro files can be
+ * edited by hand, so every step is checked against the instruction schema
+ * before any of them executes.
+ *
+ * @param {object} macro - Stored macro
+ * @param {object} [options] - Replay options
+ * @param {number} [options.speed] - Speed factor, 1 replays at the recorded pace
+ * @param {object} [options.params] - Values for the macro's parameters; the recorded ones by default
+ * @param {Array<object>} [options.displays] - When set, coordinates must be on one of these display rectangles
+ * @returns {Array<{instruction: object, delayMs: number}>} - Steps to execute in order
+ * @throws {Error} With `status` 400 and `details` when the options or a step are invalid
+ */
+function planReplay(macro, { speed = 1, params = {}, displays } = {}) {
+  const errors = [];
+  if (typeof speed !== 'number' || !Number.isFinite(speed) || speed < SPEED_LIMITS.min || speed > SPEED_LIMITS.max) {
+    errors.push(`'speed' must be a number between ${SPEED_LIMITS.min} and ${SPEED_LIMITS.max}`);
+  }
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    errors.push('\'params\' must be an object');
+  } else {
+    for (const [name, value] of Object.entries(params)) {
+      if (!Object.prototype.hasOwnProperty.call(macro.parameters, name)) {
+        errors.push(`Unknown parameter '${name}'; macro ${macro.name} has ${Object.keys(macro.parameters).join(', ') || 'none'}`);
+      } else if (typeof value !== 'string') {
+        errors.push(`Parameter '${name}' must be a string`);
+      }
+    }
+  }
+  if (errors.length > 0) {
+    const error = macroError(400, `Invalid replay options: ${errors.join('; ')}`);
+    error.details = errors;
+    throw error;
+  }
+
+  const values = { ...macro.parameters, ...params };
+  const steps = [];
+  const stepErrors = [];
+  let previousEnd = null;
+
+  macro.steps.forEach((step, index) => {
+    const gapMs = previousEnd === null ? 0 : Math.min(MAX_STEP_GAP_MS, Math.max(0, step.offsetMs - previousEnd));
+    previousEnd = step.offsetMs + step.durationMs;
+
+    let instruction = step.instruction;
+    if (instruction && OBSERVING_TYPES.includes(instruction.type)) {
+      return;
+    }
+
+    if (instruction && instruction.type === 'type' && typeof instruction.text === 'string') {
+      instruction = { ...instruction, text: instruction.text.replace(PLACEHOLDER_PATTERN, (match, name) => values[name] ?? match) };
+    } else if (instruction && TIMED_TYPES.includes(instruction.type) && typeof instruction.duration === 'number') {
+      instruction = { ...instruction, duration: instruction.duration / speed };
+    }
+
+    // Checked as it will execute, so a slowed-down hold still has to fit the schema's limits
+    stepErrors.push(...findInstructionErrors(instruction, { displays }).map(error => ({ index, ...error })));
+    steps.push({ instruction, delayMs: Math.round(gapMs / speed) });
+  });
+
+  if (stepErrors.length > 0) {
+    const error = macroError(400, `Invalid macro ${macro.name}: ${stepErrors.map(error => `Step ${error.index + 1}: ${error.message}`).join('; ')}`);
+    error.details = stepErrors;
+    throw error;
+  }
+
+  return steps;
+}
+
+module.exports = MacroStore;
+module.exports.MacroRecorder = MacroRecorder;
+module.exports.planReplay = planReplay;
+module.exports.assertValidName = assertValidName;
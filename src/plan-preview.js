@@ -0,0 +1,191 @@
+const logger = require('./utils/logger');
+
+// Colors of the preview annotations
+const MARKER_COLOR = '#e53935';
+const DRAG_COLOR = '#1e88e5';
+const MOVE_COLOR = '#fb8c00';
+const LABEL_BACKGROUND = 'rgba(0, 0, 0, 0.75)';
+
+const MARKER_RADIUS = 14;
+const ARROW_HEAD_SIZE = 16;
+
+// Characters of typed text or key names shown in a label
+const MAX_LABEL_TEXT = 30;
+
+/**
+ * Describe an instruction in a few words for its label
+ *
+ * @param {object} instruction - Planned instruction
+ * @returns {string} - Short description
+ */
+function describeInstruction(instruction) {
+  const clip = (text) => (text.length > MAX_LABEL_TEXT ? `${text.slice(0, MAX_LABEL_TEXT - 1)}…` : text);
+
+  switch (instruction.type) {
+    case 'type':
+      return `type "${clip(instruction.text)}"`;
+    case 'key':
+      return `key ${clip(instruction.keys)}`;
+    case 'hold-key':
+      return `hold ${clip(instruction.keys)} ${instruction.duration}s`;
+    case 'scroll':
+      return `scroll ${instruction.direction} ${instruction.amount}`;
+    case 'wait':
+      return `wait ${instruction.duration}s`;
+    default: {
+      const button = instruction.button && instruction.button !== 'left' ? ` (${instruction.button})` : '';
+      const modifiers = instruction.modifiers ? ` +${instruction.modifiers}` : '';
+      return `${instruction.type}${button}${modifiers}`;
+    }
+  }
+}
+
+/**
+ * Draw an arrow from one point to another
+ *
+ * @param {CanvasRenderingContext2D} ctx - Drawing context
+ * @param {{x: number, y: number}} from - Start of the arrow
+ * @param {{x: number, y: number}} to - Tip of the arrow
+ * @param {string} color - Stroke and fill color
+ * @param {boolean} [dashed] - Whether to draw a dashed line
+ */
+function drawArrow(ctx, from, to, color, dashed = false) {
+  const angle = Math.atan2(to.y - from.y, to.x - from.x);
+
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 4;
+  ctx.setLineDash(dashed ? [10, 8] : []);
+  ctx.beginPath();
+  ctx.moveTo(from.x, from.y);
+  ctx.lineTo(to.x, to.y);
+  ctx.stroke();
+
+  ctx.setLineDash([]);
+  ctx.beginPath();
+  ctx.moveTo(to.x, to.y);
+  ctx.lineTo(to.x - ARROW_HEAD_SIZE * Math.cos(angle - Math.PI / 6), to.y - ARROW_HEAD_SIZE * Math.sin(angle - Math.PI / 6));
+  ctx.lineTo(to.x - ARROW_HEAD_SIZE * Math.cos(angle + Math.PI / 6), to.y - ARROW_HEAD_SIZE * Math.sin(angle + Math.PI / 6));
+  ctx.closePath();
+  ctx.fill();
+  ctx.restore();
+}
+
+/**
+ * Draw a numbered marker with a label next to it
+ *
+ * @param {CanvasRenderingContext2D} ctx - Drawing context
+ * @param {{x: number, y: number}} point - Marker position
+ * @param {number} number - Step number
+ * @param {string} label - Step description
+ * @param {string} color - Marker color
+ */
+function drawMarker(ctx, point, number, label, color) {
+  ctx.save();
+
+  // Ring around the exact click point, with a dot in its center
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.arc(point.x, point.y, MARKER_RADIUS, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(point.x, point.y, 3, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Numbered badge above and to the left of the point
+  const badge = { x: point.x - MARKER_RADIUS, y: point.y - MARKER_RADIUS };
+  ctx.beginPath();
+  ctx.arc(badge.x, badge.y, 12, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 14px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(String(number), badge.x, badge.y);
+
+  // Label to the right of the marker
+  ctx.font = '14px sans-serif';
+  ctx.textAlign = 'left';
+  const width = ctx.measureText(label).width;
+  const labelX = point.x + MARKER_RADIUS + 6;
+  ctx.fillStyle = LABEL_BACKGROUND;
+  ctx.fillRect(labelX - 4, point.y - 11, width + 8, 22);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillText(label, labelX, point.y);
+
+  ctx.restore();
+}
+
+/**
+ * Draw a planned run onto the screenshot it was planned against: numbered
+ * markers at every click point, arrows for drags and dashed arrows for moves.
+ * Steps without a position of their own, such as typing, are labeled at the
+ * cursor position they happen at.
+ *
+ * @param {string} screenshot - Base64 encoded PNG at physical resolution
+ * @param {Array<{instruction: object, before: object, after: object}>} steps - Planned instructions with the simulated cursor position before and after each
+ * @param {{x: number, y: number}} [origin] - Desktop position of the screenshot's top left corner, for a screenshot of one display
+ * @returns {string} - Base64 encoded annotated PNG
+ */
+function renderPlanPreview(screenshot, steps, origin = { x: 0, y: 0 }) {
+  const startTime = Date.now();
+  const { createCanvas, Image } = require('canvas');
+
+  // Positions are desktop coordinates; draw them relative to the screenshot
+  const shift = point => ({ x: point.x - origin.x, y: point.y - origin.y });
+  const shifted = steps.map(({ instruction, before, after }) => ({
+    instruction: instruction.startX !== undefined
+      ? { ...instruction, startX: instruction.startX - origin.x, startY: instruction.startY - origin.y }
+      : instruction,
+    before: shift(before),
+    after: shift(after)
+  }));
+
+  const image = new Image();
+  image.src = Buffer.from(screenshot, 'base64');
+
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+
+  // Arrows first, so markers and labels stay readable on top of them
+  for (const { instruction, before, after } of shifted) {
+    if (instruction.type === 'drag') {
+      const start = instruction.startX !== undefined ? { x: instruction.startX, y: instruction.startY } : before;
+      drawArrow(ctx, start, after, DRAG_COLOR);
+    } else if (instruction.type === 'move' && (before.x !== after.x || before.y !== after.y)) {
+      drawArrow(ctx, before, after, MOVE_COLOR, true);
+    }
+  }
+
+  shifted.forEach(({ instruction, before, after }, index) => {
+    const label = describeInstruction(instruction);
+
+    if (instruction.type === 'drag') {
+      const start = instruction.startX !== undefined ? { x: instruction.startX, y: instruction.startY } : before;
+      drawMarker(ctx, start, index + 1, label, DRAG_COLOR);
+    } else if (instruction.type === 'move') {
+      drawMarker(ctx, after, index + 1, label, MOVE_COLOR);
+    } else if (instruction.type !== 'screenshot' && instruction.type !== 'cursor-position') {
+      drawMarker(ctx, after, index + 1, label, MARKER_COLOR);
+    }
+  });
+
+  const preview = canvas.toBuffer('image/png').toString('base64');
+
+  logger.info('PlanPreview', `Rendered preview of ${steps.length} planned steps in ${Date.now() - startTime}ms`, {
+    width: image.width,
+    height: image.height,
+    previewSize: preview.length
+  });
+
+  return preview;
+}
+
+module.exports = {
+  renderPlanPreview,
+  describeInstruction
+};
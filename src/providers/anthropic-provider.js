@@ -0,0 +1,157 @@
+const logger = require('../utils/logger');
+
+const DEFAULT_MODEL = 'claude-3-7-sonnet-20250219';
+
+/**
+ * Parse the streamed JSON input of a tool call. Input cut off by max_tokens
+ * is not valid JSON; it becomes an empty object and the agent loop drops the call.
+ *
+ * @param {string} json - Accumulated input_json_delta fragments
+ * @returns {object} - Tool input
+ */
+function parseToolInput(json) {
+  if (!json) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    logger.warn('AnthropicProvider', 'Could not parse streamed tool input', { error: error.message, length: json.length });
+    return {};
+  }
+}
+
+/**
+ * Build the final message from raw streaming events. The SDK's own stream
+ * helper does not know about thinking blocks, so deltas are accumulated here.
+ *
+ * @param {AsyncIterable<object>} stream - Raw Messages API stream events
+ * @param {Function} onStreamEvent - Called with every raw event as it arrives
+ * @returns {Promise<object>} - The complete message
+ */
+async function accumulateStream(stream, onStreamEvent) {
+  let message = null;
+  const partialJson = {};
+
+  for await (const event of stream) {
+    onStreamEvent(event);
+
+    switch (event.type) {
+      case 'message_start':
+        message = { ...event.message, content: [] };
+        break;
+      case 'content_block_start':
+        message.content[event.index] = { ...event.content_block };
+        if (event.content_block.type === 'tool_use') {
+          partialJson[event.index] = '';
+        }
+        break;
+      case 'content_block_delta': {
+        const block = message.content[event.index];
+        const { delta } = event;
+        if (delta.type === 'text_delta') {
+          block.text = (block.text || '') + delta.text;
+        } else if (delta.type === 'thinking_delta') {
+          block.thinking = (block.thinking || '') + delta.thinking;
+        } else if (delta.type === 'signature_delta') {
+          block.signature = (block.signature || '') + delta.signature;
+        } else if (delta.type === 'input_json_delta') {
+          partialJson[event.index] += delta.partial_json;
+        }
+        break;
+      }
+      case 'content_block_stop':
+        if (partialJson[event.index] !== undefined) {
+          message.content[event.index].input = parseToolInput(partialJson[event.index]);
+        }
+        break;
+      case 'message_delta':
+        Object.assign(message, event.delta);
+        message.usage = { ...message.usage, ...event.usage };
+        break;
+    }
+  }
+
+  return message;
+}
+
+/**
+ * Model provider backed by the Anthropic Messages API. The SDK client is
+ * created on first use, so the server can start without an API key when a
+ * different provider is selected.
+ */
+class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.options = {
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      baseURL: process.env.ANTHROPIC_BASE_URL || undefined,
+      ...options
+    };
+    this.defaultModel = options.model || process.env.ANTHROPIC_MODEL || DEFAULT_MODEL;
+    this.client = null;
+  }
+
+  /**
+   * Get the SDK client, creating it on first use
+   *
+   * @returns {object} - Anthropic SDK client
+   */
+  getClient() {
+    if (this.client) {
+      return this.client;
+    }
+
+    if (!this.options.apiKey) {
+      logger.error('AnthropicProvider', 'ANTHROPIC_API_KEY is not set in environment variables');
+      throw new Error('ANTHROPIC_API_KEY is not set in environment variables. Please set this environment variable or use MODEL_PROVIDER=mock.');
+    }
+
+    logger.info('AnthropicProvider', 'Initializing Anthropic client', {
+      baseURL: this.options.baseURL || 'default'
+    });
+
+    const Anthropic = require('@anthropic-ai/sdk');
+    // Retries are handled by the agent loop so every attempt is logged and reported
+    this.client = new Anthropic({
+      apiKey: this.options.apiKey,
+      baseURL: this.options.baseURL,
+      maxRetries: 0
+    });
+
+    return this.client;
+  }
+
+  /**
+   * Create a message
+   *
+   * @param {object} params - Messages API parameters; `betas` is sent as the anthropic-beta header
+   * @param {object} [options] - Call options
+   * @param {Function} [options.onStreamEvent] - When set, the response is streamed and every raw event is passed here
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @returns {Promise<object>} - Messages API response
+   */
+  async createMessage(params, options = {}) {
+    const { betas, ...body } = params;
+    const requestOptions = {};
+
+    if (betas && betas.length > 0) {
+      requestOptions.headers = { 'anthropic-beta': betas.join(',') };
+    }
+
+    if (options.signal) {
+      requestOptions.signal = options.signal;
+    }
+
+    if (options.onStreamEvent) {
+      const stream = await this.getClient().messages.create({ ...body, stream: true }, requestOptions);
+      return accumulateStream(stream, options.onStreamEvent);
+    }
+
+    return this.getClient().messages.create(body, requestOptions);
+  }
+}
+
+module.exports = AnthropicProvider;
+module.exports.accumulateStream = accumulateStream;
@@ -0,0 +1,44 @@
+const logger = require('../utils/logger');
+const AnthropicProvider = require('./anthropic-provider');
+const MockProvider = require('./mock-provider');
+
+const PROVIDERS = {
+  anthropic: AnthropicProvider,
+  mock: MockProvider
+};
+
+let defaultProvider = null;
+
+/**
+ * Create a model provider
+ *
+ * @param {string} [name] - Provider name, defaults to MODEL_PROVIDER or "anthropic"
+ * @param {object} [options] - Provider specific options
+ * @returns {object} - Provider with `name`, `defaultModel` and `createMessage(params)`
+ */
+function createProvider(name = process.env.MODEL_PROVIDER || 'anthropic', options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown model provider: ${name}. Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  logger.info('Providers', `Creating ${name} model provider`);
+  return new Provider(options);
+}
+
+/**
+ * Get the process-wide provider selected by MODEL_PROVIDER
+ *
+ * @returns {object} - Provider instance
+ */
+function getDefaultProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createProvider();
+  }
+  return defaultProvider;
+}
+
+module.exports = {
+  createProvider,
+  getDefaultProvider
+};
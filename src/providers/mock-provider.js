@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'default-script.json');
+
+/**
+ * Offline model provider that replays canned responses from a fixture file.
+ * Each agent run plays the script from the start, one response per iteration;
+ * calls outside a run get the next response. Once the script runs out it
+ * answers with a plain text message so the agent loop ends.
+ *
+ * Fixture format: `{ "responses": [{ "content": [...], "stop_reason": "tool_use" }, ...] }`
+ */
+class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.defaultModel = options.model || 'mock-model';
+    this.fixturePath = options.fixturePath || process.env.MOCK_PROVIDER_FIXTURE || DEFAULT_FIXTURE;
+    this.responses = options.responses || this.loadFixture(this.fixturePath);
+    this.callCount = 0;
+    this.requests = [];
+  }
+
+  /**
+   * Load scripted responses from a fixture file
+   *
+   * @param {string} fixturePath - Path to the JSON fixture
+   * @returns {Array<object>} - Scripted responses
+   */
+  loadFixture(fixturePath) {
+    logger.info('MockProvider', `Loading mock responses from ${fixturePath}`);
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+    if (!Array.isArray(fixture.responses)) {
+      throw new Error(`Mock provider fixture ${fixturePath} must have a 'responses' array`);
+    }
+
+    return fixture.responses;
+  }
+
+  /**
+   * Return the next scripted response
+   *
+   * @param {object} params - Messages API parameters, recorded for inspection
+   * @param {object} [options] - Call options
+   * @param {Function} [options.onStreamEvent] - When set, thinking and text blocks are replayed as stream deltas
+   * @param {number} [options.iteration] - Agent loop iteration, counted from 0 in every run; picks the response
+   * @returns {Promise<object>} - Messages API shaped response
+   */
+  async createMessage(params, options = {}) {
+    this.requests.push(params);
+    const index = Number.isInteger(options.iteration) ? options.iteration : this.callCount;
+    const scripted = this.responses[index];
+    this.callCount++;
+
+    // Tool use ids must be unique in a conversation, and every run replays the same script
+    const content = scripted
+      ? scripted.content.map(block => (block.type === 'tool_use' ? { ...block, id: `${block.id}_${this.callCount}` } : block))
+      : [{ type: 'text', text: 'The mock script has no more responses.' }];
+    const hasToolUse = content.some(block => block.type === 'tool_use');
+
+    logger.debug('MockProvider', `Returning scripted response ${this.callCount}`, {
+      scripted: Boolean(scripted),
+      blocks: content.map(block => block.type)
+    });
+
+    if (options.onStreamEvent) {
+      content.forEach((block, index) => {
+        if (block.type === 'thinking') {
+          options.onStreamEvent({ type: 'content_block_delta', index, delta: { type: 'thinking_delta', thinking: block.thinking } });
+        } else if (block.type === 'text') {
+          options.onStreamEvent({ type: 'content_block_delta', index, delta: { type: 'text_delta', text: block.text } });
+        }
+      });
+    }
+
+    return {
+      id: `msg_mock_${this.callCount}`,
+      type: 'message',
+      role: 'assistant',
+      model: params.model || this.defaultModel,
+      content,
+      stop_reason: scripted?.stop_reason || (hasToolUse ? 'tool_use' : 'end_turn'),
+      stop_sequence: null,
+      usage: scripted?.usage || { input_tokens: 0, output_tokens: 0 }
+    };
+  }
+
+  /**
+   * Start the script over, e.g. between test runs
+   */
+  reset() {
+    this.callCount = 0;
+    this.requests = [];
+  }
+}
+
+module.exports = MockProvider;
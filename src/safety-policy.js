@@ -0,0 +1,394 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./utils/logger');
+const { getDesktopBounds } = require('./displays');
+const { resolveMotion } = require('./utils/motion');
+
+// What to do with coordinates outside the screen
+const OUT_OF_BOUNDS_MODES = ['clamp', 'reject'];
+
+// Pointer actions a policy can block; releasing a button is always allowed so none stays stuck
+const POLICY_ACTIONS = ['move', 'click', 'right-click', 'middle-click', 'double-click', 'triple-click', 'drag', 'mouse-down', 'scroll'];
+
+// Used when there is no policy file: keep the cursor on the screen, nothing else is restricted
+const DEFAULT_SAFETY_POLICY = {
+  outOfBounds: 'clamp',
+  forbiddenRegions: [],
+  allowedRegions: [],
+  blockedActions: []
+};
+
+// Policy file read when SAFETY_POLICY_FILE is not set, relative to the working directory
+const DEFAULT_POLICY_FILE = 'safety-policy.json';
+
+/**
+ * Check a rectangle from the policy
+ *
+ * @param {object} region - Rectangle with a name, x, y, width and height
+ * @param {string} label - Where the rectangle is in the policy, for messages
+ * @param {Array<object>} [displays] - When set, the rectangle must be within the desktop around these displays
+ * @returns {string[]} - Problems found
+ */
+function findRegionErrors(region, label, displays) {
+  if (!region || typeof region !== 'object' || Array.isArray(region)) {
+    return [`${label} must be an object`];
+  }
+
+  const errors = [];
+  if (typeof region.name !== 'string' || region.name.trim() === '') {
+    errors.push(`${label} needs a 'name'`);
+  }
+  for (const key of ['x', 'y']) {
+    if (!Number.isInteger(region[key])) {
+      errors.push(`${label} '${key}' must be an integer`);
+    }
+  }
+  for (const key of ['width', 'height']) {
+    if (!Number.isInteger(region[key]) || region[key] <= 0) {
+      errors.push(`${label} '${key}' must be a positive integer`);
+    }
+  }
+
+  // Monitors left of or above the primary one have negative desktop coordinates
+  if (errors.length === 0 && displays) {
+    const desktop = getDesktopBounds(displays);
+    if (region.x < desktop.x || region.y < desktop.y ||
+        region.x + region.width > desktop.x + desktop.width || region.y + region.height > desktop.y + desktop.height) {
+      errors.push(`${label} must be within the ${desktop.width}x${desktop.height} desktop at (${desktop.x}, ${desktop.y})`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check policy settings and collect every problem
+ *
+ * @param {object} policy - Settings to check; only the keys present are validated
+ * @param {Array<object>} [displays] - Display rectangles the regions must be within
+ * @returns {string[]} - Problems found, empty when the settings are valid
+ */
+function findPolicyErrors(policy, displays) {
+  const errors = [];
+  const known = Object.keys(DEFAULT_SAFETY_POLICY);
+
+  for (const key of Object.keys(policy)) {
+    if (!known.includes(key)) {
+      errors.push(`Unknown setting '${key}'; expected one of ${known.join(', ')}`);
+    }
+  }
+
+  if (policy.outOfBounds !== undefined && !OUT_OF_BOUNDS_MODES.includes(policy.outOfBounds)) {
+    errors.push(`'outOfBounds' must be one of ${OUT_OF_BOUNDS_MODES.join(', ')}`);
+  }
+
+  for (const key of ['forbiddenRegions', 'allowedRegions', 'blockedActions']) {
+    if (policy[key] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(policy[key])) {
+      errors.push(`'${key}' must be an array`);
+      continue;
+    }
+    policy[key].forEach((region, index) => {
+      errors.push(...findRegionErrors(region, `${key}[${index}]`, displays));
+    });
+  }
+
+  (Array.isArray(policy.blockedActions) ? policy.blockedActions : []).forEach((zone, index) => {
+    if (!zone || !Array.isArray(zone.actions) || zone.actions.length === 0 ||
+        zone.actions.some(action => !POLICY_ACTIONS.includes(action))) {
+      errors.push(`blockedActions[${index}] 'actions' must list some of ${POLICY_ACTIONS.join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Read the safety policy: defaults, then the policy file, then SAFETY_OUT_OF_BOUNDS
+ *
+ * @param {string} [filePath] - JSON policy file; SAFETY_POLICY_FILE or safety-policy.json by default
+ * @param {object} [options] - Load options
+ * @param {Array<object>} [options.displays] - Connected displays the policy's regions must be within
+ * @returns {object} - Policy settings
+ * @throws {Error} With the problems as `error.details` when the policy is invalid
+ */
+function loadSafetyPolicy(filePath = process.env.SAFETY_POLICY_FILE, { displays } = {}) {
+  const explicit = Boolean(filePath);
+  const resolved = path.resolve(filePath || DEFAULT_POLICY_FILE);
+  let policy = {};
+
+  if (fs.existsSync(resolved)) {
+    policy = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    logger.info('SafetyPolicy', `Loaded safety policy from ${resolved}`);
+  } else if (explicit) {
+    throw new Error(`Safety policy file ${resolved} does not exist`);
+  }
+
+  if (process.env.SAFETY_OUT_OF_BOUNDS) {
+    policy = { ...policy, outOfBounds: process.env.SAFETY_OUT_OF_BOUNDS };
+  }
+
+  const errors = findPolicyErrors(policy, displays);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid safety policy: ${errors.join('; ')}`);
+    error.details = errors;
+    throw error;
+  }
+
+  return { ...DEFAULT_SAFETY_POLICY, ...policy };
+}
+
+/**
+ * @param {{x: number, y: number}} point - Screen position
+ * @param {object} region - Rectangle
+ * @returns {boolean} - Whether the point is inside the rectangle
+ */
+function contains(point, region) {
+  return point.x >= region.x && point.x < region.x + region.width &&
+    point.y >= region.y && point.y < region.y + region.height;
+}
+
+/**
+ * Whether a straight path runs into a rectangle it did not start in. Leaving
+ * the rectangle the cursor is in is always possible.
+ *
+ * @param {{x: number, y: number}} from - Where the path starts
+ * @param {{x: number, y: number}} to - Where it ends
+ * @param {object} region - Rectangle
+ * @returns {boolean} - Whether the path enters the rectangle
+ */
+function enters(from, to, region) {
+  if (contains(from, region)) {
+    return false;
+  }
+
+  // Clip the path against each edge of the rectangle (Liang-Barsky)
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const edges = [
+    [-dx, from.x - region.x],
+    [dx, region.x + region.width - 1 - from.x],
+    [-dy, from.y - region.y],
+    [dy, region.y + region.height - 1 - from.y]
+  ];
+  let start = 0;
+  let end = 1;
+  for (const [direction, distance] of edges) {
+    if (direction === 0) {
+      if (distance < 0) {
+        return false;
+      }
+      continue;
+    }
+    const t = distance / direction;
+    if (direction < 0) {
+      start = Math.max(start, t);
+    } else {
+      end = Math.min(end, t);
+    }
+  }
+  return start <= end;
+}
+
+/**
+ * @param {{x: number, y: number}} point - Position off the screen
+ * @param {Array<object>} areas - Screen rectangles
+ * @returns {{x: number, y: number}} - Nearest position on any of them
+ */
+function clampOnto(point, areas) {
+  const distance = candidate => Math.hypot(candidate.x - point.x, candidate.y - point.y);
+  return areas
+    .map(area => ({
+      x: Math.min(area.x + area.width - 1, Math.max(area.x, point.x)),
+      y: Math.min(area.y + area.height - 1, Math.max(area.y, point.y))
+    }))
+    .reduce((best, candidate) => (distance(candidate) < distance(best) ? candidate : best));
+}
+
+/**
+ * @param {string[]} violations - Rules an action breaks
+ * @returns {Error} - Error with `status` 403 and the rules as `details`
+ */
+function blockedError(violations) {
+  const error = new Error(`Blocked by the safety policy: ${violations.join('; ')}`);
+  error.status = 403;
+  error.details = violations;
+  return error;
+}
+
+/**
+ * Guards the cursor controller: keeps pointer actions on the screen and out of
+ * forbidden regions, inside the allowed regions when there are any, and blocks
+ * actions such as right-click or drag in configured zones. Violations throw
+ * before anything reaches the driver, so the agent loop reports them to Claude
+ * as tool errors.
+ */
+class SafetyPolicy {
+  constructor(policy = {}) {
+    this.policy = { ...DEFAULT_SAFETY_POLICY, ...policy };
+  }
+
+  /**
+   * Check a pointer action at a screen position
+   *
+   * @param {string} action - One of POLICY_ACTIONS
+   * @param {{x: number, y: number}} point - Where the action happens, in physical pixels
+   * @param {object|Array<object>} screen - Screen size, or the displays of a multi-monitor desktop
+   * @returns {{point: object, violations: string[]}} - The position, clamped onto the nearest display when
+   *   the policy clamps, and every rule it breaks
+   */
+  check(action, point, screen) {
+    const { outOfBounds, forbiddenRegions, allowedRegions, blockedActions } = this.policy;
+    const violations = [];
+    const areas = [].concat(screen).map(area => ({ x: 0, y: 0, ...area }));
+    let checked = point;
+
+    const offScreen = !areas.some(area => contains(point, area));
+    if (offScreen && outOfBounds === 'clamp') {
+      checked = clampOnto(point, areas);
+      logger.warn('SafetyPolicy', `Clamped ${action} at (${point.x}, ${point.y}) onto the screen`, { clamped: checked, screen });
+    } else if (offScreen) {
+      violations.push(areas.length === 1
+        ? `${action} target is outside the ${areas[0].width}x${areas[0].height} screen`
+        : `${action} target is outside every display`);
+    }
+
+    for (const region of forbiddenRegions.filter(region => contains(checked, region))) {
+      violations.push(`${action} target is inside the forbidden region '${region.name}'`);
+    }
+    if (allowedRegions.length > 0 && !allowedRegions.some(region => contains(checked, region))) {
+      violations.push(`${action} target is outside the allowed regions (${allowedRegions.map(region => region.name).join(', ')})`);
+    }
+    for (const zone of blockedActions.filter(zone => zone.actions.includes(action) && contains(checked, zone))) {
+      violations.push(`${action} is blocked in the '${zone.name}' region`);
+    }
+
+    return { point: checked, violations };
+  }
+
+  /**
+   * Check the way a glide or drag takes to its target for forbidden regions and
+   * blocked zones it passes through. The path is the straight line between
+   * both ends; bezier motion bows slightly away from it.
+   *
+   * @param {string} action - move or drag
+   * @param {{x: number, y: number}} from - Where the cursor is
+   * @param {{x: number, y: number}} to - Where it goes, already checked with `check`
+   * @returns {string[]} - Every rule the path breaks
+   */
+  checkPath(action, from, to) {
+    const { forbiddenRegions, blockedActions } = this.policy;
+    const violations = [];
+
+    for (const region of forbiddenRegions.filter(region => enters(from, to, region))) {
+      violations.push(`${action} path crosses the forbidden region '${region.name}'`);
+    }
+    for (const zone of blockedActions.filter(zone => zone.actions.includes(action) && enters(from, to, zone))) {
+      violations.push(`${action} path crosses the '${zone.name}' region, where ${action} is blocked`);
+    }
+    return violations;
+  }
+
+  /**
+   * Check a pointer action and throw when it breaks the policy
+   *
+   * @param {string} action - One of POLICY_ACTIONS
+   * @param {{x: number, y: number}} point - Where the action happens
+   * @param {object|Array<object>} screen - Screen size, or the displays of a multi-monitor desktop
+   * @returns {{x: number, y: number}} - Position to use, clamped onto the screen when the policy clamps
+   * @throws {Error} With `status` 403 and the broken rules as `details`
+   */
+  enforce(action, point, screen) {
+    const { point: checked, violations } = this.check(action, point, screen);
+
+    if (violations.length > 0) {
+      logger.warn('SafetyPolicy', `Blocked ${action} at (${point.x}, ${point.y})`, { violations });
+      throw blockedError(violations);
+    }
+    return checked;
+  }
+
+  /**
+   * Check the path of a glide or drag and throw when it breaks the policy
+   *
+   * @param {string} action - move or drag
+   * @param {{x: number, y: number}} from - Where the cursor is
+   * @param {{x: number, y: number}} to - Where it goes
+   * @throws {Error} With `status` 403 and the broken rules as `details`
+   */
+  enforcePath(action, from, to) {
+    const violations = this.checkPath(action, from, to);
+
+    if (violations.length > 0) {
+      logger.warn('SafetyPolicy', `Blocked ${action} from (${from.x}, ${from.y}) to (${to.x}, ${to.y})`, { violations });
+      throw blockedError(violations);
+    }
+  }
+
+  /**
+   * Wrap a cursor controller so every pointer action is checked first. Clicks,
+   * scrolls and presses without coordinates are checked where the cursor is;
+   * drags at their start, their end and along the way, and moves that glide
+   * along the way too. Instant moves jump and pass over nothing.
+   *
+   * @param {object} controller - Cursor controller from createCursorController
+   * @returns {object} - Controller with the same methods
+   */
+  guard(controller) {
+    const enforceAt = (action, point) => this.enforce(action, point, controller.getDisplays());
+    const enforceHere = (action) => enforceAt(action, controller.getCurrentPosition());
+    const enforceFromHere = (action, target) => this.enforcePath(action, controller.getCurrentPosition(), target);
+    const clickAction = (type, button = 'left') => (type === 'click' && button !== 'left' ? `${button}-click` : type);
+
+    return {
+      ...controller,
+      moveTo: async (x, y, motion) => {
+        const target = enforceAt('move', { x, y });
+        if (resolveMotion(controller.motion, motion).profile !== 'instant') {
+          enforceFromHere('move', target);
+        }
+        return controller.moveTo(target.x, target.y, motion);
+      },
+      click: async (button, motion) => {
+        enforceHere(clickAction('click', button));
+        return controller.click(button, motion);
+      },
+      doubleClick: (button) => {
+        enforceHere('double-click');
+        return controller.doubleClick(button);
+      },
+      tripleClick: (button) => {
+        enforceHere('triple-click');
+        return controller.tripleClick(button);
+      },
+      mouseDown: (button) => {
+        enforceHere('mouse-down');
+        return controller.mouseDown(button);
+      },
+      scroll: (direction, amount) => {
+        enforceHere('scroll');
+        return controller.scroll(direction, amount);
+      },
+      dragTo: async (x, y, motion) => {
+        enforceHere('drag');
+        const target = enforceAt('drag', { x, y });
+        enforceFromHere('drag', target);
+        return controller.dragTo(target.x, target.y, motion);
+      }
+    };
+  }
+
+  /**
+   * @returns {object} - The policy settings
+   */
+  toJSON() {
+    return this.policy;
+  }
+}
+
+module.exports = SafetyPolicy;
+module.exports.POLICY_ACTIONS = POLICY_ACTIONS;
+module.exports.DEFAULT_SAFETY_POLICY = DEFAULT_SAFETY_POLICY;
+module.exports.findPolicyErrors = findPolicyErrors;
+module.exports.loadSafetyPolicy = loadSafetyPolicy;
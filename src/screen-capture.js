@@ -1,8 +1,7 @@
-const robot = require('robotjs');
 const fs = require('fs');
-const { createCanvas, loadImage } = require('canvas');
 const path = require('path');
 const logger = require('./utils/logger');
+const { getDefaultDriver } = require('./drivers');
 
 logger.debug('ScreenCapture', 'Module initialized');
 
@@ -21,7 +20,8 @@ function captureScreen(x, y, width, height) {
   
   try {
     // Get screen size if dimensions not provided
-    const screenSize = robot.getScreenSize();
+    const driver = getDefaultDriver();
+    const screenSize = driver.getScreenSize();
     logger.debug('ScreenCapture', 'Got screen size', screenSize);
     
     // Set default capture area to full screen if not specified
@@ -37,56 +37,13 @@ function captureScreen(x, y, width, height) {
       height: captureHeight
     });
     
-    // Capture screen using robotjs
-    logger.debug('ScreenCapture', 'Calling robot.screen.capture');
-    const robotCaptureStart = Date.now();
-    const bitmap = robot.screen.capture(captureX, captureY, captureWidth, captureHeight);
-    const robotCaptureDuration = Date.now() - robotCaptureStart;
-    
-    logger.debug('ScreenCapture', `Robot capture completed in ${robotCaptureDuration}ms`, {
-      bitmapWidth: bitmap.width,
-      bitmapHeight: bitmap.height,
-      bitmapByteLength: bitmap.image.length
-    });
-    
-    // Convert to canvas
-    logger.debug('ScreenCapture', 'Creating canvas');
-    const canvasStart = Date.now();
-    const canvas = createCanvas(captureWidth, captureHeight);
-    const ctx = canvas.getContext('2d');
-    
-    // Create image data
-    const imageData = ctx.createImageData(captureWidth, captureHeight);
-    
-    // Fill image data from bitmap
-    logger.debug('ScreenCapture', 'Filling image data from bitmap');
-    for (let y = 0; y < captureHeight; y++) {
-      for (let x = 0; x < captureWidth; x++) {
-        const index = (y * captureWidth + x) * 4;
-        const bitmapIndex = (y * captureWidth + x) * 4;
-        
-        imageData.data[index] = bitmap.image.readUInt8(bitmapIndex);     // R
-        imageData.data[index + 1] = bitmap.image.readUInt8(bitmapIndex + 1); // G
-        imageData.data[index + 2] = bitmap.image.readUInt8(bitmapIndex + 2); // B
-        imageData.data[index + 3] = 255; // Alpha
-      }
-    }
-    
-    ctx.putImageData(imageData, 0, 0);
-    const canvasDuration = Date.now() - canvasStart;
-    logger.debug('ScreenCapture', `Canvas creation and filling completed in ${canvasDuration}ms`);
-    
-    // Convert to base64
-    logger.debug('ScreenCapture', 'Converting canvas to base64');
-    const base64Start = Date.now();
-    const base64Image = canvas.toDataURL('image/png').replace(/^data:image\/png;base64,/, '');
-    const base64Duration = Date.now() - base64Start;
+    // The driver reads the real screen or renders its virtual one
+    logger.debug('ScreenCapture', `Capturing with the ${driver.name} driver`);
+    const base64Image = driver.captureScreen(captureX, captureY, captureWidth, captureHeight);
     
     const totalDuration = Date.now() - startTime;
     logger.info('ScreenCapture', `Screen capture completed in ${totalDuration}ms`, {
-      robotCaptureDuration,
-      canvasDuration,
-      base64Duration,
+      driver: driver.name,
       base64Size: base64Image.length
     });
     
@@ -142,10 +99,14 @@ async function saveBase64Image(base64Image, filePath) {
 /**
  * Get current screen capture and return as base64
  * 
+ * @param {object} [display] - Display to capture, from the driver's getDisplays; the primary screen by default
  * @returns {string} - Base64 encoded screen capture
  */
-function getCurrentScreenCapture() {
-  logger.info('ScreenCapture', 'Getting current screen capture');
+function getCurrentScreenCapture(display) {
+  logger.info('ScreenCapture', 'Getting current screen capture', { display: display?.id });
+  if (display) {
+    return captureScreen(display.x, display.y, display.width, display.height);
+  }
   // Capture the entire screen
   return captureScreen();
 }
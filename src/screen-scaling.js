@@ -0,0 +1,171 @@
+const logger = require('./utils/logger');
+
+logger.debug('ScreenScaling', 'Module initialized');
+
+// Resolutions recommended for the Computer Use tool. Larger screenshots cost
+// more tokens and make Claude's coordinates less accurate.
+const SCALING_TARGETS = {
+  XGA: { width: 1024, height: 768 },    // 4:3
+  WXGA: { width: 1280, height: 800 },   // 16:10
+  FWXGA: { width: 1366, height: 768 }   // ~16:9
+};
+
+/**
+ * Resolve the bounding box screenshots should be scaled into
+ *
+ * @param {{width: number, height: number}} screenSize - Physical screen size
+ * @param {string} targetName - "auto", "none", a key of SCALING_TARGETS or "<width>x<height>"
+ * @returns {{width: number, height: number}} - Target bounding box
+ */
+function resolveTarget(screenSize, targetName) {
+  const name = (targetName || 'auto').trim();
+
+  if (name.toLowerCase() === 'none') {
+    return screenSize;
+  }
+
+  if (SCALING_TARGETS[name.toUpperCase()]) {
+    return SCALING_TARGETS[name.toUpperCase()];
+  }
+
+  const custom = name.match(/^(\d+)x(\d+)$/i);
+  if (custom) {
+    return { width: parseInt(custom[1], 10), height: parseInt(custom[2], 10) };
+  }
+
+  if (name.toLowerCase() !== 'auto') {
+    throw new Error(`Unknown screen scaling target: ${targetName}`);
+  }
+
+  // Pick the target whose aspect ratio is closest to the screen's
+  const ratio = screenSize.width / screenSize.height;
+  return Object.values(SCALING_TARGETS).reduce((best, target) => {
+    const diff = Math.abs(target.width / target.height - ratio);
+    const bestDiff = Math.abs(best.width / best.height - ratio);
+    return diff < bestDiff ? target : best;
+  });
+}
+
+/**
+ * Compute the size screenshots are sent to Claude at. The screen is only ever
+ * scaled down and always keeps its aspect ratio.
+ *
+ * @param {{width: number, height: number}} screenSize - Physical screen size
+ * @param {string} targetName - Scaling target, see resolveTarget
+ * @returns {{width: number, height: number}} - Scaled size
+ */
+function getScaledSize(screenSize, targetName) {
+  const target = resolveTarget(screenSize, targetName);
+  const factor = Math.min(1, target.width / screenSize.width, target.height / screenSize.height);
+
+  return {
+    width: Math.round(screenSize.width * factor),
+    height: Math.round(screenSize.height * factor)
+  };
+}
+
+/**
+ * Create a scaler that converts screenshots and coordinates between the
+ * physical screen and the resolution advertised to Claude. On a multi-monitor
+ * desktop the screen is one display, and physical coordinates are desktop
+ * coordinates offset by the display's origin.
+ *
+ * @param {{width: number, height: number}} screenSize - Physical screen size
+ * @param {string} [targetName] - Scaling target, defaults to SCREEN_SCALING_TARGET or "auto"
+ * @param {{x: number, y: number}} [origin] - Desktop position of the screen's top left corner
+ * @returns {object} - Scaler with scaledSize, toPhysical, toScaled, scaleInstruction and scaleCapture
+ */
+function createScaler(screenSize, targetName = process.env.SCREEN_SCALING_TARGET, origin = { x: 0, y: 0 }) {
+  const scaledSize = getScaledSize(screenSize, targetName);
+  const factorX = screenSize.width / scaledSize.width;
+  const factorY = screenSize.height / scaledSize.height;
+  const isScaled = scaledSize.width !== screenSize.width || scaledSize.height !== screenSize.height;
+
+  logger.info('ScreenScaling', `Scaling ${screenSize.width}x${screenSize.height} to ${scaledSize.width}x${scaledSize.height}`, {
+    targetName: targetName || 'auto',
+    factorX,
+    factorY
+  });
+
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max - 1);
+
+  const toPhysical = (x, y) => ({
+    x: origin.x + clamp(Math.round(x * factorX), screenSize.width),
+    y: origin.y + clamp(Math.round(y * factorY), screenSize.height)
+  });
+
+  const toScaled = (x, y) => ({
+    x: clamp(Math.round((x - origin.x) / factorX), scaledSize.width),
+    y: clamp(Math.round((y - origin.y) / factorY), scaledSize.height)
+  });
+
+  /**
+   * Map every coordinate of an instruction from scaled to physical pixels
+   *
+   * @param {object} instruction - Instruction with coordinates in the scaled space
+   * @returns {object} - Copy of the instruction with physical coordinates
+   */
+  const scaleInstruction = (instruction) => {
+    const scaled = { ...instruction };
+
+    if (typeof instruction.x === 'number' && typeof instruction.y === 'number') {
+      Object.assign(scaled, toPhysical(instruction.x, instruction.y));
+    }
+
+    if (typeof instruction.startX === 'number' && typeof instruction.startY === 'number') {
+      const start = toPhysical(instruction.startX, instruction.startY);
+      scaled.startX = start.x;
+      scaled.startY = start.y;
+    }
+
+    return scaled;
+  };
+
+  /**
+   * Resize a physical screenshot to the scaled size
+   *
+   * @param {string} base64Image - Base64 encoded PNG at physical resolution
+   * @returns {string} - Base64 encoded PNG at scaled resolution
+   */
+  const scaleCapture = (base64Image) => {
+    if (!isScaled) {
+      return base64Image;
+    }
+
+    const startTime = Date.now();
+    const { createCanvas, Image } = require('canvas');
+
+    const image = new Image();
+    image.src = Buffer.from(base64Image, 'base64');
+
+    const canvas = createCanvas(scaledSize.width, scaledSize.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, scaledSize.width, scaledSize.height);
+
+    const scaledImage = canvas.toBuffer('image/png').toString('base64');
+
+    logger.debug('ScreenScaling', `Scaled screenshot in ${Date.now() - startTime}ms`, {
+      originalSize: base64Image.length,
+      scaledSize: scaledImage.length
+    });
+
+    return scaledImage;
+  };
+
+  return {
+    screenSize,
+    origin,
+    scaledSize,
+    isScaled,
+    toPhysical,
+    toScaled,
+    scaleInstruction,
+    scaleCapture
+  };
+}
+
+module.exports = {
+  SCALING_TARGETS,
+  getScaledSize,
+  createScaler
+};
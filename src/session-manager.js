@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const logger = require('./utils/logger');
+const { pruneScreenshots } = require('./utils/message-history');
+const { UsageTracker } = require('./usage-tracker');
+
+// Screenshots carried over from earlier goals; older ones are replaced with a placeholder
+const SESSION_SCREENSHOT_HISTORY = 3;
+
+/**
+ * In-memory store of pair programming sessions. A session keeps the
+ * conversation with Claude so follow-up goals build on what was done before.
+ */
+class SessionManager {
+  /**
+   * @param {object} [options] - Manager options
+   * @param {object} [options.usageLimits] - Token and cost limits for each session
+   * @param {object} [options.prices] - Price table used to estimate session cost
+   */
+  constructor(options = {}) {
+    this.sessions = new Map();
+    this.usageLimits = options.usageLimits || {};
+    this.prices = options.prices;
+  }
+
+  /**
+   * Create a new session
+   *
+   * @param {object} context - Context about what the user is working on
+   * @param {number} [display] - Display the session works on; the primary screen when not set
+   * @returns {object} - The new session
+   */
+  create(context = {}, display = null) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const now = new Date().toISOString();
+
+    const session = {
+      id,
+      context,
+      display,
+      messages: [],
+      goals: [],
+      usage: new UsageTracker({ limits: this.usageLimits, prices: this.prices }),
+      busy: false,
+      paused: false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.sessions.set(id, session);
+    logger.info('SessionManager', `Created session ${id}`, { context, display });
+    return session;
+  }
+
+  /**
+   * Get a session by ID
+   *
+   * @param {string} id - Session ID
+   * @returns {object|undefined} - The session, if it exists
+   */
+  get(id) {
+    return this.sessions.get(id);
+  }
+
+  /**
+   * Summarize all sessions, newest first
+   *
+   * @returns {Array<object>} - Session summaries without the message history
+   */
+  list() {
+    return Array.from(this.sessions.values())
+      .map(session => this.summarize(session))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Delete a session
+   *
+   * @param {string} id - Session ID
+   * @returns {boolean} - Whether a session was deleted
+   */
+  delete(id) {
+    const deleted = this.sessions.delete(id);
+    if (deleted) {
+      logger.info('SessionManager', `Deleted session ${id}`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Build a JSON-friendly summary of a session
+   *
+   * @param {object} session - Session
+   * @returns {object} - Summary with goals and message count
+   */
+  summarize(session) {
+    return {
+      id: session.id,
+      context: session.context,
+      display: session.display,
+      goals: session.goals,
+      messageCount: session.messages.length,
+      usage: session.usage.summary(false),
+      busy: session.busy,
+      paused: session.paused,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt
+    };
+  }
+
+  /**
+   * Run a goal inside a session. Only one goal can run in a session at a time;
+   * if the goal fails, the conversation is rolled back to where it was before.
+   * A goal the user took over from pauses the session until the next goal.
+   *
+   * @param {object} session - Session
+   * @param {string} goal - The goal the user wants to achieve
+   * @param {Function} runGoal - Async function receiving the session's message history
+   * @returns {Promise<*>} - Whatever runGoal returns
+   */
+  async runGoal(session, goal, runGoal) {
+    if (session.busy) {
+      throw new Error(`Session ${session.id} is already working on a goal`);
+    }
+
+    session.busy = true;
+    const historyLength = session.messages.length;
+    const entry = { goal, startedAt: new Date().toISOString() };
+    session.goals.push(entry);
+
+    try {
+      const result = await runGoal(session.messages);
+      entry.completedAt = new Date().toISOString();
+      if (result && result.stopReason) {
+        entry.stopReason = result.stopReason;
+      }
+      session.paused = Boolean(result && result.stopReason === 'user_takeover');
+      if (session.paused) {
+        logger.info('SessionManager', `Session ${session.id} paused; the user took over the mouse`);
+      }
+      return result;
+    } catch (error) {
+      session.messages.length = historyLength;
+      entry.error = error.message;
+      throw error;
+    } finally {
+      pruneScreenshots(session.messages, SESSION_SCREENSHOT_HISTORY);
+      session.busy = false;
+      session.updatedAt = new Date().toISOString();
+    }
+  }
+}
+
+module.exports = SessionManager;
@@ -0,0 +1,400 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Programs Claude may never run unless BASH_TOOL_DENYLIST overrides the list
+const DEFAULT_DENYLIST = ['sudo', 'su', 'shutdown', 'reboot', 'halt', 'poweroff', 'mkfs', 'dd'];
+
+// Per-command timeout, and bytes of stdout and of stderr kept, unless configured otherwise
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_OUTPUT_BYTES = 10000;
+
+// Characters at the end of a stream searched for the end-of-command marker
+const MARKER_WINDOW_LENGTH = 256;
+
+/**
+ * Split a comma separated environment variable into a list
+ *
+ * @param {string} value - Comma separated values
+ * @returns {string[]|undefined} - Trimmed, non-empty entries, or undefined when unset
+ */
+function parseList(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Find the program invoked by every segment of a shell command line
+ * (segments are separated by ;, &&, ||, |, & and newlines)
+ *
+ * @param {string} command - Shell command line
+ * @returns {string[]} - Program names, without directories
+ */
+function getCommandPrograms(command) {
+  return command
+    // Redirections such as 2>&1, &> and >| are not separators
+    .replace(/\d*[<>]&(\d+|-)/g, ' ')
+    .replace(/&>>?|>&|>\|/g, ' > ')
+    .split(/\|\||&&|[;|&\n]/)
+    .map(segment => segment.trim().replace(/^[({]\s*/, ''))
+    .filter(Boolean)
+    .map(segment => {
+      // Skip leading variable assignments such as `NODE_ENV=test npm test`
+      const words = segment.split(/\s+/).filter(word => !/^[A-Za-z_][A-Za-z0-9_]*=/.test(word));
+      return words.length > 0 ? path.basename(words[0]) : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * One stream of a running command. Only the first `maxBytes` are kept, so a
+ * command flooding its output cannot fill memory before it ends or times out;
+ * the latest characters are kept apart to spot the end-of-command marker.
+ */
+class CommandOutput {
+  /**
+   * @param {number} maxBytes - Bytes of output to keep
+   * @param {RegExp} endMarker - Matches the marker at the end of the stream once the command is done
+   */
+  constructor(maxBytes, endMarker) {
+    this.maxBytes = maxBytes;
+    this.endMarker = endMarker;
+    this.kept = Buffer.alloc(0);
+    this.totalBytes = 0;
+    this.recent = '';
+  }
+
+  /**
+   * Add a chunk of output
+   *
+   * @param {Buffer} chunk - Data from the stream
+   * @returns {Array|null} - The end marker match once the command is done
+   */
+  push(chunk) {
+    this.totalBytes += chunk.length;
+    if (this.kept.length < this.maxBytes) {
+      this.kept = Buffer.concat([this.kept, chunk.subarray(0, this.maxBytes - this.kept.length)]);
+    }
+
+    this.recent = (this.recent + chunk.toString()).slice(-MARKER_WINDOW_LENGTH);
+    const match = this.recent.match(this.endMarker);
+    if (match) {
+      // The marker is not part of the command's output
+      this.totalBytes -= Buffer.byteLength(match[0]);
+      this.kept = this.kept.subarray(0, Math.min(this.kept.length, this.totalBytes));
+    }
+    return match;
+  }
+
+  /**
+   * @returns {number} - Bytes the command wrote, without the marker once it was seen
+   */
+  get length() {
+    return this.totalBytes;
+  }
+
+  /**
+   * @returns {string} - The kept output, with a note when some was dropped
+   */
+  toString() {
+    const omitted = this.totalBytes - this.kept.length;
+    const output = this.kept.toString();
+    return omitted > 0 ? `${output}\n... [output truncated, ${omitted} bytes omitted]` : output;
+  }
+}
+
+/**
+ * Persistent bash session used to execute the `bash` tool. State such as the
+ * current directory and exported variables carries over between commands.
+ *
+ * The allowlist and denylist are guardrails against obvious mistakes, not a
+ * security boundary: only enable the tool on machines where Claude may run code.
+ */
+class BashSession {
+  constructor(options = {}) {
+    this.options = {
+      cwd: process.cwd(),
+      shell: '/bin/bash',
+      allowlist: [],
+      denylist: DEFAULT_DENYLIST,
+      ...options
+    };
+
+    // A NaN timeout would not time out at all, so anything but a positive number falls back to the default
+    const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+    if (!isPositive(this.options.timeoutMs)) {
+      if (options.timeoutMs !== undefined) {
+        logger.warn('BashTool', `Invalid timeout ${options.timeoutMs}; using ${DEFAULT_TIMEOUT_MS}ms`);
+      }
+      this.options.timeoutMs = DEFAULT_TIMEOUT_MS;
+    }
+    if (!isPositive(this.options.maxOutputBytes)) {
+      if (options.maxOutputBytes !== undefined) {
+        logger.warn('BashTool', `Invalid output limit ${options.maxOutputBytes}; using ${DEFAULT_MAX_OUTPUT_BYTES} bytes`);
+      }
+      this.options.maxOutputBytes = DEFAULT_MAX_OUTPUT_BYTES;
+    }
+
+    this.process = null;
+    this.running = false;
+    this.commandCount = 0;
+  }
+
+  /**
+   * Start the underlying shell process
+   */
+  start() {
+    if (this.process) {
+      return;
+    }
+
+    logger.info('BashTool', `Starting bash session in ${this.options.cwd}`);
+    // Its own process group, so stopping the shell also ends the commands it started
+    this.process = spawn(this.options.shell, [], {
+      cwd: this.options.cwd,
+      env: process.env,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      detached: true
+    });
+
+    this.process.on('exit', (code, signal) => {
+      logger.debug('BashTool', 'Bash session exited', { code, signal });
+      this.process = null;
+    });
+  }
+
+  /**
+   * Stop the underlying shell process
+   */
+  stop() {
+    if (!this.process) {
+      return;
+    }
+
+    logger.info('BashTool', 'Stopping bash session');
+    const shell = this.process;
+    shell.removeAllListeners('exit');
+    try {
+      process.kill(-shell.pid, 'SIGKILL');
+    } catch (error) {
+      shell.kill('SIGKILL');
+    }
+
+    // A command still running, such as one that timed out, would otherwise hold the pipes open
+    shell.stdin.destroy();
+    shell.stdout.destroy();
+    shell.stderr.destroy();
+    this.process = null;
+    this.running = false;
+  }
+
+  /**
+   * Restart the shell, discarding any state from previous commands
+   */
+  restart() {
+    logger.info('BashTool', 'Restarting bash session');
+    this.stop();
+    this.start();
+  }
+
+  /**
+   * Check a command against the allowlist and denylist
+   *
+   * @param {string} command - Shell command line
+   * @throws {Error} If any program in the command is not permitted
+   */
+  checkPolicy(command) {
+    const { allowlist, denylist } = this.options;
+
+    for (const program of getCommandPrograms(command)) {
+      if (denylist.includes(program)) {
+        throw new Error(`Command '${program}' is not allowed`);
+      }
+      if (allowlist.length > 0 && !allowlist.includes(program)) {
+        throw new Error(`Command '${program}' is not in the allowlist`);
+      }
+    }
+  }
+
+  /**
+   * Run a command in the session and wait for it to finish
+   *
+   * @param {string} command - Shell command line
+   * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>} - Command result
+   */
+  run(command) {
+    try {
+      this.checkPolicy(command);
+    } catch (error) {
+      logger.warn('BashTool', 'Command rejected by policy', { command, error: error.message });
+      return Promise.reject(error);
+    }
+
+    if (this.running) {
+      return Promise.reject(new Error('Another command is still running in this bash session'));
+    }
+
+    this.start();
+
+    const sentinel = `__BASH_TOOL_DONE_${process.pid}_${++this.commandCount}__`;
+    const shell = this.process;
+    this.running = true;
+
+    logger.debug('BashTool', `Running command: ${command}`);
+    const startTime = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const stdout = new CommandOutput(this.options.maxOutputBytes, new RegExp(`\\n?${sentinel}(\\d+)\\n$`));
+      const stderr = new CommandOutput(this.options.maxOutputBytes, new RegExp(`\\n?${sentinel}\\n$`));
+      let exitCode = null;
+      let stderrDone = false;
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        shell.stdout.removeListener('data', onStdout);
+        shell.stderr.removeListener('data', onStderr);
+        shell.removeListener('exit', onExit);
+        this.running = false;
+      };
+
+      const finish = () => {
+        if (exitCode === null || !stderrDone) {
+          return;
+        }
+        cleanup();
+
+        const duration = Date.now() - startTime;
+        logger.info('BashTool', `Command finished with exit code ${exitCode} in ${duration}ms`, {
+          stdoutLength: stdout.length,
+          stderrLength: stderr.length
+        });
+
+        resolve({
+          stdout: stdout.toString(),
+          stderr: stderr.toString(),
+          exitCode
+        });
+      };
+
+      const onStdout = (data) => {
+        const match = stdout.push(data);
+        if (match) {
+          exitCode = parseInt(match[1], 10);
+          finish();
+        }
+      };
+
+      const onStderr = (data) => {
+        if (stderr.push(data)) {
+          stderrDone = true;
+          finish();
+        }
+      };
+
+      const onExit = (code) => {
+        cleanup();
+        this.process = null;
+        reject(new Error(`Bash session exited with code ${code}; it will be restarted on the next command`));
+      };
+
+      const timer = setTimeout(() => {
+        cleanup();
+        logger.warn('BashTool', `Command timed out after ${this.options.timeoutMs}ms`, { command });
+        this.restart();
+        reject(new Error(`Command timed out after ${this.options.timeoutMs}ms; the bash session was restarted`));
+      }, this.options.timeoutMs);
+
+      shell.stdout.on('data', onStdout);
+      shell.stderr.on('data', onStderr);
+      shell.on('exit', onExit);
+
+      // Report the exit status on stdout and mark the end of stderr so both streams are complete
+      shell.stdin.write(`${command}\nprintf '\\n%s%s\\n' '${sentinel}' "$?"; printf '\\n%s\\n' '${sentinel}' >&2\n`);
+    });
+  }
+}
+
+/**
+ * Create a bash session from BASH_TOOL_* environment variables
+ *
+ * @returns {BashSession|null} - Session, or null when BASH_TOOL_ENABLED is not "true"
+ */
+function createBashSessionFromEnv() {
+  if (process.env.BASH_TOOL_ENABLED !== 'true') {
+    logger.debug('BashTool', 'Bash tool disabled');
+    return null;
+  }
+
+  const options = {
+    cwd: process.env.BASH_TOOL_CWD ? path.resolve(process.env.BASH_TOOL_CWD) : process.cwd()
+  };
+
+  const allowlist = parseList(process.env.BASH_TOOL_ALLOWLIST);
+  const denylist = parseList(process.env.BASH_TOOL_DENYLIST);
+  if (allowlist) options.allowlist = allowlist;
+  if (denylist) options.denylist = denylist;
+  if (process.env.BASH_TOOL_TIMEOUT_MS) options.timeoutMs = parseInt(process.env.BASH_TOOL_TIMEOUT_MS, 10);
+  if (process.env.BASH_TOOL_MAX_OUTPUT) options.maxOutputBytes = parseInt(process.env.BASH_TOOL_MAX_OUTPUT, 10);
+
+  logger.info('BashTool', 'Bash tool enabled', options);
+  return new BashSession(options);
+}
+
+/**
+ * Execute a `bash` tool_use input and build the tool_result content block
+ *
+ * @param {BashSession} session - Session to run the command in
+ * @param {object} input - Tool input with `command` or `restart`
+ * @param {string} toolUseId - ID of the tool_use block being answered
+ * @returns {Promise<object>} - tool_result content block
+ */
+async function runBashTool(session, input, toolUseId) {
+  if (input?.restart) {
+    session.restart();
+    return {
+      type: "tool_result",
+      tool_use_id: toolUseId,
+      content: 'Bash session restarted'
+    };
+  }
+
+  if (typeof input?.command !== 'string' || input.command.trim() === '') {
+    return {
+      type: "tool_result",
+      tool_use_id: toolUseId,
+      is_error: true,
+      content: 'bash requires a \'command\''
+    };
+  }
+
+  try {
+    const { stdout, stderr, exitCode } = await session.run(input.command);
+    const output = [stdout, stderr ? `stderr:\n${stderr}` : '', exitCode !== 0 ? `exit code: ${exitCode}` : '']
+      .filter(Boolean)
+      .join('\n');
+
+    return {
+      type: "tool_result",
+      tool_use_id: toolUseId,
+      is_error: exitCode !== 0,
+      content: output || '(no output)'
+    };
+  } catch (error) {
+    logger.warn('BashTool', 'Bash command failed', { command: input.command, error: error.message });
+    return {
+      type: "tool_result",
+      tool_use_id: toolUseId,
+      is_error: true,
+      content: error.message
+    };
+  }
+}
+
+module.exports = {
+  BashSession,
+  createBashSessionFromEnv,
+  runBashTool,
+  getCommandPrograms
+};
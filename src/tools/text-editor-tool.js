@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Lines of context shown around an edit in the result returned to Claude
+const SNIPPET_CONTEXT_LINES = 4;
+
+/**
+ * Format file content with line numbers, like `cat -n`
+ *
+ * @param {string} content - File content
+ * @param {number} firstLine - Line number of the first line
+ * @returns {string} - Numbered content
+ */
+function numberLines(content, firstLine = 1) {
+  return content
+    .split('\n')
+    .map((line, index) => `${String(index + firstLine).padStart(6)}\t${line}`)
+    .join('\n');
+}
+
+/**
+ * File editor used to execute the `str_replace_editor` tool. Every path is
+ * confined to the configured root, and each edit can be undone for as long as
+ * the editor lives.
+ */
+class TextEditor {
+  constructor(options = {}) {
+    this.root = fs.realpathSync(path.resolve(options.root || process.cwd()));
+    this.history = new Map();
+  }
+
+  /**
+   * Resolve a path from Claude against the root and make sure it stays inside it,
+   * following symlinks of the parts that already exist
+   *
+   * @param {string} requestedPath - Absolute or root-relative path
+   * @returns {string} - Absolute path inside the root
+   * @throws {Error} If the path escapes the root
+   */
+  resolvePath(requestedPath) {
+    if (typeof requestedPath !== 'string' || requestedPath.trim() === '') {
+      throw new Error('A \'path\' is required');
+    }
+
+    const resolved = path.resolve(this.root, requestedPath);
+
+    // Walk up to the closest existing ancestor so symlinks cannot point outside the root.
+    // lstat sees dangling symlinks too, which existsSync reports as missing.
+    let existing = resolved;
+    while (!fs.lstatSync(existing, { throwIfNoEntry: false })) {
+      existing = path.dirname(existing);
+    }
+
+    let realExisting;
+    try {
+      realExisting = fs.realpathSync(existing);
+    } catch (error) {
+      logger.warn('TextEditor', 'Rejected path through a dangling symlink', { requestedPath, root: this.root });
+      throw new Error(`Path ${requestedPath} goes through a symlink whose target does not exist`);
+    }
+    const real = path.join(realExisting, path.relative(existing, resolved));
+
+    const relative = path.relative(this.root, real);
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      logger.warn('TextEditor', 'Rejected path outside the workspace root', { requestedPath, root: this.root });
+      throw new Error(`Path ${requestedPath} is outside the workspace root ${this.root}`);
+    }
+
+    return real;
+  }
+
+  /**
+   * Remember the content of a file before it is changed
+   *
+   * @param {string} filePath - Absolute file path
+   * @param {string|null} content - Previous content, or null if the file did not exist
+   */
+  remember(filePath, content) {
+    if (!this.history.has(filePath)) {
+      this.history.set(filePath, []);
+    }
+    this.history.get(filePath).push(content);
+  }
+
+  /**
+   * Read a file that must exist
+   *
+   * @param {string} filePath - Absolute file path
+   * @param {string} requestedPath - Path as given by Claude, for error messages
+   * @returns {string} - File content
+   */
+  readFile(filePath, requestedPath) {
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      throw new Error(`File ${requestedPath} does not exist`);
+    }
+    return fs.readFileSync(filePath, 'utf8');
+  }
+
+  /**
+   * Show a snippet of the file around an edited line
+   *
+   * @param {string} content - New file content
+   * @param {number} line - Zero-based line the edit starts at
+   * @param {number} lineCount - Number of lines the edit covers
+   * @returns {string} - Numbered snippet
+   */
+  snippet(content, line, lineCount) {
+    const lines = content.split('\n');
+    const start = Math.max(0, line - SNIPPET_CONTEXT_LINES);
+    const end = Math.min(lines.length, line + lineCount + SNIPPET_CONTEXT_LINES);
+    return numberLines(lines.slice(start, end).join('\n'), start + 1);
+  }
+
+  /**
+   * View a file with line numbers, or list a directory two levels deep
+   *
+   * @param {string} requestedPath - File or directory path
+   * @param {number[]} [viewRange] - Optional [start, end] line range, end -1 for end of file
+   * @returns {string} - Formatted view
+   */
+  view(requestedPath, viewRange) {
+    const filePath = this.resolvePath(requestedPath);
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      if (viewRange) {
+        throw new Error('\'view_range\' is not allowed when viewing a directory');
+      }
+
+      const entries = [];
+      const walk = (dir, depth) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+          if (entry.name.startsWith('.') || entry.name === 'node_modules') {
+            continue;
+          }
+          const entryPath = path.join(dir, entry.name);
+          entries.push(path.relative(this.root, entryPath) + (entry.isDirectory() ? '/' : ''));
+          if (entry.isDirectory() && depth < 2) {
+            walk(entryPath, depth + 1);
+          }
+        }
+      };
+      walk(filePath, 1);
+
+      return `Files and directories up to 2 levels deep in ${requestedPath}:\n${entries.sort().join('\n')}`;
+    }
+
+    const content = this.readFile(filePath, requestedPath);
+    if (!viewRange) {
+      return numberLines(content);
+    }
+
+    const lines = content.split('\n');
+    const [start, end] = viewRange;
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || start > lines.length ||
+        (end !== -1 && (end < start || end > lines.length))) {
+      throw new Error(`Invalid 'view_range' ${JSON.stringify(viewRange)}; the file has ${lines.length} lines`);
+    }
+
+    return numberLines(lines.slice(start - 1, end === -1 ? undefined : end).join('\n'), start);
+  }
+
+  /**
+   * Create or overwrite a file
+   *
+   * @param {string} requestedPath - File path
+   * @param {string} fileText - Content of the new file
+   * @returns {string} - Result message
+   */
+  create(requestedPath, fileText) {
+    if (typeof fileText !== 'string') {
+      throw new Error('\'file_text\' is required for create');
+    }
+
+    const filePath = this.resolvePath(requestedPath);
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      throw new Error(`${requestedPath} is a directory`);
+    }
+
+    this.remember(filePath, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, fileText);
+
+    logger.info('TextEditor', `Created ${filePath}`, { length: fileText.length });
+    return `File created successfully at: ${requestedPath}`;
+  }
+
+  /**
+   * Replace exactly one occurrence of a string in a file
+   *
+   * @param {string} requestedPath - File path
+   * @param {string} oldStr - Text to replace; must occur exactly once
+   * @param {string} [newStr] - Replacement text, empty when omitted
+   * @returns {string} - Result message with a snippet of the edited region
+   */
+  strReplace(requestedPath, oldStr, newStr = '') {
+    if (typeof oldStr !== 'string' || oldStr === '') {
+      throw new Error('\'old_str\' is required for str_replace');
+    }
+
+    const filePath = this.resolvePath(requestedPath);
+    const content = this.readFile(filePath, requestedPath);
+
+    const occurrences = content.split(oldStr).length - 1;
+    if (occurrences === 0) {
+      throw new Error(`No replacement was performed, old_str did not appear verbatim in ${requestedPath}`);
+    }
+    if (occurrences > 1) {
+      throw new Error(`No replacement was performed, old_str appears ${occurrences} times in ${requestedPath}; include more context to make it unique`);
+    }
+
+    const index = content.indexOf(oldStr);
+    const updated = content.substring(0, index) + newStr + content.substring(index + oldStr.length);
+
+    this.remember(filePath, content);
+    fs.writeFileSync(filePath, updated);
+
+    const line = content.substring(0, index).split('\n').length - 1;
+    logger.info('TextEditor', `Replaced text in ${filePath} at line ${line + 1}`);
+    return `The file ${requestedPath} has been edited. Snippet of the edited file:\n` +
+      this.snippet(updated, line, newStr.split('\n').length);
+  }
+
+  /**
+   * Insert text after a given line
+   *
+   * @param {string} requestedPath - File path
+   * @param {number} insertLine - Line to insert after, 0 for the top of the file
+   * @param {string} newStr - Text to insert
+   * @returns {string} - Result message with a snippet of the edited region
+   */
+  insert(requestedPath, insertLine, newStr) {
+    if (typeof newStr !== 'string') {
+      throw new Error('\'new_str\' is required for insert');
+    }
+
+    const filePath = this.resolvePath(requestedPath);
+    const content = this.readFile(filePath, requestedPath);
+    const lines = content.split('\n');
+
+    if (!Number.isInteger(insertLine) || insertLine < 0 || insertLine > lines.length) {
+      throw new Error(`Invalid 'insert_line' ${insertLine}; it must be between 0 and ${lines.length}`);
+    }
+
+    const newLines = newStr.split('\n');
+    const updated = [...lines.slice(0, insertLine), ...newLines, ...lines.slice(insertLine)].join('\n');
+
+    this.remember(filePath, content);
+    fs.writeFileSync(filePath, updated);
+
+    logger.info('TextEditor', `Inserted ${newLines.length} lines into ${filePath} after line ${insertLine}`);
+    return `The file ${requestedPath} has been edited. Snippet of the edited file:\n` +
+      this.snippet(updated, insertLine, newLines.length);
+  }
+
+  /**
+   * Revert the last edit made to a file
+   *
+   * @param {string} requestedPath - File path
+   * @returns {string} - Result message
+   */
+  undoEdit(requestedPath) {
+    const filePath = this.resolvePath(requestedPath);
+    const history = this.history.get(filePath);
+
+    if (!history || history.length === 0) {
+      throw new Error(`No edit history found for ${requestedPath}`);
+    }
+
+    const previous = history.pop();
+    if (previous === null) {
+      fs.unlinkSync(filePath);
+      logger.info('TextEditor', `Undid creation of ${filePath}`);
+      return `Last edit to ${requestedPath} undone; the file was removed`;
+    }
+
+    fs.writeFileSync(filePath, previous);
+    logger.info('TextEditor', `Undid last edit to ${filePath}`);
+    return `Last edit to ${requestedPath} undone successfully. Current content:\n${numberLines(previous)}`;
+  }
+}
+
+/**
+ * Create a text editor from EDITOR_TOOL_* environment variables
+ *
+ * @returns {TextEditor|null} - Editor, or null when EDITOR_TOOL_ENABLED is not "true"
+ */
+function createTextEditorFromEnv() {
+  if (process.env.EDITOR_TOOL_ENABLED !== 'true') {
+    logger.debug('TextEditor', 'Text editor tool disabled');
+    return null;
+  }
+
+  const editor = new TextEditor({ root: process.env.EDITOR_TOOL_ROOT });
+  logger.info('TextEditor', 'Text editor tool enabled', { root: editor.root });
+  return editor;
+}
+
+/**
+ * Execute a `str_replace_editor` tool_use input and build the tool_result content block
+ *
+ * @param {TextEditor} editor - Editor confined to the workspace root
+ * @param {object} input - Tool input with `command`, `path` and command specific fields
+ * @param {string} toolUseId - ID of the tool_use block being answered
+ * @returns {Promise<object>} - tool_result content block
+ */
+async function runTextEditorTool(editor, input, toolUseId) {
+  try {
+    let output;
+
+    switch (input?.command) {
+      case 'view':
+        output = editor.view(input.path, input.view_range);
+        break;
+      case 'create':
+        output = editor.create(input.path, input.file_text);
+        break;
+      case 'str_replace':
+        output = editor.strReplace(input.path, input.old_str, input.new_str);
+        break;
+      case 'insert':
+        output = editor.insert(input.path, input.insert_line, input.new_str);
+        break;
+      case 'undo_edit':
+        output = editor.undoEdit(input.path);
+        break;
+      default:
+        throw new Error(`Unsupported editor command: ${input?.command}`);
+    }
+
+    return {
+      type: "tool_result",
+      tool_use_id: toolUseId,
+      content: output
+    };
+  } catch (error) {
+    logger.warn('TextEditor', 'Editor command failed', {
+      command: input?.command,
+      path: input?.path,
+      error: error.message
+    });
+    return {
+      type: "tool_result",
+      tool_use_id: toolUseId,
+      is_error: true,
+      content: error.message
+    };
+  }
+}
+
+module.exports = {
+  TextEditor,
+  createTextEditorFromEnv,
+  runTextEditorTool
+};
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Names of the tools the agent loop provides itself
+const BUILT_IN_TOOLS = ['computer', 'bash', 'str_replace_editor'];
+
+// How long a custom tool may run before Claude is told it timed out
+const DEFAULT_TOOL_TIMEOUT_MS = 60000;
+
+/**
+ * Build a text block for a custom tool result
+ *
+ * @param {string} text - Text to return to Claude
+ * @returns {object} - Text content block
+ */
+function textResult(text) {
+  return { type: 'text', text };
+}
+
+/**
+ * Build an image block for a custom tool result
+ *
+ * @param {string} data - Base64 encoded image
+ * @param {string} [mediaType] - Image media type
+ * @returns {object} - Image content block
+ */
+function imageResult(data, mediaType = 'image/png') {
+  return { type: 'image', source: { type: 'base64', media_type: mediaType, data } };
+}
+
+/**
+ * Turn whatever a handler returned into tool_result content
+ *
+ * @param {*} output - A string, a content block, an array of blocks, or { content, isError }
+ * @returns {{content: (string|Array), isError: boolean}} - Normalized result
+ */
+function normalizeOutput(output) {
+  if (output && typeof output === 'object' && !Array.isArray(output) && 'content' in output) {
+    return { content: normalizeOutput(output.content).content, isError: Boolean(output.isError) };
+  }
+  if (output === undefined || output === null) {
+    return { content: '(no output)', isError: false };
+  }
+  if (typeof output === 'string') {
+    return { content: output, isError: false };
+  }
+
+  const blocks = Array.isArray(output) ? output : [output];
+  for (const block of blocks) {
+    if (!block || !['text', 'image'].includes(block.type)) {
+      throw new Error('Tool handlers must return a string, text or image blocks, or { content, isError }');
+    }
+  }
+  return { content: blocks, isError: false };
+}
+
+/**
+ * Custom tools offered to Claude next to the built-in ones. Each tool has a
+ * name, a description, a JSON schema for its input and an async handler.
+ */
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a custom tool
+   *
+   * @param {object} tool - Tool definition
+   * @param {string} tool.name - Tool name Claude calls it by
+   * @param {string} tool.description - What the tool does and when to use it
+   * @param {object} tool.inputSchema - JSON schema of the tool input; `input_schema` is accepted too
+   * @param {Function} tool.handler - Async function (input, context) returning the result
+   * @param {number} [tool.timeoutMs] - Time limit for the handler
+   * @returns {ToolRegistry} - The registry, for chaining
+   */
+  register(tool) {
+    const { name, description, handler } = tool || {};
+    const inputSchema = tool?.inputSchema || tool?.input_schema;
+
+    if (typeof name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+      throw new Error(`Invalid tool name '${name}'; use 1-64 letters, digits, '_' or '-'`);
+    }
+    if (BUILT_IN_TOOLS.includes(name)) {
+      throw new Error(`Tool name '${name}' is reserved for a built-in tool`);
+    }
+    if (this.tools.has(name)) {
+      throw new Error(`Tool '${name}' is already registered`);
+    }
+    if (typeof description !== 'string' || description.trim() === '') {
+      throw new Error(`Tool '${name}' needs a description`);
+    }
+    if (!inputSchema || inputSchema.type !== 'object') {
+      throw new Error(`Tool '${name}' needs an input schema of type 'object'`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Tool '${name}' needs a handler function`);
+    }
+
+    this.tools.set(name, {
+      name,
+      description,
+      inputSchema,
+      handler,
+      timeoutMs: tool.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS
+    });
+
+    logger.info('ToolRegistry', `Registered tool ${name}`);
+    return this;
+  }
+
+  /**
+   * Remove a custom tool
+   *
+   * @param {string} name - Tool name
+   * @returns {boolean} - Whether a tool was removed
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * @param {string} name - Tool name
+   * @returns {boolean} - Whether a tool with this name is registered
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Summarize the registered tools
+   *
+   * @returns {Array<{name: string, description: string, inputSchema: object}>} - Registered tools
+   */
+  list() {
+    return Array.from(this.tools.values()).map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+  }
+
+  /**
+   * Tool definitions in the shape the Messages API expects
+   *
+   * @returns {Array<object>} - Tool definitions
+   */
+  definitions() {
+    return Array.from(this.tools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.inputSchema
+    }));
+  }
+
+  /**
+   * Run a custom tool and build the tool_result content block
+   *
+   * @param {string} name - Tool name
+   * @param {object} input - Tool input from Claude
+   * @param {string} toolUseId - ID of the tool_use block being answered
+   * @param {object} [context] - Passed to the handler, e.g. the goal and work context
+   * @returns {Promise<object>} - tool_result content block
+   */
+  async execute(name, input, toolUseId, context = {}) {
+    const tool = this.tools.get(name);
+    const startTime = Date.now();
+    let timer;
+
+    try {
+      if (!tool) {
+        throw new Error(`Tool '${name}' is not registered`);
+      }
+
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Tool '${name}' timed out after ${tool.timeoutMs}ms`)), tool.timeoutMs);
+      });
+      const output = await Promise.race([tool.handler(input || {}, { ...context, toolUseId }), timeout]);
+      const { content, isError } = normalizeOutput(output);
+
+      logger.info('ToolRegistry', `Tool ${name} finished in ${Date.now() - startTime}ms`, { isError });
+      return {
+        type: "tool_result",
+        tool_use_id: toolUseId,
+        is_error: isError,
+        content
+      };
+    } catch (error) {
+      logger.warn('ToolRegistry', `Tool ${name} failed`, { input, error: error.message });
+      return {
+        type: "tool_result",
+        tool_use_id: toolUseId,
+        is_error: true,
+        content: error.message
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Load every .js module in a plugins directory into a registry. A plugin
+ * exports either a function receiving the registry, a tool definition or an
+ * array of tool definitions. Plugins that fail to load are logged and skipped.
+ *
+ * @param {ToolRegistry} registry - Registry to add the tools to
+ * @param {string} directory - Plugins directory
+ * @returns {string[]} - Files that were loaded
+ */
+function loadPlugins(registry, directory) {
+  const resolved = path.resolve(directory);
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+    logger.warn('ToolRegistry', `Plugins directory ${resolved} does not exist`);
+    return [];
+  }
+
+  const loaded = [];
+  const files = fs.readdirSync(resolved).filter(file => file.endsWith('.js')).sort();
+
+  for (const file of files) {
+    const filePath = path.join(resolved, file);
+    try {
+      const plugin = require(filePath);
+
+      if (typeof plugin === 'function') {
+        plugin(registry, { textResult, imageResult });
+      } else {
+        (Array.isArray(plugin) ? plugin : [plugin]).forEach(tool => registry.register(tool));
+      }
+
+      loaded.push(file);
+      logger.info('ToolRegistry', `Loaded plugin ${file}`);
+    } catch (error) {
+      logger.error('ToolRegistry', `Could not load plugin ${file}`, { error: error.message });
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Create a registry with the plugins from TOOL_PLUGINS_DIR
+ *
+ * @returns {ToolRegistry} - Registry, empty when TOOL_PLUGINS_DIR is not set
+ */
+function createToolRegistryFromEnv() {
+  const registry = new ToolRegistry();
+
+  if (process.env.TOOL_PLUGINS_DIR) {
+    loadPlugins(registry, process.env.TOOL_PLUGINS_DIR);
+  } else {
+    logger.debug('ToolRegistry', 'No plugins directory configured');
+  }
+
+  return registry;
+}
+
+module.exports = {
+  ToolRegistry,
+  BUILT_IN_TOOLS,
+  textResult,
+  imageResult,
+  loadPlugins,
+  createToolRegistryFromEnv
+};
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const logger = require('./utils/logger');
+
+// USD per million tokens; models are matched by the longest prefix of their name
+const DEFAULT_PRICES = {
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+  'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'mock': { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 }
+};
+
+// Rough size of a token, used to estimate thinking tokens from the thinking text
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Load the price table, merging PRICE_TABLE_FILE over the built-in prices
+ *
+ * @param {string} [filePath] - JSON file mapping model prefixes to prices
+ * @returns {object} - Price table
+ */
+function loadPriceTable(filePath = process.env.PRICE_TABLE_FILE) {
+  if (!filePath) {
+    return DEFAULT_PRICES;
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  logger.info('UsageTracker', `Loaded price table from ${filePath}`, { models: Object.keys(overrides) });
+  return { ...DEFAULT_PRICES, ...overrides };
+}
+
+/**
+ * Read token and dollar limits from <prefix>_MAX_TOKENS and <prefix>_MAX_COST_USD
+ *
+ * @param {string} prefix - Environment variable prefix, e.g. REQUEST or SESSION
+ * @returns {{maxTokens?: number, maxCostUsd?: number}} - Limits that are set
+ */
+function getBudgetFromEnv(prefix) {
+  const limits = {};
+  const maxTokens = parseInt(process.env[`${prefix}_MAX_TOKENS`], 10);
+  const maxCostUsd = parseFloat(process.env[`${prefix}_MAX_COST_USD`]);
+
+  if (maxTokens > 0) limits.maxTokens = maxTokens;
+  if (maxCostUsd > 0) limits.maxCostUsd = maxCostUsd;
+  return limits;
+}
+
+/**
+ * Create an all-zero usage record
+ *
+ * @returns {object} - Token counts
+ */
+function emptyUsage() {
+  return {
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationInputTokens: 0,
+    cacheReadInputTokens: 0,
+    thinkingTokens: 0
+  };
+}
+
+/**
+ * Convert a Messages API response into a usage record
+ *
+ * @param {object} response - Messages API response
+ * @returns {object} - Token counts; thinking tokens are estimated and already part of the output tokens
+ */
+function usageFromResponse(response) {
+  const usage = response.usage || {};
+  const thinkingChars = (response.content || [])
+    .filter(block => block.type === 'thinking')
+    .reduce((total, block) => total + (block.thinking || '').length, 0);
+
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationInputTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadInputTokens: usage.cache_read_input_tokens || 0,
+    thinkingTokens: Math.ceil(thinkingChars / CHARS_PER_TOKEN)
+  };
+}
+
+/**
+ * Total number of tokens billed for a usage record
+ *
+ * @param {object} usage - Token counts
+ * @returns {number} - Input, output and cache tokens combined
+ */
+function totalTokens(usage) {
+  return usage.inputTokens + usage.outputTokens + usage.cacheCreationInputTokens + usage.cacheReadInputTokens;
+}
+
+/**
+ * Estimate the cost of a usage record
+ *
+ * @param {object} usage - Token counts
+ * @param {string} model - Model name
+ * @param {object} [prices] - Price table
+ * @returns {number|null} - Cost in USD, or null when the model has no price
+ */
+function estimateCost(usage, model, prices = DEFAULT_PRICES) {
+  const prefix = Object.keys(prices)
+    .filter(name => (model || '').startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!prefix) {
+    return null;
+  }
+
+  const price = prices[prefix];
+  const cost = usage.inputTokens * price.input +
+    usage.outputTokens * price.output +
+    usage.cacheCreationInputTokens * (price.cacheWrite ?? price.input) +
+    usage.cacheReadInputTokens * (price.cacheRead ?? price.input);
+
+  return cost / 1e6;
+}
+
+/**
+ * Aggregates token usage and cost, optionally against hard limits. A tracker
+ * can have a parent, e.g. a request tracker inside a session tracker; usage
+ * recorded on the child counts towards both.
+ */
+class UsageTracker {
+  constructor(options = {}) {
+    this.limits = options.limits || {};
+    this.parent = options.parent || null;
+    this.prices = options.prices || DEFAULT_PRICES;
+    this.total = emptyUsage();
+    this.costUsd = 0;
+    this.unpricedModels = new Set();
+    this.iterations = [];
+    this.budgetExceeded = null;
+  }
+
+  /**
+   * Record the usage of one model response
+   *
+   * @param {object} response - Messages API response
+   * @param {string} model - Model the request was sent to
+   * @returns {object} - Usage and cost of this response
+   */
+  record(response, model) {
+    const usage = usageFromResponse(response);
+    const costUsd = estimateCost(usage, model, this.prices);
+    const entry = { iteration: this.iterations.length + 1, model, ...usage, costUsd };
+
+    this.add(usage, costUsd, model);
+    this.iterations.push(entry);
+
+    logger.debug('UsageTracker', `Iteration ${entry.iteration} used ${totalTokens(usage)} tokens`, entry);
+    return entry;
+  }
+
+  /**
+   * Add token counts to this tracker and its parents
+   *
+   * @param {object} usage - Token counts
+   * @param {number|null} costUsd - Cost, null when unknown
+   * @param {string} model - Model name
+   */
+  add(usage, costUsd, model) {
+    for (const key of Object.keys(this.total)) {
+      this.total[key] += usage[key];
+    }
+
+    if (costUsd === null) {
+      if (!this.unpricedModels.has(model)) {
+        logger.warn('UsageTracker', `No price configured for model ${model}; its cost is not counted`);
+      }
+      this.unpricedModels.add(model);
+    } else {
+      this.costUsd += costUsd;
+    }
+
+    if (this.parent) {
+      this.parent.add(usage, costUsd, model);
+    }
+  }
+
+  /**
+   * Check this tracker and its parents against their limits
+   *
+   * @returns {string|null} - Why the budget is exhausted, or null while within budget
+   */
+  checkBudget() {
+    const { maxTokens, maxCostUsd } = this.limits;
+    const used = totalTokens(this.total);
+
+    if (maxTokens && used >= maxTokens) {
+      return `Token budget of ${maxTokens} exhausted (${used} used)`;
+    }
+    if (maxCostUsd && this.costUsd >= maxCostUsd) {
+      return `Cost budget of $${maxCostUsd} exhausted ($${this.costUsd.toFixed(4)} used)`;
+    }
+
+    return this.parent ? this.parent.checkBudget() : null;
+  }
+
+  /**
+   * Build a JSON-friendly usage breakdown
+   *
+   * @param {boolean} [includeIterations] - Whether to list every iteration
+   * @returns {object} - Totals, cost, limits and optionally per-iteration usage
+   */
+  summary(includeIterations = true) {
+    const summary = {
+      ...this.total,
+      totalTokens: totalTokens(this.total),
+      costUsd: this.costUsd,
+      limits: this.limits
+    };
+
+    if (this.budgetExceeded) {
+      summary.budgetExceeded = this.budgetExceeded;
+    }
+    if (this.unpricedModels.size > 0) {
+      summary.unpricedModels = Array.from(this.unpricedModels);
+    }
+    if (includeIterations) {
+      summary.iterations = this.iterations;
+    }
+    return summary;
+  }
+}
+
+module.exports = {
+  UsageTracker,
+  DEFAULT_PRICES,
+  loadPriceTable,
+  getBudgetFromEnv,
+  estimateCost,
+  usageFromResponse
+};
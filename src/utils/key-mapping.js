@@ -0,0 +1,155 @@
+/**
+ * Key mapping utility for Claude Cursor Operator
+ * Translates xdotool-style key combos used by the Computer Use tool
+ * (e.g. "ctrl+shift+p", "Return", "alt+Tab") into robotjs key names
+ */
+
+const logger = require('./logger');
+
+// Modifier aliases mapped to the modifier names robotjs expects
+const MODIFIERS = {
+  ctrl: 'control',
+  control: 'control',
+  control_l: 'control',
+  control_r: 'control',
+  shift: 'shift',
+  shift_l: 'shift',
+  shift_r: 'shift',
+  alt: 'alt',
+  alt_l: 'alt',
+  alt_r: 'alt',
+  option: 'alt',
+  super: 'command',
+  super_l: 'command',
+  super_r: 'command',
+  meta: 'command',
+  meta_l: 'command',
+  meta_r: 'command',
+  cmd: 'command',
+  command: 'command',
+  win: 'command'
+};
+
+// xdotool keysym names mapped to robotjs key names
+const KEYS = {
+  return: 'enter',
+  enter: 'enter',
+  kp_enter: 'enter',
+  tab: 'tab',
+  escape: 'escape',
+  esc: 'escape',
+  backspace: 'backspace',
+  delete: 'delete',
+  del: 'delete',
+  insert: 'insert',
+  space: 'space',
+  up: 'up',
+  down: 'down',
+  left: 'left',
+  right: 'right',
+  home: 'home',
+  end: 'end',
+  page_up: 'pageup',
+  pageup: 'pageup',
+  prior: 'pageup',
+  page_down: 'pagedown',
+  pagedown: 'pagedown',
+  next: 'pagedown',
+  print: 'printscreen',
+  printscreen: 'printscreen',
+  menu: 'menu',
+  minus: '-',
+  plus: '+',
+  equal: '=',
+  comma: ',',
+  period: '.',
+  slash: '/',
+  backslash: '\\',
+  semicolon: ';',
+  apostrophe: "'",
+  grave: '`',
+  bracketleft: '[',
+  bracketright: ']'
+};
+
+/**
+ * Convert a single xdotool key name to its robotjs equivalent
+ *
+ * @param {string} name - Key name such as "Return", "F5" or "a"
+ * @returns {string} - robotjs key name
+ */
+function toRobotKey(name) {
+  const lower = name.toLowerCase();
+
+  if (KEYS[lower]) {
+    return KEYS[lower];
+  }
+
+  if (/^f([1-9]|1[0-9]|2[0-4])$/.test(lower)) {
+    return lower;
+  }
+
+  if (name.length === 1) {
+    return name;
+  }
+
+  throw new Error(`Unsupported key: ${name}`);
+}
+
+/**
+ * Parse a single key combo such as "ctrl+shift+p"
+ *
+ * @param {string} combo - Plus-separated key combo
+ * @returns {{key: string, modifiers: string[]}} - Main key and robotjs modifiers
+ */
+function parseKeyCombo(combo) {
+  if (typeof combo !== 'string' || combo.trim() === '') {
+    throw new Error('Key combo must be a non-empty string');
+  }
+
+  // "ctrl++" means ctrl and the plus key
+  const parts = combo.trim().replace(/\+\+$/, '+plus').split('+');
+  const modifiers = [];
+  let key = null;
+
+  parts.forEach((part, index) => {
+    const lower = part.toLowerCase();
+    const isLast = index === parts.length - 1;
+
+    if (!isLast) {
+      if (!MODIFIERS[lower]) {
+        throw new Error(`Unsupported modifier: ${part}`);
+      }
+      if (!modifiers.includes(MODIFIERS[lower])) {
+        modifiers.push(MODIFIERS[lower]);
+      }
+    } else if (MODIFIERS[lower]) {
+      // A combo of modifiers only, or a lone one, presses the last as the key while the others are held
+      key = MODIFIERS[lower];
+    } else {
+      key = toRobotKey(part);
+    }
+  });
+
+  logger.debug('KeyMapping', `Parsed key combo: ${combo}`, { key, modifiers });
+  return { key, modifiers: modifiers.filter(modifier => modifier !== key) };
+}
+
+/**
+ * Parse a space-separated sequence of key combos such as "ctrl+a ctrl+c"
+ *
+ * @param {string} keys - One or more key combos separated by whitespace
+ * @returns {Array<{key: string, modifiers: string[]}>} - Parsed combos in order
+ */
+function parseKeySequence(keys) {
+  if (typeof keys !== 'string' || keys.trim() === '') {
+    throw new Error('Key combo must be a non-empty string');
+  }
+
+  return keys.trim().split(/\s+/).map(parseKeyCombo);
+}
+
+module.exports = {
+  parseKeyCombo,
+  parseKeySequence
+};
@@ -0,0 +1,64 @@
+/**
+ * Message history helpers for Claude Cursor Operator
+ * Keeps long conversations small enough to resend on every agent loop iteration
+ */
+
+const logger = require('./logger');
+
+const SCREENSHOT_PLACEHOLDER = '[Earlier screenshot removed to save context]';
+
+/**
+ * Find every image block in a message list, including images nested in tool results
+ *
+ * @param {Array} messages - Conversation messages
+ * @returns {Array<{container: Array, index: number}>} - Locations of image blocks, oldest first
+ */
+function findScreenshots(messages) {
+  const locations = [];
+
+  const scan = (blocks) => {
+    if (!Array.isArray(blocks)) {
+      return;
+    }
+    blocks.forEach((block, index) => {
+      if (block.type === 'image') {
+        locations.push({ container: blocks, index });
+      } else if (block.type === 'tool_result') {
+        scan(block.content);
+      }
+    });
+  };
+
+  messages.forEach(message => scan(message.content));
+  return locations;
+}
+
+/**
+ * Replace all but the most recent screenshots with a text placeholder.
+ * The messages are modified in place.
+ *
+ * @param {Array} messages - Conversation messages
+ * @param {number} keepLast - Number of most recent screenshots to keep in full
+ * @returns {number} - Number of screenshots that were replaced
+ */
+function pruneScreenshots(messages, keepLast) {
+  const screenshots = findScreenshots(messages);
+  const toPrune = screenshots.slice(0, Math.max(0, screenshots.length - keepLast));
+
+  for (const { container, index } of toPrune) {
+    container[index] = { type: 'text', text: SCREENSHOT_PLACEHOLDER };
+  }
+
+  if (toPrune.length > 0) {
+    logger.debug('MessageHistory', `Pruned ${toPrune.length} screenshots from history`, {
+      kept: screenshots.length - toPrune.length
+    });
+  }
+
+  return toPrune.length;
+}
+
+module.exports = {
+  SCREENSHOT_PLACEHOLDER,
+  pruneScreenshots
+};
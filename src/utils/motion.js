@@ -0,0 +1,206 @@
+/**
+ * Motion profiles for Claude Cursor Operator
+ * Plans the intermediate cursor positions of a move or drag so the cursor
+ * glides like a human hand instead of teleporting. Many apps (drag-and-drop,
+ * hover menus, sliders) ignore input that jumps straight to its target.
+ */
+
+// How the cursor travels between two points
+const MOTION_PROFILES = ['instant', 'linear', 'eased', 'bezier'];
+
+// Teleporting moves keep the original behaviour; drags still pass through
+// intermediate points so apps register them
+const DEFAULT_MOTION = {
+  profile: 'instant',
+  speed: 1500, // Pixels per second for linear, eased and bezier motion
+  pressDelayMs: 0, // Pause after pressing a button, before moving or releasing it
+  releaseDelayMs: 0, // Pause after the last drag movement, before releasing the button
+  dragSteps: 10 // Intermediate points of a drag with the instant profile
+};
+
+// Bounds for motion settings from the environment or a request
+const MOTION_LIMITS = {
+  speed: { min: 50, max: 20000 },
+  pressDelayMs: { min: 0, max: 5000 },
+  releaseDelayMs: { min: 0, max: 5000 },
+  dragSteps: { min: 1, max: 500 }
+};
+
+// Time between cursor updates while gliding, roughly one frame at 60 Hz
+const FRAME_INTERVAL_MS = 16;
+
+// How far a bezier path bows sideways, relative to the distance travelled
+const BEZIER_CURVATURE = 0.2;
+
+// Environment variables and the setting each one controls
+const ENV_VARIABLES = {
+  MOTION_PROFILE: 'profile',
+  MOTION_SPEED: 'speed',
+  MOTION_PRESS_DELAY_MS: 'pressDelayMs',
+  MOTION_RELEASE_DELAY_MS: 'releaseDelayMs',
+  MOTION_DRAG_STEPS: 'dragSteps'
+};
+
+/**
+ * Check motion settings and collect every problem
+ *
+ * @param {object} motion - Settings to check; only the keys present are validated
+ * @returns {string[]} - Problems found, empty when the settings are valid
+ */
+function findMotionErrors(motion) {
+  const errors = [];
+  const known = Object.keys(DEFAULT_MOTION);
+
+  for (const key of Object.keys(motion)) {
+    if (!known.includes(key)) {
+      errors.push(`Unknown motion setting '${key}'; expected one of ${known.join(', ')}`);
+    }
+  }
+
+  if (motion.profile !== undefined && !MOTION_PROFILES.includes(motion.profile)) {
+    errors.push(`'profile' must be one of ${MOTION_PROFILES.join(', ')}`);
+  }
+
+  for (const [key, { min, max }] of Object.entries(MOTION_LIMITS)) {
+    const value = motion[key];
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max)) {
+      errors.push(`'${key}' must be a number between ${min} and ${max}`);
+    }
+  }
+
+  if (motion.dragSteps !== undefined && !Number.isInteger(motion.dragSteps)) {
+    errors.push('\'dragSteps\' must be an integer');
+  }
+
+  return errors;
+}
+
+/**
+ * Apply motion overrides on top of base settings
+ *
+ * @param {object} base - Settings to start from
+ * @param {string|object} [overrides] - A profile name or individual settings
+ * @returns {object} - Combined settings
+ * @throws {Error} With the problems as `error.details` when the overrides are invalid
+ */
+function resolveMotion(base, overrides) {
+  if (overrides === undefined || overrides === null) {
+    return base;
+  }
+
+  const settings = typeof overrides === 'string' ? { profile: overrides } : overrides;
+  const errors = typeof settings === 'object' && !Array.isArray(settings)
+    ? findMotionErrors(settings)
+    : ['\'motion\' must be a profile name or an object'];
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid motion settings: ${errors.join('; ')}`);
+    error.details = errors;
+    throw error;
+  }
+
+  return { ...base, ...settings };
+}
+
+/**
+ * Read motion settings from MOTION_* environment variables
+ *
+ * @returns {object} - Default motion with the environment applied
+ */
+function getMotionFromEnv() {
+  const motion = {};
+
+  for (const [name, key] of Object.entries(ENV_VARIABLES)) {
+    const value = process.env[name];
+    if (value === undefined || value === '') {
+      continue;
+    }
+    motion[key] = key === 'profile' ? value : Number(value);
+  }
+
+  return resolveMotion(DEFAULT_MOTION, motion);
+}
+
+/**
+ * Ease in and out so the cursor accelerates and then slows into its target
+ *
+ * @param {number} t - Progress between 0 and 1
+ * @returns {number} - Eased progress
+ */
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+/**
+ * Point on a cubic bezier curve
+ *
+ * @param {Array<{x: number, y: number}>} points - Start, two control points and end
+ * @param {number} t - Progress between 0 and 1
+ * @returns {{x: number, y: number}} - Point on the curve
+ */
+function bezierPoint([p0, p1, p2, p3], t) {
+  const u = 1 - t;
+  const blend = (key) => u * u * u * p0[key] + 3 * u * u * t * p1[key] + 3 * u * t * t * p2[key] + t * t * t * p3[key];
+  return { x: blend('x'), y: blend('y') };
+}
+
+/**
+ * Plan the cursor positions of a move from one point to another
+ *
+ * @param {{x: number, y: number}} from - Current cursor position
+ * @param {{x: number, y: number}} to - Target position
+ * @param {object} motion - Motion settings
+ * @param {object} [options] - Planning options
+ * @param {boolean} [options.drag] - Whether a button is held; instant drags still use `dragSteps` points
+ * @param {Function} [options.random] - Source of randomness in [0, 1), bends bezier paths
+ * @returns {{points: Array<{x: number, y: number}>, intervalMs: number}} - Positions ending at the target, and the pause between them
+ */
+function planPath(from, to, motion, { drag = false, random = Math.random } = {}) {
+  const distance = Math.hypot(to.x - from.x, to.y - from.y);
+
+  if (motion.profile === 'instant' || distance === 0) {
+    if (!drag || distance === 0) {
+      return { points: [{ x: to.x, y: to.y }], intervalMs: 0 };
+    }
+    const points = [];
+    for (let step = 1; step <= motion.dragSteps; step++) {
+      const t = step / motion.dragSteps;
+      points.push({ x: Math.round(from.x + (to.x - from.x) * t), y: Math.round(from.y + (to.y - from.y) * t) });
+    }
+    return { points, intervalMs: 0 };
+  }
+
+  const durationMs = (distance / motion.speed) * 1000;
+  const steps = Math.max(1, Math.ceil(durationMs / FRAME_INTERVAL_MS), drag ? motion.dragSteps : 1);
+
+  // Both control points bow to the same side, like a wrist pivoting
+  const bend = (random() - 0.5) * 2 * BEZIER_CURVATURE * distance;
+  const normal = { x: -(to.y - from.y) / distance, y: (to.x - from.x) / distance };
+  const controls = [
+    from,
+    { x: from.x + (to.x - from.x) / 3 + normal.x * bend, y: from.y + (to.y - from.y) / 3 + normal.y * bend },
+    { x: from.x + (to.x - from.x) * 2 / 3 + normal.x * bend, y: from.y + (to.y - from.y) * 2 / 3 + normal.y * bend },
+    to
+  ];
+
+  const points = [];
+  for (let step = 1; step <= steps; step++) {
+    const t = motion.profile === 'linear' ? step / steps : easeInOutCubic(step / steps);
+    const point = motion.profile === 'bezier'
+      ? bezierPoint(controls, t)
+      : { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+    points.push({ x: Math.round(point.x), y: Math.round(point.y) });
+  }
+
+  return { points, intervalMs: durationMs / steps };
+}
+
+module.exports = {
+  MOTION_PROFILES,
+  DEFAULT_MOTION,
+  MOTION_LIMITS,
+  findMotionErrors,
+  resolveMotion,
+  getMotionFromEnv,
+  planPath
+};
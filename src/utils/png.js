@@ -0,0 +1,90 @@
+/**
+ * Minimal PNG encoder for Claude Cursor Operator
+ * Turns raw RGBA pixels into a PNG without native dependencies, so synthetic
+ * screenshots can be produced on machines without canvas
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC-32 lookup table used by every PNG chunk
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * @param {Buffer} buffer - Bytes to checksum
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk: length, type, data and CRC
+ *
+ * @param {string} type - Four letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} - Encoded chunk
+ */
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG
+ *
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Buffer} rgba - width * height * 4 bytes, row by row
+ * @returns {Buffer} - PNG file contents
+ */
+function encodePng(width, height, rgba) {
+  if (rgba.length !== width * height * 4) {
+    throw new Error(`Expected ${width * height * 4} bytes of RGBA data, got ${rgba.length}`);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 6; // Color type: RGBA
+  header[10] = 0; // Compression
+  header[11] = 0; // Filter method
+  header[12] = 0; // No interlacing
+
+  // Every scanline starts with its filter type; 0 leaves the row unfiltered
+  const rowLength = width * 4;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    rgba.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  encodePng,
+  crc32
+};
@@ -0,0 +1,321 @@
+/**
+ * Retry helpers for Claude Cursor Operator
+ * Classifies model API errors, backs off between attempts and stops calling
+ * the API altogether while it keeps failing
+ */
+
+const logger = require('./logger');
+const { sleep: abortableSleep } = require('./sleep');
+
+// Error classes worth trying again; everything else fails the call immediately
+const RETRYABLE_ERRORS = ['rate_limit', 'overloaded', 'server', 'network'];
+
+/**
+ * Classify an error thrown by a model provider
+ *
+ * @param {Error} error - Error from the SDK or provider
+ * @returns {string} - rate_limit, overloaded, server, network, client or unknown
+ */
+function classifyError(error) {
+  const status = error.status;
+
+  if (status === 429) {
+    return 'rate_limit';
+  }
+  if (status === 529 || error.error?.error?.type === 'overloaded_error' || error.error?.type === 'overloaded_error') {
+    return 'overloaded';
+  }
+  if (status >= 500) {
+    return 'server';
+  }
+  if (status >= 400) {
+    return 'client';
+  }
+  if (['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'].includes(error.code) ||
+      ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.constructor?.name)) {
+    return 'network';
+  }
+  return 'unknown';
+}
+
+/**
+ * Read how long the server asked us to wait
+ *
+ * @param {Error} error - Error with optional response headers
+ * @param {number} [now] - Current time, for HTTP date values
+ * @returns {number|null} - Delay in milliseconds, or null when the server gave none
+ */
+function getRetryAfterMs(error, now = Date.now()) {
+  const headers = error.headers || {};
+  const header = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfterMs = parseFloat(header('retry-after-ms'));
+  if (retryAfterMs >= 0) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = header('retry-after');
+  if (retryAfter === undefined || retryAfter === null) {
+    return null;
+  }
+
+  const seconds = parseFloat(retryAfter);
+  if (seconds >= 0) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with full jitter
+ *
+ * @param {number} retry - Zero-based retry number
+ * @param {object} options - Backoff options
+ * @param {number} options.baseDelayMs - Delay ceiling for the first retry
+ * @param {number} options.maxDelayMs - Largest delay ever returned
+ * @param {Function} [random] - Source of randomness in [0, 1)
+ * @returns {number} - Delay in milliseconds
+ */
+function computeBackoff(retry, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, retry));
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Stops calls to a failing service for a while. After `failureThreshold`
+ * consecutive failures the breaker opens; once `cooldownMs` has passed one
+ * trial call is let through, and its outcome closes or reopens the breaker.
+ * Other calls are refused while the trial runs.
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.cooldownMs = options.cooldownMs ?? 60000;
+    this.now = options.now || Date.now;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+
+    if (!Number.isInteger(this.failureThreshold) || this.failureThreshold < 1) {
+      throw new Error(`Circuit breaker 'failureThreshold' must be an integer of at least 1, not ${options.failureThreshold}`);
+    }
+    if (!Number.isFinite(this.cooldownMs) || this.cooldownMs < 0) {
+      throw new Error(`Circuit breaker 'cooldownMs' must be a non-negative number, not ${options.cooldownMs}`);
+    }
+  }
+
+  /**
+   * @returns {string} - closed, open or half-open
+   */
+  get state() {
+    if (this.openedAt === null) {
+      return 'closed';
+    }
+    return this.now() - this.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+  }
+
+  /**
+   * Make sure a call may be made
+   *
+   * @throws {Error} While the breaker is open
+   */
+  check() {
+    const { state } = this;
+    if (state === 'open') {
+      const retryInMs = this.cooldownMs - (this.now() - this.openedAt);
+      throw new Error(`Model API circuit breaker is open after ${this.failures} consecutive failures; retry in ${Math.ceil(retryInMs / 1000)}s`);
+    }
+    if (state === 'half-open') {
+      if (this.trialInFlight) {
+        throw new Error('Model API circuit breaker is half-open and a trial call is already running; retry when it is done');
+      }
+      this.trialInFlight = true;
+    }
+  }
+
+  /**
+   * Record a successful call, closing the breaker
+   */
+  recordSuccess() {
+    if (this.openedAt !== null) {
+      logger.info('CircuitBreaker', 'Model API recovered; closing circuit breaker');
+    }
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed call, opening the breaker when there were too many
+   */
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || (this.openedAt === null && this.failures >= this.failureThreshold)) {
+      this.openedAt = this.now();
+      logger.warn('CircuitBreaker', `Opening circuit breaker after ${this.failures} consecutive failures`, {
+        cooldownMs: this.cooldownMs
+      });
+    }
+  }
+
+  /**
+   * Record a call whose outcome says nothing about the service, such as a rejected
+   * request or one the user stopped, so another trial call may be made
+   */
+  recordInconclusive() {
+    this.trialInFlight = false;
+  }
+}
+
+/**
+ * Call a model with retries, backoff and fallback models
+ *
+ * @param {Function} callModel - Async function receiving the model name to call
+ * @param {object} options - Retry options
+ * @param {string[]} options.models - Primary model followed by fallbacks for when it is overloaded
+ * @param {number} [options.maxRetries] - Retries after the first attempt, across all models
+ * @param {number} [options.baseDelayMs] - Backoff delay ceiling for the first retry
+ * @param {number} [options.maxDelayMs] - Largest delay between attempts, including ones the server asks for
+ * @param {CircuitBreaker} [options.circuitBreaker] - Breaker shared between calls
+ * @param {Function} [options.onAttempt] - Receives a record of every attempt
+ * @param {AbortSignal} [options.signal] - Ends a backoff early when aborted; the last error is thrown then
+ * @param {Function} [options.sleep] - Waits a number of milliseconds, ending early when the signal it is given aborts
+ * @returns {Promise<{response: object, model: string, attempts: Array}>} - Response and attempt history
+ * @throws {Error} The last error, with the attempt history as `error.attempts`
+ */
+async function callWithRetry(callModel, options) {
+  const {
+    models,
+    maxRetries = 4,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    circuitBreaker,
+    onAttempt = () => {},
+    signal,
+    sleep = abortableSleep
+  } = options;
+
+  const attempts = [];
+  let modelIndex = 0;
+
+  for (let attempt = 1; ; attempt++) {
+    const model = models[modelIndex];
+    const startTime = Date.now();
+
+    if (circuitBreaker) {
+      try {
+        circuitBreaker.check();
+      } catch (error) {
+        const record = { attempt, model, outcome: 'error', errorType: 'circuit_open', message: error.message, durationMs: 0 };
+        attempts.push(record);
+        onAttempt(record);
+        logger.error('Retry', 'Model call skipped; circuit breaker is open', record);
+        error.attempts = attempts;
+        throw error;
+      }
+    }
+
+    try {
+      const response = await callModel(model);
+
+      const record = { attempt, model, outcome: 'success', durationMs: Date.now() - startTime };
+      attempts.push(record);
+      onAttempt(record);
+      if (circuitBreaker) {
+        circuitBreaker.recordSuccess();
+      }
+
+      if (attempt > 1) {
+        logger.info('Retry', `Model call succeeded on attempt ${attempt} with ${model}`);
+      }
+      return { response, model, attempts };
+    } catch (error) {
+      const errorType = classifyError(error);
+      const record = {
+        attempt,
+        model,
+        outcome: 'error',
+        errorType,
+        status: error.status,
+        message: error.message,
+        durationMs: Date.now() - startTime
+      };
+      attempts.push(record);
+
+      if (circuitBreaker && RETRYABLE_ERRORS.includes(errorType)) {
+        circuitBreaker.recordFailure();
+      } else if (circuitBreaker) {
+        circuitBreaker.recordInconclusive();
+      }
+
+      const canRetry = RETRYABLE_ERRORS.includes(errorType) && attempt <= maxRetries &&
+        !(circuitBreaker && circuitBreaker.state === 'open');
+
+      if (!canRetry) {
+        onAttempt(record);
+        logger.error('Retry', `Model call failed on attempt ${attempt}; giving up`, record);
+        error.attempts = attempts;
+        throw error;
+      }
+
+      // An overloaded model is unlikely to recover within seconds, so move on to the next one
+      if (errorType === 'overloaded' && modelIndex < models.length - 1) {
+        modelIndex++;
+        record.nextModel = models[modelIndex];
+        record.retryDelayMs = 0;
+      } else {
+        // A server asking for minutes would otherwise hold the run far past the configured backoff
+        const retryAfterMs = getRetryAfterMs(error);
+        record.retryDelayMs = retryAfterMs !== null
+          ? Math.min(retryAfterMs, maxDelayMs)
+          : computeBackoff(attempt - 1, { baseDelayMs, maxDelayMs });
+      }
+
+      onAttempt(record);
+      logger.warn('Retry', `Model call failed on attempt ${attempt} (${errorType}); retrying in ${record.retryDelayMs}ms`, record);
+
+      if (record.retryDelayMs > 0) {
+        await sleep(record.retryDelayMs, signal);
+      }
+      if (signal?.aborted) {
+        logger.info('Retry', 'Run stopped while waiting to retry; giving up');
+        error.attempts = attempts;
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Read retry settings from API_* environment variables and FALLBACK_MODELS
+ *
+ * @returns {object} - Options for callWithRetry and the circuit breaker
+ */
+function getRetryOptionsFromEnv() {
+  const readInt = (name, fallback, min = 0) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= min ? value : fallback;
+  };
+
+  return {
+    maxRetries: readInt('API_MAX_RETRIES', 4),
+    baseDelayMs: readInt('API_RETRY_BASE_DELAY_MS', 1000),
+    maxDelayMs: readInt('API_RETRY_MAX_DELAY_MS', 30000),
+    failureThreshold: readInt('API_CIRCUIT_BREAKER_THRESHOLD', 5, 1),
+    cooldownMs: readInt('API_CIRCUIT_BREAKER_COOLDOWN_MS', 60000),
+    fallbackModels: (process.env.FALLBACK_MODELS || '').split(',').map(model => model.trim()).filter(Boolean)
+  };
+}
+
+module.exports = {
+  CircuitBreaker,
+  getRetryOptionsFromEnv,
+  classifyError,
+  getRetryAfterMs,
+  computeBackoff,
+  callWithRetry
+};
@@ -0,0 +1,27 @@
+/**
+ * Wait, ending early when the signal aborts, so an emergency stop never has to
+ * sit out a pause
+ *
+ * @param {number} ms - Time to wait
+ * @param {AbortSignal} [signal] - Ends the wait when aborted
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+module.exports = {
+  sleep
+};
@@ -0,0 +1,106 @@
+/**
+ * Server-Sent Events helpers for Claude Cursor Operator
+ * Used by the server to stream agent progress and by the client to read it
+ */
+
+const logger = require('./logger');
+
+/**
+ * Switch an Express response into an SSE stream
+ *
+ * @param {object} res - Express response
+ * @returns {{send: Function, end: Function, isClosed: Function}} - Stream writer
+ */
+function createSSEWriter(res) {
+  let closed = false;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  res.on('close', () => {
+    closed = true;
+  });
+
+  return {
+    /**
+     * Send one event
+     * @param {string} event - Event name
+     * @param {object} data - JSON-serializable payload
+     */
+    send(event, data) {
+      if (closed) {
+        logger.debug('SSE', `Dropping ${event} event, client disconnected`);
+        return;
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    /**
+     * Close the stream
+     */
+    end() {
+      if (!closed) {
+        closed = true;
+        res.end();
+      }
+    },
+
+    /**
+     * @returns {boolean} Whether the client has gone away
+     */
+    isClosed() {
+      return closed;
+    }
+  };
+}
+
+/**
+ * Create an incremental SSE parser
+ *
+ * @param {Function} onEvent - Called with (event, data) for every complete event
+ * @returns {Function} - Feed function accepting text chunks as they arrive
+ */
+function createSSEParser(onEvent) {
+  let buffer = '';
+
+  return (chunk) => {
+    buffer += chunk.toString().replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.substring(0, boundary);
+      buffer = buffer.substring(boundary + 2);
+
+      let event = 'message';
+      const dataLines = [];
+      for (const line of raw.split('\n')) {
+        if (line.startsWith('event:')) {
+          event = line.substring(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.substring(5).replace(/^ /, ''));
+        }
+      }
+
+      if (dataLines.length === 0) {
+        continue;
+      }
+
+      try {
+        onEvent(event, JSON.parse(dataLines.join('\n')));
+      } catch (error) {
+        logger.warn('SSE', `Could not parse ${event} event`, { error: error.message });
+      }
+    }
+  };
+}
+
+module.exports = {
+  createSSEWriter,
+  createSSEParser
+};
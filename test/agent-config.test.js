@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_AGENT_CONFIG,
+  PRESETS,
+  loadAgentConfig,
+  resolveAgentConfig,
+  findConfigErrors
+} = require('../src/agent-config');
+
+const ENV_KEYS = ['AGENT_CONFIG_FILE', 'AGENT_MODEL', 'AGENT_MAX_TOKENS', 'AGENT_THINKING_BUDGET', 'AGENT_MAX_ITERATIONS', 'AGENT_SYSTEM_PROMPT'];
+
+describe('Agent Configuration', () => {
+  let tempDir;
+  
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-config-'));
+  });
+  
+  afterAll(() => {
+    ENV_KEYS.forEach(key => delete process.env[key]);
+  });
+  
+  const writeConfig = (config) => {
+    const file = path.join(tempDir, 'agent.config.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    return file;
+  };
+  
+  test('should use the defaults when nothing is configured', () => {
+    expect(loadAgentConfig()).toEqual(DEFAULT_AGENT_CONFIG);
+  });
+  
+  test('should layer environment variables over the config file', () => {
+    process.env.AGENT_CONFIG_FILE = writeConfig({ maxTokens: 6000, maxIterations: 20, systemPrompt: 'From file' });
+    process.env.AGENT_MAX_ITERATIONS = '30';
+    process.env.AGENT_MODEL = 'claude-3-5-sonnet-20241022';
+    
+    expect(loadAgentConfig()).toEqual({
+      model: 'claude-3-5-sonnet-20241022',
+      maxTokens: 6000,
+      thinkingBudget: 1024,
+      maxIterations: 30,
+      systemPrompt: 'From file'
+    });
+  });
+  
+  test('should reject invalid files and environment variables', () => {
+    process.env.AGENT_CONFIG_FILE = writeConfig({ maxTokens: 1000000, temperature: 1 });
+    expect(() => loadAgentConfig()).toThrow("Unknown setting 'temperature'");
+    expect(() => loadAgentConfig()).toThrow("'maxTokens' must be an integer between 1 and 64000");
+    
+    process.env.AGENT_CONFIG_FILE = path.join(tempDir, 'missing.json');
+    expect(() => loadAgentConfig()).toThrow('does not exist');
+    
+    delete process.env.AGENT_CONFIG_FILE;
+    process.env.AGENT_MAX_ITERATIONS = 'many';
+    expect(() => loadAgentConfig()).toThrow("'maxIterations' must be an integer between 1 and 50");
+  });
+  
+  test('should apply presets and then request settings', () => {
+    const config = resolveAgentConfig(DEFAULT_AGENT_CONFIG, {
+      preset: 'careful',
+      config: { maxIterations: 3 }
+    });
+    
+    expect(config).toEqual({ ...DEFAULT_AGENT_CONFIG, ...PRESETS.careful, maxIterations: 3 });
+    expect(resolveAgentConfig(DEFAULT_AGENT_CONFIG, {})).toEqual(DEFAULT_AGENT_CONFIG);
+  });
+  
+  test('should report every invalid request setting', () => {
+    expect(findConfigErrors({
+      model: 'bad model name!',
+      maxTokens: 0,
+      thinkingBudget: 100,
+      maxIterations: 2.5,
+      systemPrompt: ''
+    })).toHaveLength(5);
+    expect(findConfigErrors({ thinkingBudget: 0 })).toEqual([]);
+    
+    const error = (() => {
+      try {
+        resolveAgentConfig(DEFAULT_AGENT_CONFIG, { config: { maxIterations: 500 } });
+      } catch (e) {
+        return e;
+      }
+    })();
+    expect(error.details).toEqual(["'maxIterations' must be an integer between 1 and 50"]);
+    
+    expect(() => resolveAgentConfig(DEFAULT_AGENT_CONFIG, { preset: 'turbo' })).toThrow("Unknown preset 'turbo'");
+    expect(() => resolveAgentConfig(DEFAULT_AGENT_CONFIG, { config: 'fast' })).toThrow("'config' must be an object");
+  });
+  
+  test('should require the thinking budget to fit in max tokens', () => {
+    expect(() => resolveAgentConfig(DEFAULT_AGENT_CONFIG, { config: { maxTokens: 2000, thinkingBudget: 4000 } }))
+      .toThrow("'thinkingBudget' (4000) must be less than 'maxTokens' (2000)");
+    
+    // The quick preset turns thinking off, so a small max_tokens is fine
+    expect(resolveAgentConfig(DEFAULT_AGENT_CONFIG, { preset: 'quick', config: { maxTokens: 500 } }).thinkingBudget).toBe(0);
+  });
+});
@@ -1,24 +1,57 @@
-const { getCursorInstructions } = require('../src/claude-api');
-const Anthropic = require('@anthropic-ai/sdk');
+// The Anthropic provider creates its client on first use and needs a key for it
+process.env.ANTHROPIC_API_KEY = 'test-api-key';
+
+// Send screenshots at native resolution so coordinates pass through unchanged
+process.env.SCREEN_SCALING_TARGET = 'none';
+
+const mockCreate = jest.fn();
 
 // Mock the Anthropic SDK
-jest.mock('@anthropic-ai/sdk');
+jest.mock('@anthropic-ai/sdk', () => jest.fn().mockImplementation(() => ({
+  messages: {
+    create: mockCreate
+  }
+})));
 
 // Mock robotjs to avoid actual screen integration
 jest.mock('robotjs', () => ({
   getScreenSize: jest.fn().mockReturnValue({ width: 1920, height: 1080 })
 }));
 
+// Mock canvas so scaled screenshots can be produced without native rendering
+jest.mock('canvas', () => ({
+  Image: class {},
+  createCanvas: jest.fn((width, height) => ({
+    getContext: () => ({ drawImage: jest.fn() }),
+    toBuffer: () => Buffer.from(`scaled-${width}x${height}`)
+  }))
+}));
+
+// Mock screen capture so every action is followed by a distinct screenshot
+jest.mock('../src/screen-capture', () => ({
+  captureScreen: jest.fn()
+}));
+
+const { getCursorInstructions } = require('../src/claude-api');
+const MockProvider = require('../src/providers/mock-provider');
+const { UsageTracker } = require('../src/usage-tracker');
+const { CircuitBreaker } = require('../src/utils/retry');
+const { ToolRegistry } = require('../src/tools/tool-registry');
+const { captureScreen } = require('../src/screen-capture');
+const { SCREENSHOT_PLACEHOLDER } = require('../src/utils/message-history');
+
 describe('Agent Loop Implementation', () => {
-  let mockCreate;
-  let mockAnthropicInstance;
+  let executeInstruction;
   
   beforeEach(() => {
     // Clear all mocks
     jest.clearAllMocks();
+    mockCreate.mockReset();
+    
+    executeInstruction = jest.fn().mockResolvedValue();
     
-    // Set up mock responses for multiple iterations
-    mockCreate = jest.fn();
+    let screenshotCount = 0;
+    captureScreen.mockImplementation(() => `screenshot-${++screenshotCount}`);
     
     // First API call - move cursor
     mockCreate.mockImplementationOnce(() => {
@@ -27,15 +60,10 @@ describe('Agent Loop Implementation', () => {
           {
             type: 'tool_use',
             id: 'tool-1',
-            tool_use: {
-              name: 'computer',
-              input: {
-                action: {
-                  type: 'mouse',
-                  action: 'move',
-                  coordinates: { x: 100, y: 200 }
-                }
-              }
+            name: 'computer',
+            input: {
+              action: 'mouse_move',
+              coordinate: [100, 200]
             }
           }
         ]
@@ -49,16 +77,9 @@ describe('Agent Loop Implementation', () => {
           {
             type: 'tool_use',
             id: 'tool-2',
-            tool_use: {
-              name: 'computer',
-              input: {
-                action: {
-                  type: 'mouse',
-                  action: 'click',
-                  button: 'left',
-                  clicks: 1
-                }
-              }
+            name: 'computer',
+            input: {
+              action: 'left_click'
             }
           }
         ]
@@ -76,19 +97,6 @@ describe('Agent Loop Implementation', () => {
         ]
       });
     });
-    
-    // Set up mock Anthropic instance
-    mockAnthropicInstance = {
-      messages: {
-        create: mockCreate
-      }
-    };
-    
-    // Set up Anthropic constructor mock
-    Anthropic.mockImplementation(() => mockAnthropicInstance);
-    
-    // Set up API key
-    process.env.ANTHROPIC_API_KEY = 'test-api-key';
   });
   
   test('should execute multiple loop iterations', async () => {
@@ -98,7 +106,10 @@ describe('Agent Loop Implementation', () => {
     const goal = 'Click the submit button';
     
     // Call the function
-    const instructions = await getCursorInstructions(screenCapture, context, goal);
+    const { instructions } = await getCursorInstructions(screenCapture, context, goal, {
+      executeInstruction,
+      settleDelayMs: 0
+    });
     
     // Should have called the API 3 times
     expect(mockCreate).toHaveBeenCalledTimes(3);
@@ -112,13 +123,872 @@ describe('Agent Loop Implementation', () => {
     const firstCallArgs = mockCreate.mock.calls[0][0];
     expect(firstCallArgs.model).toBe('claude-3-7-sonnet-20250219');
     expect(firstCallArgs.tools[0].type).toBe('computer_20250124');
-    expect(firstCallArgs.beta).toBe('computer-use-2025-01-24');
+    expect(firstCallArgs.betas).toBeUndefined();
+    
+    // The computer use beta is enabled through the request header
+    const firstCallOptions = mockCreate.mock.calls[0][1];
+    expect(firstCallOptions.headers['anthropic-beta']).toBe('computer-use-2025-01-24');
     
     // Check if thinking is enabled with budget
     expect(firstCallArgs.thinking.type).toBe('enabled');
     expect(firstCallArgs.thinking.budget_tokens).toBe(1024);
   });
   
+  test('should execute each action before asking Claude for the next one', async () => {
+    const { instructions } = await getCursorInstructions('base64-encoded-image', {}, 'Click the submit button', {
+      executeInstruction,
+      settleDelayMs: 0
+    });
+    
+    expect(executeInstruction).toHaveBeenCalledTimes(2);
+    expect(executeInstruction).toHaveBeenNthCalledWith(1, instructions[0]);
+    expect(executeInstruction).toHaveBeenNthCalledWith(2, instructions[1]);
+    
+    // The move must have happened before the second API call was made
+    expect(executeInstruction.mock.invocationCallOrder[0])
+      .toBeLessThan(mockCreate.mock.invocationCallOrder[1]);
+  });
+  
+  test('should answer each tool use with a fresh screenshot', async () => {
+    await getCursorInstructions('base64-encoded-image', {}, 'Click the submit button', {
+      executeInstruction,
+      settleDelayMs: 0
+    });
+    
+    expect(captureScreen).toHaveBeenCalledTimes(2);
+    
+    const secondCallMessages = mockCreate.mock.calls[1][0].messages;
+    const firstToolResult = secondCallMessages[2].content[0];
+    expect(firstToolResult.tool_use_id).toBe('tool-1');
+    expect(firstToolResult.content[0].source.data).toBe('screenshot-1');
+    
+    const thirdCallMessages = mockCreate.mock.calls[2][0].messages;
+    const secondToolResult = thirdCallMessages[4].content[0];
+    expect(secondToolResult.tool_use_id).toBe('tool-2');
+    expect(secondToolResult.content[0].source.data).toBe('screenshot-2');
+  });
+  
+  test('should report execution failures back to Claude as tool errors', async () => {
+    executeInstruction.mockRejectedValueOnce(new Error('robot failure'));
+    
+    await getCursorInstructions('base64-encoded-image', {}, 'Click the submit button', {
+      executeInstruction,
+      settleDelayMs: 0
+    });
+    
+    const secondCallMessages = mockCreate.mock.calls[1][0].messages;
+    const toolResult = secondCallMessages[2].content[0];
+    expect(toolResult.is_error).toBe(true);
+    expect(toolResult.content).toContain('robot failure');
+  });
+  
+  test('should translate keyboard actions into instructions', async () => {
+    mockCreate.mockReset();
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [
+          {
+            type: 'tool_use',
+            id: 'tool-1',
+            name: 'computer',
+            input: { action: 'type', text: 'hello' }
+          },
+          {
+            type: 'tool_use',
+            id: 'tool-2',
+            name: 'computer',
+            input: { action: 'key', text: 'ctrl+s' }
+          },
+          {
+            type: 'tool_use',
+            id: 'tool-3',
+            name: 'computer',
+            input: { action: 'hold_key', text: 'shift', duration: 1 }
+          }
+        ]
+      });
+    });
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [{ type: 'text', text: 'Saved.' }]
+      });
+    });
+    
+    const { instructions } = await getCursorInstructions('base64-encoded-image', {}, 'Save the file', {
+      executeInstruction,
+      settleDelayMs: 0
+    });
+    
+    expect(instructions).toEqual([
+      { type: 'type', text: 'hello' },
+      { type: 'key', keys: 'ctrl+s' },
+      { type: 'hold-key', keys: 'shift', duration: 1 }
+    ]);
+    expect(executeInstruction).toHaveBeenCalledTimes(3);
+  });
+  
+  test('should answer cursor_position with coordinates instead of a screenshot', async () => {
+    mockCreate.mockReset();
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [
+          {
+            type: 'tool_use',
+            id: 'tool-1',
+            name: 'computer',
+            input: { action: 'cursor_position' }
+          }
+        ]
+      });
+    });
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [{ type: 'text', text: 'The cursor is at 10, 20.' }]
+      });
+    });
+    
+    executeInstruction.mockResolvedValueOnce({ x: 10, y: 20 });
+    
+    await getCursorInstructions('base64-encoded-image', {}, 'Where is the cursor?', {
+      executeInstruction,
+      settleDelayMs: 0
+    });
+    
+    const toolResult = mockCreate.mock.calls[1][0].messages[2].content[0];
+    expect(toolResult.content).toBe('X=10,Y=20');
+    expect(captureScreen).not.toHaveBeenCalled();
+  });
+  
+  test('should report unsupported actions back to Claude as tool errors', async () => {
+    mockCreate.mockReset();
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [
+          {
+            type: 'tool_use',
+            id: 'tool-1',
+            name: 'computer',
+            input: { action: 'teleport' }
+          }
+        ]
+      });
+    });
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [{ type: 'text', text: 'Giving up.' }]
+      });
+    });
+    
+    const { instructions } = await getCursorInstructions('base64-encoded-image', {}, 'Teleport', {
+      executeInstruction,
+      settleDelayMs: 0
+    });
+    
+    expect(instructions).toHaveLength(0);
+    expect(executeInstruction).not.toHaveBeenCalled();
+    
+    const toolResult = mockCreate.mock.calls[1][0].messages[2].content[0];
+    expect(toolResult.is_error).toBe(true);
+    expect(toolResult.content).toBe('Unsupported computer action: teleport');
+  });
+
+  test('should reject actions that fail the instruction schema before executing them', async () => {
+    mockCreate.mockReset();
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [
+          {
+            type: 'tool_use',
+            id: 'tool-1',
+            name: 'computer',
+            input: { action: 'key', text: 'ctrl+bogus' }
+          },
+          {
+            type: 'tool_use',
+            id: 'tool-2',
+            name: 'computer',
+            input: { action: 'scroll', scroll_direction: 'sideways', scroll_amount: 3 }
+          }
+        ]
+      });
+    });
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [{ type: 'text', text: 'Giving up.' }]
+      });
+    });
+    
+    const { instructions } = await getCursorInstructions('base64-encoded-image', {}, 'Press some keys', {
+      executeInstruction,
+      settleDelayMs: 0
+    });
+    
+    expect(instructions).toHaveLength(0);
+    expect(executeInstruction).not.toHaveBeenCalled();
+    
+    const [badKey, badScroll] = mockCreate.mock.calls[1][0].messages[2].content;
+    expect(badKey.is_error).toBe(true);
+    expect(badKey.content).toMatch(/^key instruction has invalid 'keys' property: /);
+    expect(badScroll.is_error).toBe(true);
+    expect(badScroll.content).toBe('scroll instruction must have a \'direction\' of up, down, left or right');
+  });
+  
+  test('should answer off-screen coordinates with a tool error when the safety policy rejects them', async () => {
+    mockCreate.mockReset();
+    
+    const offScreenClick = {
+      content: [{ type: 'tool_use', id: 'tool-1', name: 'computer', input: { action: 'left_click', coordinate: [2500, 100] } }]
+    };
+    mockCreate.mockResolvedValueOnce(offScreenClick);
+    mockCreate.mockResolvedValueOnce({ content: [{ type: 'text', text: 'Giving up.' }] });
+    
+    const { instructions } = await getCursorInstructions('base64-encoded-image', {}, 'Click off screen', {
+      executeInstruction,
+      settleDelayMs: 0,
+      outOfBounds: 'reject'
+    });
+    
+    expect(instructions).toHaveLength(0);
+    expect(executeInstruction).not.toHaveBeenCalled();
+    const [toolResult] = mockCreate.mock.calls[1][0].messages[2].content;
+    expect(toolResult.is_error).toBe(true);
+    expect(toolResult.content).toBe('click instruction \'x\' of 2500 is off screen; it must be from 0 to 1919');
+    
+    // Without reject the click is clamped onto the screen Claude sees
+    mockCreate.mockResolvedValueOnce(offScreenClick);
+    mockCreate.mockResolvedValueOnce({ content: [{ type: 'text', text: 'Done.' }] });
+    
+    const clamped = await getCursorInstructions('base64-encoded-image', {}, 'Click off screen', {
+      executeInstruction,
+      settleDelayMs: 0
+    });
+    expect(clamped.instructions).toEqual([expect.objectContaining({ type: 'click', x: 1919, y: 100 })]);
+  });
+  
+  test('should advertise the scaled display and map coordinates back to physical pixels', async () => {
+    mockCreate.mockReset();
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [
+          {
+            type: 'tool_use',
+            id: 'tool-1',
+            name: 'computer',
+            input: { action: 'left_click_drag', start_coordinate: [0, 0], coordinate: [512, 288] }
+          }
+        ]
+      });
+    });
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [{ type: 'text', text: 'Dragged.' }]
+      });
+    });
+    
+    const { instructions } = await getCursorInstructions('base64-encoded-image', {}, 'Drag to the centre', {
+      executeInstruction,
+      settleDelayMs: 0,
+      scalingTarget: 'XGA'
+    });
+    
+    // 1920x1080 fits into XGA as 1024x576
+    const firstCallArgs = mockCreate.mock.calls[0][0];
+    expect(firstCallArgs.tools[0].display_width_px).toBe(1024);
+    expect(firstCallArgs.tools[0].display_height_px).toBe(576);
+    
+    expect(instructions).toEqual([{ type: 'drag', startX: 0, startY: 0, x: 960, y: 540 }]);
+    expect(executeInstruction).toHaveBeenCalledWith(instructions[0]);
+    
+    // Both the initial and the follow-up screenshots are sent scaled
+    const scaledImage = Buffer.from('scaled-1024x576').toString('base64');
+    expect(firstCallArgs.messages[0].content[1].source.data).toBe(scaledImage);
+    expect(firstCallArgs.messages[2].content[0].content[0].source.data).toBe(scaledImage);
+  });
+  
+  test('should scope the screen and coordinates to the selected display', async () => {
+    const display = { id: 2, name: 'DP-1', x: 1920, y: -100, width: 1280, height: 800, primary: false };
+    
+    const { instructions } = await getCursorInstructions('base64-encoded-image', {}, 'Click on the second monitor', {
+      executeInstruction,
+      settleDelayMs: 0,
+      display
+    });
+    
+    const firstCallArgs = mockCreate.mock.calls[0][0];
+    expect(firstCallArgs.tools[0]).toEqual(expect.objectContaining({
+      display_width_px: 1280,
+      display_height_px: 800,
+      display_number: 2
+    }));
+    
+    expect(instructions[0]).toMatchObject({ x: 2020, y: 100 });
+    expect(captureScreen).toHaveBeenCalledWith(1920, -100, 1280, 800);
+  });
+  
+  test('should mark the system prompt and tool definitions as cacheable', async () => {
+    await getCursorInstructions('base64-encoded-image', {}, 'Click the submit button', {
+      executeInstruction,
+      settleDelayMs: 0
+    });
+    
+    const firstCallArgs = mockCreate.mock.calls[0][0];
+    expect(firstCallArgs.system).toEqual([
+      expect.objectContaining({ type: 'text', cache_control: { type: 'ephemeral' } })
+    ]);
+    expect(firstCallArgs.tools[firstCallArgs.tools.length - 1].cache_control).toEqual({ type: 'ephemeral' });
+  });
+  
+  test('should keep only the configured number of screenshots in full', async () => {
+    const sentImages = [];
+    mockCreate.mockReset();
+    mockCreate.mockImplementation(({ messages }) => {
+      // Record what each request carried; the history is pruned in place afterwards
+      sentImages.push(JSON.stringify(messages).match(/"type":"image"/g)?.length || 0);
+      const count = sentImages.length;
+      return Promise.resolve(count < 4
+        ? { content: [{ type: 'tool_use', id: `tool-${count}`, name: 'computer', input: { action: 'screenshot' } }] }
+        : { content: [{ type: 'text', text: 'Done.' }] });
+    });
+    
+    const messages = [];
+    await getCursorInstructions('base64-encoded-image', {}, 'Look around', {
+      executeInstruction,
+      settleDelayMs: 0,
+      screenshotHistory: 2,
+      messages
+    });
+    
+    expect(sentImages).toEqual([1, 2, 2, 2]);
+    expect(messages[0].content[1]).toEqual({ type: 'text', text: SCREENSHOT_PLACEHOLDER });
+    expect(messages[6].content[0].content[0].type).toBe('image');
+  });
+  
+  test('should only offer the bash tool when a session is provided', async () => {
+    await getCursorInstructions('base64-encoded-image', {}, 'Click the submit button', {
+      executeInstruction,
+      settleDelayMs: 0
+    });
+    
+    expect(mockCreate.mock.calls[0][0].tools.map(tool => tool.name)).toEqual(['computer']);
+  });
+  
+  test('should run bash commands in the provided session', async () => {
+    mockCreate.mockReset();
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [
+          {
+            type: 'tool_use',
+            id: 'tool-1',
+            name: 'bash',
+            input: { command: 'npm test' }
+          }
+        ]
+      });
+    });
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [{ type: 'text', text: 'All tests pass.' }]
+      });
+    });
+    
+    const bashSession = {
+      run: jest.fn().mockResolvedValue({ stdout: 'Tests: 5 passed\n', stderr: '', exitCode: 0 })
+    };
+    
+    const { instructions } = await getCursorInstructions('base64-encoded-image', {}, 'Run the tests', {
+      executeInstruction,
+      settleDelayMs: 0,
+      bashSession
+    });
+    
+    const firstCallArgs = mockCreate.mock.calls[0][0];
+    expect(firstCallArgs.tools[1]).toMatchObject({ type: 'bash_20250124', name: 'bash' });
+    
+    expect(bashSession.run).toHaveBeenCalledWith('npm test');
+    expect(instructions).toHaveLength(0);
+    expect(executeInstruction).not.toHaveBeenCalled();
+    
+    const toolResult = mockCreate.mock.calls[1][0].messages[2].content[0];
+    expect(toolResult).toEqual({
+      type: 'tool_result',
+      tool_use_id: 'tool-1',
+      is_error: false,
+      content: 'Tests: 5 passed\n'
+    });
+  });
+  
+  test('should dispatch str_replace_editor commands to the provided editor', async () => {
+    mockCreate.mockReset();
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [
+          {
+            type: 'tool_use',
+            id: 'tool-1',
+            name: 'str_replace_editor',
+            input: { command: 'view', path: 'src/index.js' }
+          }
+        ]
+      });
+    });
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [{ type: 'text', text: 'Looked at the file.' }]
+      });
+    });
+    
+    const textEditor = {
+      view: jest.fn().mockReturnValue('     1\tconsole.log(1);')
+    };
+    
+    await getCursorInstructions('base64-encoded-image', {}, 'Read index.js', {
+      executeInstruction,
+      settleDelayMs: 0,
+      textEditor
+    });
+    
+    expect(mockCreate.mock.calls[0][0].tools[1]).toMatchObject({ type: 'text_editor_20250124', name: 'str_replace_editor' });
+    expect(textEditor.view).toHaveBeenCalledWith('src/index.js', undefined);
+    
+    const toolResult = mockCreate.mock.calls[1][0].messages[2].content[0];
+    expect(toolResult.content).toBe('     1\tconsole.log(1);');
+  });
+  
+  test('should offer and dispatch custom tools from the registry', async () => {
+    mockCreate.mockReset();
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [
+          {
+            type: 'tool_use',
+            id: 'tool-1',
+            name: 'lookup_ticket',
+            input: { id: 'OPS-42' }
+          }
+        ]
+      });
+    });
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [{ type: 'text', text: 'The ticket is closed.' }]
+      });
+    });
+    
+    const handler = jest.fn().mockResolvedValue('OPS-42: closed');
+    const toolRegistry = new ToolRegistry().register({
+      name: 'lookup_ticket',
+      description: 'Look up a ticket by ID',
+      inputSchema: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+      handler
+    });
+    
+    await getCursorInstructions('base64-encoded-image', { project: 'ops' }, 'Check OPS-42', {
+      executeInstruction,
+      settleDelayMs: 0,
+      toolRegistry
+    });
+    
+    const tools = mockCreate.mock.calls[0][0].tools;
+    expect(tools.map(tool => tool.name)).toEqual(['computer', 'lookup_ticket']);
+    expect(tools[1].cache_control).toEqual({ type: 'ephemeral' });
+    
+    expect(handler).toHaveBeenCalledWith({ id: 'OPS-42' }, expect.objectContaining({
+      goal: 'Check OPS-42',
+      context: { project: 'ops' },
+      toolUseId: 'tool-1'
+    }));
+    expect(executeInstruction).not.toHaveBeenCalled();
+    
+    const toolResult = mockCreate.mock.calls[1][0].messages[2].content[0];
+    expect(toolResult).toEqual({
+      type: 'tool_result',
+      tool_use_id: 'tool-1',
+      is_error: false,
+      content: 'OPS-42: closed'
+    });
+  });
+  
+  test('should send screenshots from the provided capture function', async () => {
+    mockCreate.mockReset();
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [
+          {
+            type: 'tool_use',
+            id: 'tool-1',
+            name: 'computer',
+            input: { action: 'left_click', coordinate: [10, 20] }
+          }
+        ]
+      });
+    });
+    
+    mockCreate.mockImplementationOnce(() => {
+      return Promise.resolve({
+        content: [{ type: 'text', text: 'Planned.' }]
+      });
+    });
+    
+    const captureOverride = jest.fn().mockReturnValue('original-screenshot');
+    
+    await getCursorInstructions('original-screenshot', {}, 'Click the button', {
+      executeInstruction,
+      settleDelayMs: 0,
+      captureScreen: captureOverride
+    });
+    
+    expect(captureOverride).toHaveBeenCalledTimes(1);
+    expect(captureScreen).not.toHaveBeenCalled();
+    
+    const toolResult = mockCreate.mock.calls[1][0].messages[2].content[0];
+    expect(toolResult.content[0].source.data).toBe('original-screenshot');
+  });
+  
+  test('should continue an existing conversation history in place', async () => {
+    mockCreate.mockReset();
+    mockCreate.mockResolvedValueOnce({
+      content: [{ type: 'text', text: 'Done again.' }]
+    });
+    
+    const messages = [
+      { role: 'user', content: [{ type: 'text', text: 'Earlier goal' }] },
+      { role: 'assistant', content: [{ type: 'text', text: 'Earlier answer' }] }
+    ];
+    
+    await getCursorInstructions('base64-encoded-image', {}, 'Follow-up goal', {
+      executeInstruction,
+      settleDelayMs: 0,
+      messages
+    });
+    
+    expect(messages).toHaveLength(4);
+    expect(messages[2].role).toBe('user');
+    expect(messages[2].content[0].text).toContain('My goal is: Follow-up goal');
+    expect(messages[3]).toEqual({ role: 'assistant', content: [{ type: 'text', text: 'Done again.' }] });
+    expect(mockCreate.mock.calls[0][0].messages).toBe(messages);
+  });
+  
+  test('should merge a new goal into a history that ended with tool results', async () => {
+    mockCreate.mockReset();
+    mockCreate.mockResolvedValueOnce({
+      content: [{ type: 'text', text: 'Done.' }]
+    });
+    
+    const toolResult = { type: 'tool_result', tool_use_id: 'tool-1', content: 'ok' };
+    const messages = [
+      { role: 'user', content: [{ type: 'text', text: 'Earlier goal' }] },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'tool-1', name: 'computer', input: { action: 'screenshot' } }] },
+      { role: 'user', content: [toolResult] }
+    ];
+    
+    await getCursorInstructions('base64-encoded-image', {}, 'Follow-up goal', {
+      executeInstruction,
+      settleDelayMs: 0,
+      messages
+    });
+    
+    expect(messages).toHaveLength(4);
+    expect(messages[2].content[0]).toBe(toolResult);
+    expect(messages[2].content[1].text).toContain('My goal is: Follow-up goal');
+  });
+  
+  test('should run against an injected provider without the Anthropic SDK', async () => {
+    const provider = new MockProvider({
+      model: 'mock-model',
+      responses: [
+        { content: [{ type: 'tool_use', id: 'tool-1', name: 'computer', input: { action: 'mouse_move', coordinate: [10, 20] } }] },
+        { content: [{ type: 'text', text: 'Done.' }] }
+      ]
+    });
+    
+    const { instructions } = await getCursorInstructions('base64-encoded-image', {}, 'Move', {
+      executeInstruction,
+      settleDelayMs: 0,
+      provider
+    });
+    
+    expect(instructions).toEqual([{ type: 'move', x: 10, y: 20 }]);
+    expect(provider.requests[0].model).toBe('mock-model');
+    expect(mockCreate).not.toHaveBeenCalled();
+  });
+  
+  test('should replay the mock script from the start on every run', async () => {
+    const provider = new MockProvider({
+      responses: [
+        { content: [{ type: 'tool_use', id: 'tool-1', name: 'computer', input: { action: 'mouse_move', coordinate: [10, 20] } }] },
+        { content: [{ type: 'text', text: 'Done.' }] }
+      ]
+    });
+    
+    // Both goals share one conversation, like a session
+    const messages = [];
+    for (const goal of ['Move', 'Move again']) {
+      const { instructions, finalMessage } = await getCursorInstructions('base64-encoded-image', {}, goal, {
+        executeInstruction,
+        settleDelayMs: 0,
+        provider,
+        messages
+      });
+      
+      expect(instructions).toEqual([{ type: 'move', x: 10, y: 20 }]);
+      expect(finalMessage).toBe('Done.');
+    }
+    expect(provider.requests).toHaveLength(4);
+    
+    const toolUseIds = messages
+      .filter(message => message.role === 'assistant')
+      .flatMap(message => message.content.filter(block => block.type === 'tool_use').map(block => block.id));
+    expect(toolUseIds).toEqual(['tool-1_1', 'tool-1_3']);
+  });
+  
+  test('should report thinking, text and tool activity through onEvent', async () => {
+    const provider = new MockProvider({
+      responses: [
+        {
+          content: [
+            { type: 'thinking', thinking: 'The button is at the top.', signature: 'sig' },
+            { type: 'tool_use', id: 'tool-1', name: 'computer', input: { action: 'mouse_move', coordinate: [10, 20] } }
+          ]
+        },
+        { content: [{ type: 'text', text: 'Done.' }] }
+      ]
+    });
+    const events = [];
+    
+    await getCursorInstructions('base64-encoded-image', {}, 'Move', {
+      executeInstruction,
+      settleDelayMs: 0,
+      provider,
+      onEvent: (event, data) => event !== 'api_attempt' && events.push([event, data])
+    });
+    
+    expect(events).toEqual([
+      ['thinking', { delta: 'The button is at the top.' }],
+      ['tool_call', { id: 'tool-1_1', name: 'computer', input: { action: 'mouse_move', coordinate: [10, 20] } }],
+      ['tool_result', { id: 'tool-1_1', isError: false, content: undefined }],
+      ['text', { delta: 'Done.' }]
+    ]);
+  });
+  
+  test('should record usage and stop cleanly once the budget is exhausted', async () => {
+    const provider = new MockProvider({
+      model: 'mock-model',
+      responses: [
+        {
+          content: [{ type: 'tool_use', id: 'tool-1', name: 'computer', input: { action: 'mouse_move', coordinate: [10, 20] } }],
+          usage: { input_tokens: 800, output_tokens: 300 }
+        },
+        { content: [{ type: 'tool_use', id: 'tool-2', name: 'computer', input: { action: 'left_click' } }] }
+      ]
+    });
+    const usageTracker = new UsageTracker({ limits: { maxTokens: 1000 } });
+    const events = [];
+    const messages = [];
+    
+    const { instructions, stopReason } = await getCursorInstructions('base64-encoded-image', {}, 'Move', {
+      executeInstruction,
+      settleDelayMs: 0,
+      provider,
+      usageTracker,
+      messages,
+      onEvent: (event, data) => events.push(event)
+    });
+    
+    // The first step is finished, including its tool result, before the loop stops
+    expect(instructions).toEqual([{ type: 'move', x: 10, y: 20 }]);
+    expect(stopReason).toBe('budget');
+    expect(provider.requests).toHaveLength(1);
+    expect(messages[messages.length - 1].content[0].type).toBe('tool_result');
+    expect(usageTracker.summary()).toMatchObject({
+      inputTokens: 800,
+      outputTokens: 300,
+      budgetExceeded: 'Token budget of 1000 exhausted (1100 used)'
+    });
+    expect(events).toContain('usage');
+    expect(events[events.length - 1]).toBe('budget_exceeded');
+  });
+  
+  test('should retry failed model calls and fall back when the model is overloaded', async () => {
+    const provider = {
+      name: 'flaky',
+      defaultModel: 'claude-primary',
+      createMessage: jest.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('Overloaded'), { status: 529 }))
+        .mockResolvedValueOnce({ model: 'claude-fallback', content: [{ type: 'text', text: 'Done.' }] })
+    };
+    const attempts = [];
+    
+    await getCursorInstructions('base64-encoded-image', {}, 'Click the submit button', {
+      executeInstruction,
+      settleDelayMs: 0,
+      provider,
+      fallbackModels: ['claude-fallback'],
+      retry: { circuitBreaker: new CircuitBreaker(), sleep: jest.fn() },
+      onEvent: (event, data) => event === 'api_attempt' && attempts.push(data)
+    });
+    
+    expect(provider.createMessage.mock.calls.map(call => call[0].model)).toEqual(['claude-primary', 'claude-fallback']);
+    expect(attempts).toEqual([
+      expect.objectContaining({ iteration: 1, attempt: 1, model: 'claude-primary', errorType: 'overloaded', nextModel: 'claude-fallback' }),
+      expect.objectContaining({ iteration: 1, attempt: 2, model: 'claude-fallback', outcome: 'success' })
+    ]);
+  });
+  
+  test('should not retry invalid requests and report them as the stop reason', async () => {
+    mockCreate.mockReset();
+    mockCreate.mockRejectedValueOnce(Object.assign(new Error('Bad request'), { status: 400 }));
+    const attempts = [];
+    
+    const result = await getCursorInstructions('base64-encoded-image', {}, 'Click the submit button', {
+      executeInstruction,
+      settleDelayMs: 0,
+      retry: { circuitBreaker: new CircuitBreaker(), sleep: jest.fn() },
+      onEvent: (event, data) => event === 'api_attempt' && attempts.push(data)
+    });
+    
+    expect(result).toMatchObject({ stopReason: 'error', error: 'Bad request', iterations: 0, instructions: [] });
+    expect(attempts).toHaveLength(1);
+    expect(mockCreate).toHaveBeenCalledTimes(1);
+  });
+  
+  test('should apply the agent configuration to every request', async () => {
+    await getCursorInstructions('base64-encoded-image', {}, 'Click the submit button', {
+      executeInstruction,
+      settleDelayMs: 0,
+      config: {
+        model: 'claude-custom',
+        maxTokens: 1500,
+        thinkingBudget: 0,
+        maxIterations: 1,
+        systemPrompt: 'Only move the mouse.'
+      }
+    });
+    
+    // The iteration cap stops the loop after the first step even though Claude wanted to continue
+    expect(mockCreate).toHaveBeenCalledTimes(1);
+    
+    const firstCallArgs = mockCreate.mock.calls[0][0];
+    expect(firstCallArgs.model).toBe('claude-custom');
+    expect(firstCallArgs.max_tokens).toBe(1500);
+    expect(firstCallArgs).not.toHaveProperty('thinking');
+    expect(firstCallArgs.system[0].text).toBe('Only move the mouse.');
+  });
+  
+  test('should enable extended thinking with the configured budget', async () => {
+    await getCursorInstructions('base64-encoded-image', {}, 'Click the submit button', {
+      executeInstruction,
+      settleDelayMs: 0,
+      config: { maxTokens: 8000, thinkingBudget: 4096, maxIterations: 10 }
+    });
+    
+    const firstCallArgs = mockCreate.mock.calls[0][0];
+    expect(firstCallArgs.thinking).toEqual({ type: 'enabled', budget_tokens: 4096 });
+    expect(firstCallArgs.system[0].text).toContain('cursor control assistant');
+  });
+  
+  test('should return the final message, thinking and stop reason', async () => {
+    const provider = new MockProvider({
+      responses: [
+        {
+          content: [
+            { type: 'thinking', thinking: 'The button is in the toolbar.', signature: 'sig' },
+            { type: 'text', text: 'Moving to the button.' },
+            { type: 'tool_use', id: 'tool-1', name: 'computer', input: { action: 'mouse_move', coordinate: [10, 20] } }
+          ]
+        },
+        { content: [{ type: 'text', text: 'I moved the cursor onto the Save button.' }] }
+      ]
+    });
+    
+    const result = await getCursorInstructions('base64-encoded-image', {}, 'Move', {
+      executeInstruction,
+      settleDelayMs: 0,
+      provider
+    });
+    
+    expect(result).toEqual({
+      instructions: [{ type: 'move', x: 10, y: 20 }],
+      finalMessage: 'I moved the cursor onto the Save button.',
+      thinking: [{ iteration: 1, thinking: 'The button is in the toolbar.' }],
+      stopReason: 'end_turn',
+      iterations: 2
+    });
+  });
+  
+  test('should report the iteration cap as the stop reason', async () => {
+    const result = await getCursorInstructions('base64-encoded-image', {}, 'Click the submit button', {
+      executeInstruction,
+      settleDelayMs: 0,
+      config: { maxTokens: 4000, thinkingBudget: 1024, maxIterations: 2 }
+    });
+    
+    expect(result.stopReason).toBe('iteration_cap');
+    expect(result.iterations).toBe(2);
+  });
+  
+  test('should continue automatically when a response hits max_tokens', async () => {
+    const provider = new MockProvider({
+      responses: [
+        {
+          content: [
+            { type: 'text', text: 'Let me click' },
+            { type: 'tool_use', id: 'tool-1', name: 'computer', input: {} }
+          ],
+          stop_reason: 'max_tokens'
+        },
+        { content: [{ type: 'tool_use', id: 'tool-2', name: 'computer', input: { action: 'left_click' } }] },
+        { content: [{ type: 'text', text: 'Clicked.' }] }
+      ]
+    });
+    const messages = [];
+    
+    const result = await getCursorInstructions('base64-encoded-image', {}, 'Click', {
+      executeInstruction,
+      settleDelayMs: 0,
+      provider,
+      messages
+    });
+    
+    // The cut off tool call is not executed; Claude is asked to continue instead
+    expect(result.instructions).toEqual([{ type: 'click', button: 'left' }]);
+    expect(result.stopReason).toBe('end_turn');
+    expect(messages[1].content[1]).toEqual({ type: 'text', text: '[Call to the computer tool was cut off by max_tokens]' });
+    expect(messages[2].content[0].text).toContain('cut off because it reached the maximum number of tokens');
+  });
+  
+  test('should stop with max_tokens when continuing does not help', async () => {
+    const truncated = { content: [{ type: 'text', text: 'Still thinking...' }], stop_reason: 'max_tokens' };
+    const provider = new MockProvider({ responses: [truncated, truncated, truncated, truncated, truncated] });
+    
+    const result = await getCursorInstructions('base64-encoded-image', {}, 'Think', {
+      executeInstruction,
+      settleDelayMs: 0,
+      provider
+    });
+    
+    expect(result.stopReason).toBe('max_tokens');
+    expect(result.iterations).toBe(4);
+    expect(result.finalMessage).toBe('Still thinking...');
+  });
+  
   test('should break loop when no more tools are used', async () => {
     // Override mock for a shorter loop
     mockCreate.mockReset();
@@ -130,15 +1000,10 @@ describe('Agent Loop Implementation', () => {
           {
             type: 'tool_use',
             id: 'tool-1',
-            tool_use: {
-              name: 'computer',
-              input: {
-                action: {
-                  type: 'mouse',
-                  action: 'move',
-                  coordinates: { x: 100, y: 200 }
-                }
-              }
+            name: 'computer',
+            input: {
+              action: 'mouse_move',
+              coordinate: [100, 200]
             }
           }
         ]
@@ -163,7 +1028,10 @@ describe('Agent Loop Implementation', () => {
     const goal = 'Move the cursor';
     
     // Call the function
-    const instructions = await getCursorInstructions(screenCapture, context, goal);
+    const { instructions } = await getCursorInstructions(screenCapture, context, goal, {
+      executeInstruction,
+      settleDelayMs: 0
+    });
     
     // Should have called the API only 2 times (since no tools were used in the second response)
     expect(mockCreate).toHaveBeenCalledTimes(2);
@@ -172,4 +1040,183 @@ describe('Agent Loop Implementation', () => {
     expect(instructions).toHaveLength(1);
     expect(instructions[0].type).toBe('move');
   });
-});
\ No newline at end of file
+  
+  describe('approval mode', () => {
+    const clickThenType = () => {
+      mockCreate.mockReset();
+      mockCreate.mockResolvedValueOnce({
+        content: [
+          { type: 'tool_use', id: 'tool-1', name: 'computer', input: { action: 'left_click', coordinate: [100, 200] } },
+          { type: 'tool_use', id: 'tool-2', name: 'computer', input: { action: 'type', text: 'hello' } }
+        ]
+      });
+      mockCreate.mockResolvedValueOnce({
+        content: [{ type: 'text', text: 'Done.' }]
+      });
+    };
+    
+    test('should feed a skipped action back to Claude as an error result', async () => {
+      clickThenType();
+      const approveInstruction = jest.fn()
+        .mockResolvedValueOnce({ decision: 'skip', reason: 'Wrong button' })
+        .mockResolvedValueOnce({ decision: 'approve' });
+      
+      const result = await getCursorInstructions('base64-encoded-image', {}, 'Click the button', {
+        executeInstruction,
+        settleDelayMs: 0,
+        approveInstruction
+      });
+      
+      expect(approveInstruction).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'click', x: 100, y: 200 }),
+        { toolUseId: 'tool-1', iteration: 1 }
+      );
+      expect(executeInstruction).toHaveBeenCalledTimes(1);
+      expect(executeInstruction.mock.calls[0][0].type).toBe('type');
+      expect(result.instructions.map(instruction => instruction.type)).toEqual(['type']);
+      
+      const [skipped] = mockCreate.mock.calls[1][0].messages[2].content;
+      expect(skipped.is_error).toBe(true);
+      expect(skipped.content).toContain('The user rejected this action');
+      expect(skipped.content).toContain('Reason: Wrong button');
+    });
+    
+    test('should run an edited action and tell Claude about the new target', async () => {
+      clickThenType();
+      const approveInstruction = jest.fn()
+        .mockResolvedValueOnce({ decision: 'edit', instruction: { type: 'click', x: 300, y: 400 } })
+        .mockResolvedValueOnce({ decision: 'approve' });
+      
+      const result = await getCursorInstructions('base64-encoded-image', {}, 'Click the button', {
+        executeInstruction,
+        settleDelayMs: 0,
+        approveInstruction
+      });
+      
+      expect(executeInstruction.mock.calls[0][0]).toEqual(expect.objectContaining({ type: 'click', x: 300, y: 400 }));
+      expect(result.instructions[0]).toEqual(expect.objectContaining({ x: 300, y: 400 }));
+      
+      const [edited] = mockCreate.mock.calls[1][0].messages[2].content;
+      expect(edited.content[0]).toEqual({
+        type: 'text',
+        text: 'The user changed the target of this action to (300, 400) before it was executed.'
+      });
+    });
+    
+    test('should take screenshots without asking', async () => {
+      mockCreate.mockReset();
+      mockCreate.mockResolvedValueOnce({
+        content: [{ type: 'tool_use', id: 'tool-1', name: 'computer', input: { action: 'screenshot' } }]
+      });
+      mockCreate.mockResolvedValueOnce({
+        content: [{ type: 'text', text: 'Done.' }]
+      });
+      const approveInstruction = jest.fn();
+      
+      await getCursorInstructions('base64-encoded-image', {}, 'Look at the screen', {
+        executeInstruction,
+        settleDelayMs: 0,
+        approveInstruction
+      });
+      
+      expect(approveInstruction).not.toHaveBeenCalled();
+      expect(captureScreen).toHaveBeenCalledTimes(1);
+    });
+    
+    test('should stop the run when the user aborts and reject the remaining actions', async () => {
+      clickThenType();
+      const approveInstruction = jest.fn().mockResolvedValue({ decision: 'abort', reason: 'Not now' });
+      
+      const result = await getCursorInstructions('base64-encoded-image', {}, 'Click the button', {
+        executeInstruction,
+        settleDelayMs: 0,
+        approveInstruction
+      });
+      
+      expect(result.stopReason).toBe('aborted');
+      expect(approveInstruction).toHaveBeenCalledTimes(1);
+      expect(executeInstruction).not.toHaveBeenCalled();
+      expect(mockCreate).toHaveBeenCalledTimes(1);
+      
+      // Every tool_use block is answered, so the history stays valid
+      const messages = mockCreate.mock.calls[0][0].messages;
+      const results = messages[messages.length - 1].content;
+      expect(results.map(block => block.tool_use_id)).toEqual(['tool-1', 'tool-2']);
+      expect(results.every(block => block.is_error)).toBe(true);
+      expect(results[0].content).toContain('Reason: Not now');
+    });
+  });
+  
+  describe('interruptions', () => {
+    test('should not call the model once the run is stopped', async () => {
+      const run = new AbortController();
+      run.abort('stopped');
+      
+      const result = await getCursorInstructions('base64-encoded-image', {}, 'Click the button', {
+        executeInstruction,
+        settleDelayMs: 0,
+        signal: run.signal
+      });
+      
+      expect(result.stopReason).toBe('stopped');
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+    
+    test('should tell Claude the user took over and answer the remaining tool calls', async () => {
+      mockCreate.mockReset();
+      mockCreate.mockResolvedValueOnce({
+        content: [
+          { type: 'tool_use', id: 'tool-1', name: 'computer', input: { action: 'left_click', coordinate: [100, 200] } },
+          { type: 'tool_use', id: 'tool-2', name: 'computer', input: { action: 'type', text: 'hello' } }
+        ]
+      });
+      
+      const run = new AbortController();
+      executeInstruction.mockImplementation(async () => {
+        run.abort('user_takeover');
+        throw new Error('The user took over the mouse');
+      });
+      const messages = [];
+      
+      const result = await getCursorInstructions('base64-encoded-image', {}, 'Click the button', {
+        executeInstruction,
+        settleDelayMs: 0,
+        signal: run.signal,
+        messages
+      });
+      
+      expect(result.stopReason).toBe('user_takeover');
+      expect(result.error).toBeUndefined();
+      expect(executeInstruction).toHaveBeenCalledTimes(1);
+      expect(mockCreate).toHaveBeenCalledTimes(1);
+      
+      const results = messages[messages.length - 1].content;
+      expect(results.map(block => block.tool_use_id)).toEqual(['tool-1', 'tool-2']);
+      expect(results.every(block => block.is_error)).toBe(true);
+      expect(results[0].content).toContain('The user took over the mouse');
+    });
+    
+    test('should end without an error when stopped during the model call', async () => {
+      mockCreate.mockReset();
+      const run = new AbortController();
+      mockCreate.mockImplementationOnce(async () => {
+        run.abort('stopped');
+        throw new Error('Request was aborted.');
+      });
+      const messages = [];
+      
+      const result = await getCursorInstructions('base64-encoded-image', {}, 'Click the button', {
+        executeInstruction,
+        settleDelayMs: 0,
+        signal: run.signal,
+        messages
+      });
+      
+      expect(result.stopReason).toBe('stopped');
+      expect(result.error).toBeUndefined();
+      expect(mockCreate).toHaveBeenCalledTimes(1);
+      expect(mockCreate.mock.calls[0][1]).toEqual(expect.objectContaining({ signal: run.signal }));
+      expect(messages).toHaveLength(1);
+    });
+  });
+});
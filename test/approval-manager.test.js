@@ -0,0 +1,142 @@
+const ApprovalManager = require('../src/approval-manager');
+
+const click = { type: 'click', x: 100, y: 200, button: 'left' };
+
+describe('Approval Manager', () => {
+  let manager;
+  let requests;
+  let onRequest;
+  
+  beforeEach(() => {
+    manager = new ApprovalManager({ timeoutMs: 1000 });
+    requests = [];
+    onRequest = (request) => requests.push(request);
+  });
+  
+  afterEach(() => {
+    // Settle what a test left pending so no timeout fires after it
+    manager.list().forEach(({ id }) => manager.settle(id, { decision: 'abort' }));
+    jest.useRealTimers();
+  });
+  
+  test('should hold an action until it is approved', async () => {
+    const approve = manager.createApprover(onRequest, () => ({ target: { x: 100, y: 200 } }));
+    const pending = approve(click, { toolUseId: 'tool-1', iteration: 1 });
+    
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toEqual(expect.objectContaining({
+      instruction: click,
+      toolUseId: 'tool-1',
+      iteration: 1,
+      target: { x: 100, y: 200 }
+    }));
+    expect(manager.list()).toEqual(requests);
+    
+    manager.decide(requests[0].id, { decision: 'approve' });
+    
+    await expect(pending).resolves.toEqual({ decision: 'approve' });
+    expect(manager.list()).toEqual([]);
+  });
+  
+  test('should pass the reason of a skip on', async () => {
+    const pending = manager.createApprover(onRequest)(click);
+    manager.decide(requests[0].id, { decision: 'skip', reason: 'Wrong window' });
+    
+    await expect(pending).resolves.toEqual({ decision: 'skip', reason: 'Wrong window' });
+  });
+  
+  test('should replace the target coordinates of an edited action', async () => {
+    const drag = { type: 'drag', x: 300, y: 300, startX: 10, startY: 10 };
+    const pending = manager.createApprover(onRequest)(drag);
+    manager.decide(requests[0].id, { decision: 'edit', x: 400, y: 420, startX: 20, startY: 30 });
+    
+    await expect(pending).resolves.toEqual({
+      decision: 'edit',
+      instruction: { type: 'drag', x: 400, y: 420, startX: 20, startY: 30 }
+    });
+  });
+  
+  test('should approve the rest of a run after approve-all', async () => {
+    const approve = manager.createApprover(onRequest);
+    
+    const first = approve(click);
+    manager.decide(requests[0].id, { decision: 'approve-all' });
+    await expect(first).resolves.toEqual({ decision: 'approve' });
+    
+    await expect(approve({ type: 'type', text: 'hello' })).resolves.toEqual({ decision: 'approve' });
+    expect(requests).toHaveLength(1);
+    
+    // Other runs still ask
+    manager.createApprover(onRequest)(click);
+    expect(requests).toHaveLength(2);
+  });
+  
+  test('should reject unknown actions and invalid decisions', () => {
+    expect(() => manager.decide('missing', { decision: 'approve' })).toThrow(expect.objectContaining({ status: 404 }));
+    
+    manager.createApprover(onRequest)({ type: 'type', text: 'hello' });
+    const { id } = requests[0];
+    
+    let error;
+    try {
+      manager.decide(id, { decision: 'edit', x: 1.5, y: 5, reason: 42 });
+    } catch (thrown) {
+      error = thrown;
+    }
+    expect(error.status).toBe(400);
+    expect(error.details).toEqual([
+      '\'reason\' must be a string',
+      'type actions have no target position to edit',
+      '\'x\' and \'y\' must be integers'
+    ]);
+    
+    expect(() => manager.decide(id, { decision: 'maybe' })).toThrow(/'decision' must be one of/);
+    
+    // The action is still pending after invalid decisions
+    expect(manager.list()).toHaveLength(1);
+  });
+  
+  test('should check edited positions against the displays, including ones at negative coordinates', async () => {
+    const displays = [
+      { id: 1, x: 0, y: 0, width: 1920, height: 1080, primary: true },
+      { id: 2, x: -1280, y: 0, width: 1280, height: 1024 }
+    ];
+    manager = new ApprovalManager({ timeoutMs: 1000, getDisplays: () => displays });
+    const pending = manager.createApprover(onRequest)(click);
+    const { id } = requests[0];
+    
+    expect(() => manager.decide(id, { decision: 'edit', x: -300, y: 1050 }))
+      .toThrow('click instruction position (-300, 1050) is not on any display');
+    
+    manager.decide(id, { decision: 'edit', x: -300, y: 500 });
+    expect((await pending).instruction).toEqual({ ...click, x: -300, y: 500 });
+  });
+  
+  test('should only accept a drag start for drags', () => {
+    manager.createApprover(onRequest)(click);
+    
+    expect(() => manager.decide(requests[0].id, { decision: 'edit', x: 1, y: 2, startX: 3, startY: 4 }))
+      .toThrow(/only for drags/);
+  });
+  
+  test('should abort every pending action on cancelAll', async () => {
+    const first = manager.createApprover(onRequest)(click);
+    const second = manager.createApprover(onRequest)({ type: 'type', text: 'hello' });
+    
+    expect(manager.cancelAll('Emergency stop')).toBe(2);
+    
+    await expect(first).resolves.toEqual({ decision: 'abort', reason: 'Emergency stop' });
+    await expect(second).resolves.toEqual({ decision: 'abort', reason: 'Emergency stop' });
+    expect(manager.list()).toEqual([]);
+  });
+  
+  test('should abort the run when nobody decides in time', async () => {
+    jest.useFakeTimers();
+    const pending = manager.createApprover(onRequest)(click);
+    
+    jest.advanceTimersByTime(1000);
+    
+    await expect(pending).resolves.toEqual({ decision: 'abort', reason: 'No decision within 1s' });
+    expect(manager.list()).toEqual([]);
+  });
+});
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BashSession, runBashTool, getCommandPrograms } = require('../src/tools/bash-tool');
+
+describe('Bash Tool', () => {
+  let session;
+  
+  beforeEach(() => {
+    session = new BashSession({ cwd: os.tmpdir(), timeoutMs: 2000 });
+  });
+  
+  afterEach(() => {
+    session.stop();
+  });
+  
+  test('should run a command and capture its output', async () => {
+    const result = await session.run('echo hello');
+    
+    expect(result).toEqual({ stdout: 'hello\n', stderr: '', exitCode: 0 });
+  });
+  
+  test('should capture stderr and the exit code', async () => {
+    const result = await session.run('echo oops >&2; false');
+    
+    expect(result.stderr).toBe('oops\n');
+    expect(result.exitCode).toBe(1);
+  });
+  
+  test('should start in the configured working directory', async () => {
+    const result = await session.run('pwd');
+    
+    expect(result.stdout.trim()).toBe(require('fs').realpathSync(os.tmpdir()));
+  });
+  
+  test('should keep shell state between commands', async () => {
+    await session.run('export BASH_TOOL_TEST=persisted');
+    const result = await session.run('echo $BASH_TOOL_TEST');
+    
+    expect(result.stdout).toBe('persisted\n');
+  });
+  
+  test('should forget shell state after a restart', async () => {
+    await session.run('export BASH_TOOL_TEST=persisted');
+    session.restart();
+    const result = await session.run('echo "[$BASH_TOOL_TEST]"');
+    
+    expect(result.stdout).toBe('[]\n');
+  });
+  
+  test('should time out and restart the session', async () => {
+    session = new BashSession({ cwd: os.tmpdir(), timeoutMs: 200 });
+    
+    await expect(session.run('sleep 5')).rejects.toThrow('Command timed out after 200ms; the bash session was restarted');
+    
+    const result = await session.run('echo alive');
+    expect(result.stdout).toBe('alive\n');
+  });
+  
+  test('should end a timed out command along with the shell', async () => {
+    const marker = path.join(os.tmpdir(), `bash-tool-timeout-${process.pid}`);
+    session = new BashSession({ cwd: os.tmpdir(), timeoutMs: 200 });
+    
+    await expect(session.run(`(sleep 0.5; touch ${marker})`)).rejects.toThrow('timed out');
+    await new Promise(resolve => setTimeout(resolve, 800));
+    
+    expect(fs.existsSync(marker)).toBe(false);
+  });
+  
+  test('should truncate long output', async () => {
+    session = new BashSession({ cwd: os.tmpdir(), maxOutputBytes: 10 });
+    
+    const result = await session.run('printf "%0.s-" $(seq 1 25)');
+    
+    expect(result.stdout).toBe('----------\n... [output truncated, 15 bytes omitted]');
+  });
+  
+  test('should keep only the byte cap of a flood of output', async () => {
+    session = new BashSession({ cwd: os.tmpdir(), maxOutputBytes: 100 });
+    
+    const result = await session.run('head -c 5000000 /dev/zero | tr "\\0" a; echo oops >&2');
+    
+    expect(result.stdout).toBe(`${'a'.repeat(100)}\n... [output truncated, 4999900 bytes omitted]`);
+    expect(result.stderr).toBe('oops\n');
+    expect(result.exitCode).toBe(0);
+  });
+  
+  test('should fall back to the default timeout and output cap when they are not positive numbers', () => {
+    session = new BashSession({ timeoutMs: NaN, maxOutputBytes: -1 });
+    
+    expect(session.options.timeoutMs).toBe(30000);
+    expect(session.options.maxOutputBytes).toBe(10000);
+  });
+  
+  test('should reject denied commands anywhere in the command line', async () => {
+    await expect(session.run('ls && sudo rm -rf /')).rejects.toThrow('Command \'sudo\' is not allowed');
+  });
+  
+  test('should only allow allowlisted commands when an allowlist is set', async () => {
+    session = new BashSession({ cwd: os.tmpdir(), allowlist: ['echo', 'git'] });
+    
+    await expect(session.run('echo hi | cat')).rejects.toThrow('Command \'cat\' is not in the allowlist');
+    await expect(session.run('FOO=1 echo ok')).resolves.toMatchObject({ stdout: 'ok\n' });
+  });
+  
+  test('should find the program of every command segment', () => {
+    expect(getCommandPrograms('cd src; NODE_ENV=test /usr/bin/npm test || echo failed | tee log'))
+      .toEqual(['cd', 'npm', 'echo', 'tee']);
+  });
+  
+  test('should not take redirections for programs', () => {
+    expect(getCommandPrograms('npm test 2>&1 | tail -5')).toEqual(['npm', 'tail']);
+    expect(getCommandPrograms('ls &> /dev/null')).toEqual(['ls']);
+    expect(getCommandPrograms('make >& build.log; cat out 1>&2 2>&- && date >| now')).toEqual(['make', 'cat', 'date']);
+  });
+  
+  test('should allow commands with redirections when their programs are allowlisted', async () => {
+    session = new BashSession({ cwd: os.tmpdir(), allowlist: ['echo', 'tail'] });
+    
+    const result = await session.run('echo hi 2>&1 | tail -1');
+    
+    expect(result.stdout).toBe('hi\n');
+  });
+  
+  test('runBashTool should build tool results', async () => {
+    await expect(runBashTool(session, { command: 'echo hi' }, 'tool-1')).resolves.toEqual({
+      type: 'tool_result',
+      tool_use_id: 'tool-1',
+      is_error: false,
+      content: 'hi\n'
+    });
+    
+    const failed = await runBashTool(session, { command: 'exit 3' }, 'tool-2');
+    expect(failed.is_error).toBe(true);
+    expect(failed.content).toContain('Bash session exited with code 3');
+    
+    await expect(runBashTool(session, { restart: true }, 'tool-3')).resolves.toMatchObject({
+      content: 'Bash session restarted'
+    });
+    
+    await expect(runBashTool(session, {}, 'tool-4')).resolves.toMatchObject({
+      is_error: true,
+      content: 'bash requires a \'command\''
+    });
+  });
+});
@@ -0,0 +1,196 @@
+const { validateBatch, runBatch } = require('../src/batch-runner');
+const { createCursorController } = require('../src/cursor-controller');
+const VirtualDriver = require('../src/drivers/virtual-driver');
+
+const displays = [{ id: 1, name: 'primary', x: 0, y: 0, width: 1920, height: 1080, primary: true }];
+const region = { x: 0, y: 0, width: 100, height: 100 };
+
+/**
+ * Build runner options around a fake cursor that executed instructions move
+ */
+function createOptions(overrides = {}) {
+  const position = { x: 0, y: 0 };
+  return {
+    executeInstruction: jest.fn(async (instruction) => {
+      if (instruction.x !== undefined) {
+        Object.assign(position, { x: instruction.x, y: instruction.y });
+      }
+    }),
+    captureRegion: jest.fn(() => 'same'),
+    getPosition: () => ({ ...position }),
+    ...overrides
+  };
+}
+
+describe('Batch Runner', () => {
+  describe('validateBatch', () => {
+    test('should accept instructions and screen waits, filling in the primary display as the region', () => {
+      const batch = validateBatch({
+        steps: [
+          { type: 'click', x: 10, y: 10, delay: 100 },
+          { type: 'wait-for-change', timeoutMs: 5000, onError: 'continue' },
+          { type: 'wait-for-stable', region, stableMs: 500 }
+        ]
+      }, { displays });
+      
+      expect(batch.onError).toBe('stop');
+      expect(batch.steps[1].region).toEqual({ x: 0, y: 0, width: 1920, height: 1080 });
+      expect(batch.steps[2].region).toEqual(region);
+    });
+    
+    test('should report every problem with its step and field', () => {
+      let error;
+      try {
+        validateBatch({
+          onError: 'retry',
+          steps: [
+            { type: 'move', x: 5000, y: 10 },
+            { type: 'wait-for-stable', region: { x: 1900, y: 0, width: 100, height: 10 }, pollMs: 1 },
+            { type: 'key', keys: 'F5', onError: 'ignore' }
+          ]
+        }, { displays, checkCoordinates: true });
+      } catch (thrown) {
+        error = thrown;
+      }
+      
+      expect(error.status).toBe(400);
+      expect(error.details).toEqual([
+        { field: 'onError', message: '\'onError\' must be one of stop, continue' },
+        { index: 0, field: 'x', message: 'move instruction \'x\' of 5000 is off screen; it must be from 0 to 1919' },
+        { index: 1, field: 'pollMs', message: 'wait-for-stable step \'pollMs\' must be an integer between 50 and 5000' },
+        { index: 1, field: 'region', message: 'wait-for-stable step \'region\' must be within the 1920x1080 desktop at (0, 0)' },
+        { index: 2, field: 'onError', message: '\'onError\' must be one of stop, continue' }
+      ]);
+      expect(error.message).toMatch(/^Invalid batch: 'onError' must be one of stop, continue; Step 1: move instruction/);
+    });
+    
+    test('should leave off-screen coordinates to the safety policy unless asked to check them', () => {
+      const batch = validateBatch({ steps: [{ type: 'move', x: 5000, y: 10 }] }, { displays });
+      
+      expect(batch.steps).toEqual([{ type: 'move', x: 5000, y: 10 }]);
+    });
+    
+    test('should require a non-empty list of steps', () => {
+      expect(() => validateBatch({ steps: [] }, { displays })).toThrow('\'steps\' must be an array of 1 to 200 steps');
+      expect(() => validateBatch(undefined, { displays })).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+  
+  describe('runBatch', () => {
+    test('should run the steps in order and report timings and cursor positions', async () => {
+      const options = createOptions();
+      const report = await runBatch([
+        { type: 'move', x: 10, y: 20 },
+        { type: 'click', x: 30, y: 40, delay: 20 }
+      ], options);
+      
+      expect(options.executeInstruction).toHaveBeenNthCalledWith(1, { type: 'move', x: 10, y: 20 });
+      expect(options.executeInstruction).toHaveBeenNthCalledWith(2, { type: 'click', x: 30, y: 40 });
+      expect(report).toEqual(expect.objectContaining({
+        success: true,
+        stopReason: 'completed',
+        stepsRun: 2,
+        stepsFailed: 0,
+        totalSteps: 2,
+        finalPosition: { x: 30, y: 40 }
+      }));
+      expect(report.steps[1]).toEqual(expect.objectContaining({
+        index: 1,
+        type: 'click',
+        status: 'ok',
+        delayMs: 20,
+        before: { x: 10, y: 20 },
+        after: { x: 30, y: 40 }
+      }));
+      expect(report.steps[1].startedAtMs).toBeGreaterThanOrEqual(20);
+    });
+    
+    test('should stop at a failed step and skip the rest', async () => {
+      const options = createOptions();
+      options.executeInstruction.mockRejectedValueOnce(Object.assign(new Error('Blocked by the safety policy'), { details: ['taskbar'] }));
+      
+      const report = await runBatch([{ type: 'click' }, { type: 'key', keys: 'F5' }], options);
+      
+      expect(report.success).toBe(false);
+      expect(report.stopReason).toBe('failed');
+      expect(report.steps.map(step => step.status)).toEqual(['failed', 'skipped']);
+      expect(report.steps[0]).toEqual(expect.objectContaining({ error: 'Blocked by the safety policy', details: ['taskbar'] }));
+      expect(options.executeInstruction).toHaveBeenCalledTimes(1);
+    });
+    
+    test('should carry on past failures when asked to', async () => {
+      const options = createOptions({ onError: 'continue' });
+      options.executeInstruction.mockRejectedValueOnce(new Error('robot failure'));
+      
+      const report = await runBatch([
+        { type: 'click' },
+        { type: 'key', keys: 'F5' },
+        { type: 'wait-for-change', region, timeoutMs: 30, pollMs: 5, onError: 'stop' },
+        { type: 'key', keys: 'F6' }
+      ], options);
+      
+      expect(report.steps.map(step => step.status)).toEqual(['failed', 'ok', 'failed', 'skipped']);
+      expect(report.steps[2].error).toBe('Region did not change within 30ms');
+      expect(report).toEqual(expect.objectContaining({ success: false, stopReason: 'failed', stepsRun: 3, stepsFailed: 2 }));
+    });
+    
+    test('should compare a wait for change against the region before the step that changes it', async () => {
+      let screen = 'dialog closed';
+      const options = createOptions({ captureRegion: jest.fn(() => screen) });
+      options.executeInstruction.mockImplementation(async () => {
+        screen = 'dialog open';
+      });
+      
+      const report = await runBatch([
+        { type: 'click', x: 10, y: 10 },
+        { type: 'wait-for-change', region, timeoutMs: 100, pollMs: 5 }
+      ], options);
+      
+      expect(report.steps[1]).toEqual(expect.objectContaining({ status: 'ok', changes: 1 }));
+    });
+    
+    test('should wait until the region stops changing', async () => {
+      const frames = ['a', 'b', 'c', 'c', 'c', 'c', 'c', 'c'];
+      const options = createOptions({ captureRegion: jest.fn(() => frames.shift() || 'c') });
+      
+      const report = await runBatch([{ type: 'wait-for-stable', region, stableMs: 15, timeoutMs: 1000, pollMs: 5 }], options);
+      
+      expect(report.steps[0]).toEqual(expect.objectContaining({ status: 'ok', changes: 2 }));
+    });
+    
+    test('should stop on an aborted signal or a takeover', async () => {
+      const run = new AbortController();
+      const options = createOptions({ signal: run.signal });
+      options.executeInstruction.mockImplementationOnce(async () => run.abort('stopped'));
+      
+      const stopped = await runBatch([{ type: 'key', keys: 'a' }, { type: 'key', keys: 'b' }], options);
+      expect(stopped.stopReason).toBe('stopped');
+      expect(stopped.steps.map(step => step.status)).toEqual(['stopped', 'skipped']);
+      
+      const takenOver = await runBatch([{ type: 'key', keys: 'a' }], createOptions({ detectTakeover: () => ({ expected: { x: 0, y: 0 } }) }));
+      expect(takenOver).toEqual(expect.objectContaining({ success: false, stopReason: 'user_takeover', stepsRun: 0 }));
+    });
+    
+    test('should end a long wait when the controller is stopped', async () => {
+      const controller = createCursorController(new VirtualDriver({ screenSize: { width: 800, height: 600 } }));
+      const run = new AbortController();
+      const options = createOptions({
+        signal: run.signal,
+        executeInstruction: (instruction) => controller.pause(instruction.duration * 1000)
+      });
+      
+      // What /stop does: abort the runs, then stop the controller
+      setTimeout(() => {
+        run.abort('stopped');
+        controller.stop();
+      }, 20);
+      
+      const startTime = Date.now();
+      const report = await runBatch([{ type: 'wait', duration: 15 }, { type: 'key', keys: 'a' }], options);
+      
+      expect(Date.now() - startTime).toBeLessThan(1000);
+      expect(report.stopReason).toBe('stopped');
+      expect(report.steps.map(step => step.status)).toEqual(['stopped', 'skipped']);
+    });
+  });
+});
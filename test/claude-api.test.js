@@ -42,12 +42,63 @@ describe('validateInstructions', () => {
   
   test('should throw error for click instruction with invalid button', () => {
     const invalidInstructions = [
-      { type: 'click', button: 'middle' } // only left and right are valid
+      { type: 'click', button: 'side' } // only left, right and middle are valid
     ];
     
     expect(() => validateInstructions(invalidInstructions)).toThrow('click instruction has invalid \'button\' property');
   });
   
+  test('should validate keyboard instructions', () => {
+    const validInstructions = [
+      { type: 'type', text: 'console.log(1);' },
+      { type: 'key', keys: 'ctrl+shift+p' },
+      { type: 'hold-key', keys: 'shift', duration: 0.5 }
+    ];
+    
+    expect(() => validateInstructions(validInstructions)).not.toThrow();
+  });
+  
+  test('should throw error for type instruction without text', () => {
+    expect(() => validateInstructions([{ type: 'type' }])).toThrow('type instruction must have a \'text\' string');
+  });
+  
+  test('should throw error for key instruction without keys', () => {
+    expect(() => validateInstructions([{ type: 'key', keys: '' }])).toThrow('key instruction must have a \'keys\' string');
+  });
+  
+  test('should throw error for hold-key instruction without duration', () => {
+    expect(() => validateInstructions([{ type: 'hold-key', keys: 'shift' }])).toThrow('hold-key instruction must have a non-negative \'duration\' in seconds');
+  });
+  
+  test('should validate the full set of mouse and timing instructions', () => {
+    const validInstructions = [
+      { type: 'screenshot' },
+      { type: 'cursor-position' },
+      { type: 'click', button: 'middle', x: 10, y: 20 },
+      { type: 'triple-click', button: 'left', modifiers: 'shift' },
+      { type: 'drag', startX: 0, startY: 0, x: 300, y: 400 },
+      { type: 'mouse-down', button: 'left' },
+      { type: 'mouse-up', button: 'left' },
+      { type: 'scroll', direction: 'down', amount: 3, x: 500, y: 500 },
+      { type: 'wait', duration: 1.5 }
+    ];
+    
+    expect(() => validateInstructions(validInstructions)).not.toThrow();
+  });
+  
+  test('should throw error for click instruction with only one coordinate', () => {
+    expect(() => validateInstructions([{ type: 'click', x: 10 }])).toThrow('click instruction must have both \'x\' and \'y\' coordinates or neither');
+  });
+  
+  test('should throw error for scroll instruction with invalid direction or amount', () => {
+    expect(() => validateInstructions([{ type: 'scroll', direction: 'sideways', amount: 1 }])).toThrow('scroll instruction must have a \'direction\' of up, down, left or right');
+    expect(() => validateInstructions([{ type: 'scroll', direction: 'up', amount: 0 }])).toThrow('scroll instruction must have a positive integer \'amount\'');
+  });
+  
+  test('should throw error for wait instruction without duration', () => {
+    expect(() => validateInstructions([{ type: 'wait' }])).toThrow('wait instruction must have a non-negative \'duration\' in seconds');
+  });
+  
   test('should throw error for unknown instruction type', () => {
     const invalidInstructions = [
       { type: 'hover', x: 100, y: 200 } // hover is not supported
@@ -1,11 +1,15 @@
-const { getCursorInstructions } = require('../src/claude-api');
+// The Anthropic provider creates its client on first use and needs a key for it
+process.env.ANTHROPIC_API_KEY = 'test-api-key';
+
+// Send screenshots at native resolution so coordinates pass through unchanged
+process.env.SCREEN_SCALING_TARGET = 'none';
 
 // Mock Anthropic SDK
 jest.mock('@anthropic-ai/sdk', () => {
   const mockCreate = jest.fn();
   
-  // Set up mock response for API call
-  mockCreate.mockImplementation(() => {
+  // Set up mock response for the first API call
+  mockCreate.mockImplementationOnce(() => {
     return Promise.resolve({
       content: [
         {
@@ -15,48 +19,43 @@ jest.mock('@anthropic-ai/sdk', () => {
         {
           type: 'tool_use',
           id: 'tool-123',
-          tool_use: {
-            name: 'computer',
-            input: {
-              action: {
-                type: 'mouse',
-                action: 'move',
-                coordinates: {
-                  x: 500,
-                  y: 300
-                }
-              }
-            }
+          name: 'computer',
+          input: {
+            action: 'mouse_move',
+            coordinate: [500, 300]
           }
         },
         {
           type: 'tool_use',
           id: 'tool-124',
-          tool_use: {
-            name: 'computer',
-            input: {
-              action: {
-                type: 'mouse',
-                action: 'click',
-                button: 'left',
-                clicks: 1
-              }
-            }
+          name: 'computer',
+          input: {
+            action: 'left_click'
           }
         }
       ]
     });
   });
   
-  return {
-    Anthropic: jest.fn().mockImplementation(() => {
-      return {
-        messages: {
-          create: mockCreate
+  // Claude is done after seeing the result of its actions
+  mockCreate.mockImplementation(() => {
+    return Promise.resolve({
+      content: [
+        {
+          type: 'text',
+          text: 'Done.'
         }
-      };
-    })
-  };
+      ]
+    });
+  });
+  
+  return jest.fn().mockImplementation(() => {
+    return {
+      messages: {
+        create: mockCreate
+      }
+    };
+  });
 });
 
 // Mock robotjs to avoid actual screen integration
@@ -64,10 +63,16 @@ jest.mock('robotjs', () => ({
   getScreenSize: jest.fn().mockReturnValue({ width: 1920, height: 1080 })
 }));
 
+// Mock screen capture to avoid native canvas rendering
+jest.mock('../src/screen-capture', () => ({
+  captureScreen: jest.fn().mockReturnValue('next-screenshot')
+}));
+
+const { getCursorInstructions, toolInputToInstruction } = require('../src/claude-api');
+
 describe('Computer Use API Integration', () => {
   beforeEach(() => {
     jest.clearAllMocks();
-    process.env.ANTHROPIC_API_KEY = 'test-api-key';
   });
   
   test('should process mouse actions from Computer Use API', async () => {
@@ -77,7 +82,11 @@ describe('Computer Use API Integration', () => {
     const goal = 'Add a new button to this form';
     
     // Call the function
-    const instructions = await getCursorInstructions(screenCapture, context, goal);
+    const executeInstruction = jest.fn().mockResolvedValue();
+    const { instructions } = await getCursorInstructions(screenCapture, context, goal, {
+      executeInstruction,
+      settleDelayMs: 0
+    });
     
     // Verify instructions were correctly processed
     expect(instructions).toHaveLength(2);
@@ -94,6 +103,11 @@ describe('Computer Use API Integration', () => {
       type: 'click',
       button: 'left'
     });
+    
+    // Both actions were executed in order
+    expect(executeInstruction).toHaveBeenCalledTimes(2);
+    expect(executeInstruction).toHaveBeenNthCalledWith(1, instructions[0]);
+    expect(executeInstruction).toHaveBeenNthCalledWith(2, instructions[1]);
   });
   
   test('validateInstructions should verify cursor actions correctly', () => {
@@ -117,4 +131,48 @@ describe('Computer Use API Integration', () => {
     // Should throw error for invalid instructions
     expect(() => validateInstructions(invalidInstructions)).toThrow();
   });
-});
\ No newline at end of file
+  
+  test('should translate every computer_20250124 action into an instruction', () => {
+    const cases = [
+      [{ action: 'screenshot' }, { type: 'screenshot' }],
+      [{ action: 'cursor_position' }, { type: 'cursor-position' }],
+      [{ action: 'mouse_move', coordinate: [1, 2] }, { type: 'move', x: 1, y: 2 }],
+      [{ action: 'left_click' }, { type: 'click', button: 'left' }],
+      [{ action: 'left_click', coordinate: [5, 6], text: 'ctrl' }, { type: 'click', button: 'left', x: 5, y: 6, modifiers: 'ctrl' }],
+      [{ action: 'right_click', coordinate: [5, 6] }, { type: 'click', button: 'right', x: 5, y: 6 }],
+      [{ action: 'middle_click' }, { type: 'click', button: 'middle' }],
+      [{ action: 'double_click' }, { type: 'double-click', button: 'left' }],
+      [{ action: 'triple_click', coordinate: [7, 8] }, { type: 'triple-click', button: 'left', x: 7, y: 8 }],
+      [{ action: 'left_click_drag', start_coordinate: [1, 1], coordinate: [9, 9] }, { type: 'drag', startX: 1, startY: 1, x: 9, y: 9 }],
+      [{ action: 'left_mouse_down' }, { type: 'mouse-down', button: 'left' }],
+      [{ action: 'left_mouse_up' }, { type: 'mouse-up', button: 'left' }],
+      [{ action: 'scroll', coordinate: [3, 4], scroll_direction: 'down', scroll_amount: 5 }, { type: 'scroll', direction: 'down', amount: 5, x: 3, y: 4 }],
+      [{ action: 'wait', duration: 2 }, { type: 'wait', duration: 2 }],
+      [{ action: 'type', text: 'abc' }, { type: 'type', text: 'abc' }],
+      [{ action: 'key', text: 'Return' }, { type: 'key', keys: 'Return' }],
+      [{ action: 'hold_key', text: 'shift', duration: 1 }, { type: 'hold-key', keys: 'shift', duration: 1 }]
+    ];
+    
+    for (const [input, expected] of cases) {
+      expect(toolInputToInstruction(input)).toEqual(expected);
+    }
+  });
+  
+  test('should accept several modifiers held during a click or a scroll', () => {
+    const { validateInstructions } = require('../src/claude-api');
+    const instructions = [
+      toolInputToInstruction({ action: 'left_click', coordinate: [5, 6], text: 'ctrl+shift' }),
+      toolInputToInstruction({ action: 'scroll', coordinate: [3, 4], scroll_direction: 'down', scroll_amount: 2, text: 'ctrl+alt' })
+    ];
+    
+    expect(instructions.map(instruction => instruction.modifiers)).toEqual(['ctrl+shift', 'ctrl+alt']);
+    expect(validateInstructions(instructions)).toBe(true);
+  });
+  
+  test('should reject malformed or unknown computer actions', () => {
+    expect(() => toolInputToInstruction({ action: 'mouse_move' })).toThrow('mouse_move requires \'coordinate\'');
+    expect(() => toolInputToInstruction({ action: 'left_click', coordinate: [1] })).toThrow('left_click \'coordinate\' must be an [x, y] pair of numbers');
+    expect(() => toolInputToInstruction({ action: 'scroll', scroll_direction: 'up' })).toThrow('scroll requires \'scroll_amount\'');
+    expect(() => toolInputToInstruction({ action: 'teleport' })).toThrow('Unsupported computer action: teleport');
+  });
+});
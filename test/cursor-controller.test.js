@@ -1,10 +1,16 @@
 const robot = require('robotjs');
+const { createCursorController } = require('../src/cursor-controller');
+const RobotDriver = require('../src/drivers/robot-driver');
 
 // Mock robotjs
 jest.mock('robotjs', () => ({
   moveMouse: jest.fn(),
   mouseClick: jest.fn(),
   mouseToggle: jest.fn(),
+  scrollMouse: jest.fn(),
+  keyToggle: jest.fn(),
+  keyTap: jest.fn(),
+  typeString: jest.fn(),
   getMousePos: jest.fn(() => ({ x: 100, y: 100 })),
   getScreenSize: jest.fn(() => ({ width: 1920, height: 1080 }))
 }));
@@ -13,46 +19,24 @@ describe('Cursor Controller', () => {
   let cursorController;
   
   beforeEach(() => {
-    // Create a fresh cursor controller for each test
-    cursorController = {
-      moveTo: (x, y) => {
-        robot.moveMouse(x, y);
-      },
-      click: (button = 'left') => {
-        robot.mouseClick(button);
-      },
-      doubleClick: (button = 'left') => {
-        robot.mouseClick(button, true);
-      },
-      dragTo: (x, y) => {
-        robot.mouseToggle('down');
-        robot.moveMouse(x, y);
-        robot.mouseToggle('up');
-      },
-      getCurrentPosition: () => {
-        return robot.getMousePos();
-      },
-      getScreenSize: () => {
-        return robot.getScreenSize();
-      }
-    };
+    cursorController = createCursorController(new RobotDriver());
     
     // Clear mock calls between tests
     jest.clearAllMocks();
   });
   
-  test('moveTo should call robot.moveMouse with coordinates', () => {
-    cursorController.moveTo(200, 300);
+  test('moveTo should call robot.moveMouse with coordinates', async () => {
+    await cursorController.moveTo(200, 300);
     expect(robot.moveMouse).toHaveBeenCalledWith(200, 300);
   });
   
-  test('click should call robot.mouseClick with default left button', () => {
-    cursorController.click();
+  test('click should call robot.mouseClick with default left button', async () => {
+    await cursorController.click();
     expect(robot.mouseClick).toHaveBeenCalledWith('left');
   });
   
-  test('click should call robot.mouseClick with specified button', () => {
-    cursorController.click('right');
+  test('click should call robot.mouseClick with specified button', async () => {
+    await cursorController.click('right');
     expect(robot.mouseClick).toHaveBeenCalledWith('right');
   });
   
@@ -61,8 +45,8 @@ describe('Cursor Controller', () => {
     expect(robot.mouseClick).toHaveBeenCalledWith('left', true);
   });
   
-  test('dragTo should perform mouse down, move, and up actions', () => {
-    cursorController.dragTo(500, 600);
+  test('dragTo should perform mouse down, move, and up actions', async () => {
+    await cursorController.dragTo(500, 600);
     
     expect(robot.mouseToggle).toHaveBeenCalledTimes(2);
     expect(robot.mouseToggle).toHaveBeenNthCalledWith(1, 'down');
@@ -70,6 +54,48 @@ describe('Cursor Controller', () => {
     expect(robot.moveMouse).toHaveBeenCalledWith(500, 600);
   });
   
+  test('dragTo should pass through intermediate points even with the instant profile', async () => {
+    await cursorController.dragTo(200, 100, { dragSteps: 4 });
+    
+    expect(robot.moveMouse.mock.calls).toEqual([[125, 100], [150, 100], [175, 100], [200, 100]]);
+  });
+  
+  test('moveTo should glide along the profile and wait between steps', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+    cursorController = createCursorController(new RobotDriver(), {
+      motion: { profile: 'linear', speed: 1000, pressDelayMs: 0, releaseDelayMs: 0, dragSteps: 10 },
+      sleep
+    });
+    
+    // 100px at 1000px/s takes 100ms, i.e. 7 frames
+    await cursorController.moveTo(200, 100);
+    
+    expect(robot.moveMouse).toHaveBeenCalledTimes(7);
+    expect(robot.moveMouse).toHaveBeenLastCalledWith(200, 100);
+    expect(sleep).toHaveBeenCalledTimes(6);
+    expect(sleep.mock.calls[0][0]).toBeCloseTo(100 / 7);
+  });
+  
+  test('press and release delays should hold the button before moving and releasing', async () => {
+    const calls = [];
+    const sleep = jest.fn(async (ms) => calls.push(`sleep ${ms}`));
+    robot.mouseToggle.mockImplementation((state) => calls.push(state));
+    robot.moveMouse.mockImplementation(() => calls.push('move'));
+    cursorController = createCursorController(new RobotDriver(), { sleep });
+    
+    await cursorController.dragTo(300, 100, { pressDelayMs: 80, releaseDelayMs: 40, dragSteps: 2 });
+    await cursorController.click('left', { pressDelayMs: 60 });
+    
+    expect(calls).toEqual(['down', 'sleep 80', 'move', 'move', 'sleep 40', 'up', 'down', 'sleep 60', 'up']);
+    expect(robot.mouseClick).not.toHaveBeenCalled();
+    robot.mouseToggle.mockReset();
+    robot.moveMouse.mockReset();
+  });
+  
+  test('should reject invalid motion settings', async () => {
+    await expect(cursorController.moveTo(1, 1, { profile: 'warp' })).rejects.toThrow('\'profile\' must be one of instant, linear, eased, bezier');
+  });
+  
   test('getCurrentPosition should call robot.getMousePos', () => {
     const position = cursorController.getCurrentPosition();
     
@@ -83,4 +109,123 @@ describe('Cursor Controller', () => {
     expect(robot.getScreenSize).toHaveBeenCalled();
     expect(screenSize).toEqual({ width: 1920, height: 1080 });
   });
-});
\ No newline at end of file
+  
+  test('tripleClick should double-click then click once more', () => {
+    cursorController.tripleClick('left');
+    
+    expect(robot.mouseClick).toHaveBeenNthCalledWith(1, 'left', true);
+    expect(robot.mouseClick).toHaveBeenNthCalledWith(2, 'left');
+  });
+  
+  test('scroll should translate directions into scroll offsets', () => {
+    cursorController.scroll('down', 3);
+    cursorController.scroll('left', 2);
+    
+    expect(robot.scrollMouse).toHaveBeenNthCalledWith(1, 0, -3);
+    expect(robot.scrollMouse).toHaveBeenNthCalledWith(2, -2, 0);
+    expect(() => cursorController.scroll('sideways', 1)).toThrow('Invalid scroll direction: sideways');
+  });
+  
+  test('pressKeys should tap xdotool-style combos with robotjs names', () => {
+    cursorController.pressKeys('ctrl+s');
+    
+    expect(robot.keyTap).toHaveBeenCalledWith('s', ['control']);
+  });
+  
+  test('withModifiers should hold keys during the action and release them in reverse', async () => {
+    const action = jest.fn(() => {
+      expect(robot.keyToggle).toHaveBeenCalledTimes(2);
+    });
+    
+    await cursorController.withModifiers('shift+a', action);
+    
+    expect(action).toHaveBeenCalled();
+    expect(robot.keyToggle.mock.calls).toEqual([
+      ['shift', 'down'],
+      ['a', 'down'],
+      ['a', 'up'],
+      ['shift', 'up']
+    ]);
+  });
+  
+  test('withModifiers should hold several modifiers around a click', async () => {
+    await cursorController.withModifiers('ctrl+shift', () => cursorController.click('left'));
+    
+    expect(robot.keyToggle.mock.calls).toEqual([
+      ['control', 'down'],
+      ['shift', 'down'],
+      ['shift', 'up'],
+      ['control', 'up']
+    ]);
+    expect(robot.mouseClick).toHaveBeenCalledWith('left');
+  });
+  
+  test('withModifiers should hold several modifiers around a scroll', async () => {
+    await cursorController.withModifiers('ctrl+alt', () => cursorController.scroll('down', 3));
+    
+    expect(robot.keyToggle.mock.calls).toEqual([
+      ['control', 'down'],
+      ['alt', 'down'],
+      ['alt', 'up'],
+      ['control', 'up']
+    ]);
+    expect(robot.scrollMouse).toHaveBeenCalledWith(0, -3);
+  });
+  
+  test('stop should release held buttons and keys', () => {
+    cursorController.mouseDown('right');
+    cursorController.withModifiers('ctrl', () => new Promise(() => {}));
+    jest.clearAllMocks();
+    
+    const released = cursorController.stop();
+    
+    expect(released).toEqual({ buttons: ['right'], keys: ['control'] });
+    expect(robot.mouseToggle).toHaveBeenCalledWith('up', 'right');
+    expect(robot.keyToggle).toHaveBeenCalledWith('control', 'up');
+    expect(cursorController.stop()).toEqual({ buttons: [], keys: [] });
+  });
+  
+  test('stop should cut a key hold short', async () => {
+    let wake;
+    const sleep = jest.fn(() => new Promise(resolve => { wake = resolve; }));
+    cursorController = createCursorController(new RobotDriver(), { sleep });
+    
+    const hold = cursorController.holdKeys('shift', 30);
+    await Promise.resolve();
+    cursorController.stop();
+    wake();
+    
+    await expect(hold).rejects.toThrow('Stopped by the user');
+    expect(robot.keyToggle.mock.calls).toEqual([['shift', 'down'], ['shift', 'up'], ['shift', 'up']]);
+  });
+  
+  test('stop should end a long pause right away', async () => {
+    const startTime = Date.now();
+    const pause = cursorController.pause(15000);
+    setImmediate(() => cursorController.stop());
+    
+    await expect(pause).rejects.toThrow('Stopped by the user');
+    expect(Date.now() - startTime).toBeLessThan(1000);
+    
+    // Pauses started after the stop run normally
+    await expect(cursorController.pause(1)).resolves.toBeUndefined();
+  });
+  
+  test('detectTakeover should notice when the cursor is not where the controller put it', async () => {
+    expect(cursorController.detectTakeover()).toBeNull();
+    
+    await cursorController.moveTo(200, 300);
+    robot.getMousePos.mockReturnValue({ x: 200, y: 300 });
+    cursorController.syncPosition();
+    expect(cursorController.detectTakeover()).toBeNull();
+    
+    // A pixel of drift is not the user
+    robot.getMousePos.mockReturnValue({ x: 201, y: 301 });
+    expect(cursorController.detectTakeover()).toBeNull();
+    
+    robot.getMousePos.mockReturnValue({ x: 640, y: 20 });
+    expect(cursorController.detectTakeover()).toEqual({ expected: { x: 200, y: 300 }, actual: { x: 640, y: 20 } });
+    
+    robot.getMousePos.mockReturnValue({ x: 100, y: 100 });
+  });
+});
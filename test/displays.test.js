@@ -0,0 +1,56 @@
+const { parseDisplayLayout, parseXrandrMonitors, getDesktopBounds, findDisplay, singleDisplay, selectDisplay } = require('../src/displays');
+
+const left = { id: 1, name: 'display-1', x: 0, y: 0, width: 1920, height: 1080, primary: true };
+const right = { id: 2, name: 'display-2', x: 1920, y: -200, width: 2560, height: 1440, primary: false };
+
+describe('Displays', () => {
+  test('should parse a display layout with the first display as the primary one', () => {
+    expect(parseDisplayLayout('1920x1080+0+0, 2560x1440+1920-200')).toEqual([left, right]);
+    expect(parseDisplayLayout('')).toBeNull();
+    expect(parseDisplayLayout(undefined)).toBeNull();
+  });
+  
+  test('should reject invalid geometries', () => {
+    expect(() => parseDisplayLayout('1920x1080')).toThrow('Invalid display geometry: 1920x1080; expected <width>x<height>+<x>+<y>');
+    expect(() => parseDisplayLayout('0x1080+0+0')).toThrow('Invalid display geometry');
+  });
+  
+  test('should parse the monitors xrandr lists', () => {
+    const output = [
+      'Monitors: 2',
+      ' 0: +HDMI-1 1920/527x1080/296+0+0  HDMI-1',
+      ' 1: +*DP-1 2560/597x1440/336+1920+0  DP-1',
+      ''
+    ].join('\n');
+    
+    expect(parseXrandrMonitors(output)).toEqual([
+      { id: 1, name: 'HDMI-1', x: 0, y: 0, width: 1920, height: 1080, primary: false },
+      { id: 2, name: 'DP-1', x: 1920, y: 0, width: 2560, height: 1440, primary: true }
+    ]);
+    expect(parseXrandrMonitors('Monitors: 0\n')).toBeNull();
+  });
+  
+  test('should find the display a position is on', () => {
+    expect(findDisplay([left, right], { x: 100, y: 100 })).toBe(left);
+    expect(findDisplay([left, right], { x: 1920, y: -100 })).toBe(right);
+    expect(findDisplay([left, right], { x: 100, y: 1100 })).toBeUndefined();
+  });
+  
+  test('should compute the bounds of the desktop', () => {
+    expect(getDesktopBounds([left, right])).toEqual({ x: 0, y: -200, width: 4480, height: 1440 });
+    expect(getDesktopBounds(singleDisplay({ width: 800, height: 600 }))).toEqual({ x: 0, y: 0, width: 800, height: 600 });
+  });
+  
+  test('should select a display by an id from a body or a query string', () => {
+    expect(selectDisplay([left, right], 2)).toBe(right);
+    expect(selectDisplay([left, right], '1')).toBe(left);
+    expect(selectDisplay([left, right], undefined)).toBeUndefined();
+    expect(() => selectDisplay([left], '3')).toThrow('Unknown display 3; connected displays are 1');
+    expect(() => selectDisplay([left], 'abc')).toThrow(expect.objectContaining({
+      status: 400,
+      message: '\'display\' must be a whole number display id, not "abc"'
+    }));
+    expect(() => selectDisplay([left], 1.5)).toThrow('\'display\' must be a whole number display id, not 1.5');
+    expect(() => selectDisplay([left], '')).toThrow('must be a whole number display id');
+  });
+});
@@ -0,0 +1,148 @@
+const zlib = require('zlib');
+const { createDriver } = require('../src/drivers');
+const VirtualDriver = require('../src/drivers/virtual-driver');
+const { createCursorController } = require('../src/cursor-controller');
+const { encodePng } = require('../src/utils/png');
+
+/**
+ * Decode a PNG written by encodePng back into its size and RGBA pixels
+ */
+function decodePng(base64) {
+  const png = Buffer.from(base64, 'base64');
+  const width = png.readUInt32BE(16);
+  const height = png.readUInt32BE(20);
+  const idatLength = png.readUInt32BE(33);
+  const raw = zlib.inflateSync(png.subarray(41, 41 + idatLength));
+  
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    raw.copy(pixels, y * width * 4, y * (width * 4 + 1) + 1, (y + 1) * (width * 4 + 1));
+  }
+  
+  const pixel = (x, y) => Array.from(pixels.subarray((y * width + x) * 4, (y * width + x) * 4 + 4));
+  return { width, height, pixel };
+}
+
+describe('Cursor Drivers', () => {
+  test('should create drivers by name and reject unknown ones', () => {
+    expect(createDriver('virtual', { screenSize: { width: 10, height: 10 } })).toBeInstanceOf(VirtualDriver);
+    expect(() => createDriver('x11')).toThrow('Unknown cursor driver: x11. Available drivers: robotjs, virtual');
+  });
+  
+  test('should parse the virtual screen size', () => {
+    expect(VirtualDriver.parseScreenSize()).toEqual({ width: 1280, height: 800 });
+    expect(VirtualDriver.parseScreenSize('800x600')).toEqual({ width: 800, height: 600 });
+    expect(() => VirtualDriver.parseScreenSize('big')).toThrow('Invalid virtual screen size: big');
+  });
+  
+  describe('VirtualDriver', () => {
+    let driver;
+    let cursorController;
+    
+    beforeEach(() => {
+      driver = new VirtualDriver({ screenSize: { width: 40, height: 30 } });
+      cursorController = createCursorController(driver);
+    });
+    
+    test('should start with the cursor in the middle of the screen', () => {
+      expect(cursorController.getScreenSize()).toEqual({ width: 40, height: 30 });
+      expect(cursorController.getCurrentPosition()).toEqual({ x: 20, y: 15 });
+    });
+    
+    test('should track the cursor and keep it on the screen', async () => {
+      await cursorController.moveTo(5, 6);
+      expect(cursorController.getCurrentPosition()).toEqual({ x: 5, y: 6 });
+      
+      await cursorController.moveTo(100, -5);
+      expect(cursorController.getCurrentPosition()).toEqual({ x: 39, y: 0 });
+    });
+    
+    test('should track held buttons and keys', async () => {
+      cursorController.mouseDown('right');
+      expect(driver.buttons).toEqual({ left: false, right: true, middle: false });
+      cursorController.mouseUp('right');
+      expect(driver.buttons.right).toBe(false);
+      
+      await cursorController.withModifiers('ctrl+c', () => {
+        expect(Array.from(driver.heldKeys)).toEqual(['control', 'c']);
+      });
+      expect(driver.heldKeys.size).toBe(0);
+    });
+    
+    test('should record input events with the cursor position', async () => {
+      await cursorController.moveTo(10, 10);
+      await cursorController.dragTo(20, 12, { dragSteps: 1 });
+      cursorController.typeText('hi');
+      cursorController.pressKeys('Return');
+      
+      expect(driver.events.map(event => event.type)).toEqual(['move', 'mouse-down', 'move', 'mouse-up', 'type', 'key']);
+      expect(driver.events[3]).toEqual({ type: 'mouse-up', button: 'left', x: 20, y: 12 });
+      expect(driver.typedText).toBe('hi');
+      expect(driver.events[5]).toMatchObject({ key: 'enter', modifiers: [] });
+    });
+    
+    test('should render the framebuffer with the cursor as a PNG', async () => {
+      driver.fillRect(0, 0, 10, 10, [255, 255, 0, 255]);
+      await cursorController.moveTo(20, 20);
+      
+      const image = decodePng(driver.captureScreen(0, 0, 40, 30));
+      
+      expect(image.width).toBe(40);
+      expect(image.height).toBe(30);
+      expect(image.pixel(2, 2)).toEqual([255, 255, 0, 255]);
+      expect(image.pixel(30, 5)).toEqual([32, 64, 96, 255]);
+      expect(image.pixel(20, 20)).toEqual([255, 255, 255, 255]);
+      expect(image.pixel(24, 20)).toEqual([255, 255, 255, 255]);
+      
+      cursorController.mouseDown();
+      expect(decodePng(driver.captureScreen(0, 0, 40, 30)).pixel(20, 20)).toEqual([255, 64, 64, 255]);
+    });
+    
+    test('should capture a region of the screen', () => {
+      driver.fillRect(10, 10, 5, 5, [0, 0, 0, 255]);
+      
+      const image = decodePng(driver.captureScreen(10, 10, 5, 5));
+      
+      expect(image.width).toBe(5);
+      expect(image.pixel(0, 0)).toEqual([0, 0, 0, 255]);
+      expect(() => driver.captureScreen(30, 0, 20, 10)).toThrow('outside the 40x30 screen');
+    });
+  });
+  
+  describe('VirtualDriver with several displays', () => {
+    let driver;
+    
+    beforeEach(() => {
+      driver = new VirtualDriver({ displays: [
+        { id: 1, name: 'left', x: 0, y: 0, width: 40, height: 30, primary: false },
+        { id: 2, name: 'right', x: 40, y: -10, width: 20, height: 20, primary: true }
+      ] });
+    });
+    
+    test('should report the primary display as the screen and list every display', () => {
+      expect(driver.getScreenSize()).toEqual({ width: 20, height: 20 });
+      expect(driver.getMousePos()).toEqual({ x: 50, y: 0 });
+      expect(driver.getDisplays().map(display => display.name)).toEqual(['left', 'right']);
+    });
+    
+    test('should move and capture across the whole desktop', () => {
+      driver.moveMouse(5, 25);
+      expect(driver.getMousePos()).toEqual({ x: 5, y: 25 });
+      
+      driver.moveMouse(100, -50);
+      expect(driver.getMousePos()).toEqual({ x: 59, y: -10 });
+      
+      driver.fillRect(45, -5, 5, 5, [0, 0, 0, 255]);
+      const image = decodePng(driver.captureScreen(40, -10, 20, 20));
+      
+      expect(image.width).toBe(20);
+      expect(image.pixel(5, 5)).toEqual([0, 0, 0, 255]);
+      expect(image.pixel(0, 0)).toEqual([32, 64, 96, 255]);
+      expect(() => driver.captureScreen(40, -20, 20, 20)).toThrow('outside the 60x40 screen');
+    });
+  });
+  
+  test('encodePng should reject pixel data of the wrong size', () => {
+    expect(() => encodePng(2, 2, Buffer.alloc(4))).toThrow('Expected 16 bytes of RGBA data, got 4');
+  });
+});
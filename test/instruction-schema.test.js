@@ -0,0 +1,120 @@
+const { findInstructionErrors, validateInstruction, validateInstructions } = require('../src/instruction-schema');
+
+const screen = [{ x: 0, y: 0, width: 1920, height: 1080 }];
+const dualScreens = [
+  { x: 0, y: 0, width: 1920, height: 1080 },
+  { x: 1920, y: 0, width: 1280, height: 720 }
+];
+
+describe('Instruction Schema', () => {
+  test('should accept every instruction type the controller executes', () => {
+    const instructions = [
+      { type: 'screenshot' },
+      { type: 'cursor-position' },
+      { type: 'move', x: 10, y: 20, delay: 250 },
+      { type: 'click', button: 'right', x: 10, y: 20, modifiers: 'ctrl' },
+      { type: 'double-click' },
+      { type: 'triple-click', button: 'left' },
+      { type: 'drag', startX: 0, startY: 0, x: 300, y: 400 },
+      { type: 'mouse-down', button: 'left' },
+      { type: 'mouse-up' },
+      { type: 'scroll', direction: 'left', amount: 2 },
+      { type: 'wait', duration: 0 },
+      { type: 'type', text: '' },
+      { type: 'key', keys: 'ctrl+s' },
+      { type: 'hold-key', keys: 'shift', duration: 1 }
+    ];
+    
+    for (const instruction of instructions) {
+      expect(findInstructionErrors(instruction, { displays: screen })).toEqual([]);
+    }
+  });
+  
+  test('should name the field behind each problem', () => {
+    expect(findInstructionErrors({ type: 'click', x: 10, button: 'side', modifiers: 3 })).toEqual([
+      { field: 'button', message: 'click instruction has invalid \'button\' property; expected left, right or middle' },
+      { field: 'modifiers', message: 'click instruction has invalid \'modifiers\' property; expected keys such as \'shift\' or \'ctrl+alt\'' },
+      { field: 'y', message: 'click instruction must have both \'x\' and \'y\' coordinates or neither' }
+    ]);
+    expect(findInstructionErrors({ type: 'hold-key', keys: ' ', duration: -1 })).toEqual([
+      { field: 'keys', message: 'hold-key instruction must have a \'keys\' string' },
+      { field: 'duration', message: 'hold-key instruction must have a non-negative \'duration\' in seconds, at most 60' }
+    ]);
+    expect(findInstructionErrors({ type: 'move', x: NaN, y: 5 })).toEqual([
+      { field: 'x', message: 'move instruction must have \'x\' and \'y\' coordinates' }
+    ]);
+  });
+  
+  test('should reject keys the controller cannot press', () => {
+    expect(findInstructionErrors({ type: 'key', keys: 'ctrl+foo' })).toEqual([
+      { field: 'keys', message: 'key instruction has invalid \'keys\' property: Unsupported key: foo' }
+    ]);
+    expect(findInstructionErrors({ type: 'click', modifiers: 'hyper+shift' })).toEqual([
+      { field: 'modifiers', message: 'click instruction has invalid \'modifiers\' property: Unsupported modifier: hyper' }
+    ]);
+    expect(findInstructionErrors({ type: 'hold-key', keys: 'ctrl+k ctrl+c', duration: 1 })).toEqual([]);
+  });
+  
+  test('should accept the modifiers its error message suggests', () => {
+    for (const modifiers of ['shift', 'ctrl+alt']) {
+      expect(findInstructionErrors({ type: 'click', modifiers })).toEqual([]);
+      expect(findInstructionErrors({ type: 'scroll', direction: 'up', amount: 1, modifiers })).toEqual([]);
+    }
+    expect(findInstructionErrors({ type: 'key', keys: 'ctrl+shift' })).toEqual([]);
+    expect(findInstructionErrors({ type: 'hold-key', keys: 'ctrl+alt', duration: 1 })).toEqual([]);
+  });
+  
+  test('should cap waits, key holds and delays', () => {
+    expect(findInstructionErrors({ type: 'wait', duration: 60, delay: 60000 })).toEqual([]);
+    expect(findInstructionErrors({ type: 'hold-key', keys: 'shift', duration: 100000, delay: 60001 })).toEqual([
+      { field: 'duration', message: 'hold-key instruction must have a non-negative \'duration\' in seconds, at most 60' },
+      { field: 'delay', message: 'Delay must be a number of milliseconds from 0 to 60000' }
+    ]);
+  });
+  
+  test('should reject properties the instruction type does not take', () => {
+    expect(findInstructionErrors({ type: 'mouse-down', button: 'left', x: 10, y: 10 })).toEqual([
+      { field: 'x', message: 'mouse-down instruction has unknown property \'x\'; expected button, delay' },
+      { field: 'y', message: 'mouse-down instruction has unknown property \'y\'; expected button, delay' }
+    ]);
+  });
+  
+  test('should keep coordinates on the displays', () => {
+    expect(findInstructionErrors({ type: 'move', x: 1920, y: -1 }, { displays: screen })).toEqual([
+      { field: 'x', message: 'move instruction \'x\' of 1920 is off screen; it must be from 0 to 1919' },
+      { field: 'y', message: 'move instruction \'y\' of -1 is off screen; it must be from 0 to 1079' }
+    ]);
+    expect(findInstructionErrors({ type: 'drag', startX: 2000, startY: 900, x: 10, y: 10 }, { displays: dualScreens })).toEqual([
+      { field: 'startX', message: 'drag instruction position (2000, 900) is not on any display' }
+    ]);
+    expect(findInstructionErrors({ type: 'move', x: 3000, y: 700 }, { displays: dualScreens })).toEqual([]);
+    expect(findInstructionErrors({ type: 'move', x: 5000, y: 5000 })).toEqual([]);
+  });
+  
+  test('should throw a 400 error with per-field details', () => {
+    let error;
+    try {
+      validateInstruction({ type: 'scroll', direction: 'up' });
+    } catch (thrown) {
+      error = thrown;
+    }
+    expect(error.status).toBe(400);
+    expect(error.message).toBe('scroll instruction must have a positive integer \'amount\'');
+    expect(error.details).toEqual([{ field: 'amount', message: 'scroll instruction must have a positive integer \'amount\'' }]);
+  });
+  
+  test('should report problems in a list by instruction', () => {
+    let error;
+    try {
+      validateInstructions([{ type: 'key', keys: 'F5' }, { type: 'wait' }, null]);
+    } catch (thrown) {
+      error = thrown;
+    }
+    expect(error.status).toBe(400);
+    expect(error.message).toBe('Instruction 2: wait instruction must have a non-negative \'duration\' in seconds, at most 60; Instruction 3: Each instruction must be an object');
+    expect(error.details).toEqual([
+      { index: 1, field: 'duration', message: 'wait instruction must have a non-negative \'duration\' in seconds, at most 60' },
+      { index: 2, field: 'type', message: 'Each instruction must be an object' }
+    ]);
+  });
+});
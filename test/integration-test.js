@@ -11,7 +11,8 @@
  * To run this test:
  * node test/integration-test.js
  * 
- * Note: This test requires a valid ANTHROPIC_API_KEY in your .env file
+ * Note: This test requires a valid ANTHROPIC_API_KEY in your .env file,
+ * unless the server runs with MODEL_PROVIDER=mock
  */
 
 require('dotenv').config();
@@ -19,7 +20,7 @@ const axios = require('axios');
 const { captureAndSaveScreen } = require('../src/screen-capture');
 
 // Verify API key
-if (!process.env.ANTHROPIC_API_KEY) {
+if (process.env.MODEL_PROVIDER !== 'mock' && !process.env.ANTHROPIC_API_KEY) {
   console.error('ERROR: ANTHROPIC_API_KEY is required');
   process.exit(1);
 }
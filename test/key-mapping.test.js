@@ -0,0 +1,46 @@
+const { parseKeyCombo, parseKeySequence } = require('../src/utils/key-mapping');
+
+describe('Key Mapping', () => {
+  test('should parse a plain key', () => {
+    expect(parseKeyCombo('a')).toEqual({ key: 'a', modifiers: [] });
+  });
+  
+  test('should map xdotool key names to robotjs names', () => {
+    expect(parseKeyCombo('Return')).toEqual({ key: 'enter', modifiers: [] });
+    expect(parseKeyCombo('Page_Down')).toEqual({ key: 'pagedown', modifiers: [] });
+    expect(parseKeyCombo('F5')).toEqual({ key: 'f5', modifiers: [] });
+  });
+  
+  test('should parse combos with several modifiers', () => {
+    expect(parseKeyCombo('ctrl+shift+p')).toEqual({ key: 'p', modifiers: ['control', 'shift'] });
+    expect(parseKeyCombo('super+Tab')).toEqual({ key: 'tab', modifiers: ['command'] });
+  });
+  
+  test('should treat a lone modifier as a key', () => {
+    expect(parseKeyCombo('shift')).toEqual({ key: 'shift', modifiers: [] });
+  });
+  
+  test('should press the last modifier of a combo of modifiers as the key', () => {
+    expect(parseKeyCombo('ctrl+shift')).toEqual({ key: 'shift', modifiers: ['control'] });
+    expect(parseKeyCombo('ctrl+alt')).toEqual({ key: 'alt', modifiers: ['control'] });
+    expect(parseKeyCombo('ctrl+shift+alt')).toEqual({ key: 'alt', modifiers: ['control', 'shift'] });
+    expect(parseKeySequence('ctrl+shift ctrl+alt')).toHaveLength(2);
+  });
+  
+  test('should parse the plus key in a combo', () => {
+    expect(parseKeyCombo('ctrl++')).toEqual({ key: '+', modifiers: ['control'] });
+  });
+  
+  test('should parse a space-separated sequence of combos', () => {
+    expect(parseKeySequence('ctrl+a ctrl+c')).toEqual([
+      { key: 'a', modifiers: ['control'] },
+      { key: 'c', modifiers: ['control'] }
+    ]);
+  });
+  
+  test('should throw for unknown keys and modifiers', () => {
+    expect(() => parseKeyCombo('Hyper_X')).toThrow('Unsupported key: Hyper_X');
+    expect(() => parseKeyCombo('foo+a')).toThrow('Unsupported modifier: foo');
+    expect(() => parseKeySequence('')).toThrow('Key combo must be a non-empty string');
+  });
+});
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MacroStore = require('../src/macro-store');
+
+const { MacroRecorder, planReplay } = MacroStore;
+
+const screenSize = { width: 1920, height: 1080 };
+const png = Buffer.from('png bytes').toString('base64');
+
+/**
+ * Build a stored macro with steps starting at the given offsets
+ */
+function buildMacro(steps, parameters = {}) {
+  return {
+    name: 'chore',
+    parameters,
+    steps: steps.map(([instruction, offsetMs, durationMs = 0]) => ({ instruction, offsetMs, durationMs }))
+  };
+}
+
+describe('Macro Store', () => {
+  let dir;
+  let store;
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'macros-'));
+    store = new MacroStore({ dir });
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  describe('recording', () => {
+    test('should save the steps with their timings, positions and screenshots', () => {
+      const recorder = new MacroRecorder('rerun-tests', { goal: 'Rerun the failing tests', screenshot: png, screenSize });
+      const startedAt = Date.now();
+      recorder.record({ type: 'click', x: 100, y: 200, button: 'left' }, {
+        startedAt,
+        before: { x: 0, y: 0 },
+        after: { x: 100, y: 200 }
+      });
+      recorder.attachScreenshot(png);
+      recorder.record({ type: 'key', keys: 'ctrl+r' }, { startedAt, before: { x: 100, y: 200 }, after: { x: 100, y: 200 } });
+      
+      const summary = store.save(recorder);
+      
+      expect(summary).toEqual(expect.objectContaining({ name: 'rerun-tests', goal: 'Rerun the failing tests', stepCount: 2 }));
+      expect(store.has('rerun-tests')).toBe(true);
+      
+      const macro = store.get('rerun-tests');
+      expect(macro.screenSize).toEqual(screenSize);
+      expect(macro.steps[0]).toEqual(expect.objectContaining({
+        instruction: { type: 'click', x: 100, y: 200, button: 'left' },
+        before: { x: 0, y: 0 },
+        after: { x: 100, y: 200 },
+        screenshot: 'step-1.png'
+      }));
+      expect(macro.steps[0].offsetMs).toBeGreaterThanOrEqual(0);
+      expect(macro.steps[1].screenshot).toBeUndefined();
+      
+      expect(store.readScreenshot('rerun-tests', 0).toString()).toBe('png bytes');
+      expect(store.readScreenshot('rerun-tests', 1).toString()).toBe('png bytes');
+      expect(() => store.readScreenshot('rerun-tests', 2)).toThrow(expect.objectContaining({ status: 404 }));
+    });
+    
+    test('should store parameter values in typed text as placeholders', () => {
+      const recorder = new MacroRecorder('run-test', { parameters: { test: 'parser.test.js' } });
+      recorder.record({ type: 'type', text: 'npx jest parser.test.js' }, { startedAt: Date.now() });
+      
+      store.save(recorder);
+      
+      const macro = store.get('run-test');
+      expect(macro.parameters).toEqual({ test: 'parser.test.js' });
+      expect(macro.steps[0].instruction).toEqual({ type: 'type', text: 'npx jest {{test}}' });
+    });
+    
+    test('should list and delete macros', () => {
+      expect(store.list()).toEqual([]);
+      
+      const recorder = new MacroRecorder('chore');
+      recorder.record({ type: 'key', keys: 'F5' }, { startedAt: Date.now() });
+      store.save(recorder);
+      
+      expect(store.list().map(macro => macro.name)).toEqual(['chore']);
+      expect(store.delete('chore')).toBe(true);
+      expect(store.delete('chore')).toBe(false);
+      expect(store.list()).toEqual([]);
+      expect(fs.existsSync(path.join(dir, 'chore'))).toBe(false);
+    });
+    
+    test('should reject names that are not safe file names', () => {
+      expect(() => store.get('../secrets')).toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => store.has('')).toThrow(/Macro names must be/);
+      expect(() => store.get('missing')).toThrow(expect.objectContaining({ status: 404 }));
+    });
+  });
+  
+  describe('planReplay', () => {
+    test('should keep the recorded pauses, capped and scaled by the speed', () => {
+      const macro = buildMacro([
+        [{ type: 'move', x: 10, y: 10 }, 0, 100],
+        [{ type: 'click', button: 'left' }, 500, 50],
+        [{ type: 'key', keys: 'Return' }, 30000]
+      ]);
+      
+      expect(planReplay(macro).map(step => step.delayMs)).toEqual([0, 400, 2000]);
+      expect(planReplay(macro, { speed: 4 }).map(step => step.delayMs)).toEqual([0, 100, 500]);
+    });
+    
+    test('should leave out screenshots and scale waits and key holds', () => {
+      const macro = buildMacro([
+        [{ type: 'screenshot' }, 0],
+        [{ type: 'wait', duration: 2 }, 0],
+        [{ type: 'hold-key', keys: 'shift', duration: 3 }, 0],
+        [{ type: 'cursor-position' }, 0]
+      ]);
+      
+      expect(planReplay(macro, { speed: 2 })).toEqual([
+        { instruction: { type: 'wait', duration: 1 }, delayMs: 0 },
+        { instruction: { type: 'hold-key', keys: 'shift', duration: 1.5 }, delayMs: 0 }
+      ]);
+    });
+    
+    test('should check every step against the instruction schema', () => {
+      const macro = buildMacro([
+        [{ type: 'move', x: 10, y: 10 }, 0],
+        [{ type: 'click', button: 'middle-ish' }, 0],
+        [{ type: 'move', x: 5000, y: 10 }, 0],
+        [{ type: 'teleport' }, 0]
+      ]);
+      
+      let error;
+      try {
+        planReplay(macro, { displays: [{ x: 0, y: 0, ...screenSize }] });
+      } catch (thrown) {
+        error = thrown;
+      }
+      expect(error.status).toBe(400);
+      expect(error.message).toMatch(/^Invalid macro chore: Step 2: /);
+      expect(error.details.map(detail => [detail.index, detail.field])).toEqual([[1, 'button'], [2, 'x'], [3, 'type']]);
+    });
+    
+    test('should refuse a slowed-down hold longer than the schema allows', () => {
+      const macro = buildMacro([[{ type: 'hold-key', keys: 'shift', duration: 10 }, 0]]);
+      
+      expect(planReplay(macro, { speed: 0.5 })[0].instruction.duration).toBe(20);
+      expect(() => planReplay(macro, { speed: 0.1 })).toThrow(/Step 1: hold-key instruction must have a non-negative 'duration'/);
+    });
+    
+    test('should fill in parameters, falling back to the recorded values', () => {
+      const macro = buildMacro([[{ type: 'type', text: 'jest {{test}} --filter {{filter}}' }, 0]], {
+        test: 'parser.test.js',
+        filter: 'tokens'
+      });
+      
+      expect(planReplay(macro, { params: { test: 'lexer.test.js' } })[0].instruction.text).toBe('jest lexer.test.js --filter tokens');
+    });
+    
+    test('should reject invalid speeds and unknown parameters', () => {
+      const macro = buildMacro([], { test: 'parser.test.js' });
+      
+      let error;
+      try {
+        planReplay(macro, { speed: 0, params: { file: 'a.js', test: 5 } });
+      } catch (thrown) {
+        error = thrown;
+      }
+      expect(error.status).toBe(400);
+      expect(error.details).toEqual([
+        '\'speed\' must be a number between 0.1 and 100',
+        'Unknown parameter \'file\'; macro chore has test',
+        'Parameter \'test\' must be a string'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const { DEFAULT_MOTION, resolveMotion, getMotionFromEnv, planPath } = require('../src/utils/motion');
+
+describe('Motion Profiles', () => {
+  const from = { x: 0, y: 0 };
+  const to = { x: 300, y: 0 };
+  const motion = (settings) => ({ ...DEFAULT_MOTION, ...settings });
+  
+  afterEach(() => {
+    delete process.env.MOTION_PROFILE;
+    delete process.env.MOTION_SPEED;
+  });
+  
+  test('instant moves should jump straight to the target', () => {
+    expect(planPath(from, to, motion({ profile: 'instant' }))).toEqual({ points: [{ x: 300, y: 0 }], intervalMs: 0 });
+  });
+  
+  test('instant drags should use the configured number of steps', () => {
+    const { points } = planPath(from, to, motion({ profile: 'instant', dragSteps: 3 }), { drag: true });
+    
+    expect(points).toEqual([{ x: 100, y: 0 }, { x: 200, y: 0 }, { x: 300, y: 0 }]);
+  });
+  
+  test('linear motion should space points evenly at the configured speed', () => {
+    // 300px at 1500px/s takes 200ms, i.e. 13 frames of about 15ms
+    const { points, intervalMs } = planPath(from, to, motion({ profile: 'linear', speed: 1500 }));
+    
+    expect(points).toHaveLength(13);
+    expect(intervalMs).toBeCloseTo(200 / 13);
+    expect(points[points.length - 1]).toEqual(to);
+    expect(points[1].x - points[0].x).toBe(points[7].x - points[6].x);
+  });
+  
+  test('eased motion should start and end slowly', () => {
+    const { points } = planPath(from, to, motion({ profile: 'eased', speed: 1500 }));
+    const stepSizes = points.slice(1).map((point, i) => point.x - points[i].x);
+    
+    expect(points[points.length - 1]).toEqual(to);
+    expect(stepSizes[0]).toBeLessThan(stepSizes[6]);
+    expect(stepSizes[stepSizes.length - 1]).toBeLessThan(stepSizes[6]);
+  });
+  
+  test('bezier motion should bow away from the straight line and end on the target', () => {
+    const { points } = planPath(from, to, motion({ profile: 'bezier', speed: 1500 }), { random: () => 1 });
+    
+    expect(points[points.length - 1]).toEqual(to);
+    expect(Math.max(...points.map(point => point.y))).toBeGreaterThan(20);
+  });
+  
+  test('drags should take at least dragSteps points', () => {
+    const { points } = planPath(from, { x: 10, y: 0 }, motion({ profile: 'linear', dragSteps: 5 }), { drag: true });
+    
+    expect(points).toHaveLength(5);
+  });
+  
+  test('should apply a profile name or individual settings', () => {
+    expect(resolveMotion(DEFAULT_MOTION, 'eased')).toEqual({ ...DEFAULT_MOTION, profile: 'eased' });
+    expect(resolveMotion(DEFAULT_MOTION, { speed: 800, pressDelayMs: 50 })).toMatchObject({ profile: 'instant', speed: 800, pressDelayMs: 50 });
+    expect(resolveMotion(DEFAULT_MOTION, undefined)).toBe(DEFAULT_MOTION);
+  });
+  
+  test('should list every problem with invalid settings', () => {
+    expect(() => resolveMotion(DEFAULT_MOTION, { profile: 'warp', speed: 0, dragSteps: 2.5, jitter: true }))
+      .toThrow(expect.objectContaining({
+        details: [
+          'Unknown motion setting \'jitter\'; expected one of profile, speed, pressDelayMs, releaseDelayMs, dragSteps',
+          '\'profile\' must be one of instant, linear, eased, bezier',
+          '\'speed\' must be a number between 50 and 20000',
+          '\'dragSteps\' must be an integer'
+        ]
+      }));
+    expect(() => resolveMotion(DEFAULT_MOTION, 42)).toThrow('\'motion\' must be a profile name or an object');
+  });
+  
+  test('should read defaults from the environment', () => {
+    process.env.MOTION_PROFILE = 'bezier';
+    process.env.MOTION_SPEED = '900';
+    
+    expect(getMotionFromEnv()).toMatchObject({ profile: 'bezier', speed: 900, dragSteps: 10 });
+  });
+});
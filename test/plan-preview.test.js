@@ -0,0 +1,77 @@
+const calls = [];
+
+// Record drawing calls instead of rendering, canvas needs native bindings
+jest.mock('canvas', () => {
+  const record = (name) => (...args) => calls.push([name, ...args]);
+  return {
+    Image: class {
+      set src(buffer) {
+        this.width = 800;
+        this.height = 600;
+        this.source = buffer;
+      }
+    },
+    createCanvas: jest.fn((width, height) => ({
+      getContext: () => new Proxy({}, {
+        get: (target, name) => (name === 'measureText' ? () => ({ width: 50 }) : record(name)),
+        set: (target, name, value) => {
+          calls.push(['set', name, value]);
+          return true;
+        }
+      }),
+      toBuffer: () => Buffer.from(`preview-${width}x${height}`)
+    }))
+  };
+});
+
+const { renderPlanPreview, describeInstruction } = require('../src/plan-preview');
+
+describe('Plan Preview', () => {
+  beforeEach(() => {
+    calls.length = 0;
+  });
+  
+  const texts = () => calls.filter(([name]) => name === 'fillText').map(([, text]) => text);
+  
+  test('should describe instructions for their labels', () => {
+    expect(describeInstruction({ type: 'click', x: 1, y: 2 })).toBe('click');
+    expect(describeInstruction({ type: 'click', button: 'right', modifiers: 'ctrl' })).toBe('click (right) +ctrl');
+    expect(describeInstruction({ type: 'type', text: 'a'.repeat(40) })).toBe(`type "${'a'.repeat(29)}…"`);
+    expect(describeInstruction({ type: 'key', keys: 'ctrl+s' })).toBe('key ctrl+s');
+    expect(describeInstruction({ type: 'scroll', direction: 'down', amount: 3 })).toBe('scroll down 3');
+  });
+  
+  test('should draw numbered markers at the screenshot size and return a PNG', () => {
+    const preview = renderPlanPreview(Buffer.from('png').toString('base64'), [
+      { instruction: { type: 'click', x: 100, y: 200 }, before: { x: 0, y: 0 }, after: { x: 100, y: 200 } },
+      { instruction: { type: 'type', text: 'hello' }, before: { x: 100, y: 200 }, after: { x: 100, y: 200 } }
+    ]);
+    
+    expect(Buffer.from(preview, 'base64').toString()).toBe('preview-800x600');
+    expect(calls[0][0]).toBe('drawImage');
+    expect(texts()).toEqual(['1', 'click', '2', 'type "hello"']);
+    expect(calls).toContainEqual(['arc', 100, 200, 14, 0, Math.PI * 2]);
+  });
+  
+  test('should draw drag arrows from the start point and skip screenshots', () => {
+    renderPlanPreview('cG5n', [
+      { instruction: { type: 'screenshot' }, before: { x: 0, y: 0 }, after: { x: 0, y: 0 } },
+      { instruction: { type: 'drag', startX: 10, startY: 20, x: 300, y: 400 }, before: { x: 0, y: 0 }, after: { x: 300, y: 400 } }
+    ]);
+    
+    expect(calls).toContainEqual(['moveTo', 10, 20]);
+    expect(calls).toContainEqual(['lineTo', 300, 400]);
+    expect(calls).toContainEqual(['arc', 10, 20, 14, 0, Math.PI * 2]);
+    expect(texts()).toEqual(['2', 'drag']);
+  });
+  
+  test('should draw dashed arrows for moves', () => {
+    renderPlanPreview('cG5n', [
+      { instruction: { type: 'move', x: 50, y: 60 }, before: { x: 5, y: 6 }, after: { x: 50, y: 60 } }
+    ]);
+    
+    expect(calls).toContainEqual(['setLineDash', [10, 8]]);
+    expect(calls).toContainEqual(['moveTo', 5, 6]);
+    expect(texts()).toEqual(['1', 'move']);
+  });
+});
@@ -0,0 +1,137 @@
+const path = require('path');
+
+// Mock the Anthropic SDK so no network requests are made
+const mockCreate = jest.fn();
+const mockAnthropic = jest.fn().mockImplementation(() => ({
+  messages: {
+    create: mockCreate
+  }
+}));
+jest.mock('@anthropic-ai/sdk', () => mockAnthropic);
+
+const { createProvider } = require('../src/providers');
+const AnthropicProvider = require('../src/providers/anthropic-provider');
+const { accumulateStream } = require('../src/providers/anthropic-provider');
+const MockProvider = require('../src/providers/mock-provider');
+
+describe('Model Providers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+  
+  test('createProvider should select providers by name', () => {
+    expect(createProvider('anthropic', { apiKey: 'key' })).toBeInstanceOf(AnthropicProvider);
+    expect(createProvider('mock', { responses: [] })).toBeInstanceOf(MockProvider);
+    expect(() => createProvider('openai')).toThrow('Unknown model provider: openai. Available providers: anthropic, mock');
+  });
+  
+  describe('AnthropicProvider', () => {
+    test('should not need an API key until a message is created', async () => {
+      const provider = new AnthropicProvider({ apiKey: undefined });
+      
+      expect(mockAnthropic).not.toHaveBeenCalled();
+      await expect(provider.createMessage({ messages: [] })).rejects.toThrow('ANTHROPIC_API_KEY is not set');
+    });
+    
+    test('should use the configured model and base URL', async () => {
+      const provider = new AnthropicProvider({
+        apiKey: 'key',
+        baseURL: 'http://localhost:9999',
+        model: 'claude-custom'
+      });
+      mockCreate.mockResolvedValue({ content: [] });
+      
+      await provider.createMessage({ model: provider.defaultModel, messages: [] });
+      
+      expect(provider.defaultModel).toBe('claude-custom');
+      expect(mockAnthropic).toHaveBeenCalledWith({ apiKey: 'key', baseURL: 'http://localhost:9999', maxRetries: 0 });
+    });
+    
+    test('should send betas as the anthropic-beta header', async () => {
+      const provider = new AnthropicProvider({ apiKey: 'key' });
+      mockCreate.mockResolvedValue({ content: [] });
+      
+      await provider.createMessage({ model: 'm', messages: [], betas: ['computer-use-2025-01-24', 'other'] });
+      
+      expect(mockCreate).toHaveBeenCalledWith(
+        { model: 'm', messages: [] },
+        { headers: { 'anthropic-beta': 'computer-use-2025-01-24,other' } }
+      );
+    });
+    
+    test('should stream when onStreamEvent is given and assemble the final message', async () => {
+      const provider = new AnthropicProvider({ apiKey: 'key' });
+      const events = [
+        { type: 'message_start', message: { id: 'msg_1', role: 'assistant', content: [], usage: { input_tokens: 10 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Look ' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'first.' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'sig' } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 't1', name: 'computer', input: {} } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"action":' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"screenshot"}' } },
+        { type: 'content_block_stop', index: 1 },
+        { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 5 } },
+        { type: 'message_stop' }
+      ];
+      mockCreate.mockResolvedValue(events);
+      const onStreamEvent = jest.fn();
+      
+      const message = await provider.createMessage({ model: 'm', messages: [] }, { onStreamEvent });
+      
+      expect(mockCreate).toHaveBeenCalledWith({ model: 'm', messages: [], stream: true }, {});
+      expect(onStreamEvent).toHaveBeenCalledTimes(events.length);
+      expect(message.content).toEqual([
+        { type: 'thinking', thinking: 'Look first.', signature: 'sig' },
+        { type: 'tool_use', id: 't1', name: 'computer', input: { action: 'screenshot' } }
+      ]);
+      expect(message.stop_reason).toBe('tool_use');
+      expect(message.usage).toEqual({ input_tokens: 10, output_tokens: 5 });
+    });
+    
+    test('accumulateStream should give tool calls without arguments an empty input', async () => {
+      const message = await accumulateStream([
+        { type: 'message_start', message: { content: [] } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 't1', name: 'computer', input: {} } },
+        { type: 'content_block_stop', index: 0 }
+      ], () => {});
+      
+      expect(message.content[0].input).toEqual({});
+    });
+  });
+  
+  describe('MockProvider', () => {
+    test('should replay scripted responses in order and then finish', async () => {
+      const provider = new MockProvider({
+        responses: [
+          { content: [{ type: 'tool_use', id: 't1', name: 'computer', input: { action: 'screenshot' } }] },
+          { content: [{ type: 'text', text: 'Done.' }] }
+        ]
+      });
+      
+      const first = await provider.createMessage({ messages: [] });
+      expect(first.stop_reason).toBe('tool_use');
+      expect(first.content[0].id).toBe('t1_1');
+      
+      const second = await provider.createMessage({ messages: [] });
+      expect(second.stop_reason).toBe('end_turn');
+      
+      const third = await provider.createMessage({ messages: [] });
+      expect(third.content[0].text).toBe('The mock script has no more responses.');
+      expect(provider.requests).toHaveLength(3);
+      
+      provider.reset();
+      expect((await provider.createMessage({ messages: [] })).content[0].id).toBe('t1_1');
+    });
+    
+    test('should load the default fixture', async () => {
+      const provider = new MockProvider({
+        fixturePath: path.join(__dirname, '..', 'src', 'providers', 'fixtures', 'default-script.json')
+      });
+      
+      const response = await provider.createMessage({ messages: [] });
+      expect(response.content[1].input).toEqual({ action: 'screenshot' });
+    });
+  });
+});
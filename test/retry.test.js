@@ -0,0 +1,211 @@
+const {
+  CircuitBreaker,
+  classifyError,
+  getRetryAfterMs,
+  computeBackoff,
+  callWithRetry,
+  getRetryOptionsFromEnv
+} = require('../src/utils/retry');
+
+const apiError = (status, headers = {}, body) => Object.assign(new Error(`HTTP ${status}`), { status, headers, error: body });
+
+describe('Retry handling', () => {
+  let sleep;
+  
+  beforeEach(() => {
+    sleep = jest.fn().mockResolvedValue();
+  });
+  
+  test('should classify API errors', () => {
+    expect(classifyError(apiError(429))).toBe('rate_limit');
+    expect(classifyError(apiError(529))).toBe('overloaded');
+    expect(classifyError(apiError(500, {}, { type: 'error', error: { type: 'overloaded_error' } }))).toBe('overloaded');
+    expect(classifyError(apiError(503))).toBe('server');
+    expect(classifyError(apiError(400))).toBe('client');
+    expect(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe('network');
+    expect(classifyError(new Error('bug'))).toBe('unknown');
+  });
+  
+  test('should read retry-after in seconds, milliseconds and as a date', () => {
+    expect(getRetryAfterMs(apiError(429, { 'retry-after': '2' }))).toBe(2000);
+    expect(getRetryAfterMs(apiError(429, { 'retry-after-ms': '150', 'retry-after': '2' }))).toBe(150);
+    expect(getRetryAfterMs(apiError(429, { 'retry-after': 'Thu, 01 Jan 1970 00:00:05 GMT' }), 1000)).toBe(4000);
+    expect(getRetryAfterMs(apiError(429, { get: name => (name === 'retry-after' ? '3' : null) }))).toBe(3000);
+    expect(getRetryAfterMs(apiError(429))).toBeNull();
+  });
+  
+  test('should back off exponentially with jitter up to the maximum', () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+    
+    expect(computeBackoff(0, options, () => 0.5)).toBe(500);
+    expect(computeBackoff(2, options, () => 0.5)).toBe(2000);
+    expect(computeBackoff(10, options, () => 0.999)).toBeLessThanOrEqual(5000);
+    expect(computeBackoff(3, options, () => 0)).toBe(0);
+  });
+  
+  test('should retry retryable errors and record every attempt', async () => {
+    const callModel = jest.fn()
+      .mockRejectedValueOnce(apiError(429, { 'retry-after': '1' }))
+      .mockRejectedValueOnce(apiError(500))
+      .mockResolvedValueOnce({ content: [] });
+    const onAttempt = jest.fn();
+    
+    const { response, model, attempts } = await callWithRetry(callModel, {
+      models: ['primary'],
+      baseDelayMs: 100,
+      maxDelayMs: 1000,
+      onAttempt,
+      sleep
+    });
+    
+    expect(response).toEqual({ content: [] });
+    expect(model).toBe('primary');
+    expect(attempts.map(attempt => attempt.outcome)).toEqual(['error', 'error', 'success']);
+    expect(attempts[0]).toMatchObject({ errorType: 'rate_limit', status: 429, retryDelayMs: 1000 });
+    expect(attempts[1].retryDelayMs).toBeLessThanOrEqual(200);
+    expect(sleep).toHaveBeenCalledWith(1000, undefined);
+    expect(onAttempt).toHaveBeenCalledTimes(3);
+  });
+  
+  test('should wait no longer than the largest backoff when the server asks for more', async () => {
+    const callModel = jest.fn()
+      .mockRejectedValueOnce(apiError(429, { 'retry-after': '3600' }))
+      .mockResolvedValueOnce({ content: [] });
+    
+    const { attempts } = await callWithRetry(callModel, { models: ['primary'], maxDelayMs: 5000, sleep });
+    
+    expect(attempts[0].retryDelayMs).toBe(5000);
+    expect(sleep).toHaveBeenCalledWith(5000, undefined);
+  });
+  
+  test('should give up when the run stops during a backoff', async () => {
+    const run = new AbortController();
+    const callModel = jest.fn().mockRejectedValue(apiError(503));
+    setImmediate(() => run.abort('stopped'));
+    
+    const startTime = Date.now();
+    const error = await callWithRetry(callModel, { models: ['primary'], baseDelayMs: 60000, maxDelayMs: 60000, signal: run.signal })
+      .catch(e => e);
+    
+    expect(error.message).toBe('HTTP 503');
+    expect(callModel).toHaveBeenCalledTimes(1);
+    expect(Date.now() - startTime).toBeLessThan(1000);
+  });
+  
+  test('should fail immediately on client errors', async () => {
+    const callModel = jest.fn().mockRejectedValue(apiError(400));
+    
+    const error = await callWithRetry(callModel, { models: ['primary'], sleep }).catch(e => e);
+    
+    expect(error.message).toBe('HTTP 400');
+    expect(error.attempts).toEqual([expect.objectContaining({ attempt: 1, errorType: 'client' })]);
+    expect(callModel).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+  
+  test('should give up after the maximum number of retries', async () => {
+    const callModel = jest.fn().mockRejectedValue(apiError(503));
+    
+    const error = await callWithRetry(callModel, { models: ['primary'], maxRetries: 2, sleep }).catch(e => e);
+    
+    expect(callModel).toHaveBeenCalledTimes(3);
+    expect(error.attempts).toHaveLength(3);
+  });
+  
+  test('should switch to fallback models when the model is overloaded', async () => {
+    const callModel = jest.fn()
+      .mockRejectedValueOnce(apiError(529))
+      .mockRejectedValueOnce(apiError(529))
+      .mockResolvedValueOnce({ content: [] });
+    
+    const { model, attempts } = await callWithRetry(callModel, {
+      models: ['primary', 'fallback-1', 'fallback-2'],
+      sleep
+    });
+    
+    expect(callModel.mock.calls.map(call => call[0])).toEqual(['primary', 'fallback-1', 'fallback-2']);
+    expect(model).toBe('fallback-2');
+    expect(attempts[0]).toMatchObject({ errorType: 'overloaded', nextModel: 'fallback-1', retryDelayMs: 0 });
+    expect(sleep).not.toHaveBeenCalled();
+  });
+  
+  test('circuit breaker should open after repeated failures and recover after the cooldown', async () => {
+    let now = 0;
+    const circuitBreaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => now });
+    const callModel = jest.fn().mockRejectedValue(apiError(503));
+    
+    const error = await callWithRetry(callModel, { models: ['primary'], circuitBreaker, sleep }).catch(e => e);
+    expect(callModel).toHaveBeenCalledTimes(2);
+    expect(error.attempts).toHaveLength(2);
+    expect(circuitBreaker.state).toBe('open');
+    
+    const blocked = await callWithRetry(callModel, { models: ['primary'], circuitBreaker, sleep }).catch(e => e);
+    expect(blocked.message).toContain('circuit breaker is open');
+    expect(blocked.attempts).toEqual([expect.objectContaining({ errorType: 'circuit_open' })]);
+    expect(callModel).toHaveBeenCalledTimes(2);
+    
+    now = 1000;
+    expect(circuitBreaker.state).toBe('half-open');
+    callModel.mockResolvedValueOnce({ content: [] });
+    await callWithRetry(callModel, { models: ['primary'], circuitBreaker, sleep });
+    expect(circuitBreaker.state).toBe('closed');
+  });
+  
+  test('circuit breaker should let a single trial call through while half-open', async () => {
+    let now = 0;
+    const circuitBreaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => now });
+    circuitBreaker.recordFailure();
+    now = 1000;
+    
+    let finishTrial;
+    const callModel = jest.fn(() => new Promise(resolve => { finishTrial = resolve; }));
+    const trial = callWithRetry(callModel, { models: ['primary'], circuitBreaker, sleep });
+    
+    const refused = await callWithRetry(callModel, { models: ['primary'], circuitBreaker, sleep }).catch(e => e);
+    expect(refused.message).toContain('a trial call is already running');
+    expect(callModel).toHaveBeenCalledTimes(1);
+    
+    finishTrial({ content: [] });
+    await trial;
+    expect(circuitBreaker.state).toBe('closed');
+    await callWithRetry(callModel.mockResolvedValue({ content: [] }), { models: ['primary'], circuitBreaker, sleep });
+    expect(callModel).toHaveBeenCalledTimes(2);
+  });
+  
+  test('circuit breaker should let another trial through after an inconclusive one', async () => {
+    let now = 0;
+    const circuitBreaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => now });
+    circuitBreaker.recordFailure();
+    now = 1000;
+    
+    const callModel = jest.fn().mockRejectedValueOnce(apiError(400)).mockResolvedValueOnce({ content: [] });
+    await expect(callWithRetry(callModel, { models: ['primary'], circuitBreaker, sleep })).rejects.toThrow();
+    await callWithRetry(callModel, { models: ['primary'], circuitBreaker, sleep });
+    
+    expect(circuitBreaker.state).toBe('closed');
+  });
+  
+  test('circuit breaker should keep a configured threshold and refuse one below 1', () => {
+    expect(new CircuitBreaker({ failureThreshold: 1 }).failureThreshold).toBe(1);
+    expect(new CircuitBreaker({ cooldownMs: 0 }).cooldownMs).toBe(0);
+    expect(() => new CircuitBreaker({ failureThreshold: 0 })).toThrow('\'failureThreshold\' must be an integer of at least 1');
+    
+    process.env.API_CIRCUIT_BREAKER_THRESHOLD = '0';
+    expect(getRetryOptionsFromEnv().failureThreshold).toBe(5);
+    delete process.env.API_CIRCUIT_BREAKER_THRESHOLD;
+  });
+  
+  test('should read retry settings from the environment', () => {
+    process.env.API_MAX_RETRIES = '1';
+    process.env.FALLBACK_MODELS = 'model-a, model-b';
+    
+    expect(getRetryOptionsFromEnv()).toMatchObject({
+      maxRetries: 1,
+      baseDelayMs: 1000,
+      fallbackModels: ['model-a', 'model-b']
+    });
+    
+    delete process.env.API_MAX_RETRIES;
+    delete process.env.FALLBACK_MODELS;
+  });
+});
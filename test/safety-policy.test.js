@@ -0,0 +1,240 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SafetyPolicy = require('../src/safety-policy');
+const VirtualDriver = require('../src/drivers/virtual-driver');
+const { createCursorController } = require('../src/cursor-controller');
+
+const { loadSafetyPolicy, findPolicyErrors, DEFAULT_SAFETY_POLICY } = SafetyPolicy;
+
+const screen = { width: 1920, height: 1080 };
+const taskbar = { name: 'taskbar', x: 0, y: 1040, width: 1920, height: 40 };
+const editor = { name: 'editor', x: 0, y: 0, width: 1200, height: 1040 };
+
+describe('Safety Policy', () => {
+  describe('check', () => {
+    test('should clamp off-screen coordinates by default', () => {
+      const policy = new SafetyPolicy();
+      
+      expect(policy.check('move', { x: 2500, y: -20 }, screen)).toEqual({ point: { x: 1919, y: 0 }, violations: [] });
+      expect(policy.enforce('click', { x: 100, y: 100 }, screen)).toEqual({ x: 100, y: 100 });
+    });
+    
+    test('should reject off-screen coordinates when configured', () => {
+      const policy = new SafetyPolicy({ outOfBounds: 'reject' });
+      
+      expect(policy.check('move', { x: 1920, y: 500 }, screen).violations).toEqual([
+        'move target is outside the 1920x1080 screen'
+      ]);
+    });
+    
+    test('should block every action in forbidden regions', () => {
+      const policy = new SafetyPolicy({ forbiddenRegions: [taskbar] });
+      
+      expect(() => policy.enforce('move', { x: 10, y: 1060 }, screen))
+        .toThrow('Blocked by the safety policy: move target is inside the forbidden region \'taskbar\'');
+      expect(policy.check('click', { x: 10, y: 1039 }, screen).violations).toEqual([]);
+      
+      // Clamped coordinates are checked where they end up
+      expect(policy.check('move', { x: 10, y: 5000 }, screen).violations).toEqual([
+        'move target is inside the forbidden region \'taskbar\''
+      ]);
+    });
+    
+    test('should only allow positions inside the allowed regions when there are any', () => {
+      const policy = new SafetyPolicy({ allowedRegions: [editor] });
+      
+      expect(policy.check('click', { x: 600, y: 500 }, screen).violations).toEqual([]);
+      expect(policy.check('click', { x: 1500, y: 500 }, screen).violations).toEqual([
+        'click target is outside the allowed regions (editor)'
+      ]);
+    });
+    
+    test('should block configured actions in zones', () => {
+      const policy = new SafetyPolicy({ blockedActions: [{ ...editor, actions: ['right-click', 'drag'] }] });
+      
+      expect(policy.check('click', { x: 600, y: 500 }, screen).violations).toEqual([]);
+      expect(policy.check('right-click', { x: 600, y: 500 }, screen).violations).toEqual([
+        'right-click is blocked in the \'editor\' region'
+      ]);
+      expect(policy.check('drag', { x: 1500, y: 500 }, screen).violations).toEqual([]);
+    });
+    
+    test('should check positions against every display of the desktop', () => {
+      const displays = [
+        { x: 0, y: 0, width: 1920, height: 1080 },
+        { x: 1920, y: 0, width: 1280, height: 720 }
+      ];
+      
+      expect(new SafetyPolicy().check('move', { x: 2500, y: 500 }, displays)).toEqual({ point: { x: 2500, y: 500 }, violations: [] });
+      
+      // The gap below the smaller display is not on the screen
+      expect(new SafetyPolicy().check('move', { x: 2500, y: 900 }, displays).point).toEqual({ x: 2500, y: 719 });
+      expect(new SafetyPolicy({ outOfBounds: 'reject' }).check('click', { x: 2500, y: 900 }, displays).violations).toEqual([
+        'click target is outside every display'
+      ]);
+    });
+    
+    test('should report the broken rules with the error', () => {
+      const policy = new SafetyPolicy({ outOfBounds: 'reject', allowedRegions: [editor] });
+      
+      let error;
+      try {
+        policy.enforce('scroll', { x: -5, y: 10 }, screen);
+      } catch (thrown) {
+        error = thrown;
+      }
+      expect(error.status).toBe(403);
+      expect(error.details).toEqual([
+        'scroll target is outside the 1920x1080 screen',
+        'scroll target is outside the allowed regions (editor)'
+      ]);
+    });
+  });
+  
+  describe('guard', () => {
+    let driver;
+    let controller;
+    
+    beforeEach(() => {
+      driver = new VirtualDriver({ screenSize: screen });
+      const policy = new SafetyPolicy({
+        forbiddenRegions: [taskbar],
+        blockedActions: [{ ...editor, actions: ['right-click', 'drag'] }]
+      });
+      controller = policy.guard(createCursorController(driver, { sleep: async () => {} }));
+    });
+    
+    test('should keep the controller interface', () => {
+      expect(controller.driver).toBe(driver);
+      expect(typeof controller.typeText).toBe('function');
+      expect(controller.getScreenSize()).toEqual(screen);
+    });
+    
+    test('should clamp moves onto the screen', async () => {
+      await controller.moveTo(5000, 20);
+      
+      expect(controller.getCurrentPosition()).toEqual({ x: 1919, y: 20 });
+    });
+    
+    test('should not reach the driver when an action is blocked', async () => {
+      await expect(controller.moveTo(100, 1060)).rejects.toThrow('forbidden region \'taskbar\'');
+      
+      await controller.moveTo(600, 500);
+      driver.events = [];
+      
+      await controller.click('left');
+      await expect(controller.click('right')).rejects.toThrow('right-click is blocked');
+      await expect(controller.dragTo(1500, 500)).rejects.toThrow('drag is blocked');
+      
+      expect(driver.events.map(event => event.type)).toEqual(['click']);
+    });
+    
+    test('should check both ends of a drag', async () => {
+      await controller.moveTo(1500, 500);
+      
+      await expect(controller.dragTo(1500, 1060)).rejects.toThrow('drag target is inside the forbidden region \'taskbar\'');
+      await controller.dragTo(1600, 600, { dragSteps: 1 });
+      
+      expect(controller.getCurrentPosition()).toEqual({ x: 1600, y: 600 });
+    });
+    
+    test('should check the path of glides and drags, but let the cursor leave a region', async () => {
+      const closeButton = { name: 'close button', x: 900, y: 500, width: 100, height: 100 };
+      const canvas = { name: 'canvas', x: 0, y: 0, width: 400, height: 400, actions: ['drag'] };
+      controller = new SafetyPolicy({ forbiddenRegions: [closeButton], blockedActions: [canvas] })
+        .guard(createCursorController(driver, { sleep: async () => {} }));
+      
+      await controller.moveTo(800, 550);
+      await expect(controller.moveTo(1100, 550, { profile: 'linear' }))
+        .rejects.toThrow('move path crosses the forbidden region \'close button\'');
+      await expect(controller.dragTo(1100, 560)).rejects.toThrow('drag path crosses the forbidden region \'close button\'');
+      expect(controller.getCurrentPosition()).toEqual({ x: 800, y: 550 });
+      
+      // An instant move jumps over the region
+      await controller.moveTo(1100, 550);
+      
+      await controller.moveTo(600, 100);
+      await expect(controller.dragTo(100, 600)).rejects.toThrow('drag path crosses the \'canvas\' region, where drag is blocked');
+      
+      driver.moveMouse(950, 550);
+      await controller.moveTo(1200, 550, { profile: 'linear' });
+      expect(controller.getCurrentPosition()).toEqual({ x: 1200, y: 550 });
+    });
+    
+    test('should always allow releasing a button', () => {
+      driver.moveMouse(100, 1060);
+      
+      expect(() => controller.mouseDown()).toThrow('forbidden region');
+      expect(() => controller.mouseUp()).not.toThrow();
+    });
+  });
+  
+  describe('configuration', () => {
+    let tempDir;
+    
+    beforeEach(() => {
+      delete process.env.SAFETY_POLICY_FILE;
+      delete process.env.SAFETY_OUT_OF_BOUNDS;
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safety-policy-'));
+    });
+    
+    afterAll(() => {
+      delete process.env.SAFETY_POLICY_FILE;
+      delete process.env.SAFETY_OUT_OF_BOUNDS;
+    });
+    
+    const writePolicy = (policy) => {
+      const file = path.join(tempDir, 'safety-policy.json');
+      fs.writeFileSync(file, JSON.stringify(policy));
+      return file;
+    };
+    
+    test('should use the defaults when there is no policy file', () => {
+      expect(loadSafetyPolicy()).toEqual(DEFAULT_SAFETY_POLICY);
+    });
+    
+    test('should read the policy file and let the environment pick the bounds mode', () => {
+      process.env.SAFETY_POLICY_FILE = writePolicy({ forbiddenRegions: [taskbar] });
+      process.env.SAFETY_OUT_OF_BOUNDS = 'reject';
+      
+      expect(loadSafetyPolicy()).toEqual({ ...DEFAULT_SAFETY_POLICY, outOfBounds: 'reject', forbiddenRegions: [taskbar] });
+    });
+    
+    test('should reject missing files and invalid policies', () => {
+      expect(() => loadSafetyPolicy(path.join(tempDir, 'missing.json'))).toThrow('does not exist');
+      expect(() => loadSafetyPolicy(writePolicy({ outOfBounds: 'wrap' }))).toThrow('\'outOfBounds\' must be one of clamp, reject');
+    });
+    
+    test('should collect every problem of a policy', () => {
+      expect(findPolicyErrors({
+        regions: [],
+        forbiddenRegions: [{ x: 1.5, y: 0, width: 0, height: 10 }],
+        allowedRegions: {},
+        blockedActions: [{ ...editor, actions: ['paste'] }]
+      })).toEqual([
+        'Unknown setting \'regions\'; expected one of outOfBounds, forbiddenRegions, allowedRegions, blockedActions',
+        'forbiddenRegions[0] needs a \'name\'',
+        'forbiddenRegions[0] \'x\' must be an integer',
+        'forbiddenRegions[0] \'width\' must be a positive integer',
+        '\'allowedRegions\' must be an array',
+        'blockedActions[0] \'actions\' must list some of move, click, right-click, middle-click, double-click, triple-click, drag, mouse-down, scroll'
+      ]);
+    });
+    
+    test('should check regions against the desktop, including monitors at negative coordinates', () => {
+      const desktop = [
+        { id: 1, x: 0, y: 0, width: 1920, height: 1080, primary: true },
+        { id: 2, x: -1280, y: -200, width: 1280, height: 1024 }
+      ];
+      
+      expect(findPolicyErrors({ forbiddenRegions: [{ name: 'left panel', x: -1280, y: -200, width: 300, height: 1024 }] }, desktop)).toEqual([]);
+      expect(findPolicyErrors({ allowedRegions: [{ name: 'too far', x: -1400, y: 0, width: 200, height: 100 }] }, desktop)).toEqual([
+        'allowedRegions[0] must be within the 3200x1280 desktop at (-1280, -200)'
+      ]);
+      
+      process.env.SAFETY_POLICY_FILE = writePolicy({ forbiddenRegions: [{ ...taskbar, y: 2000 }] });
+      expect(() => loadSafetyPolicy(undefined, { displays: desktop })).toThrow('forbiddenRegions[0] must be within');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const { getScaledSize, createScaler } = require('../src/screen-scaling');
+
+describe('Screen Scaling', () => {
+  test('should pick the target closest to the screen aspect ratio', () => {
+    expect(getScaledSize({ width: 2560, height: 1440 }, 'auto')).toEqual({ width: 1365, height: 768 });
+    expect(getScaledSize({ width: 2560, height: 1600 }, 'auto')).toEqual({ width: 1280, height: 800 });
+    expect(getScaledSize({ width: 2048, height: 1536 }, 'auto')).toEqual({ width: 1024, height: 768 });
+  });
+  
+  test('should fit a named target while keeping the aspect ratio', () => {
+    expect(getScaledSize({ width: 3840, height: 2160 }, 'XGA')).toEqual({ width: 1024, height: 576 });
+    expect(getScaledSize({ width: 3840, height: 2160 }, 'wxga')).toEqual({ width: 1280, height: 720 });
+  });
+  
+  test('should support custom targets and disabling scaling', () => {
+    expect(getScaledSize({ width: 2000, height: 1000 }, '1000x800')).toEqual({ width: 1000, height: 500 });
+    expect(getScaledSize({ width: 2560, height: 1440 }, 'none')).toEqual({ width: 2560, height: 1440 });
+  });
+  
+  test('should never scale a small screen up', () => {
+    expect(getScaledSize({ width: 800, height: 600 }, 'XGA')).toEqual({ width: 800, height: 600 });
+  });
+  
+  test('should throw for an unknown target', () => {
+    expect(() => getScaledSize({ width: 1920, height: 1080 }, 'HUGE')).toThrow('Unknown screen scaling target: HUGE');
+  });
+  
+  test('should map coordinates between scaled and physical space', () => {
+    const scaler = createScaler({ width: 2560, height: 1440 }, '1280x720');
+    
+    expect(scaler.toPhysical(640, 360)).toEqual({ x: 1280, y: 720 });
+    expect(scaler.toScaled(1280, 720)).toEqual({ x: 640, y: 360 });
+    
+    // Coordinates on the far edge stay on screen
+    expect(scaler.toPhysical(1280, 720)).toEqual({ x: 2559, y: 1439 });
+  });
+  
+  test('should offset coordinates by the origin of a display', () => {
+    const scaler = createScaler({ width: 2560, height: 1440 }, '1280x720', { x: 1920, y: -360 });
+    
+    expect(scaler.toPhysical(640, 360)).toEqual({ x: 3200, y: 360 });
+    expect(scaler.toScaled(3200, 360)).toEqual({ x: 640, y: 360 });
+    expect(scaler.scaleInstruction({ type: 'drag', startX: 0, startY: 0, x: 10, y: 10 }))
+      .toEqual({ type: 'drag', startX: 1920, startY: -360, x: 1940, y: -340 });
+  });
+  
+  test('should scale every coordinate of an instruction', () => {
+    const scaler = createScaler({ width: 2560, height: 1440 }, '1280x720');
+    
+    expect(scaler.scaleInstruction({ type: 'drag', startX: 10, startY: 20, x: 100, y: 200 }))
+      .toEqual({ type: 'drag', startX: 20, startY: 40, x: 200, y: 400 });
+    expect(scaler.scaleInstruction({ type: 'click', button: 'left' }))
+      .toEqual({ type: 'click', button: 'left' });
+  });
+  
+  test('should return captures untouched when no scaling is needed', () => {
+    const scaler = createScaler({ width: 1024, height: 768 }, 'XGA');
+    
+    expect(scaler.isScaled).toBe(false);
+    expect(scaler.scaleCapture('original')).toBe('original');
+  });
+});
@@ -0,0 +1,128 @@
+const SessionManager = require('../src/session-manager');
+const { pruneScreenshots, SCREENSHOT_PLACEHOLDER } = require('../src/utils/message-history');
+
+const screenshot = (data) => ({
+  type: 'image',
+  source: { type: 'base64', media_type: 'image/png', data }
+});
+
+describe('Session Manager', () => {
+  let sessionManager;
+  
+  beforeEach(() => {
+    sessionManager = new SessionManager();
+  });
+  
+  test('should create, get, list and delete sessions', () => {
+    const session = sessionManager.create({ workType: 'React component' });
+    
+    expect(sessionManager.get(session.id)).toBe(session);
+    expect(sessionManager.list()).toEqual([
+      expect.objectContaining({
+        id: session.id,
+        context: { workType: 'React component' },
+        messageCount: 0,
+        usage: expect.objectContaining({ totalTokens: 0, costUsd: 0 })
+      })
+    ]);
+    
+    expect(sessionManager.summarize(sessionManager.create({}, 2)).display).toBe(2);
+    expect(sessionManager.delete(session.id)).toBe(true);
+    expect(sessionManager.get(session.id)).toBeUndefined();
+    expect(sessionManager.delete(session.id)).toBe(false);
+  });
+  
+  test('should pass the session history to each goal and record it', async () => {
+    const session = sessionManager.create();
+    
+    await sessionManager.runGoal(session, 'first goal', async (messages) => {
+      messages.push({ role: 'user', content: [{ type: 'text', text: 'first goal' }] });
+      messages.push({ role: 'assistant', content: [{ type: 'text', text: 'done' }] });
+    });
+    
+    const runGoal = jest.fn().mockResolvedValue('result');
+    await expect(sessionManager.runGoal(session, 'second goal', runGoal)).resolves.toBe('result');
+    
+    expect(runGoal).toHaveBeenCalledWith(session.messages);
+    expect(session.messages).toHaveLength(2);
+    expect(session.goals.map(entry => entry.goal)).toEqual(['first goal', 'second goal']);
+    expect(session.goals[1].completedAt).toBeDefined();
+  });
+  
+  test('should roll the history back when a goal fails', async () => {
+    const session = sessionManager.create();
+    session.messages.push({ role: 'user', content: [] }, { role: 'assistant', content: [] });
+    
+    await expect(sessionManager.runGoal(session, 'broken goal', async (messages) => {
+      messages.push({ role: 'user', content: [] });
+      throw new Error('API down');
+    })).rejects.toThrow('API down');
+    
+    expect(session.messages).toHaveLength(2);
+    expect(session.goals[0].error).toBe('API down');
+    expect(session.busy).toBe(false);
+  });
+  
+  test('should pause the session when the user takes over until the next goal', async () => {
+    const session = sessionManager.create();
+    
+    await sessionManager.runGoal(session, 'first goal', async () => ({ stopReason: 'user_takeover' }));
+    expect(session.paused).toBe(true);
+    expect(sessionManager.summarize(session).paused).toBe(true);
+    expect(session.goals[0].stopReason).toBe('user_takeover');
+    
+    await sessionManager.runGoal(session, 'second goal', async () => ({ stopReason: 'end_turn' }));
+    expect(session.paused).toBe(false);
+  });
+  
+  test('should refuse to run two goals in the same session at once', async () => {
+    const session = sessionManager.create();
+    let finishFirst;
+    
+    const first = sessionManager.runGoal(session, 'slow goal', () => new Promise(resolve => {
+      finishFirst = resolve;
+    }));
+    
+    await expect(sessionManager.runGoal(session, 'second goal', jest.fn()))
+      .rejects.toThrow(`Session ${session.id} is already working on a goal`);
+    
+    finishFirst();
+    await first;
+  });
+  
+  test('should prune old screenshots after each goal', async () => {
+    const session = sessionManager.create();
+    
+    await sessionManager.runGoal(session, 'goal', async (messages) => {
+      for (let i = 1; i <= 5; i++) {
+        messages.push({
+          role: 'user',
+          content: [{ type: 'tool_result', tool_use_id: `tool-${i}`, content: [screenshot(`shot-${i}`)] }]
+        });
+      }
+    });
+    
+    const remaining = session.messages.map(message => message.content[0].content[0]);
+    expect(remaining.slice(0, 2)).toEqual([
+      { type: 'text', text: SCREENSHOT_PLACEHOLDER },
+      { type: 'text', text: SCREENSHOT_PLACEHOLDER }
+    ]);
+    expect(remaining.slice(2).map(block => block.source.data)).toEqual(['shot-3', 'shot-4', 'shot-5']);
+  });
+});
+
+describe('pruneScreenshots', () => {
+  test('should keep the most recent screenshots across plain and tool result content', () => {
+    const messages = [
+      { role: 'user', content: [{ type: 'text', text: 'goal' }, screenshot('initial')] },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'tool-1', name: 'computer', input: {} }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'tool-1', content: [screenshot('after')] }] }
+    ];
+    
+    expect(pruneScreenshots(messages, 1)).toBe(1);
+    expect(messages[0].content[1]).toEqual({ type: 'text', text: SCREENSHOT_PLACEHOLDER });
+    expect(messages[2].content[0].content[0].source.data).toBe('after');
+    
+    expect(pruneScreenshots(messages, 1)).toBe(0);
+  });
+});
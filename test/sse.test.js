@@ -0,0 +1,68 @@
+const { EventEmitter } = require('events');
+const { createSSEWriter, createSSEParser } = require('../src/utils/sse');
+
+/**
+ * Minimal stand-in for an Express response
+ */
+function createResponse() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.status = jest.fn();
+  res.set = jest.fn();
+  res.flushHeaders = jest.fn();
+  res.write = jest.fn(chunk => res.chunks.push(chunk));
+  res.end = jest.fn();
+  return res;
+}
+
+describe('Server-Sent Events', () => {
+  test('writer should send named JSON events with SSE headers', () => {
+    const res = createResponse();
+    const stream = createSSEWriter(res);
+    
+    stream.send('action', { type: 'click' });
+    stream.end();
+    stream.end();
+    
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(res.chunks).toEqual(['event: action\ndata: {"type":"click"}\n\n']);
+    expect(res.end).toHaveBeenCalledTimes(1);
+  });
+  
+  test('writer should drop events after the client disconnects', () => {
+    const res = createResponse();
+    const stream = createSSEWriter(res);
+    
+    res.emit('close');
+    stream.send('text', { delta: 'lost' });
+    
+    expect(stream.isClosed()).toBe(true);
+    expect(res.write).not.toHaveBeenCalled();
+  });
+  
+  test('parser should handle events split across chunks', () => {
+    const events = [];
+    const feed = createSSEParser((event, data) => events.push([event, data]));
+    
+    feed('event: thinking\ndata: {"delta":"Hm');
+    feed('m"}\n\nevent: summary\r\ndata: {"success":true}\r\n\r\n');
+    feed(': comment only\n\n');
+    
+    expect(events).toEqual([
+      ['thinking', { delta: 'Hmm' }],
+      ['summary', { success: true }]
+    ]);
+  });
+  
+  test('parser should round-trip what the writer sends', () => {
+    const res = createResponse();
+    const stream = createSSEWriter(res);
+    const events = [];
+    const feed = createSSEParser((event, data) => events.push([event, data]));
+    
+    stream.send('text', { delta: 'line one\nline two' });
+    res.chunks.forEach(chunk => feed(Buffer.from(chunk)));
+    
+    expect(events).toEqual([['text', { delta: 'line one\nline two' }]]);
+  });
+});
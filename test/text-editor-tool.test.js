@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TextEditor, runTextEditorTool } = require('../src/tools/text-editor-tool');
+
+describe('Text Editor Tool', () => {
+  let root;
+  let editor;
+  
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'text-editor-'));
+    fs.writeFileSync(path.join(root, 'app.js'), 'const a = 1;\nconst b = 2;\nconst c = 3;');
+    editor = new TextEditor({ root });
+  });
+  
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  
+  test('should view a file with line numbers', () => {
+    expect(editor.view('app.js')).toBe('     1\tconst a = 1;\n     2\tconst b = 2;\n     3\tconst c = 3;');
+  });
+  
+  test('should view a line range', () => {
+    expect(editor.view('app.js', [2, -1])).toBe('     2\tconst b = 2;\n     3\tconst c = 3;');
+    expect(() => editor.view('app.js', [3, 9])).toThrow('Invalid \'view_range\' [3,9]; the file has 3 lines');
+  });
+  
+  test('should list a directory', () => {
+    fs.mkdirSync(path.join(root, 'src'));
+    fs.writeFileSync(path.join(root, 'src', 'index.js'), '');
+    
+    expect(editor.view('.')).toBe('Files and directories up to 2 levels deep in .:\napp.js\nsrc/\nsrc/index.js');
+  });
+  
+  test('should create files and parent directories', () => {
+    editor.create('lib/util.js', 'module.exports = {};');
+    
+    expect(fs.readFileSync(path.join(root, 'lib', 'util.js'), 'utf8')).toBe('module.exports = {};');
+  });
+  
+  test('should replace a unique string', () => {
+    const output = editor.strReplace('app.js', 'const b = 2;', 'const b = 20;');
+    
+    expect(fs.readFileSync(path.join(root, 'app.js'), 'utf8')).toBe('const a = 1;\nconst b = 20;\nconst c = 3;');
+    expect(output).toContain('     2\tconst b = 20;');
+  });
+  
+  test('should refuse ambiguous or missing replacements', () => {
+    expect(() => editor.strReplace('app.js', 'const', 'let')).toThrow('old_str appears 3 times');
+    expect(() => editor.strReplace('app.js', 'const d', 'let d')).toThrow('old_str did not appear verbatim');
+  });
+  
+  test('should insert text after a line', () => {
+    editor.insert('app.js', 1, '// inserted');
+    
+    expect(fs.readFileSync(path.join(root, 'app.js'), 'utf8')).toBe('const a = 1;\n// inserted\nconst b = 2;\nconst c = 3;');
+    expect(() => editor.insert('app.js', 10, 'x')).toThrow('Invalid \'insert_line\' 10; it must be between 0 and 4');
+  });
+  
+  test('should undo edits one at a time', () => {
+    editor.strReplace('app.js', 'const a = 1;', 'const a = 10;');
+    editor.insert('app.js', 0, '// header');
+    
+    editor.undoEdit('app.js');
+    expect(fs.readFileSync(path.join(root, 'app.js'), 'utf8')).toBe('const a = 10;\nconst b = 2;\nconst c = 3;');
+    
+    editor.undoEdit('app.js');
+    expect(fs.readFileSync(path.join(root, 'app.js'), 'utf8')).toBe('const a = 1;\nconst b = 2;\nconst c = 3;');
+    
+    expect(() => editor.undoEdit('app.js')).toThrow('No edit history found for app.js');
+  });
+  
+  test('should undo file creation by removing the file', () => {
+    editor.create('new.js', 'x');
+    editor.undoEdit('new.js');
+    
+    expect(fs.existsSync(path.join(root, 'new.js'))).toBe(false);
+  });
+  
+  test('should keep every path inside the workspace root', () => {
+    expect(() => editor.view('../outside.js')).toThrow('is outside the workspace root');
+    expect(() => editor.create('/etc/passwd', 'x')).toThrow('is outside the workspace root');
+    
+    fs.symlinkSync(os.tmpdir(), path.join(root, 'escape'));
+    expect(() => editor.create('escape/file.js', 'x')).toThrow('is outside the workspace root');
+  });
+  
+  test('should allow names inside the root that start with two dots', () => {
+    editor.create('..config', 'a');
+    editor.create('..foo/bar.js', 'b');
+    
+    expect(fs.readFileSync(path.join(root, '..config'), 'utf8')).toBe('a');
+    expect(fs.readFileSync(path.join(root, '..foo', 'bar.js'), 'utf8')).toBe('b');
+    expect(() => editor.view('..')).toThrow('is outside the workspace root');
+  });
+  
+  test('should refuse to write through a dangling symlink', () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'text-editor-outside-'));
+    fs.symlinkSync(path.join(outside, 'pwned'), path.join(root, 'evil'));
+    
+    try {
+      expect(() => editor.create('evil', 'x')).toThrow('goes through a symlink whose target does not exist');
+      expect(() => editor.create('evil/nested.js', 'x')).toThrow('goes through a symlink whose target does not exist');
+      expect(fs.existsSync(path.join(outside, 'pwned'))).toBe(false);
+    } finally {
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+  });
+  
+  test('runTextEditorTool should build tool results', async () => {
+    await expect(runTextEditorTool(editor, { command: 'view', path: 'app.js', view_range: [1, 1] }, 'tool-1')).resolves.toEqual({
+      type: 'tool_result',
+      tool_use_id: 'tool-1',
+      content: '     1\tconst a = 1;'
+    });
+    
+    await expect(runTextEditorTool(editor, { command: 'delete', path: 'app.js' }, 'tool-2')).resolves.toEqual({
+      type: 'tool_result',
+      tool_use_id: 'tool-2',
+      is_error: true,
+      content: 'Unsupported editor command: delete'
+    });
+  });
+});
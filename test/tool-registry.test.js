@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ToolRegistry, loadPlugins, imageResult } = require('../src/tools/tool-registry');
+
+const schema = { type: 'object', properties: { query: { type: 'string' } } };
+
+describe('Tool Registry', () => {
+  let registry;
+  
+  beforeEach(() => {
+    registry = new ToolRegistry();
+  });
+  
+  test('should list registered tools as Messages API definitions', () => {
+    registry.register({ name: 'search_docs', description: 'Search the docs', inputSchema: schema, handler: async () => '' });
+    
+    expect(registry.has('search_docs')).toBe(true);
+    expect(registry.definitions()).toEqual([
+      { name: 'search_docs', description: 'Search the docs', input_schema: schema }
+    ]);
+    expect(registry.list()).toEqual([
+      { name: 'search_docs', description: 'Search the docs', inputSchema: schema }
+    ]);
+  });
+  
+  test('should reject invalid, reserved and duplicate tools', () => {
+    const tool = { name: 'search_docs', description: 'Search the docs', inputSchema: schema, handler: async () => '' };
+    registry.register(tool);
+    
+    expect(() => registry.register({ ...tool, name: 'bad name' })).toThrow('Invalid tool name');
+    expect(() => registry.register({ ...tool, name: 'bash' })).toThrow('reserved for a built-in tool');
+    expect(() => registry.register(tool)).toThrow('already registered');
+    expect(() => registry.register({ ...tool, name: 'other', description: '' })).toThrow('needs a description');
+    expect(() => registry.register({ ...tool, name: 'other', inputSchema: { type: 'string' } })).toThrow('input schema');
+    expect(() => registry.register({ ...tool, name: 'other', handler: 'nope' })).toThrow('handler function');
+  });
+  
+  test('should turn handler output into tool results', async () => {
+    registry.register({ name: 'text', description: 'Text', inputSchema: schema, handler: async ({ query }) => `found ${query}` });
+    registry.register({ name: 'image', description: 'Image', inputSchema: schema, handler: async () => [imageResult('abc')] });
+    registry.register({ name: 'flagged', description: 'Flagged', inputSchema: schema, handler: async () => ({ content: 'no match', isError: true }) });
+    
+    expect(await registry.execute('text', { query: 'retry' }, 'tool-1')).toEqual({
+      type: 'tool_result',
+      tool_use_id: 'tool-1',
+      is_error: false,
+      content: 'found retry'
+    });
+    expect((await registry.execute('image', {}, 'tool-2')).content).toEqual([
+      { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'abc' } }
+    ]);
+    expect(await registry.execute('flagged', {}, 'tool-3')).toMatchObject({ is_error: true, content: 'no match' });
+  });
+  
+  test('should report handler failures, bad output and timeouts as tool errors', async () => {
+    registry.register({ name: 'broken', description: 'Broken', inputSchema: schema, handler: async () => { throw new Error('backend down'); } });
+    registry.register({ name: 'odd', description: 'Odd', inputSchema: schema, handler: async () => 42 });
+    registry.register({ name: 'slow', description: 'Slow', inputSchema: schema, timeoutMs: 10, handler: () => new Promise(() => {}) });
+    
+    expect(await registry.execute('broken', {}, 'tool-1')).toMatchObject({ is_error: true, content: 'backend down' });
+    expect((await registry.execute('odd', {}, 'tool-2')).content).toContain('Tool handlers must return');
+    expect(await registry.execute('slow', {}, 'tool-3')).toMatchObject({ is_error: true, content: 'Tool \'slow\' timed out after 10ms' });
+    expect(await registry.execute('missing', {}, 'tool-4')).toMatchObject({ is_error: true, content: 'Tool \'missing\' is not registered' });
+  });
+  
+  describe('loadPlugins', () => {
+    let dir;
+    
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-plugins-'));
+    });
+    
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+    
+    test('should load function, object and array plugins and skip broken ones', async () => {
+      fs.writeFileSync(path.join(dir, 'a-function.js'), `
+        module.exports = (registry, { textResult }) => registry.register({
+          name: 'greet',
+          description: 'Greet someone',
+          inputSchema: { type: 'object', properties: { name: { type: 'string' } } },
+          handler: async ({ name }) => textResult('Hello ' + name)
+        });
+      `);
+      fs.writeFileSync(path.join(dir, 'b-object.js'), `
+        module.exports = [{
+          name: 'ping',
+          description: 'Ping',
+          inputSchema: { type: 'object' },
+          handler: async () => 'pong'
+        }];
+      `);
+      fs.writeFileSync(path.join(dir, 'c-broken.js'), 'throw new Error("syntax is fine, loading is not");');
+      fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a plugin');
+      
+      const loaded = loadPlugins(registry, dir);
+      
+      expect(loaded).toEqual(['a-function.js', 'b-object.js']);
+      expect(registry.list().map(tool => tool.name)).toEqual(['greet', 'ping']);
+      expect((await registry.execute('greet', { name: 'Ada' }, 'tool-1')).content).toEqual([{ type: 'text', text: 'Hello Ada' }]);
+    });
+    
+    test('should return nothing when the directory does not exist', () => {
+      expect(loadPlugins(registry, path.join(dir, 'missing'))).toEqual([]);
+    });
+  });
+});
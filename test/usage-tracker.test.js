@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  UsageTracker,
+  DEFAULT_PRICES,
+  loadPriceTable,
+  getBudgetFromEnv,
+  estimateCost,
+  usageFromResponse
+} = require('../src/usage-tracker');
+
+const response = (usage, content = []) => ({ usage, content });
+
+describe('Usage Tracker', () => {
+  test('should read token counts and estimate thinking tokens', () => {
+    const usage = usageFromResponse(response(
+      { input_tokens: 100, output_tokens: 50, cache_creation_input_tokens: 20, cache_read_input_tokens: 10 },
+      [{ type: 'thinking', thinking: 'x'.repeat(40) }, { type: 'text', text: 'ignored' }]
+    ));
+    
+    expect(usage).toEqual({
+      inputTokens: 100,
+      outputTokens: 50,
+      cacheCreationInputTokens: 20,
+      cacheReadInputTokens: 10,
+      thinkingTokens: 10
+    });
+  });
+  
+  test('should price models by their longest matching prefix', () => {
+    const usage = { inputTokens: 1e6, outputTokens: 1e6, cacheCreationInputTokens: 1e6, cacheReadInputTokens: 1e6 };
+    
+    expect(estimateCost(usage, 'claude-3-7-sonnet-20250219')).toBeCloseTo(3 + 15 + 3.75 + 0.3);
+    expect(estimateCost(usage, 'claude-3-7-sonnet-fast', {
+      ...DEFAULT_PRICES,
+      'claude-3-7-sonnet-fast': { input: 1, output: 1 }
+    })).toBeCloseTo(4);
+    expect(estimateCost(usage, 'unknown-model')).toBeNull();
+  });
+  
+  test('should aggregate iterations and count them towards the parent', () => {
+    const session = new UsageTracker();
+    const request = new UsageTracker({ parent: session });
+    
+    request.record(response({ input_tokens: 1000, output_tokens: 100 }), 'claude-3-7-sonnet-20250219');
+    request.record(response({ input_tokens: 2000, output_tokens: 200 }), 'claude-3-7-sonnet-20250219');
+    
+    const summary = request.summary();
+    expect(summary.iterations).toHaveLength(2);
+    expect(summary.iterations[1]).toMatchObject({ iteration: 2, inputTokens: 2000, outputTokens: 200 });
+    expect(summary.totalTokens).toBe(3300);
+    expect(summary.costUsd).toBeCloseTo((3000 * 3 + 300 * 15) / 1e6);
+    
+    expect(session.summary(false)).not.toHaveProperty('iterations');
+    expect(session.summary(false).totalTokens).toBe(3300);
+  });
+  
+  test('should report unpriced models instead of guessing their cost', () => {
+    const tracker = new UsageTracker();
+    tracker.record(response({ input_tokens: 10, output_tokens: 10 }), 'other-model');
+    
+    expect(tracker.summary()).toMatchObject({ costUsd: 0, unpricedModels: ['other-model'] });
+  });
+  
+  test('should check its own and its parent budget', () => {
+    const session = new UsageTracker({ limits: { maxCostUsd: 0.01 } });
+    const request = new UsageTracker({ limits: { maxTokens: 5000 }, parent: session });
+    
+    expect(request.checkBudget()).toBeNull();
+    
+    request.record(response({ input_tokens: 3000, output_tokens: 0 }), 'claude-3-7-sonnet-20250219');
+    expect(request.checkBudget()).toBeNull();
+    
+    // The next request in the session has its own token budget but shares the session's cost budget
+    const next = new UsageTracker({ limits: { maxTokens: 5000 }, parent: session });
+    next.record(response({ input_tokens: 1000, output_tokens: 0 }), 'claude-3-7-sonnet-20250219');
+    expect(next.checkBudget()).toBe('Cost budget of $0.01 exhausted ($0.0120 used)');
+    
+    request.record(response({ input_tokens: 2000, output_tokens: 0 }), 'claude-3-7-sonnet-20250219');
+    expect(request.checkBudget()).toBe('Token budget of 5000 exhausted (5000 used)');
+  });
+  
+  test('should read budgets and prices from the environment', () => {
+    process.env.REQUEST_MAX_TOKENS = '20000';
+    process.env.REQUEST_MAX_COST_USD = '0.5';
+    expect(getBudgetFromEnv('REQUEST')).toEqual({ maxTokens: 20000, maxCostUsd: 0.5 });
+    expect(getBudgetFromEnv('SESSION')).toEqual({});
+    delete process.env.REQUEST_MAX_TOKENS;
+    delete process.env.REQUEST_MAX_COST_USD;
+    
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'prices-')), 'prices.json');
+    fs.writeFileSync(file, JSON.stringify({ 'my-model': { input: 1, output: 2 } }));
+    
+    const prices = loadPriceTable(file);
+    expect(prices['my-model']).toEqual({ input: 1, output: 2 });
+    expect(prices['claude-3-7-sonnet']).toBe(DEFAULT_PRICES['claude-3-7-sonnet']);
+    expect(loadPriceTable(undefined)).toBe(DEFAULT_PRICES);
+  });
+});